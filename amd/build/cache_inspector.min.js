@@ -0,0 +1,16 @@
+/**
+ * Diagnostics panel for answers saved on this device
+ *
+ * Opened from the quiz page's offline indicator, it lists what
+ * mod_classengage/client_cache holds with each answer's status, retries and
+ * last error, so a student told an answer "didn't count" can see why. It can
+ * send the saved answers again, including those that used up their retries,
+ * and export them as JSON for a support ticket.
+ *
+ * @module     mod_classengage/cache_inspector
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("mod_classengage/cache_inspector",["jquery","core/templates","core/notification","core/str","mod_classengage/client_cache"],(function($,Templates,Notification,Str,ClientCache){var EXPORT_FIELDS=["id","userId","deviceId","sessionId","questionId","questionType","answer","confidence","status","retryCount","nextAttempt","lastError","timestamp","clientTimestamp"],CacheInspector={trigger:null,sessionId:null,isOpen:!1,waiting:0,init:function(trigger,sessionId){var self=this;this.trigger=$(trigger),this.sessionId=sessionId,this.trigger.attr({role:"button",tabindex:0,"aria-controls":"cache-inspector","aria-expanded":"false"}),this.trigger.on("click",(function(){self.toggle()})),this.trigger.on("keydown",(function(e){"Enter"!==e.key&&" "!==e.key||(e.preventDefault(),self.toggle())})),$(document).on("click","#cache-inspector [data-action]",(function(){self.handleAction($(this).data("action"))})),ClientCache.on("statschange",(function(){self.isOpen&&self.render()}))},toggle:function(){this.isOpen?this.close():this.open()},open:function(){return this.isOpen=!0,this.trigger.attr("aria-expanded","true"),this.render()},close:function(){this.isOpen=!1,this.trigger.attr("aria-expanded","false"),$("#cache-inspector").remove()},handleAction:function(action){"close"===action?(this.close(),this.trigger.focus()):"retry"===action?this.retry():"export"===action&&this.exportJson()},render:function(){var self=this;return ClientCache.getCachedResponses().then((function(responses){return Templates.render("mod_classengage/cache_inspector",self.buildContext(responses)).then((function(html,js){return self.isOpen?($("#cache-inspector").remove(),self.trigger.after(html),Templates.runTemplateJS(js),null):null}))})).catch(Notification.exception)},buildContext:function(responses){return this.waiting=responses.filter((function(response){return"pending"===response.status||"failed"===response.status})).length,{stats:ClientCache.getStats(),online:navigator.onLine,canretry:this.waiting>0,hasresponses:responses.length>0,responses:responses.map((function(response){return{id:response.id,questionid:response.questionId,answer:"object"==typeof response.answer?JSON.stringify(response.answer):response.answer,pending:"pending"===response.status,failed:"failed"===response.status,submitted:"submitted"===response.status,retrycount:response.retryCount,lasterror:response.lastError||"",saved:new Date(response.timestamp).toLocaleString()}}))}},retry:function(){var self=this;return Str.get_string("retryingsaved","mod_classengage",this.waiting).then((function(message){return Notification.addNotification({message:message,type:"info"}),null})).catch(Notification.exception),ClientCache.requeueFailed().then((function(){return ClientCache.retryPendingResponses()})).then((function(){return self.isOpen?self.render():null})).catch(Notification.exception)},exportJson:function(){var self=this;return ClientCache.getCachedResponses().then((function(responses){var report={exported:(new Date).toISOString(),sessionid:self.sessionId,online:navigator.onLine,useragent:navigator.userAgent,stats:ClientCache.getStats(),responses:responses.map((function(response){var record={};return EXPORT_FIELDS.forEach((function(field){record[field]=void 0===response[field]?null:response[field]})),record}))};return self.download("classengage-cache-"+self.sessionId+"-"+Date.now()+".json",JSON.stringify(report,null,2)),null})).catch(Notification.exception)},download:function(filename,content){var url=URL.createObjectURL(new Blob([content],{type:"application/json"})),link=$("<a></a>").attr({href:url,download:filename}).appendTo("body");link[0].click(),link.remove(),setTimeout((function(){URL.revokeObjectURL(url)}),0)}};return{init:function(trigger,sessionId){CacheInspector.init(trigger,sessionId)},open:function(){return CacheInspector.open()}}}));
+
+//# sourceMappingURL=cache_inspector.min.js.map
\ No newline at end of file
@@ -4,12 +4,16 @@
  * Provides IndexedDB-based storage for pending quiz responses during network
  * interruptions. Automatically retries submission when connectivity is restored.
  *
+ * Responses are encrypted at rest with a key derived for the student and
+ * session, submitted in batches with backoff, and handed to the service worker
+ * for Background Sync where the browser supports it.
+ *
  * Requirements: 4.1, 4.2, 4.3, 4.5
  *
  * @module     mod_classengage/client_cache
  * @copyright  2025 Danielle
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
-define("mod_classengage/client_cache",["jquery"],(function($){var DB_CONFIG_name="classengage_cache",DB_CONFIG_version=1,DB_CONFIG_storeName="pending_responses",DEFAULTS={maxRetries:5,retryDelay:1e3,maxCacheAge:36e5};function ClientCache(){this.db=null,this.options=$.extend({},DEFAULTS),this.isInitialized=!1,this.connectionManager=null,this.stats={stored:0,submitted:0,failed:0,pending:0},this.eventHandlers={}}ClientCache.prototype.init=function(options){var self=this;return this.options=$.extend({},DEFAULTS,options||{}),new Promise((function(resolve,reject){if(!self.isIndexedDBSupported())return self.useMemoryFallback(),self.isInitialized=!0,void resolve();var request=indexedDB.open(DB_CONFIG_name,DB_CONFIG_version);request.onerror=function(event){console.warn("IndexedDB error, using memory fallback:",event),self.useMemoryFallback(),self.isInitialized=!0,resolve()},request.onsuccess=function(event){self.db=event.target.result,self.isInitialized=!0,self.updatePendingCount(),resolve()},request.onupgradeneeded=function(event){var db=event.target.result;if(!db.objectStoreNames.contains(DB_CONFIG_storeName)){var store=db.createObjectStore(DB_CONFIG_storeName,{keyPath:"id"});store.createIndex("sessionId","sessionId",{unique:!1}),store.createIndex("timestamp","timestamp",{unique:!1}),store.createIndex("status","status",{unique:!1})}}}))},ClientCache.prototype.isIndexedDBSupported=function(){return"undefined"!=typeof indexedDB},ClientCache.prototype.useMemoryFallback=function(){this.memoryStore=[],this.db=null},ClientCache.prototype.generateId=function(){return"resp_"+Date.now()+"_"+Math.random().toString(36).substring(2,11)},ClientCache.prototype.storeResponse=function(response){var self=this,pendingResponse={id:this.generateId(),sessionId:response.sessionId,questionId:response.questionId,answer:response.answer,timestamp:Date.now(),clientTimestamp:response.clientTimestamp||Date.now(),retryCount:0,status:"pending",lastError:null};return new Promise((function(resolve,reject){if(self.isInitialized){if(self.memoryStore)return self.memoryStore.push(pendingResponse),self.stats.stored++,self.stats.pending++,self.emit("stored",pendingResponse),void resolve(pendingResponse);var request=self.db.transaction([DB_CONFIG_storeName],"readwrite").objectStore(DB_CONFIG_storeName).add(pendingResponse);request.onsuccess=function(){self.stats.stored++,self.stats.pending++,self.emit("stored",pendingResponse),resolve(pendingResponse)},request.onerror=function(){reject(new Error("Failed to store response"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.getPendingResponses=function(){var self=this;return new Promise((function(resolve,reject){if(self.isInitialized)if(self.memoryStore){var pending=self.memoryStore.filter((function(r){return"pending"===r.status}));resolve(pending)}else{var request=self.db.transaction([DB_CONFIG_storeName],"readonly").objectStore(DB_CONFIG_storeName).index("status").getAll("pending");request.onsuccess=function(event){resolve(event.target.result||[])},request.onerror=function(){reject(new Error("Failed to get pending responses"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.getPendingBySession=function(sessionId){return this.getPendingResponses().then((function(responses){return responses.filter((function(r){return r.sessionId===sessionId}))}))},ClientCache.prototype.markSubmitted=function(responseId){var self=this;return new Promise((function(resolve,reject){if(self.isInitialized){if(self.memoryStore){var index=self.memoryStore.findIndex((function(r){return r.id===responseId}));return-1!==index&&(self.memoryStore[index].status="submitted",self.stats.submitted++,self.stats.pending=Math.max(0,self.stats.pending-1),self.emit("submitted",{id:responseId})),void resolve()}var store=self.db.transaction([DB_CONFIG_storeName],"readwrite").objectStore(DB_CONFIG_storeName),getRequest=store.get(responseId);getRequest.onsuccess=function(event){var response=event.target.result;if(response){response.status="submitted";var updateRequest=store.put(response);updateRequest.onsuccess=function(){self.stats.submitted++,self.stats.pending=Math.max(0,self.stats.pending-1),self.emit("submitted",{id:responseId}),resolve()},updateRequest.onerror=function(){reject(new Error("Failed to update response"))}}else resolve()},getRequest.onerror=function(){reject(new Error("Failed to get response"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.markFailed=function(responseId,errorMsg){var self=this;return new Promise((function(resolve,reject){if(self.isInitialized){if(self.memoryStore){var index=self.memoryStore.findIndex((function(r){return r.id===responseId}));return-1!==index&&(self.memoryStore[index].retryCount++,self.memoryStore[index].lastError=errorMsg,self.memoryStore[index].retryCount>=self.options.maxRetries&&(self.memoryStore[index].status="failed",self.stats.failed++,self.stats.pending=Math.max(0,self.stats.pending-1),self.emit("failed",{id:responseId,error:errorMsg}))),void resolve()}var store=self.db.transaction([DB_CONFIG_storeName],"readwrite").objectStore(DB_CONFIG_storeName),getRequest=store.get(responseId);getRequest.onsuccess=function(event){var response=event.target.result;if(response){response.retryCount++,response.lastError=errorMsg,response.retryCount>=self.options.maxRetries&&(response.status="failed",self.stats.failed++,self.stats.pending=Math.max(0,self.stats.pending-1),self.emit("failed",{id:responseId,error:errorMsg}));var updateRequest=store.put(response);updateRequest.onsuccess=function(){resolve()},updateRequest.onerror=function(){reject(new Error("Failed to update response"))}}else resolve()},getRequest.onerror=function(){reject(new Error("Failed to get response"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.removeResponse=function(responseId){var self=this;return new Promise((function(resolve,reject){if(self.isInitialized)if(self.memoryStore){var index=self.memoryStore.findIndex((function(r){return r.id===responseId}));-1!==index&&"pending"===self.memoryStore.splice(index,1)[0].status&&(self.stats.pending=Math.max(0,self.stats.pending-1)),resolve()}else{var request=self.db.transaction([DB_CONFIG_storeName],"readwrite").objectStore(DB_CONFIG_storeName).delete(responseId);request.onsuccess=function(){self.updatePendingCount(),resolve()},request.onerror=function(){reject(new Error("Failed to remove response"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.clear=function(){var self=this;return new Promise((function(resolve,reject){if(self.isInitialized){if(self.memoryStore)return self.memoryStore=[],self.stats.pending=0,self.emit("cleared",{}),void resolve();var request=self.db.transaction([DB_CONFIG_storeName],"readwrite").objectStore(DB_CONFIG_storeName).clear();request.onsuccess=function(){self.stats.pending=0,self.emit("cleared",{}),resolve()},request.onerror=function(){reject(new Error("Failed to clear cache"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.cleanup=function(){var self=this,cutoffTime=Date.now()-this.options.maxCacheAge;return new Promise((function(resolve,reject){if(self.isInitialized){if(self.memoryStore)return self.memoryStore=self.memoryStore.filter((function(r){return r.timestamp>cutoffTime})),self.updatePendingCount(),void resolve();var index=self.db.transaction([DB_CONFIG_storeName],"readwrite").objectStore(DB_CONFIG_storeName).index("timestamp"),range=IDBKeyRange.upperBound(cutoffTime),request=index.openCursor(range);request.onsuccess=function(event){var cursor=event.target.result;cursor?(cursor.delete(),cursor.continue()):(self.updatePendingCount(),resolve())},request.onerror=function(){reject(new Error("Failed to cleanup cache"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.updatePendingCount=function(){var self=this;this.getPendingResponses().then((function(responses){self.stats.pending=responses.length})).catch((function(){}))},ClientCache.prototype.getStats=function(){return $.extend({},this.stats)},ClientCache.prototype.setConnectionManager=function(connectionManager){var self=this;this.connectionManager=connectionManager,connectionManager&&"function"==typeof connectionManager.on&&(connectionManager.on("connected",(function(){self.retryPendingResponses()})),connectionManager.on("reconnected",(function(){self.retryPendingResponses()})))},ClientCache.prototype.retryPendingResponses=function(){var self=this;return this.getPendingResponses().then((function(responses){if(0===responses.length)return Promise.resolve([]);self.emit("retrying",{count:responses.length});var promises=responses.map((function(response){return self.submitCachedResponse(response)}));return Promise.all(promises)})).then((function(results){return self.emit("retryComplete",{results:results}),results}))},ClientCache.prototype.submitCachedResponse=function(cachedResponse){var self=this;return this.connectionManager?this.connectionManager.send("submitanswer",{sessionid:cachedResponse.sessionId,questionid:cachedResponse.questionId,answer:cachedResponse.answer,clienttimestamp:cachedResponse.clientTimestamp}).then((function(response){return response.success?self.markSubmitted(cachedResponse.id).then((function(){return{id:cachedResponse.id,success:!0,islate:response.islate||!1}})):self.isPermanentFailure(response.error)?self.removeResponse(cachedResponse.id).then((function(){return{id:cachedResponse.id,success:!1,error:response.error,permanent:!0}})):self.markFailed(cachedResponse.id,response.error).then((function(){return{id:cachedResponse.id,success:!1,error:response.error}}))})).catch((function(error){return self.markFailed(cachedResponse.id,error.message).then((function(){return{id:cachedResponse.id,success:!1,error:error.message}}))})):Promise.reject(new Error("No connection manager"))},ClientCache.prototype.isPermanentFailure=function(error){if(!error)return!1;return["Duplicate submission","Session not found","Session not active","Question not found","already answered"].some((function(msg){return-1!==error.indexOf(msg)}))},ClientCache.prototype.hasPending=function(){return this.stats.pending>0},ClientCache.prototype.on=function(event,callback){this.eventHandlers[event]||(this.eventHandlers[event]=[]),this.eventHandlers[event].push(callback)},ClientCache.prototype.off=function(event,callback){this.eventHandlers[event]&&(callback?this.eventHandlers[event]=this.eventHandlers[event].filter((function(cb){return cb!==callback})):delete this.eventHandlers[event])},ClientCache.prototype.emit=function(event,data){var handlers=this.eventHandlers[event];handlers&&handlers.forEach((function(callback){try{callback(data)}catch(e){console.error("Error in event handler for "+event+":",e)}}))};var instance=null;return{getInstance:function(){return instance||(instance=new ClientCache),instance},init:function(options){return this.getInstance().init(options)},storeResponse:function(response){return this.getInstance().storeResponse(response)},getPendingResponses:function(){return this.getInstance().getPendingResponses()},getPendingBySession:function(sessionId){return this.getInstance().getPendingBySession(sessionId)},markSubmitted:function(responseId){return this.getInstance().markSubmitted(responseId)},markFailed:function(responseId,error){return this.getInstance().markFailed(responseId,error)},removeResponse:function(responseId){return this.getInstance().removeResponse(responseId)},clear:function(){return this.getInstance().clear()},cleanup:function(){return this.getInstance().cleanup()},getStats:function(){return this.getInstance().getStats()},setConnectionManager:function(connectionManager){this.getInstance().setConnectionManager(connectionManager)},retryPendingResponses:function(){return this.getInstance().retryPendingResponses()},hasPending:function(){return this.getInstance().hasPending()},on:function(event,callback){this.getInstance().on(event,callback)},off:function(event,callback){this.getInstance().off(event,callback)}}}));
+define("mod_classengage/client_cache",["jquery","mod_classengage/error_taxonomy"],(function($,ErrorTaxonomy){var DB_CONFIG_name="classengage_cache",DB_CONFIG_storeName="pending_responses",DB_CONFIG_answeredStoreName="answered_questions",MIGRATIONS=[{version:1,upgrade:function(db){var store=db.createObjectStore(DB_CONFIG_storeName,{keyPath:"id"});store.createIndex("sessionId","sessionId",{unique:!1}),store.createIndex("timestamp","timestamp",{unique:!1}),store.createIndex("status","status",{unique:!1})}},{version:2,upgrade:function(db,transaction){transaction.objectStore(DB_CONFIG_storeName).createIndex("userId","userId",{unique:!1})},transform:function(record){return void 0===record.nextAttempt&&(record.nextAttempt=0),void 0===record.userId&&(record.userId=null),record}},{version:3,upgrade:function(db){db.createObjectStore(DB_CONFIG_answeredStoreName,{keyPath:"id"}).createIndex("sessionId","sessionId",{unique:!1})}}],DB_VERSION=MIGRATIONS[MIGRATIONS.length-1].version,SYNC_TAG="classengage-pending-responses",SEALED_FIELDS=["questionId","questionType","answer","confidence","clientTimestamp","sesskey"],DEFAULTS={maxRetries:5,retryDelay:1e3,maxRetryDelay:6e4,maxCacheAge:36e5,batchSize:20,flushJitter:5e3,userId:null,sessionId:null,keyMaterial:""};function ClientCache(){this.db=null,this.options=$.extend({},DEFAULTS),this.isInitialized=!1,this.connectionManager=null,this.flushing=null,this.serviceWorker=null,this.retryTimer=null,this.onlineListener=null,this.authExpired=!1,this.keys={},this.deviceId=null,this.stats={stored:0,submitted:0,failed:0,pending:0,unsent:0},this.eventHandlers={}}ClientCache.prototype.init=function(options){var self=this;return this.options=$.extend({},DEFAULTS,options||{}),this.keys={},this.isIndexedDBSupported()&&this.isCryptoSupported()&&this.options.keyMaterial?this.setSessionKey(this.options.sessionId,this.options.keyMaterial).then((function(){return self.openDatabase()})).then((function(db){return self.db=db,self.isInitialized=!0,self.updatePendingCount(),self.registerServiceWorker(),self.watchOnline(),null})).catch((function(error){console.warn("Offline store unavailable, using memory fallback:",error),self.useMemoryFallback(),self.isInitialized=!0,self.watchOnline()})):(this.useMemoryFallback(),this.isInitialized=!0,this.watchOnline(),Promise.resolve())},ClientCache.prototype.openDatabase=function(){var self=this;return new Promise((function(resolve,reject){var request=indexedDB.open(DB_CONFIG_name,DB_VERSION);request.onupgradeneeded=function(event){self.migrate(event.target.result,event.target.transaction,event.oldVersion)},request.onsuccess=function(event){var db=event.target.result;db.onversionchange=function(){db.close(),self.db===db&&self.useMemoryFallback()},resolve(db)},request.onerror=function(){reject(request.error||new Error("Failed to open offline store"))}}))},ClientCache.prototype.migrate=function(db,transaction,oldVersion){var steps=MIGRATIONS.filter((function(step){return step.version>oldVersion}));steps.forEach((function(step){step.upgrade(db,transaction)}));var transforms=steps.filter((function(step){return"function"==typeof step.transform}));0!==oldVersion&&transforms.length&&(transaction.objectStore(DB_CONFIG_storeName).openCursor().onsuccess=function(event){var cursor=event.target.result;if(cursor){var record=transforms.reduce((function(current,step){return current?step.transform(current):null}),cursor.value);record?cursor.update(record):cursor.delete(),cursor.continue()}})},ClientCache.prototype.isIndexedDBSupported=function(){return"undefined"!=typeof indexedDB},ClientCache.prototype.isCryptoSupported=function(){return"undefined"!=typeof crypto&&!!crypto.subtle&&"undefined"!=typeof TextEncoder},ClientCache.prototype.setSessionKey=function(sessionId,keyMaterial){var encoder=new TextEncoder;return this.keys[sessionId]=crypto.subtle.importKey("raw",encoder.encode(keyMaterial),"HKDF",!1,["deriveKey"]).then((function(baseKey){return crypto.subtle.deriveKey({name:"HKDF",hash:"SHA-256",salt:encoder.encode("mod_classengage/client_cache"),info:encoder.encode(String(sessionId))},baseKey,{name:"AES-GCM",length:256},!1,["encrypt","decrypt"])})),this.keys[sessionId]},ClientCache.prototype.sealRecord=function(record){var key=this.keys[record.sessionId];if(!key)return Promise.reject(new Error("No cache key for session "+record.sessionId));var stored={},secret={};Object.keys(record).forEach((function(field){-1!==SEALED_FIELDS.indexOf(field)?secret[field]=record[field]:stored[field]=record[field]}));var iv=crypto.getRandomValues(new Uint8Array(12));return key.then((function(cryptoKey){return crypto.subtle.encrypt({name:"AES-GCM",iv:iv},cryptoKey,(new TextEncoder).encode(JSON.stringify(secret)))})).then((function(data){return stored.sealed={iv:iv,data:data},stored}))},ClientCache.prototype.isForeign=function(record){return!!this.options.userId&&(void 0!==record.userId&&null!==record.userId?String(record.userId)!==String(this.options.userId):!record.sealed)},ClientCache.prototype.openRecords=function(records,storeName){var self=this,unreadable=[],foreign=[],stale=[],report=(storeName=storeName||DB_CONFIG_storeName)===DB_CONFIG_storeName;return Promise.all(records.map((function(record){if(self.isForeign(record))return foreign.push(record.id),null;if(!record.sealed)return record;var key=self.keys[record.sessionId];return key?key.then((function(cryptoKey){return crypto.subtle.decrypt({name:"AES-GCM",iv:record.sealed.iv},cryptoKey,record.sealed.data).then((function(plain){var opened=$.extend({},record,JSON.parse((new TextDecoder).decode(plain)));return delete opened.sealed,self.hasClearSealedFields(record)&&stale.push(opened),opened}),(function(){return unreadable.push(record.id),null}))})):null}))).then((function(opened){return foreign.length&&self.purgeRecords(foreign,report?"foreign_records":null,storeName),unreadable.length&&self.purgeRecords(unreadable,report?"purged":null,storeName),stale.length&&self.resealRecords(stale,storeName),opened.filter((function(record){return null!==record}))}))},ClientCache.prototype.hasClearSealedFields=function(record){return SEALED_FIELDS.some((function(field){return Object.prototype.hasOwnProperty.call(record,field)}))},ClientCache.prototype.resealRecords=function(records,storeName){var self=this;return Promise.all(records.map((function(record){return self.sealRecord(record)}))).then((function(sealedRecords){return new Promise((function(resolve,reject){var transaction=self.db.transaction([storeName],"readwrite"),store=transaction.objectStore(storeName);sealedRecords.forEach((function(sealedRecord){store.get(sealedRecord.id).onsuccess=function(event){var current=event.target.result;current&&self.hasClearSealedFields(current)&&(SEALED_FIELDS.forEach((function(field){delete current[field]})),current.sealed=sealedRecord.sealed,store.put(current))}})),transaction.oncomplete=resolve,transaction.onerror=function(){reject(new Error("Failed to reseal records"))}}))})).catch((function(error){console.warn("Could not reseal cached records:",error)}))},ClientCache.prototype.purgeRecords=function(ids,event,storeName){var self=this;storeName=storeName||DB_CONFIG_storeName;var transaction=this.db.transaction([storeName],"readwrite"),store=transaction.objectStore(storeName);ids.forEach((function(id){store.delete(id)})),transaction.oncomplete=function(){event&&self.emit(event,{count:ids.length,ids:ids})}},ClientCache.prototype.checkForeignRecords=function(){var self=this;return this.isInitialized&&this.db?new Promise((function(resolve,reject){var transaction=self.db.transaction([DB_CONFIG_storeName],"readwrite"),request=transaction.objectStore(DB_CONFIG_storeName).openCursor(),ids=[];request.onsuccess=function(event){var cursor=event.target.result;cursor&&(self.isForeign(cursor.value)&&(ids.push(cursor.value.id),cursor.delete()),cursor.continue())},transaction.oncomplete=function(){ids.length&&(self.updatePendingCount(),self.emit("foreign_records",{count:ids.length,ids:ids})),resolve(ids.length)},transaction.onerror=function(){reject(new Error("Failed to check for foreign records"))}})):Promise.resolve(0)},ClientCache.prototype.registerServiceWorker=function(){var self=this;"undefined"!=typeof navigator&&"serviceWorker"in navigator&&"undefined"!=typeof window&&"SyncManager"in window&&(this.serviceWorker=navigator.serviceWorker.register(M.cfg.wwwroot+"/mod/classengage/service_worker.js",{scope:M.cfg.wwwroot+"/mod/classengage/"}).then((function(){return navigator.serviceWorker.ready})).catch((function(error){return console.warn("Background delivery unavailable:",error),null})),navigator.serviceWorker.addEventListener("message",(function(event){event.data&&event.data.type===SYNC_TAG&&self.checkBackgroundDeliveries()})))},ClientCache.prototype.requestBackgroundSync=function(){this.serviceWorker&&this.serviceWorker.then((function(registration){return registration?registration.sync.register(SYNC_TAG):null})).catch((function(){}))},ClientCache.prototype.checkBackgroundDeliveries=function(){var self=this;return this.isInitialized&&this.db?new Promise((function(resolve,reject){var transaction=self.db.transaction([DB_CONFIG_storeName],"readwrite"),request=transaction.objectStore(DB_CONFIG_storeName).index("status").openCursor("submitted"),delivered=[];request.onsuccess=function(event){var cursor=event.target.result;cursor&&(cursor.value.background&&(delivered.push({id:cursor.value.id,sessionId:cursor.value.sessionId}),cursor.delete()),cursor.continue())},transaction.oncomplete=function(){delivered.length&&(self.stats.submitted+=delivered.length,self.updatePendingCount(),self.emit("background_submitted",{count:delivered.length,responses:delivered})),resolve(delivered.length)},transaction.onerror=function(){reject(new Error("Failed to read background deliveries"))}})):Promise.resolve(0)},ClientCache.prototype.useMemoryFallback=function(){this.memoryStore=[],this.answeredMemory={},this.db=null},ClientCache.prototype.getDeviceId=function(){if(this.deviceId)return this.deviceId;try{this.deviceId=window.localStorage.getItem("mod_classengage/deviceid")}catch(e){this.deviceId=null}if(!this.deviceId){var bytes=crypto.getRandomValues(new Uint8Array(16));this.deviceId=Array.prototype.map.call(bytes,(function(byte){return("0"+byte.toString(16)).slice(-2)})).join("");try{window.localStorage.setItem("mod_classengage/deviceid",this.deviceId)}catch(e){}}return this.deviceId},ClientCache.prototype.generateId=function(){return"resp_"+Date.now()+"_"+Math.random().toString(36).substring(2,11)},ClientCache.prototype.storeResponse=function(response){var self=this,pendingResponse={id:this.generateId(),userId:this.options.userId,deviceId:this.getDeviceId(),sessionId:response.sessionId,questionId:response.questionId,questionType:response.questionType||"",answer:response.answer,confidence:response.confidence||null,timestamp:Date.now(),clientTimestamp:response.clientTimestamp||Date.now(),retryCount:0,nextAttempt:0,status:"pending",lastError:null,sesskey:M.cfg.sesskey};return new Promise((function(resolve,reject){if(self.isInitialized)return self.memoryStore?(self.memoryStore.push(pendingResponse),self.stats.stored++,self.stats.pending++,self.emit("stored",pendingResponse),self.scheduleRetry(),void resolve(pendingResponse)):void self.sealRecord(pendingResponse).then((function(sealedResponse){var request=self.db.transaction([DB_CONFIG_storeName],"readwrite").objectStore(DB_CONFIG_storeName).add(sealedResponse);return request.onsuccess=function(){self.stats.stored++,self.stats.pending++,self.emit("stored",pendingResponse),self.requestBackgroundSync(),self.scheduleRetry(),resolve(pendingResponse)},request.onerror=function(){reject(new Error("Failed to store response"))},null})).catch(reject);reject(new Error("Cache not initialized"))}))},ClientCache.prototype.getPendingResponses=function(){var self=this;return new Promise((function(resolve,reject){if(self.isInitialized)if(self.memoryStore){var pending=self.memoryStore.filter((function(r){return"pending"===r.status}));resolve(pending)}else{var request=self.db.transaction([DB_CONFIG_storeName],"readonly").objectStore(DB_CONFIG_storeName).index("status").getAll("pending");request.onsuccess=function(event){resolve(self.openRecords(event.target.result||[]))},request.onerror=function(){reject(new Error("Failed to get pending responses"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.getCachedResponses=function(){var self=this;return new Promise((function(resolve,reject){if(self.isInitialized)if(self.memoryStore)resolve(self.memoryStore.slice().sort((function(a,b){return a.timestamp-b.timestamp})));else{var request=self.db.transaction([DB_CONFIG_storeName],"readonly").objectStore(DB_CONFIG_storeName).index("timestamp").getAll();request.onsuccess=function(event){resolve(self.openRecords(event.target.result||[]))},request.onerror=function(){reject(new Error("Failed to get cached responses"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.requeueFailed=function(){var self=this,requeue=function(record){return record.status="pending",record.retryCount=0,record.nextAttempt=0,record};return new Promise((function(resolve,reject){if(self.isInitialized){if(self.memoryStore){var failed=self.memoryStore.filter((function(r){return"failed"===r.status}));return failed.forEach(requeue),self.updatePendingCount(),void resolve(failed.length)}var count=0,transaction=self.db.transaction([DB_CONFIG_storeName],"readwrite");transaction.objectStore(DB_CONFIG_storeName).index("status").openCursor(IDBKeyRange.only("failed")).onsuccess=function(event){var cursor=event.target.result;cursor&&(cursor.update(requeue(cursor.value)),count++,cursor.continue())},transaction.oncomplete=function(){self.updatePendingCount(),resolve(count)},transaction.onerror=function(){reject(new Error("Failed to requeue responses"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.saveAnswered=function(answered){var self=this,record={id:answered.sessionId+":"+answered.questionId,userId:this.options.userId,sessionId:answered.sessionId,questionId:answered.questionId,answer:answered.answer,confirmed:!!answered.confirmed,timestamp:Date.now()};return new Promise((function(resolve,reject){if(self.isInitialized)return self.memoryStore?(self.answeredMemory[record.id]=record,void resolve()):void self.sealRecord(record).then((function(sealedRecord){var transaction=self.db.transaction([DB_CONFIG_answeredStoreName],"readwrite");return transaction.objectStore(DB_CONFIG_answeredStoreName).put(sealedRecord),transaction.oncomplete=function(){resolve()},transaction.onerror=function(){reject(new Error("Failed to save answered question"))},null})).catch(reject);reject(new Error("Cache not initialized"))}))},ClientCache.prototype.getAnswered=function(sessionId){var self=this;return new Promise((function(resolve,reject){if(self.isInitialized)if(self.memoryStore)resolve(Object.keys(self.answeredMemory).map((function(id){return self.answeredMemory[id]})).filter((function(record){return record.sessionId===sessionId})));else{var request=self.db.transaction([DB_CONFIG_answeredStoreName],"readonly").objectStore(DB_CONFIG_answeredStoreName).index("sessionId").getAll(sessionId);request.onsuccess=function(event){resolve(self.openRecords(event.target.result||[],DB_CONFIG_answeredStoreName))},request.onerror=function(){reject(new Error("Failed to get answered questions"))}}else reject(new Error("Cache not initialized"))})).then((function(records){var answered={};return records.forEach((function(record){answered[record.questionId]={answer:record.answer,confirmed:record.confirmed}})),answered}))},ClientCache.prototype.forgetAnswered=function(sessionId,questionId){var self=this,id=sessionId+":"+questionId;return new Promise((function(resolve,reject){if(self.isInitialized){if(self.memoryStore)return delete self.answeredMemory[id],void resolve();var request=self.db.transaction([DB_CONFIG_answeredStoreName],"readwrite").objectStore(DB_CONFIG_answeredStoreName).delete(id);request.onsuccess=function(){resolve()},request.onerror=function(){reject(new Error("Failed to forget answered question"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.getPendingBySession=function(sessionId){return this.getPendingResponses().then((function(responses){return responses.filter((function(r){return r.sessionId===sessionId}))}))},ClientCache.prototype.markSubmitted=function(responseId){var self=this;return new Promise((function(resolve,reject){if(self.isInitialized){if(self.memoryStore){var index=self.memoryStore.findIndex((function(r){return r.id===responseId}));return-1!==index&&(self.memoryStore[index].status="submitted",self.stats.submitted++,self.stats.pending=Math.max(0,self.stats.pending-1),self.emit("submitted",{id:responseId})),void resolve()}var store=self.db.transaction([DB_CONFIG_storeName],"readwrite").objectStore(DB_CONFIG_storeName),getRequest=store.get(responseId);getRequest.onsuccess=function(event){var response=event.target.result;if(response){response.status="submitted";var updateRequest=store.put(response);updateRequest.onsuccess=function(){self.stats.submitted++,self.stats.pending=Math.max(0,self.stats.pending-1),self.emit("submitted",{id:responseId}),resolve()},updateRequest.onerror=function(){reject(new Error("Failed to update response"))}}else resolve()},getRequest.onerror=function(){reject(new Error("Failed to get response"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.markFailed=function(responseId,errorMsg){var self=this;return new Promise((function(resolve,reject){if(self.isInitialized){if(self.memoryStore){var index=self.memoryStore.findIndex((function(r){return r.id===responseId}));return-1!==index&&(self.memoryStore[index].retryCount++,self.memoryStore[index].lastError=errorMsg,self.memoryStore[index].nextAttempt=Date.now()+self.getRetryDelay(self.memoryStore[index].retryCount),self.memoryStore[index].retryCount>=self.options.maxRetries&&(self.memoryStore[index].status="failed",self.stats.failed++,self.stats.unsent++,self.stats.pending=Math.max(0,self.stats.pending-1),self.emit("failed",{id:responseId,error:errorMsg}))),void resolve()}var store=self.db.transaction([DB_CONFIG_storeName],"readwrite").objectStore(DB_CONFIG_storeName),getRequest=store.get(responseId);getRequest.onsuccess=function(event){var response=event.target.result;if(response){response.retryCount++,response.lastError=errorMsg,response.nextAttempt=Date.now()+self.getRetryDelay(response.retryCount),response.retryCount>=self.options.maxRetries&&(response.status="failed",self.stats.failed++,self.stats.unsent++,self.stats.pending=Math.max(0,self.stats.pending-1),self.emit("failed",{id:responseId,error:errorMsg}));var updateRequest=store.put(response);updateRequest.onsuccess=function(){resolve()},updateRequest.onerror=function(){reject(new Error("Failed to update response"))}}else resolve()},getRequest.onerror=function(){reject(new Error("Failed to get response"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.removeResponse=function(responseId){var self=this;return new Promise((function(resolve,reject){if(self.isInitialized)if(self.memoryStore){var index=self.memoryStore.findIndex((function(r){return r.id===responseId}));if(-1!==index){var removed=self.memoryStore.splice(index,1)[0];"pending"===removed.status?self.stats.pending=Math.max(0,self.stats.pending-1):"failed"===removed.status&&(self.stats.unsent=Math.max(0,self.stats.unsent-1))}resolve()}else{var request=self.db.transaction([DB_CONFIG_storeName],"readwrite").objectStore(DB_CONFIG_storeName).delete(responseId);request.onsuccess=function(){self.updatePendingCount(),resolve()},request.onerror=function(){reject(new Error("Failed to remove response"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.clear=function(){var self=this;return new Promise((function(resolve,reject){if(self.isInitialized){if(self.memoryStore)return self.memoryStore=[],self.stats.pending=0,self.stats.unsent=0,self.emit("cleared",{}),void resolve();var request=self.db.transaction([DB_CONFIG_storeName],"readwrite").objectStore(DB_CONFIG_storeName).clear();request.onsuccess=function(){self.stats.pending=0,self.stats.unsent=0,self.emit("cleared",{}),resolve()},request.onerror=function(){reject(new Error("Failed to clear cache"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.cleanup=function(){var self=this,cutoffTime=Date.now()-this.options.maxCacheAge;return new Promise((function(resolve,reject){if(self.isInitialized){if(self.memoryStore)return self.memoryStore=self.memoryStore.filter((function(r){return r.timestamp>cutoffTime})),self.updatePendingCount(),void resolve();var index=self.db.transaction([DB_CONFIG_storeName],"readwrite").objectStore(DB_CONFIG_storeName).index("timestamp"),range=IDBKeyRange.upperBound(cutoffTime),request=index.openCursor(range);request.onsuccess=function(event){var cursor=event.target.result;cursor?(cursor.delete(),cursor.continue()):(self.updatePendingCount(),resolve())},request.onerror=function(){reject(new Error("Failed to cleanup cache"))}}else reject(new Error("Cache not initialized"))}))},ClientCache.prototype.updatePendingCount=function(){var self=this;return this.getCachedResponses().then((function(responses){var count=function(status){return responses.filter((function(r){return r.status===status})).length};return self.stats.pending=count("pending"),self.stats.unsent=count("failed"),self.emit("statschange",self.getStats()),null})).catch((function(){}))},ClientCache.prototype.getStats=function(){return $.extend({},this.stats)},ClientCache.prototype.setConnectionManager=function(connectionManager){var self=this;this.connectionManager=connectionManager,connectionManager&&"function"==typeof connectionManager.on&&(connectionManager.on("connected",(function(){self.retryPendingResponses()})),connectionManager.on("reconnected",(function(){self.retryPendingResponses()}))),this.scheduleRetry()},ClientCache.prototype.retryPendingResponses=function(){return this.flush(!1)},ClientCache.prototype.retryDueResponses=function(){return this.flush(!0)},ClientCache.prototype.flush=function(dueOnly){var self=this;if(this.flushing)return this.flushing;if(this.authExpired)return Promise.resolve([]);this.clearRetryTimer();var delay=dueOnly?Promise.resolve():this.waitForJitter();return this.flushing=delay.then((function(){return self.withFlushLock((function(){return self.getPendingResponses().then((function(responses){var now=Date.now();return dueOnly&&(responses=responses.filter((function(response){return(response.nextAttempt||0)<=now}))),0===responses.length?[]:(self.emit("retrying",{count:responses.length}),self.submitInBatches(responses))}))}))})).then((function(results){return self.flushing=null,self.scheduleRetry(),self.emit("retryComplete",{results:results}),results}),(function(error){throw self.flushing=null,self.scheduleRetry(),error})),this.flushing},ClientCache.prototype.getRetryDelay=function(retryCount){var backoff=Math.min(this.options.retryDelay*Math.pow(2,Math.max(retryCount-1,0)),this.options.maxRetryDelay);return Math.round(backoff*(.5+.5*Math.random()))},ClientCache.prototype.scheduleRetry=function(){var self=this;this.clearRetryTimer(),!this.connectionManager||this.authExpired||"undefined"!=typeof navigator&&!1===navigator.onLine||this.getPendingResponses().then((function(responses){if(!responses.length||self.flushing)return null;var next=Math.min.apply(null,responses.map((function(response){return response.nextAttempt||0})));return self.clearRetryTimer(),self.retryTimer=setTimeout((function(){self.retryTimer=null,self.retryDueResponses().catch((function(){}))}),Math.max(0,next-Date.now())),null})).catch((function(){}))},ClientCache.prototype.clearRetryTimer=function(){this.retryTimer&&(clearTimeout(this.retryTimer),this.retryTimer=null)},ClientCache.prototype.watchOnline=function(){var self=this;!this.onlineListener&&"undefined"!=typeof window&&window.addEventListener&&(this.onlineListener=function(){self.scheduleRetry()},window.addEventListener("online",this.onlineListener))},ClientCache.prototype.withFlushLock=function(task){return"undefined"!=typeof navigator&&navigator.locks&&"function"==typeof navigator.locks.request?navigator.locks.request("classengage-flush-pending",task):task()},ClientCache.prototype.waitForJitter=function(){var delay=Math.floor(Math.random()*this.options.flushJitter);return new Promise((function(resolve){setTimeout(resolve,delay)}))},ClientCache.prototype.submitInBatches=function(responses){var self=this,manager=this.connectionManager,useBatch=!manager||"function"!=typeof manager.hasCapability||manager.hasCapability("batch"),batches=this.groupIntoBatches(responses,useBatch?this.options.batchSize:1),results=[];return batches.reduce((function(chain,batch){return chain.then((function(){return(useBatch?self.submitBatch(batch):self.submitCachedResponse(batch[0]).then((function(result){return[result]}))).then((function(batchResults){results=results.concat(batchResults)}))}))}),Promise.resolve()).then((function(){return results}))},ClientCache.prototype.groupIntoBatches=function(responses,size){var bySession={},order=[];responses.forEach((function(response){bySession[response.sessionId]||(bySession[response.sessionId]=[],order.push(response.sessionId)),bySession[response.sessionId].push(response)}));var batches=[];return order.forEach((function(sessionId){for(var list=bySession[sessionId],i=0;i<list.length;i+=size)batches.push(list.slice(i,i+size))})),batches},ClientCache.prototype.submitBatch=function(batch){var self=this;return this.connectionManager?this.connectionManager.send("submitbatch",{sessionid:batch[0].sessionId,deviceid:this.getDeviceId(),responses:JSON.stringify(batch.map((function(cachedResponse){return{questionid:cachedResponse.questionId,questiontype:cachedResponse.questionType||"",answer:cachedResponse.answer,confidence:cachedResponse.confidence||null,clienttimestamp:cachedResponse.clientTimestamp}})))},{idempotencyKey:this.getBatchKey(batch)}).then((function(response){var results=response&&response.success&&Array.isArray(response.results)?response.results:[],batchError={success:!1,error:response&&response.error||"Batch submission failed",errorcode:response&&response.errorcode};return Promise.all(batch.map((function(cachedResponse,index){return self.applySubmissionResult(cachedResponse,results[index]||batchError)})))}),(function(error){return Promise.all(batch.map((function(cachedResponse){return self.markSubmissionError(cachedResponse,error)})))})):Promise.reject(new Error("No connection manager"))},ClientCache.prototype.getBatchKey=function(batch){for(var ids=batch.map((function(cachedResponse){return cachedResponse.id})).join(","),djb2=5381,sdbm=0,i=0;i<ids.length;i++){var code=ids.charCodeAt(i);djb2=(33*djb2^code)>>>0,sdbm=code+(sdbm<<6)+(sdbm<<16)-sdbm>>>0}var nonce=Date.now().toString(36)+Math.random().toString(36).substring(2,8);return"batch-"+batch.length+"-"+djb2.toString(36)+"-"+sdbm.toString(36)+"-"+nonce},ClientCache.prototype.submitCachedResponse=function(cachedResponse){var self=this;return this.connectionManager?this.connectionManager.send("submitanswer",{sessionid:cachedResponse.sessionId,questionid:cachedResponse.questionId,questiontype:cachedResponse.questionType||"",answer:cachedResponse.answer,confidence:cachedResponse.confidence||0,clienttimestamp:cachedResponse.clientTimestamp,deviceid:this.getDeviceId()},{idempotencyKey:cachedResponse.id}).then((function(response){return self.applySubmissionResult(cachedResponse,response)}),(function(error){return self.markSubmissionError(cachedResponse,error)})):Promise.reject(new Error("No connection manager"))},ClientCache.prototype.applySubmissionResult=function(cachedResponse,response){if(response.conflict&&this.emit("conflict",{id:cachedResponse.id,sessionId:cachedResponse.sessionId,questionId:cachedResponse.questionId,answer:cachedResponse.answer,conflict:response.conflict}),response.success)return this.markSubmitted(cachedResponse.id).then((function(){return{id:cachedResponse.id,success:!0,islate:response.islate||!1}}));var category=ErrorTaxonomy.classify(response);return category===ErrorTaxonomy.CATEGORY.PERMANENT?this.removeResponse(cachedResponse.id).then((function(){return{id:cachedResponse.id,success:!1,error:response.error,errorcode:response.errorcode,permanent:!0}})):category===ErrorTaxonomy.CATEGORY.AUTH_EXPIRED?(this.markAuthExpired(response),Promise.resolve({id:cachedResponse.id,success:!1,error:response.error,errorcode:response.errorcode,authExpired:!0})):this.markFailed(cachedResponse.id,response.error).then((function(){return{id:cachedResponse.id,success:!1,error:response.error,errorcode:response.errorcode}}))},ClientCache.prototype.markAuthExpired=function(response){this.authExpired||(this.authExpired=!0,this.clearRetryTimer(),this.emit("auth_expired",{error:response.error,errorcode:response.errorcode}))},ClientCache.prototype.markSubmissionError=function(cachedResponse,error){return this.markFailed(cachedResponse.id,error.message).then((function(){return{id:cachedResponse.id,success:!1,error:error.message}}))},ClientCache.prototype.hasPending=function(){return this.stats.pending>0},ClientCache.prototype.on=function(event,callback){this.eventHandlers[event]||(this.eventHandlers[event]=[]),this.eventHandlers[event].push(callback)},ClientCache.prototype.off=function(event,callback){this.eventHandlers[event]&&(callback?this.eventHandlers[event]=this.eventHandlers[event].filter((function(cb){return cb!==callback})):delete this.eventHandlers[event])},ClientCache.prototype.emit=function(event,data){var handlers=this.eventHandlers[event];handlers&&handlers.forEach((function(callback){try{callback(data)}catch(e){console.error("Error in event handler for "+event+":",e)}}))};var instance=null;return{getInstance:function(){return instance||(instance=new ClientCache),instance},init:function(options){return this.getInstance().init(options)},getDeviceId:function(){return this.getInstance().getDeviceId()},storeResponse:function(response){return this.getInstance().storeResponse(response)},getPendingResponses:function(){return this.getInstance().getPendingResponses()},getCachedResponses:function(){return this.getInstance().getCachedResponses()},getPendingBySession:function(sessionId){return this.getInstance().getPendingBySession(sessionId)},markSubmitted:function(responseId){return this.getInstance().markSubmitted(responseId)},markFailed:function(responseId,error){return this.getInstance().markFailed(responseId,error)},removeResponse:function(responseId){return this.getInstance().removeResponse(responseId)},clear:function(){return this.getInstance().clear()},cleanup:function(){return this.getInstance().cleanup()},getStats:function(){return this.getInstance().getStats()},setConnectionManager:function(connectionManager){this.getInstance().setConnectionManager(connectionManager)},retryPendingResponses:function(){return this.getInstance().retryPendingResponses()},requeueFailed:function(){return this.getInstance().requeueFailed()},saveAnswered:function(answered){return this.getInstance().saveAnswered(answered)},getAnswered:function(sessionId){return this.getInstance().getAnswered(sessionId)},forgetAnswered:function(sessionId,questionId){return this.getInstance().forgetAnswered(sessionId,questionId)},checkBackgroundDeliveries:function(){return this.getInstance().checkBackgroundDeliveries()},checkForeignRecords:function(){return this.getInstance().checkForeignRecords()},hasPending:function(){return this.getInstance().hasPending()},on:function(event,callback){this.getInstance().on(event,callback)},off:function(event,callback){this.getInstance().off(event,callback)}}}));
 
 //# sourceMappingURL=client_cache.min.js.map
\ No newline at end of file
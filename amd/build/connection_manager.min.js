@@ -1,9 +1,9 @@
 /**
  * Connection Manager for real-time quiz communication
  *
- * SSE-only mode: Uses Server-Sent Events exclusively for real-time data.
- * api.php is used only for write operations (submit, pause, resume).
- * Polling fallback has been removed to reduce server resource consumption.
+ * Connects to a session over WebSocket, Server-Sent Events or long-polling,
+ * shares one connection between the tabs open on it, and delivers server
+ * events in order while queueing writes to api.php until they are answered.
  *
  * Requirements: 6.1, 6.2, 6.3, 6.4, 6.5
  *
@@ -11,6 +11,6 @@
  * @copyright  2025 Danielle
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
-define("mod_classengage/connection_manager",["jquery"],(function($){var STATUS={DISCONNECTED:"disconnected",CONNECTING:"connecting",CONNECTED:"connected",RECONNECTING:"reconnecting"},TRANSPORT={SSE:"sse",POLLING:"polling",OFFLINE:"offline"},DEFAULTS={sseEndpoint:"/mod/classengage/sse_handler.php",apiEndpoint:"/mod/classengage/api.php",sseRetryAttempts:3,reconnectDelay:1e3,maxReconnectDelay:3e4,connectionTimeout:1e4};function ConnectionManager(){this.sessionId=null,this.connectionId=null,this.options=$.extend({},DEFAULTS),this.status=STATUS.DISCONNECTED,this.transport=TRANSPORT.OFFLINE,this.latency=0,this.eventSource=null,this.sseAttempts=0,this.pollingTimer=null,this.lastEventId=0,this.reconnectTimer=null,this.reconnectDelay=DEFAULTS.reconnectDelay,this.eventHandlers={},this.pendingRequests={}}ConnectionManager.prototype.init=function(sessionId,options){var self=this;return this.sessionId=sessionId,this.options=$.extend({},DEFAULTS,options||{}),this.connectionId=this.generateConnectionId(),self.status=STATUS.CONNECTING,self.emit("statuschange",{status:self.status}),self.connectSSE().catch((function(){return self.startPolling()}))},ConnectionManager.prototype.generateConnectionId=function(){return"conn_"+Date.now()+"_"+Math.random().toString(36).substr(2,9)},ConnectionManager.prototype.connectSSE=function(){var self=this;return new Promise((function(resolve,reject){if("undefined"==typeof EventSource)return self.sseAttempts=self.options.sseRetryAttempts,void reject(new Error("SSE not supported"));self.sseAttempts++;var url=M.cfg.wwwroot+self.options.sseEndpoint+"?sessionid="+self.sessionId+"&connectionid="+encodeURIComponent(self.connectionId)+"&lastEventId="+self.lastEventId;try{self.eventSource=new EventSource(url)}catch(e){return void(self.sseAttempts<self.options.sseRetryAttempts?setTimeout((function(){self.connectSSE().then(resolve).catch(reject)}),1e3):reject(new Error("SSE connection failed")))}var connectionTimeout=setTimeout((function(){self.status!==STATUS.CONNECTED&&(self.closeSSE(),self.sseAttempts<self.options.sseRetryAttempts?self.connectSSE().then(resolve).catch(reject):reject(new Error("SSE connection timeout")))}),self.options.connectionTimeout);self.eventSource.onopen=function(){},self.eventSource.onerror=function(){clearTimeout(connectionTimeout),self.closeSSE(),self.sseAttempts<self.options.sseRetryAttempts?setTimeout((function(){self.connectSSE().then(resolve).catch(reject)}),1e3):reject(new Error("SSE connection failed after "+self.sseAttempts+" attempts"))},self.eventSource.addEventListener("connected",(function(event){clearTimeout(connectionTimeout);var data=JSON.parse(event.data);self.connectionId=data.connectionid,self.status=STATUS.CONNECTED,self.transport=TRANSPORT.SSE,self.sseAttempts=0,self.reconnectDelay=DEFAULTS.reconnectDelay,self.lastEventId=parseInt(event.lastEventId)||0,self.emit("statuschange",{status:self.status,transport:self.transport}),self.emit("connected",data),resolve()})),self.registerSSEHandlers()}))},ConnectionManager.prototype.registerSSEHandlers=function(){var self=this;if(this.eventSource){["session_started","session_paused","session_resumed","session_completed","session_ended","question_broadcast","timer_sync","reconnect","stats_update","students_update"].forEach((function(eventType){self.eventSource.addEventListener(eventType,(function(event){if(self.lastEventId=parseInt(event.lastEventId)||self.lastEventId,event.data&&"undefined"!==event.data){var data;try{data=JSON.parse(event.data)}catch(e){return void console.error("SSE JSON parse error for event:",eventType,"data:",event.data,e)}self.emit(eventType,data),"reconnect"===eventType&&self.handleReconnectRequest(data),"session_completed"!==eventType&&"session_ended"!==eventType||self.disconnect()}else console.warn("SSE event received without valid data:",eventType,event)}))}))}},ConnectionManager.prototype.closeSSE=function(){this.eventSource&&(this.eventSource.close(),this.eventSource=null)},ConnectionManager.prototype.startPolling=function(){var self=this;return new Promise((function(resolve,reject){self.status=STATUS.DISCONNECTED,self.transport=TRANSPORT.OFFLINE,self.emit("statuschange",{status:self.status,transport:self.transport}),self.emit("connection_error",{message:"SSE connection required. Polling fallback has been removed.",reason:"sse_required"}),reject(new Error("SSE connection required. Please ensure your browser supports Server-Sent Events."))}))},ConnectionManager.prototype.stopPolling=function(){this.pollingTimer&&(clearInterval(this.pollingTimer),this.pollingTimer=null)},ConnectionManager.prototype.handleConnectionError=function(){this.status!==STATUS.DISCONNECTED&&(this.status=STATUS.RECONNECTING,this.emit("statuschange",{status:this.status}),this.emit("disconnected",{reason:"connection_error"}),this.scheduleReconnect())},ConnectionManager.prototype.handleReconnectRequest=function(){this.closeSSE(),this.stopPolling(),this.scheduleReconnect()},ConnectionManager.prototype.scheduleReconnect=function(){var self=this;this.reconnectTimer||(this.reconnectTimer=setTimeout((function(){self.reconnectTimer=null,self.reconnect()}),this.reconnectDelay),this.reconnectDelay=Math.min(2*this.reconnectDelay,this.options.maxReconnectDelay))},ConnectionManager.prototype.reconnect=function(){var self=this;return this.reconnectTimer&&(clearTimeout(this.reconnectTimer),this.reconnectTimer=null),this.closeSSE(),this.stopPolling(),this.status=STATUS.RECONNECTING,this.emit("statuschange",{status:this.status}),this.sseAttempts=0,self.connectSSE().then((function(){self.emit("reconnected",{transport:self.transport})})).catch((function(){return self.startPolling().then((function(){self.emit("reconnected",{transport:self.transport})})).catch((function(error){throw self.status=STATUS.DISCONNECTED,self.transport=TRANSPORT.OFFLINE,self.emit("statuschange",{status:self.status,transport:self.transport}),error}))}))},ConnectionManager.prototype.send=function(type,data){var self=this,startTime=Date.now(),requestId=this.generateConnectionId();this.pendingRequests[requestId]=startTime;var requestData=$.extend({action:type,sessionid:this.sessionId,connectionid:this.connectionId,sesskey:M.cfg.sesskey},data||{});return new Promise((function(resolve,reject){$.ajax({url:M.cfg.wwwroot+self.options.apiEndpoint,method:"POST",data:requestData,dataType:"json",timeout:self.options.connectionTimeout}).done((function(response){delete self.pendingRequests[requestId],self.latency=Date.now()-startTime,resolve(response)})).fail((function(xhr,status,error){delete self.pendingRequests[requestId],reject(new Error(error||"Request failed"))}))}))},ConnectionManager.prototype.on=function(event,callback){this.eventHandlers[event]||(this.eventHandlers[event]=[]),this.eventHandlers[event].push(callback)},ConnectionManager.prototype.off=function(event,callback){this.eventHandlers[event]&&(callback?this.eventHandlers[event]=this.eventHandlers[event].filter((function(cb){return cb!==callback})):delete this.eventHandlers[event])},ConnectionManager.prototype.emit=function(event,data){var handlers=this.eventHandlers[event];handlers&&handlers.forEach((function(callback){try{callback(data)}catch(e){console.error("Error in event handler for "+event+":",e)}}))},ConnectionManager.prototype.getStatus=function(){return{connected:this.status===STATUS.CONNECTED,status:this.status,transport:this.transport,latency:this.latency,connectionId:this.connectionId}},ConnectionManager.prototype.isConnected=function(){return this.status===STATUS.CONNECTED},ConnectionManager.prototype.getTransport=function(){return this.transport},ConnectionManager.prototype.disconnect=function(){this.closeSSE(),this.stopPolling(),this.reconnectTimer&&(clearTimeout(this.reconnectTimer),this.reconnectTimer=null),this.status=STATUS.DISCONNECTED,this.transport=TRANSPORT.OFFLINE,this.emit("statuschange",{status:this.status,transport:this.transport}),this.emit("disconnected",{reason:"user_disconnect"})},ConnectionManager.STATUS=STATUS,ConnectionManager.TRANSPORT=TRANSPORT;var instance=null;return{getInstance:function(){return instance||(instance=new ConnectionManager),instance},init:function(sessionId,options){return this.getInstance().init(sessionId,options)},send:function(type,data){return this.getInstance().send(type,data)},on:function(event,callback){this.getInstance().on(event,callback)},off:function(event,callback){this.getInstance().off(event,callback)},getStatus:function(){return this.getInstance().getStatus()},reconnect:function(){return this.getInstance().reconnect()},disconnect:function(){this.getInstance().disconnect()},STATUS:STATUS,TRANSPORT:TRANSPORT}}));
+define("mod_classengage/connection_manager",["jquery","mod_classengage/tab_coordinator","mod_classengage/event_schema"],(function($,TabCoordinator,EventSchema){var STATUS={DISCONNECTED:"disconnected",CONNECTING:"connecting",CONNECTED:"connected",RECONNECTING:"reconnecting"},TRANSPORT={WEBSOCKET:"websocket",SSE:"sse",POLLING:"polling",OFFLINE:"offline"},ROLE={LEADER:"leader",FOLLOWER:"follower"},QUALITY={GOOD:"good",FAIR:"fair",POOR:"poor",UNKNOWN:"unknown"},REQUEST_STATE={QUEUED:"queued",SENDING:"sending",RETRYING:"retrying",COMPLETED:"completed",FAILED:"failed"},WRITE_ACTIONS=["submitanswer","submitbatch","pause","resume"],RETRYABLE_ERRORS=[1004,1009],CAPABILITIES=["journal","replay","heartbeat","idempotency","batch"],QUALITY_LIMITS_fair={rtt:300,jitter:100,loss:0},QUALITY_LIMITS_poor={rtt:1e3,jitter:500,loss:.3},DEFAULTS={wsEndpoint:"",wsRetryAttempts:2,sseEndpoint:"/mod/classengage/sse_handler.php",apiEndpoint:"/mod/classengage/api.php",sseRetryAttempts:3,reconnectDelay:1e3,maxReconnectDelay:3e4,connectionTimeout:1e4,pollEndpoint:"/mod/classengage/poll_handler.php",pollInterval:1e3,maxPollInterval:1e4,pollWait:20,pollRetryAttempts:3,sseUpgradeInterval:6e4,shareConnection:!0,pageRole:"quiz",heartbeatTimeout:3e4,qualityInterval:15e3,qualityWindow:10,requestRetryAttempts:5,requestRetryDelay:1e3,maxRequestRetryDelay:15e3},SERVER_EVENTS=["session_started","session_paused","session_resumed","session_completed","session_ended","question_broadcast","timer_sync","reconnect","stats_update","students_update"],SEQUENCED_EVENTS=["session_started","session_paused","session_resumed","session_completed","question_broadcast"],RELAYED_EVENTS=["disconnected","reconnected","connection_error"];function ConnectionManager(sessionId,options){this.sessionId=sessionId||null,this.boundSession=!!sessionId,this.connectionId=null,this.options=$.extend({},DEFAULTS,options||{}),this.status=STATUS.DISCONNECTED,this.transport=TRANSPORT.OFFLINE,this.latency=0,this.lastPing=null,this.heartbeatTimer=null,this.quality={rtt:null,jitter:0,lastRtt:null,probes:[],reconnects:0,eventGaps:0,missedEvents:0},this.qualityTimer=null,this.qualityGeneration=0,this.socket=null,this.wsFailures=0,this.socketRequests={},this.eventSource=null,this.sseAttempts=0,this.pollingTimer=null,this.pollRequest=null,this.pollCursor=null,this.pollDelay=DEFAULTS.pollInterval,this.pollFailures=0,this.pollGeneration=0,this.upgradeTimer=null,this.lastEventId=0,this.deliveringId=null,this.replaying=!1,this.replayBuffer=[],this.replayGeneration=0,this.serverProtocol={version:null,minVersion:null,capabilities:CAPABILITIES.slice()},this.versionMismatch=null,this.requestQueue=[],this.activeRequest=null,this.reconnectTimer=null,this.reconnectDelay=DEFAULTS.reconnectDelay,this.reconnectGeneration=0,this.coordinator=null,this.role=ROLE.LEADER,this.tabSynced=!1,this.tabSnapshot={},this.tabSequence=0,this.syncWaiters=[],this.connectedData={},this.eventHandlers={}}ConnectionManager.prototype.init=function(sessionId,options){return this.boundSession&&sessionId&&sessionId!=this.sessionId?Promise.reject(new Error("Connection manager is bound to session "+this.sessionId)):(this.sessionId=sessionId||this.sessionId,options&&(this.options=$.extend({},this.options,options)),this.connectionId=this.generateConnectionId(),this.status=STATUS.CONNECTING,this.emit("statuschange",{status:this.status}),this.options.shareConnection&&TabCoordinator.isSupported()?this.startTabCoordination():(this.role=ROLE.LEADER,this.connect()))},ConnectionManager.prototype.startTabCoordination=function(){var self=this,ready=this.waitForSync(0);return this.role=ROLE.FOLLOWER,this.tabSynced=!1,this.coordinator=new TabCoordinator("mod_classengage_session_"+this.sessionId+"_"+this.options.pageRole),this.coordinator.start((function(message){self.handleTabMessage(message)}),(function(){self.becomeLeader()})),this.coordinator.post({type:"hello"}),ready},ConnectionManager.prototype.becomeLeader=function(){var self=this,handover=this.tabSynced;this.role=ROLE.LEADER,this.tabSynced=!1,(handover?this.reconnect():this.connect()).catch((function(error){self.settleSyncWaiters(error)}))},ConnectionManager.prototype.handleTabMessage=function(message){if(this.role===ROLE.LEADER)return"reconnect"===message.type&&this.status===STATUS.DISCONNECTED&&this.reconnect().catch((function(){})),void("hello"!==message.type&&"reconnect"!==message.type||this.coordinator.post(this.getTabState()));switch(message.type){case"state":this.applyTabState(message);break;case"status":this.tabSynced&&(this.status=message.status,this.transport=message.transport,this.emit("statuschange",{status:this.status,transport:this.transport}));break;case"ping":this.markHeartbeat();break;case"quality":this.applyTabQuality(message.quality||{});break;case"event":this.tabSynced&&(this.markHeartbeat(),this.receiveServerEvent(message.event,message.data||{},message.id));break;case"emit":"connection_error"===message.event&&this.settleSyncWaiters(new Error(message.data&&message.data.message||"Connection failed")),(this.tabSynced||"connection_error"===message.event)&&this.emit(message.event,message.data)}},ConnectionManager.prototype.relayToTabs=function(event,data){if(-1!==SERVER_EVENTS.indexOf(event)){var entry={type:"event",event:event,data:data,id:this.deliveringId};"reconnect"!==event&&(this.tabSequence++,this.tabSnapshot[event]={event:event,data:data,id:this.deliveringId,seq:this.tabSequence}),this.coordinator.post(entry)}else if("connected"===event)this.coordinator.post(this.getTabState());else if("statuschange"===event)this.coordinator.post({type:"status",status:this.status,transport:this.transport});else if("quality"===event){var quality=this.quality;this.coordinator.post({type:"quality",quality:{rtt:quality.rtt,jitter:quality.jitter,lastRtt:quality.lastRtt,probes:quality.probes}})}else-1!==RELAYED_EVENTS.indexOf(event)&&this.coordinator.post({type:"emit",event:event,data:data})},ConnectionManager.prototype.getTabState=function(){var snapshot=this.tabSnapshot;return{type:"state",status:this.status,transport:this.transport,connectionId:this.connectionId,lastEventId:this.lastEventId,connected:this.connectedData,events:Object.keys(snapshot).map((function(key){return snapshot[key]})).sort((function(a,b){return a.seq-b.seq}))}},ConnectionManager.prototype.applyTabState=function(state){var self=this,wasSynced=this.tabSynced,changed=this.status!==state.status||this.transport!==state.transport;this.tabSynced=!0,this.status=state.status,this.transport=state.transport,this.connectionId=state.connectionId||this.connectionId,this.lastEventId=parseInt(state.lastEventId)||0,changed&&this.emit("statuschange",{status:this.status,transport:this.transport}),this.status===STATUS.CONNECTED&&(this.negotiateProtocol(state.connected||{}),this.markHeartbeat(),wasSynced||(this.emit("connected",state.connected||{}),(state.events||[]).forEach((function(event){self.role===ROLE.FOLLOWER&&self.tabSynced&&self.dispatchServerEvent(event.event,event.data||{})}))),this.settleSyncWaiters(null))},ConnectionManager.prototype.waitForSync=function(timeout){var self=this;return new Promise((function(resolve,reject){var waiter={resolve:resolve,reject:reject,timer:null};timeout&&(waiter.timer=setTimeout((function(){self.syncWaiters=self.syncWaiters.filter((function(other){return other!==waiter})),reject(new Error("Leader tab did not respond"))}),timeout)),self.syncWaiters.push(waiter)}))},ConnectionManager.prototype.settleSyncWaiters=function(error){var waiters=this.syncWaiters;this.syncWaiters=[],waiters.forEach((function(waiter){clearTimeout(waiter.timer),error?waiter.reject(error):waiter.resolve()}))},ConnectionManager.prototype.connect=function(){var self=this;return self.connectWebSocket().catch((function(){return self.connectSSE()})).catch((function(){return self.startPolling()}))},ConnectionManager.prototype.generateConnectionId=function(){return"conn_"+Date.now()+"_"+Math.random().toString(36).substr(2,9)},ConnectionManager.prototype.connectSSE=function(){var self=this;return new Promise((function(resolve,reject){if("undefined"==typeof EventSource)return self.sseAttempts=self.options.sseRetryAttempts,void reject(new Error("SSE not supported"));self.sseAttempts++;var url=M.cfg.wwwroot+self.options.sseEndpoint+"?sessionid="+self.sessionId+"&connectionid="+encodeURIComponent(self.connectionId)+"&lastEventId="+self.lastEventId;try{self.eventSource=new EventSource(url)}catch(e){return void(self.sseAttempts<self.options.sseRetryAttempts?setTimeout((function(){self.connectSSE().then(resolve).catch(reject)}),1e3):reject(new Error("SSE connection failed")))}var opened=!1,connectionTimeout=setTimeout((function(){opened||(self.closeSSE(),self.sseAttempts<self.options.sseRetryAttempts?self.connectSSE().then(resolve).catch(reject):reject(new Error("SSE connection timeout")))}),self.options.connectionTimeout);self.eventSource.onopen=function(){},self.eventSource.onerror=function(){clearTimeout(connectionTimeout),self.closeSSE(),self.sseAttempts<self.options.sseRetryAttempts?setTimeout((function(){self.connectSSE().then(resolve).catch(reject)}),1e3):reject(new Error("SSE connection failed after "+self.sseAttempts+" attempts"))},self.eventSource.addEventListener("connected",(function(event){clearTimeout(connectionTimeout),opened=!0,self.sseAttempts=0,self.handleConnected(TRANSPORT.SSE,JSON.parse(event.data)),resolve()})),self.registerSSEHandlers()}))},ConnectionManager.prototype.registerSSEHandlers=function(){var self=this;this.eventSource&&(this.eventSource.addEventListener("ping",(function(){self.handlePing()})),SERVER_EVENTS.forEach((function(eventType){self.eventSource.addEventListener(eventType,(function(event){if(self.markHeartbeat(),event.data&&"undefined"!==event.data){var data;try{data=JSON.parse(event.data)}catch(e){return void self.reportProtocolError(eventType,["payload is not valid JSON: "+e.message],event.lastEventId)}self.receiveServerEvent(eventType,data,event.lastEventId)}else self.reportProtocolError(eventType,["payload is missing"],event.lastEventId)}))})))},ConnectionManager.prototype.handleConnected=function(transport,data){this.connectedData=data,this.connectionId=data.connectionid,this.status=STATUS.CONNECTED,this.transport=transport,this.reconnectDelay=DEFAULTS.reconnectDelay,this.cancelReplay(),data.resumed||(this.lastEventId=parseInt(data.lasteventid)||0),this.negotiateProtocol(data),this.markHeartbeat(),transport!==TRANSPORT.POLLING&&this.hasCapability("heartbeat")?this.armHeartbeat():this.stopHeartbeat(),this.emit("statuschange",{status:this.status,transport:this.transport}),this.emit("connected",data),this.settleSyncWaiters(null),this.startQualityProbes()},ConnectionManager.prototype.negotiateProtocol=function(data){var offered=Array.isArray(data.capabilities)?data.capabilities:[],version=parseInt(data.protocol)||0,minVersion=parseInt(data.minprotocol)||0;if(this.serverProtocol={version:version,minVersion:minVersion,capabilities:CAPABILITIES.filter((function(capability){return-1!==offered.indexOf(capability)}))},version<=1&&minVersion<=1)this.serverProtocol.capabilities.length<CAPABILITIES.length&&console.info("Server protocol "+version+" lacks some features, running without them:",CAPABILITIES.filter((function(capability){return-1===offered.indexOf(capability)})).join(", "));else{var mismatch={clientVersion:1,serverVersion:version,required:minVersion>1},key=version+":"+mismatch.required;this.versionMismatch!==key&&(this.versionMismatch=key,this.emit("version_mismatch",mismatch))}},ConnectionManager.prototype.hasCapability=function(capability){return-1!==this.serverProtocol.capabilities.indexOf(capability)},ConnectionManager.prototype.dispatchServerEvent=function(eventType,data){this.emit(eventType,data),"reconnect"===eventType&&this.role===ROLE.LEADER&&this.handleReconnectRequest(data),"session_completed"!==eventType&&"session_ended"!==eventType||this.disconnect()},ConnectionManager.prototype.handlePing=function(){this.markHeartbeat(),this.role===ROLE.LEADER&&this.coordinator&&this.coordinator.post({type:"ping"})},ConnectionManager.prototype.markHeartbeat=function(){this.lastPing=Date.now()},ConnectionManager.prototype.armHeartbeat=function(){var self=this;this.stopHeartbeat();var remaining=this.options.heartbeatTimeout-(Date.now()-(this.lastPing||0));this.heartbeatTimer=setTimeout((function(){self.heartbeatTimer=null,self.status!==STATUS.CONNECTED||self.transport!==TRANSPORT.SSE&&self.transport!==TRANSPORT.WEBSOCKET||(Date.now()-self.lastPing<self.options.heartbeatTimeout?self.armHeartbeat():(console.warn("No heartbeat for "+(Date.now()-self.lastPing)+"ms, reconnecting"),self.closeWebSocket(),self.closeSSE(),self.handleConnectionError("heartbeat_timeout")))}),Math.max(remaining,0))},ConnectionManager.prototype.stopHeartbeat=function(){this.heartbeatTimer&&(clearTimeout(this.heartbeatTimer),this.heartbeatTimer=null)},ConnectionManager.prototype.receiveServerEvent=function(eventType,data,id){var eventId=parseInt(id)||0;if(-1!==SEQUENCED_EVENTS.indexOf(eventType)&&eventId){if(this.replaying)this.replayBuffer.push({event:eventType,data:data,id:eventId});else if(!(eventId<=this.lastEventId)){if(eventId>this.lastEventId+1)return this.quality.eventGaps++,this.quality.missedEvents+=eventId-this.lastEventId-1,this.emit("quality",this.getQuality()),this.hasCapability("replay")?(this.replayBuffer.push({event:eventType,data:data,id:eventId}),void this.requestReplay(this.lastEventId,eventId-1)):void this.resynchronise();this.lastEventId=eventId,this.deliverEvent(eventType,data,eventId)}}else this.deliverEvent(eventType,data,null)},ConnectionManager.prototype.deliverEvent=function(eventType,data,eventId){var result=EventSchema.validate(eventType,data);if(result.valid){this.deliveringId=eventId;try{this.dispatchServerEvent(eventType,result.data)}finally{this.deliveringId=null}}else this.reportProtocolError(eventType,result.errors,eventId)},ConnectionManager.prototype.reportProtocolError=function(eventType,errors,eventId){console.warn("Dropped malformed "+eventType+" event:",errors.join("; ")),this.emit("protocol_error",{event:eventType,id:parseInt(eventId)||null,errors:errors})},ConnectionManager.prototype.requestReplay=function(since,until){var self=this,generation=this.replayGeneration;this.replaying=!0,this.send("replay",{since:since,until:until}).then((function(response){if(generation===self.replayGeneration){if(!response||!response.success)throw new Error(response&&response.error||"Replay failed");if((response.events||[]).forEach((function(event){var eventId=parseInt(event.id)||0;generation!==self.replayGeneration||eventId<=self.lastEventId||(self.lastEventId=eventId,self.deliverEvent(event.event,event.data||{},eventId))})),generation===self.replayGeneration){if(!response.complete||self.lastEventId<until)throw new Error("Replay incomplete");var held=self.replayBuffer;self.replaying=!1,self.replayBuffer=[],held.forEach((function(event){self.receiveServerEvent(event.event,event.data,event.id)}))}}})).catch((function(error){generation===self.replayGeneration&&(console.warn("Could not replay missed events, resynchronising:",error.message),self.cancelReplay(),self.resynchronise())}))},ConnectionManager.prototype.cancelReplay=function(){this.replayGeneration++,this.replaying=!1,this.replayBuffer=[]},ConnectionManager.prototype.resynchronise=function(){this.lastEventId=0,this.role===ROLE.FOLLOWER&&this.coordinator?this.reconnect().catch((function(){})):this.handleReconnectRequest()},ConnectionManager.prototype.applyTabQuality=function(measured){var quality=this.quality;quality.rtt="number"==typeof measured.rtt?measured.rtt:null,quality.jitter=measured.jitter||0,quality.lastRtt="number"==typeof measured.lastRtt?measured.lastRtt:null,quality.probes=Array.isArray(measured.probes)?measured.probes.slice():[],this.latency=null===quality.rtt?0:Math.round(quality.rtt),this.emit("quality",this.getQuality())},ConnectionManager.prototype.startQualityProbes=function(){var self=this;if(!this.qualityTimer){var generation=this.qualityGeneration;this.qualityTimer=setTimeout((function(){self.probeQuality(generation)}),0)}},ConnectionManager.prototype.stopQualityProbes=function(){this.qualityGeneration++,this.qualityTimer&&(clearTimeout(this.qualityTimer),this.qualityTimer=null)},ConnectionManager.prototype.probeQuality=function(generation){var self=this,next=function(){generation===self.qualityGeneration&&(self.emit("quality",self.getQuality()),self.qualityTimer=setTimeout((function(){self.probeQuality(generation)}),self.options.qualityInterval))};if(this.status===STATUS.CONNECTED){var current=this.getQuality(),report={};current.level!==QUALITY.UNKNOWN&&(report={rtt:current.rtt,jitter:current.jitter,quality:current.level});var startTime=Date.now();this.send("ping",report).then((function(response){return response&&response.success?self.recordRtt(Date.now()-startTime):self.recordProbe(!1),null})).catch((function(){self.recordProbe(!1)})).then(next)}else next()},ConnectionManager.prototype.recordRtt=function(sample){var quality=this.quality;null!==quality.lastRtt&&(quality.jitter+=(Math.abs(sample-quality.lastRtt)-quality.jitter)/16),quality.lastRtt=sample,quality.rtt=null===quality.rtt?sample:.875*quality.rtt+.125*sample,this.latency=Math.round(quality.rtt),this.recordProbe(!0)},ConnectionManager.prototype.recordProbe=function(answered){var probes=this.quality.probes;for(probes.push(answered);probes.length>this.options.qualityWindow;)probes.shift()},ConnectionManager.prototype.getQuality=function(){var quality=this.quality,failed=quality.probes.filter((function(answered){return!answered})).length,loss=quality.probes.length?failed/quality.probes.length:0,rtt=null===quality.rtt?null:Math.round(quality.rtt),jitter=Math.round(quality.jitter),level=QUALITY.UNKNOWN;if(quality.probes.length){var exceeds=function(limits){return loss>limits.loss||null!==rtt&&rtt>limits.rtt||jitter>limits.jitter};level=null===rtt||exceeds(QUALITY_LIMITS_poor)?QUALITY.POOR:exceeds(QUALITY_LIMITS_fair)?QUALITY.FAIR:QUALITY.GOOD}return{level:level,rtt:rtt,jitter:jitter,loss:Math.round(100*loss)/100,reconnects:quality.reconnects,eventGaps:quality.eventGaps,missedEvents:quality.missedEvents}},ConnectionManager.prototype.connectWebSocket=function(){var self=this;return new Promise((function(resolve,reject){if(self.options.wsEndpoint&&"undefined"!=typeof WebSocket)if(self.wsFailures>=self.options.wsRetryAttempts)reject(new Error("WebSocket disabled after "+self.wsFailures+" failures"));else{var endpoint=self.options.wsEndpoint,url=endpoint+(-1===endpoint.indexOf("?")?"?":"&")+"sessionid="+self.sessionId+"&connectionid="+encodeURIComponent(self.connectionId)+"&lastEventId="+self.lastEventId,settled=!1,fail=function(message){settled||(settled=!0,self.wsFailures++,reject(new Error(message)))};try{self.socket=new WebSocket(url)}catch(e){return self.socket=null,void fail("WebSocket connection failed")}var socket=self.socket,connectionTimeout=setTimeout((function(){fail("WebSocket connection timeout"),self.closeWebSocket()}),self.options.connectionTimeout);socket.onopen=function(){try{socket.send(JSON.stringify({type:"auth",sesskey:M.cfg.sesskey}))}catch(e){fail("WebSocket authentication failed"),self.closeWebSocket()}},socket.onmessage=function(message){var frame;try{frame=JSON.parse(message.data)}catch(e){return void console.error("WebSocket JSON parse error:",message.data,e)}if(self.markHeartbeat(),"response"!==frame.type){if("ping"!==frame.event)return"connected"===frame.event?(clearTimeout(connectionTimeout),settled=!0,self.wsFailures=0,self.handleConnected(TRANSPORT.WEBSOCKET,frame.data||{}),void resolve()):void(-1!==SERVER_EVENTS.indexOf(frame.event)&&self.receiveServerEvent(frame.event,frame.data||{},frame.id));self.handlePing()}else self.resolveSocketRequest(frame.requestid,frame.response)},socket.onclose=function(){clearTimeout(connectionTimeout),self.socket===socket&&(self.socket=null),self.rejectSocketRequests(new Error("WebSocket closed")),settled?self.transport===TRANSPORT.WEBSOCKET&&self.handleConnectionError():fail("WebSocket connection failed")}}else reject(new Error("WebSocket not available"))}))},ConnectionManager.prototype.closeWebSocket=function(){if(this.socket){var socket=this.socket;this.socket=null,socket.onclose=null,socket.onopen=null,socket.onmessage=null,socket.close(),this.rejectSocketRequests(new Error("WebSocket closed"))}},ConnectionManager.prototype.isSocketOpen=function(){return this.transport===TRANSPORT.WEBSOCKET&&null!==this.socket&&this.socket.readyState===WebSocket.OPEN},ConnectionManager.prototype.sendWebSocket=function(requestId,requestData){var self=this;return new Promise((function(resolve,reject){var timer=setTimeout((function(){delete self.socketRequests[requestId],reject(new Error("timeout"))}),self.options.connectionTimeout);self.socketRequests[requestId]={resolve:resolve,reject:reject,timer:timer};try{self.socket.send(JSON.stringify({type:"request",requestid:requestId,data:requestData}))}catch(e){clearTimeout(timer),delete self.socketRequests[requestId],reject(new Error("WebSocket send failed"))}}))},ConnectionManager.prototype.resolveSocketRequest=function(requestId,response){var request=this.socketRequests[requestId];request&&(clearTimeout(request.timer),delete this.socketRequests[requestId],request.resolve(response))},ConnectionManager.prototype.rejectSocketRequests=function(error){var requests=this.socketRequests;this.socketRequests={},Object.keys(requests).forEach((function(requestId){clearTimeout(requests[requestId].timer),requests[requestId].reject(error)}))},ConnectionManager.prototype.closeSSE=function(){this.eventSource&&(this.eventSource.close(),this.eventSource=null)},ConnectionManager.prototype.startPolling=function(){var self=this;return this.stopPolling(),this.pollCursor=null,this.pollFailures=0,this.pollDelay=this.options.pollInterval,this.poll().then((function(events){var connected=events.filter((function(event){return"connected"===event.event}))[0];if(!connected)throw new Error("Polling handshake failed");self.handleConnected(TRANSPORT.POLLING,connected.data||{}),setTimeout((function(){self.deliverPollEvents(events)}),0),self.schedulePoll(self.pollDelay),self.scheduleSSEUpgrade()})).catch((function(error){throw self.status=STATUS.DISCONNECTED,self.transport=TRANSPORT.OFFLINE,self.emit("statuschange",{status:self.status,transport:self.transport}),self.emit("connection_error",{message:error.message,reason:"all_transports_failed"}),error}))},ConnectionManager.prototype.poll=function(){var self=this,params={sessionid:this.sessionId,connectionid:this.connectionId,lastEventId:this.lastEventId,wait:this.options.pollWait};return this.pollCursor&&(params.cursor=JSON.stringify(this.pollCursor)),new Promise((function(resolve,reject){self.pollRequest=$.ajax({url:M.cfg.wwwroot+self.options.pollEndpoint,method:"GET",data:params,dataType:"json",cache:!1,timeout:1e3*self.options.pollWait+self.options.connectionTimeout}).done((function(response){self.pollRequest=null,response&&response.success?(self.pollCursor=response.cursor||self.pollCursor,self.markHeartbeat(),resolve(response.events||[])):reject(new Error(response&&response.error||"Poll failed"))})).fail((function(xhr,status,error){self.pollRequest=null,reject(new Error(error||status||"Poll failed"))}))}))},ConnectionManager.prototype.deliverPollEvents=function(events){var self=this;events.forEach((function(event){self.transport===TRANSPORT.POLLING&&-1!==SERVER_EVENTS.indexOf(event.event)&&self.receiveServerEvent(event.event,event.data||{},event.id)}))},ConnectionManager.prototype.schedulePoll=function(delay){var self=this;this.pollingTimer&&clearTimeout(this.pollingTimer);var generation=this.pollGeneration,isCurrent=function(){return generation===self.pollGeneration&&self.transport===TRANSPORT.POLLING};this.pollingTimer=setTimeout((function(){self.pollingTimer=null,self.poll().then((function(events){isCurrent()&&(self.pollFailures=0,self.deliverPollEvents(events),self.pollDelay=events.length>0?self.options.pollInterval:Math.min(2*self.pollDelay,self.options.maxPollInterval),isCurrent()&&self.schedulePoll(self.pollDelay))})).catch((function(){if(isCurrent()){if(self.pollFailures++,self.pollFailures>=self.options.pollRetryAttempts)return self.stopPolling(),void self.handleConnectionError();self.schedulePoll(Math.min(self.options.pollInterval*Math.pow(2,self.pollFailures),self.options.maxPollInterval))}}))}),delay)},ConnectionManager.prototype.scheduleSSEUpgrade=function(){var self=this;this.upgradeTimer||"undefined"==typeof EventSource||(this.upgradeTimer=setTimeout((function(){self.upgradeTimer=null,self.tryUpgradeToSSE()}),this.options.sseUpgradeInterval))},ConnectionManager.prototype.tryUpgradeToSSE=function(){var self=this;this.transport===TRANSPORT.POLLING&&(this.sseAttempts=this.options.sseRetryAttempts-1,this.connectSSE().then((function(){return self.stopPolling(),null})).catch((function(){self.closeSSE(),self.transport===TRANSPORT.POLLING&&self.scheduleSSEUpgrade()})))},ConnectionManager.prototype.stopPolling=function(){if(this.pollGeneration++,this.pollingTimer&&(clearTimeout(this.pollingTimer),this.pollingTimer=null),this.upgradeTimer&&(clearTimeout(this.upgradeTimer),this.upgradeTimer=null),this.pollRequest){var request=this.pollRequest;this.pollRequest=null,request.abort()}},ConnectionManager.prototype.handleConnectionError=function(reason){this.status!==STATUS.DISCONNECTED&&(this.stopHeartbeat(),this.status=STATUS.RECONNECTING,this.emit("statuschange",{status:this.status}),this.emit("disconnected",{reason:reason||"connection_error"}),this.scheduleReconnect())},ConnectionManager.prototype.handleReconnectRequest=function(){this.stopHeartbeat(),this.closeWebSocket(),this.closeSSE(),this.stopPolling(),this.scheduleReconnect()},ConnectionManager.prototype.scheduleReconnect=function(){var self=this;if(!this.reconnectTimer){var generation=this.reconnectGeneration;this.reconnectTimer=setTimeout((function(){self.reconnectTimer=null,self.reconnect().catch((function(){generation===self.reconnectGeneration&&(self.emit("disconnected",{reason:"reconnect_failed"}),self.scheduleReconnect())}))}),this.reconnectDelay),this.reconnectDelay=Math.min(2*this.reconnectDelay,this.options.maxReconnectDelay)}},ConnectionManager.prototype.reconnect=function(){var self=this;if(this.role===ROLE.FOLLOWER&&this.coordinator){this.tabSynced=!1;var synced=this.waitForSync(this.options.connectionTimeout);return this.coordinator.post({type:"reconnect"}),synced.then((function(){self.quality.reconnects++,self.emit("reconnected",{transport:self.transport})}))}return this.reconnectTimer&&(clearTimeout(this.reconnectTimer),this.reconnectTimer=null),this.stopHeartbeat(),this.closeWebSocket(),this.closeSSE(),this.stopPolling(),this.status=STATUS.RECONNECTING,this.emit("statuschange",{status:this.status}),this.sseAttempts=0,self.connect().then((function(){self.quality.reconnects++,self.emit("reconnected",{transport:self.transport})})).catch((function(error){throw self.status=STATUS.DISCONNECTED,self.transport=TRANSPORT.OFFLINE,self.emit("statuschange",{status:self.status,transport:self.transport}),error}))},ConnectionManager.prototype.send=function(type,data,options){var requestData=$.extend({action:type,sessionid:this.sessionId,connectionid:this.connectionId,sesskey:M.cfg.sesskey},data||{});return-1===WRITE_ACTIONS.indexOf(type)?this.transmit(requestData,this.generateConnectionId()):this.enqueueRequest(requestData,options&&options.idempotencyKey||this.generateRequestKey())},ConnectionManager.prototype.transmit=function(requestData,requestId){var self=this;return this.isSocketOpen()?this.sendWebSocket(requestId,requestData):new Promise((function(resolve,reject){$.ajax({url:M.cfg.wwwroot+self.options.apiEndpoint,method:"POST",data:requestData,dataType:"json",timeout:self.options.connectionTimeout}).done((function(response){resolve(response)})).fail((function(xhr,status,error){reject(new Error(error||"Request failed"))}))}))},ConnectionManager.prototype.generateRequestKey=function(){return"undefined"!=typeof crypto&&"function"==typeof crypto.randomUUID?crypto.randomUUID():"req-"+Date.now().toString(36)+"-"+Math.random().toString(36).substr(2,12)},ConnectionManager.prototype.enqueueRequest=function(requestData,key){var self=this;return new Promise((function(resolve,reject){var request={id:key,action:requestData.action,data:$.extend({},requestData,{idempotencykey:key}),attempts:0,state:null,settled:!1,timer:null,resolve:resolve,reject:reject};self.requestQueue.push(request),self.setRequestState(request,REQUEST_STATE.QUEUED),self.processRequestQueue()}))},ConnectionManager.prototype.processRequestQueue=function(){!this.activeRequest&&this.requestQueue.length&&(this.activeRequest=this.requestQueue[0],this.attemptRequest(this.activeRequest))},ConnectionManager.prototype.attemptRequest=function(request){var self=this;request.timer=null,request.attempts++,this.setRequestState(request,REQUEST_STATE.SENDING),this.transmit(request.data,request.id+"-"+request.attempts).then((function(response){return request.settled?null:response&&!response.success&&-1!==RETRYABLE_ERRORS.indexOf(parseInt(response.errorcode))?(self.retryRequest(request,new Error(response.error||"Request deferred"),1e3*(parseInt(response.retry_after)||0)),null):(self.settleRequest(request,REQUEST_STATE.COMPLETED,response),null)})).catch((function(error){request.settled||(self.hasCapability("idempotency")?self.retryRequest(request,error,0):self.settleRequest(request,REQUEST_STATE.FAILED,error))}))},ConnectionManager.prototype.retryRequest=function(request,error,minDelay){var self=this;if(request.attempts>=this.options.requestRetryAttempts)this.settleRequest(request,REQUEST_STATE.FAILED,error);else{var backoff=Math.min(this.options.requestRetryDelay*Math.pow(2,request.attempts-1),this.options.maxRequestRetryDelay),delay=Math.max(minDelay,Math.round(backoff*(.5+.5*Math.random())));this.setRequestState(request,REQUEST_STATE.RETRYING,{error:error.message,delay:delay}),request.timer=setTimeout((function(){self.attemptRequest(request)}),delay)}},ConnectionManager.prototype.settleRequest=function(request,state,result){request.settled=!0,clearTimeout(request.timer),this.requestQueue=this.requestQueue.filter((function(other){return other!==request})),this.activeRequest===request&&(this.activeRequest=null),state===REQUEST_STATE.FAILED?(this.setRequestState(request,state,{error:result.message}),request.reject(result)):(this.setRequestState(request,state,{success:!(!result||!result.success)}),request.resolve(result)),this.processRequestQueue()},ConnectionManager.prototype.setRequestState=function(request,state,details){request.state=state,this.emit("request_state",$.extend({id:request.id,action:request.action,state:state,attempt:request.attempts},details||{}))},ConnectionManager.prototype.getPendingRequests=function(){return this.requestQueue.map((function(request){return{id:request.id,action:request.action,state:request.state,attempts:request.attempts}}))},ConnectionManager.prototype.on=function(event,callback){this.eventHandlers[event]||(this.eventHandlers[event]=[]),this.eventHandlers[event].push(callback)},ConnectionManager.prototype.off=function(event,callback){this.eventHandlers[event]&&(callback?this.eventHandlers[event]=this.eventHandlers[event].filter((function(cb){return cb!==callback})):delete this.eventHandlers[event])},ConnectionManager.prototype.emit=function(event,data){this.role===ROLE.LEADER&&this.coordinator&&this.relayToTabs(event,data);var handlers=this.eventHandlers[event];handlers&&handlers.forEach((function(callback){try{callback(data)}catch(e){console.error("Error in event handler for "+event+":",e)}}))},ConnectionManager.prototype.getStatus=function(){return{connected:this.status===STATUS.CONNECTED,status:this.status,transport:this.transport,latency:this.latency,connectionId:this.connectionId,role:this.role,timeSinceLastPing:null===this.lastPing?null:Date.now()-this.lastPing,quality:this.getQuality(),protocol:{client:1,server:this.serverProtocol.version,capabilities:this.serverProtocol.capabilities.slice()}}},ConnectionManager.prototype.isConnected=function(){return this.status===STATUS.CONNECTED},ConnectionManager.prototype.getTransport=function(){return this.transport},ConnectionManager.prototype.disconnect=function(){this.coordinator&&(this.coordinator.stop(),this.coordinator=null),this.settleSyncWaiters(new Error("Disconnected")),this.reconnectGeneration++,this.cancelReplay(),this.stopHeartbeat(),this.stopQualityProbes(),this.closeWebSocket(),this.closeSSE(),this.stopPolling(),this.reconnectTimer&&(clearTimeout(this.reconnectTimer),this.reconnectTimer=null),this.status=STATUS.DISCONNECTED,this.transport=TRANSPORT.OFFLINE,this.emit("statuschange",{status:this.status,transport:this.transport}),this.emit("disconnected",{reason:"user_disconnect"})},ConnectionManager.prototype.destroy=function(){this.disconnect();var error=new Error("Connection manager destroyed"),pending=this.requestQueue;this.requestQueue=[],this.activeRequest=null,pending.forEach((function(request){request.settled=!0,clearTimeout(request.timer),request.reject(error)})),this.eventHandlers={}},ConnectionManager.STATUS=STATUS,ConnectionManager.TRANSPORT=TRANSPORT,ConnectionManager.ROLE=ROLE,ConnectionManager.QUALITY=QUALITY,ConnectionManager.REQUEST_STATE=REQUEST_STATE,ConnectionManager.PROTOCOL_VERSION=1;var managers={},instance=null;return{create:function(sessionId,options){if(!sessionId)throw new Error("A session ID is required");if(managers[sessionId])throw new Error("A connection manager already exists for session "+sessionId);return managers[sessionId]=new ConnectionManager(sessionId,options),managers[sessionId]},get:function(sessionId){return managers[sessionId]||null},destroy:function(sessionId){var manager=managers[sessionId];manager&&(delete managers[sessionId],manager.destroy())},getInstance:function(){return instance||(instance=new ConnectionManager),instance},init:function(sessionId,options){return this.getInstance().init(sessionId,options)},send:function(type,data,options){return this.getInstance().send(type,data,options)},getPendingRequests:function(){return this.getInstance().getPendingRequests()},hasCapability:function(capability){return this.getInstance().hasCapability(capability)},on:function(event,callback){this.getInstance().on(event,callback)},off:function(event,callback){this.getInstance().off(event,callback)},getStatus:function(){return this.getInstance().getStatus()},reconnect:function(){return this.getInstance().reconnect()},disconnect:function(){this.getInstance().disconnect()},STATUS:STATUS,TRANSPORT:TRANSPORT,ROLE:ROLE,QUALITY:QUALITY,REQUEST_STATE:REQUEST_STATE,PROTOCOL_VERSION:1}}));
 
 //# sourceMappingURL=connection_manager.min.js.map
\ No newline at end of file
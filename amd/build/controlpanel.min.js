@@ -11,6 +11,6 @@
  * @copyright  2025 Danielle
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
-define("mod_classengage/controlpanel",["jquery","core/notification","mod_classengage/connection_manager"],(function($,Notification,ConnectionManager){var pollingInterval=1e3,sessionId=null,chart=null,lastQuestionNumber=-1,ANSWER_OPTIONS=["A","B","C","D"],isPaused=!1,connectedStudents={},searchTerm="",timerState={timeRemaining:0,timelimit:0,clientStartTime:0,isRunning:!1,countdownTimer:null};return{init:function(sid,interval){console.log("Control panel init called with sessionId:",sid,"interval:",interval),sessionId=sid,pollingInterval=interval||1e3,this.initSSEConnection(),this.initChart(),this.setupSessionControls(),this.setupUnloadHandler()},initSSEConnection:function(){var self=this;this.setupStudentSearch(),ConnectionManager.on("session_paused",(function(data){self.handleSessionPaused(data)})),ConnectionManager.on("session_resumed",(function(data){self.handleSessionResumed(data)})),ConnectionManager.on("question_broadcast",(function(data){self.handleQuestionBroadcast(data)})),ConnectionManager.on("state_update",(function(data){self.handleStateUpdate(data)})),ConnectionManager.on("statuschange",(function(data){self.handleConnectionStatusChange(data)})),ConnectionManager.on("stats_update",(function(data){self.handleStatsUpdate(data)})),ConnectionManager.on("students_update",(function(data){self.handleStudentsUpdate(data)})),ConnectionManager.init(sessionId,{pollInterval:pollingInterval}).then((function(){var status=ConnectionManager.getInstance().getStatus();return console.log("Connection established for control panel:",{transport:status.transport,status:status.status,connectionId:status.connectionId}),"sse"===status.transport?console.log("✓ SSE-ONLY mode active - No polling required!"):console.warn("⚠ SSE failed - Updates may not work correctly"),null})).catch((function(error){console.error("SSE connection failed:",error)}))},handleStatsUpdate:function(data){console.log("SSE stats_update received:",{currentquestion:data.currentquestion,responses:data.responses,distribution:data.distribution,hasChart:!!chart}),data.timelimit>0&&void 0!==data.timeremaining&&this.syncLocalTimer(data.timelimit,data.timeremaining),this.updateDisplay({currentquestion:data.currentquestion,totalquestions:data.totalquestions,responses:data.responses,participants:data.participants,participationrate:data.participationrate,status:data.status,timelimit:data.timelimit,timeremaining:data.timeremaining,distribution:data.distribution,connected:data.connected,answered:data.answered,pending:data.pending})},handleStudentsUpdate:function(data){data.students&&this.updateStudentList(data.students),data.stats&&this.updateAggregateStats(data.stats)},setupUnloadHandler:function(){$(window).on("beforeunload",(function(){ConnectionManager.disconnect()}))},setupSessionControls:function(){var self=this;$(document).on("click","#btn-pause-session",(function(e){e.preventDefault(),self.pauseSession()})),$(document).on("click","#btn-resume-session",(function(e){e.preventDefault(),self.resumeSession()}))},setupStudentSearch:function(){var self=this,searchTimer=null;$("#student-search").on("input",(function(){var value=$(this).val().toLowerCase().trim();searchTimer&&clearTimeout(searchTimer),searchTimer=setTimeout((function(){searchTerm=value,self.filterStudentList()}),150)}))},filterStudentList:function(){if($("#student-list").length){var students=Object.values(connectedStudents);searchTerm&&(students=students.filter((function(student){return-1!==(student.fullname||"").toLowerCase().indexOf(searchTerm)}))),this.renderStudentListHtml(students)}},pauseSession:function(){var self=this;$.ajax({url:M.cfg.wwwroot+"/mod/classengage/api.php",method:"POST",data:{action:"pause",sessionid:sessionId,sesskey:M.cfg.sesskey},dataType:"json",success:function(response){response.success?(self.handleSessionPaused(response),Notification.addNotification({message:M.util.get_string("sessionpaused","mod_classengage"),type:"info"})):Notification.addNotification({message:response.error||"Failed to pause session",type:"error"})},error:function(){Notification.addNotification({message:"Network error while pausing session",type:"error"})}})},resumeSession:function(){var self=this;$.ajax({url:M.cfg.wwwroot+"/mod/classengage/api.php",method:"POST",data:{action:"resume",sessionid:sessionId,sesskey:M.cfg.sesskey},dataType:"json",success:function(response){response.success?(self.handleSessionResumed(response),Notification.addNotification({message:M.util.get_string("sessionresumed","mod_classengage"),type:"info"})):Notification.addNotification({message:response.error||"Failed to resume session",type:"error"})},error:function(){Notification.addNotification({message:"Network error while resuming session",type:"error"})}})},handleSessionPaused:function(data){if(isPaused=!0,timerState.isRunning){var clientElapsed=(Date.now()-timerState.clientStartTime)/1e3;timerState.timeRemaining=Math.max(0,timerState.timeRemaining-clientElapsed)}this.stopLocalCountdown(),$("#btn-pause-session").hide(),$("#btn-resume-session").show(),$("#session-status").text("Paused").addClass("text-warning"),$("#session-status-badge").removeClass("badge-success").addClass("badge-warning").text("Paused"),void 0!==data.timerremaining&&(timerState.timeRemaining=data.timerremaining,this.renderTimerDisplay(data.timerremaining)),$("#time-display").addClass("text-warning")},handleSessionResumed:function(data){isPaused=!1,$("#btn-resume-session").hide(),$("#btn-pause-session").show(),$("#session-status").text("Active").removeClass("text-warning"),$("#session-status-badge").removeClass("badge-warning").addClass("badge-success").text("Active"),$("#time-display").removeClass("text-warning");var remaining=data&&void 0!==data.timerremaining?data.timerremaining:timerState.timeRemaining;remaining>0&&this.startLocalCountdown(remaining,timerState.timelimit)},handleQuestionBroadcast:function(data){if(this.resetStudentAnsweredStatus(),void 0!==data.questionnumber){var newQuestion=parseInt(data.questionnumber);lastQuestionNumber=newQuestion;var total=$("#question-progress").data("total")||data.questionnumber+1;$("#question-progress").text(newQuestion+1+" / "+total)}data.timelimit&&data.timelimit>0&&this.startLocalCountdown(data.timelimit,data.timelimit)},handleStateUpdate:function(data){data.status&&((isPaused="paused"===data.status)?($("#btn-pause-session").hide(),$("#btn-resume-session").show()):($("#btn-resume-session").hide(),$("#btn-pause-session").show()))},handleConnectionStatusChange:function(data){var statusIndicator=$("#connection-status-indicator");"connected"===data.status?(statusIndicator.removeClass("text-danger text-warning").addClass("text-success"),statusIndicator.attr("title","Connected via "+(data.transport||"polling"))):"reconnecting"===data.status?(statusIndicator.removeClass("text-success text-danger").addClass("text-warning"),statusIndicator.attr("title","Reconnecting...")):(statusIndicator.removeClass("text-success text-warning").addClass("text-danger"),statusIndicator.attr("title","Disconnected"))},updateStudentList:function(students){if($("#student-list").length){students.forEach((function(student){connectedStudents[student.userid]=student}));var filteredStudents=students;searchTerm&&(filteredStudents=students.filter((function(student){return-1!==(student.fullname||"").toLowerCase().indexOf(searchTerm)}))),this.renderStudentListHtml(filteredStudents)}},renderStudentListHtml:function(students){var self=this,container=$("#student-list");if(container.length){var html="";0===students.length?html='<div class="text-muted p-3 text-center">'+(searchTerm?"No students match your search":"No students enrolled")+"</div>":(html='<ul class="list-group list-group-flush">',students.forEach((function(student){var icon=student.hasanswered?"fa-check-circle text-success":"fa-circle text-muted",name=self.escapeHtml(student.fullname||"User "+student.userid),isConnected="not_connected"!==student.status,nameClass=isConnected?"":"text-muted";html+='<li class="list-group-item d-flex justify-content-between align-items-center py-2 '+(isConnected?"":"bg-light")+'" data-userid="'+student.userid+'">',html+='<span class="'+nameClass+'">'+name+"</span>",html+='<i class="fa '+icon+'"></i>',html+="</li>"})),html+="</ul>"),container.html(html)}},getStatusClass:function(status){switch(status){case"connected":return"text-success";case"disconnected":return"text-danger";case"answering":return"text-info";default:return"text-muted"}},getStatusIcon:function(status,hasAnswered){if(hasAnswered)return"fa-check-circle";switch(status){case"connected":return"fa-circle";case"disconnected":return"fa-times-circle";case"answering":return"fa-spinner fa-spin";default:return"fa-question-circle"}},updateAggregateStats:function(stats){},resetStudentAnsweredStatus:function(){Object.keys(connectedStudents).forEach((function(userid){connectedStudents[userid].hasanswered=!1}))},escapeHtml:function(text){var div=document.createElement("div");return div.textContent=text,div.innerHTML},updateDisplay:function(data){if(void 0!==data.currentquestion&&void 0!==data.totalquestions){var newQuestion=parseInt(data.currentquestion);newQuestion>=lastQuestionNumber&&(lastQuestionNumber=newQuestion,$("#question-progress").text(newQuestion+1+" / "+data.totalquestions),$("#question-progress").data("total",data.totalquestions))}if(void 0!==data.responses&&($("#response-count-current").text(data.responses),$("#response-count").text(data.responses+" / "+data.participants)),void 0!==data.connected&&this.updateAggregateStats({connected:data.connected,answered:data.answered,pending:data.pending}),data.distribution&&(this.updateDistribution(data.distribution),chart&&this.updateChart(data.distribution)),data.status){isPaused="paused"===data.status;var statusText=data.status.charAt(0).toUpperCase()+data.status.slice(1);$("#session-status").text(statusText),isPaused?($("#btn-pause-session").hide(),$("#btn-resume-session").show(),$("#session-status-badge").removeClass("badge-success").addClass("badge-warning")):"active"===data.status&&($("#btn-resume-session").hide(),$("#btn-pause-session").show(),$("#session-status-badge").removeClass("badge-warning").addClass("badge-success")),"completed"===data.status&&(this.stopPolling(),this.stopStudentStatusPolling())}this.updateTimeDisplay(data)},updateTimeDisplay:function(data){if(data.timelimit>0&&!timerState.isRunning&&!isPaused){var remaining=void 0!==data.timeremaining?data.timeremaining:0;remaining>0&&this.startLocalCountdown(remaining,data.timelimit)}},syncLocalTimer:function(timelimit,serverRemaining){if(timerState.isRunning){var clientElapsed=(Date.now()-timerState.clientStartTime)/1e3,clientRemaining=Math.max(0,timerState.timeRemaining-clientElapsed),drift=Math.abs(serverRemaining-clientRemaining);drift>2&&(console.log("Timer drift correction:",drift.toFixed(1),"seconds"),timerState.timeRemaining=serverRemaining,timerState.clientStartTime=Date.now())}else this.startLocalCountdown(serverRemaining,timelimit)},startLocalCountdown:function(seconds,timelimit){var self=this;this.stopLocalCountdown(),timerState.timeRemaining=seconds,timerState.timelimit=timelimit,timerState.clientStartTime=Date.now(),timerState.isRunning=!0,this.renderTimerDisplay(seconds),timerState.countdownTimer=setInterval((function(){if(timerState.isRunning&&!isPaused){var clientElapsed=(Date.now()-timerState.clientStartTime)/1e3,remaining=Math.max(0,timerState.timeRemaining-clientElapsed);self.renderTimerDisplay(remaining),remaining<=0&&self.stopLocalCountdown()}}),1e3)},stopLocalCountdown:function(){timerState.countdownTimer&&(clearInterval(timerState.countdownTimer),timerState.countdownTimer=null),timerState.isRunning=!1},renderTimerDisplay:function(remaining){var timeText=this.formatTime(remaining),timeDisplay=$("#time-display");timeDisplay.text(timeText),remaining<=0||remaining<10?timeDisplay.removeClass("text-warning").addClass("text-danger font-weight-bold"):remaining<30?timeDisplay.removeClass("text-danger font-weight-bold").addClass("text-warning"):timeDisplay.removeClass("text-danger text-warning font-weight-bold")},formatTime:function(seconds){var m=Math.floor(seconds/60),s=Math.floor(seconds%60);return(m<10?"0"+m:m)+":"+(s<10?"0"+s:s)},updateDistribution:function(distribution){var total=distribution.total||0,correctAnswer=distribution.correctanswer||"";ANSWER_OPTIONS.forEach((function(option){var count=distribution[option]||0,percentage=total>0?Math.round(count/total*100):0,isCorrect=option===correctAnswer.toUpperCase(),countElem=$("#count-"+option);countElem.length&&countElem.text(count);var percentElem=$("#percent-"+option);percentElem.length&&percentElem.text(percentage+"%");var progressBar=$("#bar-"+option);progressBar.length&&(progressBar.css("width",percentage+"%"),progressBar.attr("aria-valuenow",percentage));var row=$("#row-"+option);row.length&&(isCorrect?(row.addClass("table-success"),progressBar.removeClass("bg-info").addClass("bg-success")):(row.removeClass("table-success"),progressBar.removeClass("bg-success").addClass("bg-info")))}))},initChart:function(){var ctx=document.getElementById("responseChart");ctx&&(void 0!==window.Chart?chart=new window.Chart(ctx,{type:"bar",data:{labels:ANSWER_OPTIONS,datasets:[{label:"Responses",data:[0,0,0,0],backgroundColor:["rgba(54, 162, 235, 0.8)","rgba(54, 162, 235, 0.8)","rgba(54, 162, 235, 0.8)","rgba(54, 162, 235, 0.8)"],borderColor:["rgba(54, 162, 235, 1)","rgba(54, 162, 235, 1)","rgba(54, 162, 235, 1)","rgba(54, 162, 235, 1)"],borderWidth:1}]},options:{responsive:!0,maintainAspectRatio:!1,scales:{y:{beginAtZero:!0,ticks:{stepSize:1}}},plugins:{legend:{display:!1},title:{display:!0,text:"Response Distribution"}}}}):console.error("Chart.js failed to load. Displaying table view only."))},updateChart:function(distribution){if(chart){var data=ANSWER_OPTIONS.map((function(option){return distribution[option]||0})),correctAnswer=distribution.correctanswer||"",colors=ANSWER_OPTIONS.map((function(option){return option===correctAnswer.toUpperCase()?"rgba(75, 192, 192, 0.8)":"rgba(54, 162, 235, 0.8)"})),borderColors=ANSWER_OPTIONS.map((function(option){return option===correctAnswer.toUpperCase()?"rgba(75, 192, 192, 1)":"rgba(54, 162, 235, 1)"}));chart.data.datasets[0].data=data,chart.data.datasets[0].backgroundColor=colors,chart.data.datasets[0].borderColor=borderColors,chart.update("none")}}}}));
+define("mod_classengage/controlpanel",["jquery","core/notification","core/str","mod_classengage/connection_manager","mod_classengage/word_cloud"],(function($,Notification,Str,ConnectionManager,WordCloud){var pollingInterval=1e3,websocketUrl="",sessionId=null,chart=null,lastQuestionNumber=-1,ANSWER_OPTIONS=["A","B","C","D"],isPaused=!1,connectedStudents={},searchTerm="",networkSummary=null,ownQuality=null,networkStrings={},conflictSummary=null,conflictStrings={},wordCloud=null,hotspotHeatmap=null,HOTSPOT_HEAT_STOPS=[[0,[0,0,255]],[.4,[0,255,0]],[.7,[255,255,0]],[1,[255,0,0]]],timerState={timeRemaining:0,timelimit:0,clientStartTime:0,isRunning:!1,countdownTimer:null};return{init:function(sid,interval,wsurl){console.log("Control panel init called with sessionId:",sid,"interval:",interval),sessionId=sid,pollingInterval=interval||1e3,websocketUrl=wsurl||"",this.initSSEConnection(),this.initChart(),this.setupSessionControls(),this.setupUnloadHandler()},initSSEConnection:function(){var self=this;this.setupStudentSearch(),this.loadNetworkStrings(),this.loadConflictStrings(),ConnectionManager.on("session_paused",(function(data){self.handleSessionPaused(data)})),ConnectionManager.on("session_resumed",(function(data){self.handleSessionResumed(data)})),ConnectionManager.on("question_broadcast",(function(data){self.handleQuestionBroadcast(data)})),ConnectionManager.on("state_update",(function(data){self.handleStateUpdate(data)})),ConnectionManager.on("statuschange",(function(data){self.handleConnectionStatusChange(data)})),ConnectionManager.on("quality",(function(data){ownQuality=data,self.renderNetworkQuality()})),ConnectionManager.on("stats_update",(function(data){self.handleStatsUpdate(data)})),ConnectionManager.on("students_update",(function(data){self.handleStudentsUpdate(data)})),ConnectionManager.init(sessionId,{pollInterval:pollingInterval,wsEndpoint:websocketUrl,pageRole:"controlpanel"}).then((function(){var status=ConnectionManager.getInstance().getStatus();return console.log("Connection established for control panel:",{transport:status.transport,status:status.status,connectionId:status.connectionId}),status.transport===ConnectionManager.TRANSPORT.WEBSOCKET?console.log("✓ WebSocket mode active - Updates and controls share one socket"):status.transport===ConnectionManager.TRANSPORT.SSE?console.log("✓ SSE-ONLY mode active - No polling required!"):status.transport===ConnectionManager.TRANSPORT.POLLING?console.warn("⚠ SSE unavailable - Using long-polling, will retry SSE in the background"):console.warn("⚠ SSE failed - Updates may not work correctly"),null})).catch((function(error){console.error("Real-time connection failed:",error)}))},handleStatsUpdate:function(data){console.log("SSE stats_update received:",{currentquestion:data.currentquestion,responses:data.responses,distribution:data.distribution,hasChart:!!chart}),data.timelimit>0&&void 0!==data.timeremaining&&this.syncLocalTimer(data.timelimit,data.timeremaining),this.updateDisplay({currentquestion:data.currentquestion,totalquestions:data.totalquestions,responses:data.responses,participants:data.participants,participationrate:data.participationrate,status:data.status,timelimit:data.timelimit,timeremaining:data.timeremaining,distribution:data.distribution,connected:data.connected,answered:data.answered,pending:data.pending}),data.network&&(networkSummary=data.network,this.renderNetworkQuality()),data.conflicts&&(conflictSummary=data.conflicts,this.renderConflicts()),data.breakdown&&this.renderBreakdown(data.breakdown),data.confidence&&this.renderConfidence(data.confidence)},renderConfidence:function(confidence){var panel=$("#confidence-split");if(panel.length){["correct","incorrect"].forEach((function(row){confidence[row].forEach((function(count,index){panel.find('[data-confidence="'+row+"-"+index+'"]').text(count)}))}));var unrated=confidence.unrated?panel.attr("data-unratedlabel").replace("{count}",confidence.unrated):"";$("#confidence-unrated").text(unrated)}},renderBreakdown:function(breakdown){var body=$("#answer-breakdown-body");if(body.length)if("histogram"===breakdown.type)body.empty().append(this.buildHistogram(breakdown));else if("heatmap"===breakdown.type)body.empty().append(this.buildHeatmap(breakdown,$("#answer-breakdown").attr("data-positionlabel")));else if("words"===breakdown.type){if(!wordCloud){var stopWords=String($("#answer-breakdown").attr("data-stopwords")||"").split(",");wordCloud=WordCloud.create(body.addClass("word-cloud text-center"),stopWords)}wordCloud.update(breakdown.answers)}else"points"===breakdown.type&&this.renderHotspotHeatmap(body,breakdown)},renderHotspotHeatmap:function(body,points){if(!hotspotHeatmap){var draw=this.drawHotspotHeatmap.bind(this),image=$('<img class="img-fluid d-block" alt="">').attr("src",$("#answer-breakdown").attr("data-image")||"").on("load",draw),canvas=$('<canvas class="position-absolute" aria-hidden="true"></canvas>').css({top:0,left:0,width:"100%",height:"100%",pointerEvents:"none"});body.append($('<div class="hotspot-heatmap position-relative d-inline-block mw-100"></div>').append(image).append(canvas)),hotspotHeatmap={image:image[0],canvas:canvas[0],points:points},$(window).on("resize",draw)}hotspotHeatmap.points=points,this.drawHotspotHeatmap()},drawHotspotHeatmap:function(){var width=hotspotHeatmap.image.clientWidth,height=hotspotHeatmap.image.clientHeight;if(width&&height){var canvas=hotspotHeatmap.canvas,data=hotspotHeatmap.points;canvas.width=width,canvas.height=height;var context=canvas.getContext("2d"),max=Math.max.apply(null,data.points.map((function(point){return point.count})).concat([1])),radius=Math.max(12,.05*Math.min(width,height));if(data.points.forEach((function(point){var x=point.x*width,y=point.y*height,gradient=context.createRadialGradient(x,y,0,x,y,radius);gradient.addColorStop(0,"rgba(0, 0, 0, "+(.25+.75*point.count/max).toFixed(2)+")"),gradient.addColorStop(1,"rgba(0, 0, 0, 0)"),context.fillStyle=gradient,context.fillRect(x-radius,y-radius,2*radius,2*radius)})),data.points.length){for(var pixels=context.getImageData(0,0,width,height),i=0;i<pixels.data.length;i+=4){var heat=pixels.data[i+3]/255;if(heat>0){var colour=this.heatColour(heat);pixels.data[i]=colour[0],pixels.data[i+1]=colour[1],pixels.data[i+2]=colour[2],pixels.data[i+3]=Math.round(190*Math.min(1,1.5*heat))}}context.putImageData(pixels,0,0)}data.correct&&(context.beginPath(),context.ellipse(data.correct.x*width,data.correct.y*height,data.correct.radius*width,data.correct.radius*height,0,0,2*Math.PI),context.lineWidth=3,context.setLineDash([8,6]),context.strokeStyle="#28a745",context.stroke())}},heatColour:function(heat){for(var i=1;i<HOTSPOT_HEAT_STOPS.length;i++){var upper=HOTSPOT_HEAT_STOPS[i];if(heat<=upper[0]){var lower=HOTSPOT_HEAT_STOPS[i-1],share=(heat-lower[0])/(upper[0]-lower[0]);return lower[1].map((function(value,index){return Math.round(value+(upper[1][index]-value)*share)}))}}return HOTSPOT_HEAT_STOPS[HOTSPOT_HEAT_STOPS.length-1][1]},buildHistogram:function(histogram){var max=Math.max.apply(null,histogram.bins.map((function(bin){return bin.count})).concat([1])),format=function(value){return String(Number(Number(value).toPrecision(4)))},list=$('<div class="answer-histogram"></div>');return histogram.bins.forEach((function(bin){var share=Math.round(bin.count/max*100),label=bin.from===bin.to?format(bin.from):format(bin.from)+" – "+format(bin.to);$('<div class="d-flex align-items-center mb-1"></div>').append($('<span class="small text-nowrap mr-2" style="min-width: 8rem;"></span>').text(label)).append($('<div class="progress flex-grow-1" style="height: 1.25rem;"></div>').append($('<div class="progress-bar" role="progressbar"></div>').addClass(bin.correct?"bg-success":"bg-info").css("width",share+"%"))).append($('<span class="font-weight-bold text-center ml-2" style="min-width: 2.5rem;"></span>').text(bin.count)).appendTo(list)})),list},buildHeatmap:function(heatmap,positionLabel){for(var total=Math.max(heatmap.total,1),head=$("<tr></tr>").append('<th class="border-top-0"></th>'),position=0;position<heatmap.positions;position++)head.append($('<th class="text-center border-top-0"></th>').text(positionLabel+" "+(position+1)));var rows=heatmap.items.map((function(item){var row=$("<tr></tr>").append($('<th class="font-weight-normal"></th>').append($('<strong class="mr-2"></strong>').text(item.key)).append($("<span></span>").text(item.text)));return item.counts.forEach((function(count,index){var share=count/total;$('<td class="text-center align-middle"></td>').text(count).toggleClass("border border-success",index===item.correctposition).toggleClass("text-white",share>.5).css("background-color","rgba(54, 162, 235, "+share.toFixed(2)+")").appendTo(row)})),row}));return $('<table class="table table-sm mb-0 answer-heatmap"></table>').append($("<thead></thead>").append(head)).append($("<tbody></tbody>").append(rows))},loadConflictStrings:function(){var self=this;Str.get_strings([{key:"answerconflictsstudents",component:"mod_classengage",param:"{count}"},{key:"answerconflictspending",component:"mod_classengage",param:"{count}"},{key:"conflictcounted",component:"mod_classengage",param:"{answer}"},{key:"conflictother",component:"mod_classengage",param:"{answer}"},{key:"keepcountedanswer",component:"mod_classengage"},{key:"useotheranswer",component:"mod_classengage"}]).then((function(strings){return conflictStrings={students:strings[0],pending:strings[1],counted:strings[2],other:strings[3],keep:strings[4],use:strings[5]},self.renderConflicts(),null})).catch(Notification.exception)},renderConflicts:function(){var panel=$("#answer-conflicts");if(panel.length&&conflictStrings.students&&conflictSummary){panel.toggleClass("d-none",!conflictSummary.students);var summary=conflictStrings.students.replace("{count}",conflictSummary.students);conflictSummary.pending.length&&(summary+=" · "+conflictStrings.pending.replace("{count}",conflictSummary.pending.length)),$("#answer-conflicts-summary").text(summary);var actionUrl=panel.attr("data-actionurl"),list=$("#answer-conflicts-list").empty();conflictSummary.pending.forEach((function(conflict){var url=actionUrl+"&conflictid="+conflict.id+"&accept=",buttons=$('<div class="mt-1"></div>').append($('<a class="btn btn-sm btn-outline-secondary mr-2"></a>').attr("href",url+"0").text(conflictStrings.keep)).append($('<a class="btn btn-sm btn-outline-primary"></a>').attr("href",url+"1").text(conflictStrings.use));$('<li class="border-top pt-2 mt-2"></li>').attr("data-conflictid",conflict.id).append($('<div class="font-weight-bold"></div>').text(conflict.fullname)).append($("<div></div>").text(conflictStrings.counted.replace("{answer}",conflict.previousanswer))).append($("<div></div>").text(conflictStrings.other.replace("{answer}",conflict.answer))).append(buttons).appendTo(list)}))}},loadNetworkStrings:function(){var self=this,keys=["good","fair","poor","unknown"];Str.get_strings(keys.map((function(key){return{key:"networkquality_"+key,component:"mod_classengage"}})).concat([{key:"networkqualitysummary",component:"mod_classengage",param:{poor:"{poor}",reporting:"{reporting}",rtt:"{rtt}"}},{key:"networkqualityyours",component:"mod_classengage",param:{rtt:"{rtt}",jitter:"{jitter}",reconnects:"{reconnects}"}}])).then((function(strings){return keys.forEach((function(key,index){networkStrings[key]=strings[index]})),networkStrings.summary=strings[keys.length],networkStrings.yours=strings[keys.length+1],self.renderNetworkQuality(),null})).catch(Notification.exception)},getClassNetworkLevel:function(network){return network&&network.reporting?network.poor/network.reporting>=.25?"poor":(network.poor+network.fair)/network.reporting>=.25?"fair":"good":"unknown"},renderNetworkQuality:function(){var badge=$("#network-quality");if(badge.length&&networkStrings.unknown){var level=this.getClassNetworkLevel(networkSummary);badge.removeClass("badge-success badge-warning badge-danger badge-secondary").addClass({good:"badge-success",fair:"badge-warning",poor:"badge-danger",unknown:"badge-secondary"}[level]),$("#network-quality-level").text(networkStrings[level]);var title=[];networkSummary&&networkSummary.reporting&&title.push(networkStrings.summary.replace("{poor}",networkSummary.poor).replace("{reporting}",networkSummary.reporting).replace("{rtt}",null===networkSummary.medianrtt?"-":networkSummary.medianrtt)),ownQuality&&null!==ownQuality.rtt&&title.push(networkStrings.yours.replace("{rtt}",ownQuality.rtt).replace("{jitter}",ownQuality.jitter).replace("{reconnects}",ownQuality.reconnects)),badge.attr("title",title.join("\n"))}},handleStudentsUpdate:function(data){data.students&&this.updateStudentList(data.students),data.stats&&this.updateAggregateStats(data.stats)},setupUnloadHandler:function(){$(window).on("beforeunload",(function(){ConnectionManager.disconnect()}))},setupSessionControls:function(){var self=this;$(document).on("click","#btn-pause-session",(function(e){e.preventDefault(),self.pauseSession()})),$(document).on("click","#btn-resume-session",(function(e){e.preventDefault(),self.resumeSession()}))},setupStudentSearch:function(){var self=this,searchTimer=null;$("#student-search").on("input",(function(){var value=$(this).val().toLowerCase().trim();searchTimer&&clearTimeout(searchTimer),searchTimer=setTimeout((function(){searchTerm=value,self.filterStudentList()}),150)}))},filterStudentList:function(){if($("#student-list").length){var students=Object.values(connectedStudents);searchTerm&&(students=students.filter((function(student){return-1!==(student.fullname||"").toLowerCase().indexOf(searchTerm)}))),this.renderStudentListHtml(students)}},pauseSession:function(){var self=this;ConnectionManager.send("pause",{}).then((function(response){return response.success?(self.handleSessionPaused(response),Notification.addNotification({message:M.util.get_string("sessionpaused","mod_classengage"),type:"info"})):Notification.addNotification({message:response.error||"Failed to pause session",type:"error"}),null})).catch((function(){Notification.addNotification({message:"Network error while pausing session",type:"error"})}))},resumeSession:function(){var self=this;ConnectionManager.send("resume",{}).then((function(response){return response.success?(self.handleSessionResumed(response),Notification.addNotification({message:M.util.get_string("sessionresumed","mod_classengage"),type:"info"})):Notification.addNotification({message:response.error||"Failed to resume session",type:"error"}),null})).catch((function(){Notification.addNotification({message:"Network error while resuming session",type:"error"})}))},handleSessionPaused:function(data){if(isPaused=!0,timerState.isRunning){var clientElapsed=(Date.now()-timerState.clientStartTime)/1e3;timerState.timeRemaining=Math.max(0,timerState.timeRemaining-clientElapsed)}this.stopLocalCountdown(),$("#btn-pause-session").hide(),$("#btn-resume-session").show(),$("#session-status").text("Paused").addClass("text-warning"),$("#session-status-badge").removeClass("badge-success").addClass("badge-warning").text("Paused"),void 0!==data.timerremaining&&(timerState.timeRemaining=data.timerremaining,this.renderTimerDisplay(data.timerremaining)),$("#time-display").addClass("text-warning")},handleSessionResumed:function(data){isPaused=!1,$("#btn-resume-session").hide(),$("#btn-pause-session").show(),$("#session-status").text("Active").removeClass("text-warning"),$("#session-status-badge").removeClass("badge-warning").addClass("badge-success").text("Active"),$("#time-display").removeClass("text-warning");var remaining=data&&void 0!==data.timerremaining?data.timerremaining:timerState.timeRemaining;remaining>0&&this.startLocalCountdown(remaining,timerState.timelimit)},handleQuestionBroadcast:function(data){if(this.resetStudentAnsweredStatus(),void 0!==data.questionnumber){var newQuestion=parseInt(data.questionnumber);lastQuestionNumber=newQuestion;var total=$("#question-progress").data("total")||data.questionnumber+1;$("#question-progress").text(newQuestion+1+" / "+total)}data.timelimit&&data.timelimit>0&&this.startLocalCountdown(data.timelimit,data.timelimit)},handleStateUpdate:function(data){data.status&&((isPaused="paused"===data.status)?($("#btn-pause-session").hide(),$("#btn-resume-session").show()):($("#btn-resume-session").hide(),$("#btn-pause-session").show()))},handleConnectionStatusChange:function(data){var statusIndicator=$("#connection-status-indicator");"connected"===data.status?(statusIndicator.removeClass("text-danger text-warning").addClass("text-success"),statusIndicator.attr("title","Connected via "+(data.transport||"polling"))):"reconnecting"===data.status?(statusIndicator.removeClass("text-success text-danger").addClass("text-warning"),statusIndicator.attr("title","Reconnecting...")):(statusIndicator.removeClass("text-success text-warning").addClass("text-danger"),statusIndicator.attr("title","Disconnected"))},updateStudentList:function(students){if($("#student-list").length){students.forEach((function(student){connectedStudents[student.userid]=student}));var filteredStudents=students;searchTerm&&(filteredStudents=students.filter((function(student){return-1!==(student.fullname||"").toLowerCase().indexOf(searchTerm)}))),this.renderStudentListHtml(filteredStudents)}},renderStudentListHtml:function(students){var self=this,container=$("#student-list");if(container.length){var html="";0===students.length?html='<div class="text-muted p-3 text-center">'+(searchTerm?"No students match your search":"No students enrolled")+"</div>":(html='<ul class="list-group list-group-flush">',students.forEach((function(student){var icon=student.hasanswered?"fa-check-circle text-success":"fa-circle text-muted",name=self.escapeHtml(student.fullname||"User "+student.userid),isConnected="not_connected"!==student.status,nameClass=isConnected?"":"text-muted";html+='<li class="list-group-item d-flex justify-content-between align-items-center py-2 '+(isConnected?"":"bg-light")+'" data-userid="'+student.userid+'">',html+='<span class="'+nameClass+'">'+name+"</span>",html+='<i class="fa '+icon+'"></i>',html+="</li>"})),html+="</ul>"),container.html(html)}},getStatusClass:function(status){switch(status){case"connected":return"text-success";case"disconnected":return"text-danger";case"answering":return"text-info";default:return"text-muted"}},getStatusIcon:function(status,hasAnswered){if(hasAnswered)return"fa-check-circle";switch(status){case"connected":return"fa-circle";case"disconnected":return"fa-times-circle";case"answering":return"fa-spinner fa-spin";default:return"fa-question-circle"}},updateAggregateStats:function(stats){},resetStudentAnsweredStatus:function(){Object.keys(connectedStudents).forEach((function(userid){connectedStudents[userid].hasanswered=!1}))},escapeHtml:function(text){var div=document.createElement("div");return div.textContent=text,div.innerHTML},updateDisplay:function(data){if(void 0!==data.currentquestion&&void 0!==data.totalquestions){var newQuestion=parseInt(data.currentquestion);newQuestion>=lastQuestionNumber&&(lastQuestionNumber=newQuestion,$("#question-progress").text(newQuestion+1+" / "+data.totalquestions),$("#question-progress").data("total",data.totalquestions))}if(void 0!==data.responses&&($("#response-count-current").text(data.responses),$("#response-count").text(data.responses+" / "+data.participants)),void 0!==data.connected&&this.updateAggregateStats({connected:data.connected,answered:data.answered,pending:data.pending}),data.distribution&&(this.updateDistribution(data.distribution),chart&&this.updateChart(data.distribution)),data.status){isPaused="paused"===data.status;var statusText=data.status.charAt(0).toUpperCase()+data.status.slice(1);$("#session-status").text(statusText),isPaused?($("#btn-pause-session").hide(),$("#btn-resume-session").show(),$("#session-status-badge").removeClass("badge-success").addClass("badge-warning")):"active"===data.status&&($("#btn-resume-session").hide(),$("#btn-pause-session").show(),$("#session-status-badge").removeClass("badge-warning").addClass("badge-success")),"completed"===data.status&&(this.stopPolling(),this.stopStudentStatusPolling())}this.updateTimeDisplay(data)},updateTimeDisplay:function(data){if(data.timelimit>0&&!timerState.isRunning&&!isPaused){var remaining=void 0!==data.timeremaining?data.timeremaining:0;remaining>0&&this.startLocalCountdown(remaining,data.timelimit)}},syncLocalTimer:function(timelimit,serverRemaining){if(timerState.isRunning){var clientElapsed=(Date.now()-timerState.clientStartTime)/1e3,clientRemaining=Math.max(0,timerState.timeRemaining-clientElapsed),drift=Math.abs(serverRemaining-clientRemaining);drift>2&&(console.log("Timer drift correction:",drift.toFixed(1),"seconds"),timerState.timeRemaining=serverRemaining,timerState.clientStartTime=Date.now())}else this.startLocalCountdown(serverRemaining,timelimit)},startLocalCountdown:function(seconds,timelimit){var self=this;this.stopLocalCountdown(),timerState.timeRemaining=seconds,timerState.timelimit=timelimit,timerState.clientStartTime=Date.now(),timerState.isRunning=!0,this.renderTimerDisplay(seconds),timerState.countdownTimer=setInterval((function(){if(timerState.isRunning&&!isPaused){var clientElapsed=(Date.now()-timerState.clientStartTime)/1e3,remaining=Math.max(0,timerState.timeRemaining-clientElapsed);self.renderTimerDisplay(remaining),remaining<=0&&self.stopLocalCountdown()}}),1e3)},stopLocalCountdown:function(){timerState.countdownTimer&&(clearInterval(timerState.countdownTimer),timerState.countdownTimer=null),timerState.isRunning=!1},renderTimerDisplay:function(remaining){var timeText=this.formatTime(remaining),timeDisplay=$("#time-display");timeDisplay.text(timeText),remaining<=0||remaining<10?timeDisplay.removeClass("text-warning").addClass("text-danger font-weight-bold"):remaining<30?timeDisplay.removeClass("text-danger font-weight-bold").addClass("text-warning"):timeDisplay.removeClass("text-danger text-warning font-weight-bold")},formatTime:function(seconds){var m=Math.floor(seconds/60),s=Math.floor(seconds%60);return(m<10?"0"+m:m)+":"+(s<10?"0"+s:s)},updateDistribution:function(distribution){var total=distribution.total||0,correctAnswer=distribution.correctanswer||"";ANSWER_OPTIONS.forEach((function(option){var count=distribution[option]||0,percentage=total>0?Math.round(count/total*100):0,isCorrect=option===correctAnswer.toUpperCase(),countElem=$("#count-"+option);countElem.length&&countElem.text(count);var percentElem=$("#percent-"+option);percentElem.length&&percentElem.text(percentage+"%");var progressBar=$("#bar-"+option);progressBar.length&&(progressBar.css("width",percentage+"%"),progressBar.attr("aria-valuenow",percentage));var row=$("#row-"+option);row.length&&(isCorrect?(row.addClass("table-success"),progressBar.removeClass("bg-info").addClass("bg-success")):(row.removeClass("table-success"),progressBar.removeClass("bg-success").addClass("bg-info")))}))},initChart:function(){var ctx=document.getElementById("responseChart");ctx&&(void 0!==window.Chart?chart=new window.Chart(ctx,{type:"bar",data:{labels:ANSWER_OPTIONS,datasets:[{label:"Responses",data:[0,0,0,0],backgroundColor:["rgba(54, 162, 235, 0.8)","rgba(54, 162, 235, 0.8)","rgba(54, 162, 235, 0.8)","rgba(54, 162, 235, 0.8)"],borderColor:["rgba(54, 162, 235, 1)","rgba(54, 162, 235, 1)","rgba(54, 162, 235, 1)","rgba(54, 162, 235, 1)"],borderWidth:1}]},options:{responsive:!0,maintainAspectRatio:!1,scales:{y:{beginAtZero:!0,ticks:{stepSize:1}}},plugins:{legend:{display:!1},title:{display:!0,text:"Response Distribution"}}}}):console.error("Chart.js failed to load. Displaying table view only."))},updateChart:function(distribution){if(chart){var data=ANSWER_OPTIONS.map((function(option){return distribution[option]||0})),correctAnswer=distribution.correctanswer||"",colors=ANSWER_OPTIONS.map((function(option){return option===correctAnswer.toUpperCase()?"rgba(75, 192, 192, 0.8)":"rgba(54, 162, 235, 0.8)"})),borderColors=ANSWER_OPTIONS.map((function(option){return option===correctAnswer.toUpperCase()?"rgba(75, 192, 192, 1)":"rgba(54, 162, 235, 1)"}));chart.data.datasets[0].data=data,chart.data.datasets[0].backgroundColor=colors,chart.data.datasets[0].borderColor=borderColors,chart.update("none")}}}}));
 
 //# sourceMappingURL=controlpanel.min.js.map
\ No newline at end of file
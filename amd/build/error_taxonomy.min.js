@@ -0,0 +1,25 @@
+/**
+ * Classification of server errors on answer submission
+ *
+ * api.php reports a failed write with a numeric errorcode from
+ * constants::ERROR_*, and Moodle reports its own exceptions, such as a lapsed
+ * login or session key, with a string errorcode. This module sorts those
+ * codes into what the client should do about them:
+ *
+ * - permanent: resubmitting cannot succeed, e.g. the question was already
+ *   answered or the session has ended
+ * - transient: resubmitting later may succeed, e.g. rate limited or a
+ *   database hiccup
+ * - auth_expired: nothing will succeed until the page is reloaded with a
+ *   fresh login and session key
+ *
+ * Responses without a code, from servers older than the codes or stored by
+ * an idempotency key before them, fall back to matching the English message.
+ *
+ * @module     mod_classengage/error_taxonomy
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("mod_classengage/error_taxonomy",[],(function(){var CATEGORY={PERMANENT:"permanent",TRANSIENT:"transient",AUTH_EXPIRED:"auth_expired"},CODES={SESSION_NOT_FOUND:1001,SESSION_NOT_ACTIVE:1002,ALREADY_ANSWERED:1003,RATE_LIMIT_EXCEEDED:1004,INVALID_ANSWER:1005,CONNECTION_TIMEOUT:1006,DATABASE:1007,PERMISSION_DENIED:1008,REQUEST_IN_PROGRESS:1009,QUESTION_NOT_FOUND:1010,ANSWER_CONFLICT:1011},CATEGORIES={};CATEGORIES[CODES.SESSION_NOT_FOUND]=CATEGORY.PERMANENT,CATEGORIES[CODES.SESSION_NOT_ACTIVE]=CATEGORY.PERMANENT,CATEGORIES[CODES.ALREADY_ANSWERED]=CATEGORY.PERMANENT,CATEGORIES[CODES.INVALID_ANSWER]=CATEGORY.PERMANENT,CATEGORIES[CODES.PERMISSION_DENIED]=CATEGORY.PERMANENT,CATEGORIES[CODES.QUESTION_NOT_FOUND]=CATEGORY.PERMANENT,CATEGORIES[CODES.ANSWER_CONFLICT]=CATEGORY.PERMANENT,CATEGORIES[CODES.RATE_LIMIT_EXCEEDED]=CATEGORY.TRANSIENT,CATEGORIES[CODES.CONNECTION_TIMEOUT]=CATEGORY.TRANSIENT,CATEGORIES[CODES.DATABASE]=CATEGORY.TRANSIENT,CATEGORIES[CODES.REQUEST_IN_PROGRESS]=CATEGORY.TRANSIENT;var MOODLE_CATEGORIES={invalidsesskey:CATEGORY.AUTH_EXPIRED,requireloginerror:CATEGORY.AUTH_EXPIRED,sessionerroruser:CATEGORY.AUTH_EXPIRED,servicerequireslogin:CATEGORY.AUTH_EXPIRED,invalidrecord:CATEGORY.PERMANENT,nopermissions:CATEGORY.PERMANENT},LEGACY_MESSAGES=[{text:"duplicate submission",code:CODES.ALREADY_ANSWERED},{text:"already answered",code:CODES.ALREADY_ANSWERED},{text:"session not found",code:CODES.SESSION_NOT_FOUND},{text:"session not active",code:CODES.SESSION_NOT_ACTIVE},{text:"question not found",code:CODES.QUESTION_NOT_FOUND},{text:"rate limit exceeded",code:CODES.RATE_LIMIT_EXCEEDED}],getCode=function(error){if(!error)return null;var code="object"==typeof error?error.errorcode:null;if(null!=code&&""!==code)return/^\d+$/.test(String(code))?parseInt(code,10):String(code);for(var message=("string"==typeof error?error:error.error||error.message||"").toLowerCase(),i=0;i<LEGACY_MESSAGES.length;i++)if(-1!==message.indexOf(LEGACY_MESSAGES[i].text))return LEGACY_MESSAGES[i].code;return null},classify=function(error){var code=getCode(error),categories="string"==typeof code?MOODLE_CATEGORIES:CATEGORIES;return null!==code&&Object.prototype.hasOwnProperty.call(categories,code)?categories[code]:CATEGORY.TRANSIENT};return{CATEGORY:CATEGORY,CODES:CODES,getCode:getCode,classify:classify,isPermanent:function(error){return classify(error)===CATEGORY.PERMANENT},isAuthExpired:function(error){return classify(error)===CATEGORY.AUTH_EXPIRED}}}));
+
+//# sourceMappingURL=error_taxonomy.min.js.map
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * Payload schemas for server-pushed real-time events
+ *
+ * Every event the server pushes has a schema describing its fields. Incoming
+ * payloads are checked against it before any handler sees them, and values
+ * that arrive with a loose type (numbers as strings, flags as 0/1) are
+ * normalised, so quiz and control panel code can rely on the field types.
+ *
+ * A field is described by a type name - int, number, string, bool, object or
+ * array - prefixed with '?' when it may be missing or null, or by an object
+ * {type, optional, fields, items} for nested objects and lists. Fields not in
+ * the schema are passed through untouched.
+ *
+ * @module     mod_classengage/event_schema
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("mod_classengage/event_schema",[],(function(){var SESSION_STATUS={sessionid:"int",status:"string",currentquestion:"?int",timerremaining:"?int",timestamp:"?int"},SCHEMAS={session_started:SESSION_STATUS,session_paused:SESSION_STATUS,session_resumed:SESSION_STATUS,session_completed:{sessionid:"int",status:"?string",timestamp:"?int"},session_ended:{reason:"?string",timestamp:"?int"},question_broadcast:{sessionid:"?int",questionnumber:"int",question:{type:"object",fields:{id:"int",text:"string",options:{type:"array",items:{type:"object",fields:{key:"string",text:"string"}}}}},timelimit:"?int",hasanswered:"?bool",timestamp:"?int"},timer_sync:{remaining:"int",timestamp:"?int"},reconnect:{reason:"?string",message:"?string"},stats_update:{sessionid:"int",status:"string",currentquestion:"int",totalquestions:"int",timelimit:"int",timeremaining:"int",distribution:{type:"object",fields:{A:"int",B:"int",C:"int",D:"int",total:"int",correctanswer:"?string"}},responses:"int",participants:"int",participationrate:"number",connected:"int",answered:"int",pending:"int",network:"?object",timestamp:"?int"},students_update:{sessionid:"?int",students:{type:"array",items:{type:"object",fields:{userid:"int",fullname:"string",status:"string",hasanswered:"bool"}}},stats:{type:"object",fields:{connected:"int",answered:"int",pending:"int",total:"int"}},timestamp:"?int"}},check=function(spec,value,path,errors){if(spec=function(spec){if("string"!=typeof spec)return spec;var optional="?"===spec.charAt(0);return{type:optional?spec.substr(1):spec,optional:optional}}(spec),null==value)return spec.optional||errors.push(path+" is missing"),value;var result=function(type,value){switch(type){case"int":return"number"==typeof value&&isFinite(value)&&Math.floor(value)===value?{ok:!0,value:value}:"string"==typeof value&&/^-?\d+$/.test(value)?{ok:!0,value:parseInt(value,10)}:{ok:!1};case"number":return"number"==typeof value&&isFinite(value)?{ok:!0,value:value}:"string"==typeof value&&""!==value.trim()&&isFinite(Number(value))?{ok:!0,value:Number(value)}:{ok:!1};case"string":return"string"==typeof value?{ok:!0,value:value}:"number"==typeof value&&isFinite(value)?{ok:!0,value:String(value)}:{ok:!1};case"bool":return"boolean"==typeof value?{ok:!0,value:value}:1===value||"1"===value||"true"===value?{ok:!0,value:!0}:0===value||"0"===value||"false"===value||""===value?{ok:!0,value:!1}:{ok:!1};case"object":return{ok:null!==value&&"object"==typeof value&&!Array.isArray(value),value:value};case"array":return{ok:Array.isArray(value),value:value}}return{ok:!1}}(spec.type,value);return result.ok?"object"===spec.type&&spec.fields?checkFields(spec.fields,result.value,path+".",errors):"array"===spec.type&&spec.items?result.value.map((function(item,index){return check(spec.items,item,path+"["+index+"]",errors)})):result.value:(errors.push(path+" should be "+spec.type+", got "+JSON.stringify(value)),value)},checkFields=function(fields,data,prefix,errors){var normalised={};return Object.keys(data).forEach((function(name){normalised[name]=data[name]})),Object.keys(fields).forEach((function(name){var value=check(fields[name],data[name],prefix+name,errors);void 0!==value&&(normalised[name]=value)})),normalised};return{has:function(event){return Object.prototype.hasOwnProperty.call(SCHEMAS,event)},register:function(event,fields){SCHEMAS[event]=fields},validate:function(event,data){if(!this.has(event))return{valid:!0,data:data,errors:[]};var errors=[];if(null===data||"object"!=typeof data||Array.isArray(data))return{valid:!1,data:data,errors:["payload should be an object"]};var normalised=checkFields(SCHEMAS[event],data,"",errors);return{valid:0===errors.length,data:normalised,errors:errors}}}}));
+
+//# sourceMappingURL=event_schema.min.js.map
\ No newline at end of file
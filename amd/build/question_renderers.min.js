@@ -0,0 +1,29 @@
+/**
+ * Answer inputs for each question type
+ *
+ * The quiz page asks the renderer registered for a question's type to build
+ * its inputs, read the student's answer back, check it before submission and
+ * show the server's feedback. Renderers for multiple choice, true/false,
+ * short answer, multi-select, numeric, ordering, word cloud and image hotspot
+ * questions ship here; others can be added with register(). A question of an
+ * unknown type is shown as multiple choice.
+ *
+ * A renderer is an object with:
+ * - render(question, strings): jQuery element holding the inputs
+ * - getAnswer(form): the answer as sent to the server, '' if none
+ * - validate(answer, question): null if it can be submitted, otherwise the
+ *   key of the quiz string explaining why not
+ * - formatAnswer(answer, question, strings): an answer as shown to students,
+ *   '' to leave it out
+ * - renderFeedback(response, question, strings): jQuery element with the
+ *   result of a submission
+ * - rateConfidence: whether students say how sure they are of their answer
+ * Any left out are taken from the multiple choice renderer.
+ *
+ * @module     mod_classengage/question_renderers
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("mod_classengage/question_renderers",["jquery"],(function($){var NUMBER_PATTERN=/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/,CONFIDENCE_LEVELS=[{value:1,label:"confidenceguessing"},{value:2,label:"confidenceunsure"},{value:3,label:"confidencesure"}],renderers={},renderOptions=function(options,inputType){var list=$('<div class="question-options"></div>');return(options||[]).forEach((function(option){var label=$('<label class="quiz-option-label"></label>').append($('<input name="answer">').attr({type:inputType,value:option.key})).append(" ").append($('<span class="option-key"></span>').text(option.key)).append($('<span class="option-text"></span>').text(option.text));list.append($('<div class="quiz-option"></div>').attr("data-option",option.key).append(label))})),list},multichoice={rateConfidence:!0,render:function(question){return renderOptions(question.options,"radio")},getAnswer:function(form){return form.find('input[name="answer"]:checked').val()||""},validate:function(answer){return answer?null:"selectanswer"},formatAnswer:function(answer){return String(answer)},renderFeedback:function(response,question,strings){var feedback=$('<div class="alert"></div>').addClass(response.iscorrect?"alert-success":"alert-warning").append($("<h4></h4>").text(response.iscorrect?strings.correct:strings.incorrect));return response.correctanswer&&feedback.append($("<p></p>").text(strings.correctanswer+": "+this.formatAnswer(response.correctanswer,question,strings))),response.islate&&feedback.append($('<p class="text-muted"></p>').append($("<em></em>").text(strings.responselate))),feedback.append($("<p></p>").text(strings.waitingnextquestion))}},truefalse={render:function(question,strings){return renderOptions([{key:"TRUE",text:strings.answertrue},{key:"FALSE",text:strings.answerfalse}],"radio").addClass("question-options-truefalse")},formatAnswer:function(answer,question,strings){var value=String(answer).toUpperCase();return"TRUE"===value||"T"===value||"1"===value?strings.answertrue:"FALSE"===value||"F"===value||"0"===value?strings.answerfalse:String(answer)}},shortanswer={render:function(question,strings){return $('<div class="question-options question-options-shortanswer"></div>').append($('<input type="text" name="answer" class="form-control form-control-lg" autocomplete="off">').attr({maxlength:255,placeholder:strings.answerplaceholder,"aria-label":strings.youranswer}))},getAnswer:function(form){return $.trim(form.find('input[name="answer"]').val()||"")},validate:function(answer){return answer?answer.length>255?"answertoolong":null:"enteranswer"}},multiselect={render:function(question){return renderOptions(question.options,"checkbox").addClass("question-options-multiselect")},getAnswer:function(form){return form.find('input[name="answer"]:checked').map((function(){return this.value})).get().sort().join(",")},validate:function(answer){return answer?null:"selectoneormore"},formatAnswer:function(answer){return String(answer).split(",").join(", ")}},numeric={render:function(question,strings){return $('<div class="question-options question-options-numeric"></div>').append($('<input type="text" name="answer" class="form-control form-control-lg" inputmode="decimal" autocomplete="off">').attr({placeholder:strings.numberplaceholder,"aria-label":strings.youranswer}))},getAnswer:function(form){return String(form.find('input[name="answer"]').val()||"").replace(/\s+/g,"").replace(",",".")},validate:function(answer){return NUMBER_PATTERN.test(answer)?null:"enternumber"}},ordering={render:function(question,strings){var list=$('<ol class="question-ordering list-unstyled mb-0"></ol>');return function(options){for(var shuffled=(options||[]).slice(),i=shuffled.length-1;i>0;i--){var j=Math.floor(Math.random()*(i+1)),swap=shuffled[i];shuffled[i]=shuffled[j],shuffled[j]=swap}return shuffled.every((function(option,index){return option.key===options[index].key}))&&shuffled.length>1&&shuffled.push(shuffled.shift()),shuffled}(question.options).forEach((function(option){$('<li class="ordering-item d-flex align-items-center p-2 mb-2 border rounded" draggable="true"></li>').attr("data-option",option.key).append('<span class="ordering-handle mr-2" aria-hidden="true">&#9776;</span>').append($('<span class="option-text flex-grow-1"></span>').text(option.text)).append($('<button type="button" class="btn btn-sm btn-link ordering-move" data-direction="up"></button>').attr("aria-label",strings.moveup+": "+option.text).html("&#9650;")).append($('<button type="button" class="btn btn-sm btn-link ordering-move" data-direction="down"></button>').attr("aria-label",strings.movedown+": "+option.text).html("&#9660;")).appendTo(list)})),function(list){var dragged=null;list.on("click",".ordering-move",(function(){var item=$(this).closest(".ordering-item");"up"===$(this).attr("data-direction")?item.insertBefore(item.prev(".ordering-item")):item.insertAfter(item.next(".ordering-item")),$(this).trigger("focus")})),list.on("dragstart",".ordering-item",(function(e){dragged=this,$(this).addClass("dragging"),e.originalEvent.dataTransfer.effectAllowed="move",e.originalEvent.dataTransfer.setData("text/plain",$(this).attr("data-option"))})),list.on("dragover",".ordering-item",(function(e){if(e.preventDefault(),dragged&&dragged!==this){var rect=this.getBoundingClientRect();e.originalEvent.clientY<rect.top+rect.height/2?$(this).before(dragged):$(this).after(dragged)}})),list.on("drop",(function(e){e.preventDefault()})),list.on("dragend",".ordering-item",(function(){$(this).removeClass("dragging"),dragged=null}))}(list),$('<div class="question-options question-options-ordering"></div>').append($('<p class="small text-muted"></p>').text(strings.orderinghelp)).append(list)},getAnswer:function(form){return form.find(".ordering-item").map((function(){return $(this).attr("data-option")})).get().join(",")},validate:function(answer){return answer.indexOf(",")>0?null:"selectanswer"},formatAnswer:function(answer){return String(answer).split(",").join(" → ")}},wordcloud={rateConfidence:!1,render:function(question,strings){return $('<div class="question-options question-options-wordcloud"></div>').append($('<input type="text" name="answer" class="form-control form-control-lg" autocomplete="off">').attr({maxlength:50,placeholder:strings.wordcloudplaceholder,"aria-label":strings.youranswer}))},getAnswer:shortanswer.getAnswer,validate:function(answer){return answer?answer.length>50?"wordcloudtoolong":null:"enteranswer"},renderFeedback:function(response,question,strings){var feedback=$('<div class="alert alert-success"></div>').append($("<h4></h4>").text(strings.answersubmitted)).append($("<p></p>").text(strings.wordcloudrecorded));return response.islate&&feedback.append($('<p class="text-muted"></p>').append($("<em></em>").text(strings.responselate))),feedback.append($("<p></p>").text(strings.waitingnextquestion))}},hotspot={render:function(question,strings){var input=$('<input type="hidden" name="answer" value="">'),area=$('<div class="hotspot-area position-relative d-inline-block mw-100" tabindex="0" role="application"></div>').attr("aria-label",strings.hotspothelp).css("cursor","crosshair").append($('<img class="img-fluid d-block" draggable="false" alt="">').attr("src",question.image||"")).append($('<span class="hotspot-marker position-absolute rounded-circle" aria-hidden="true"></span>').css({width:"1.5rem",height:"1.5rem",transform:"translate(-50%, -50%)",border:"3px solid #fff",background:"rgba(220, 53, 69, 0.85)",boxShadow:"0 0 0 1px rgba(0, 0, 0, 0.5)",pointerEvents:"none"}).hide());return function(area,input){var point=null,moved=!1,place=function(x,y){point=[Math.min(1,Math.max(0,x)),Math.min(1,Math.max(0,y))],area.find(".hotspot-marker").css({left:100*point[0]+"%",top:100*point[1]+"%"}).show(),input.val(point[0].toFixed(4)+","+point[1].toFixed(4))},placeAt=function(clientX,clientY){var box=area.find("img")[0].getBoundingClientRect();box.width&&box.height&&place((clientX-box.left)/box.width,(clientY-box.top)/box.height)};area.on("touchstart",(function(){moved=!1})).on("touchmove",(function(){moved=!0})).on("touchend",(function(e){var touch=e.originalEvent.changedTouches&&e.originalEvent.changedTouches[0];touch&&!moved&&(e.preventDefault(),placeAt(touch.clientX,touch.clientY))})).on("click",(function(e){placeAt(e.clientX,e.clientY)})).on("keydown",(function(e){var steps={ArrowLeft:[-1,0],ArrowRight:[1,0],ArrowUp:[0,-1],ArrowDown:[0,1]}[e.key];if(steps){e.preventDefault();var from=point||[.5,.5];place(from[0]+.02*steps[0],from[1]+.02*steps[1])}}))}(area,input),$('<div class="question-options question-options-hotspot text-center"></div>').append($('<p class="small text-muted"></p>').text(strings.hotspothelp)).append(area).append(input)},getAnswer:function(form){return String(form.find('input[name="answer"]').val()||"")},validate:function(answer){return answer?null:"tapimage"},formatAnswer:function(){return""},renderFeedback:function(response,question,strings){return multichoice.renderFeedback.call(this,$.extend({},response,{correctanswer:""}),question,strings)}},register=function(type,renderer){renderers[type]=$.extend({},"multichoice"===type?{}:renderers.multichoice,renderer)},get=function(type){return renderers[type]||renderers.multichoice};return register("multichoice",multichoice),register("truefalse",truefalse),register("shortanswer",shortanswer),register("multiselect",multiselect),register("numeric",numeric),register("ordering",ordering),register("wordcloud",wordcloud),register("hotspot",hotspot),{register:register,get:get,renderForm:function(question,strings){var type=renderers[question.type]?question.type:"multichoice",renderer=get(type);return $('<form id="answer-form"></form>').attr("data-questiontype",type).append(renderer.render(question,strings)).append(renderer.rateConfidence?function(strings){var fieldset=$('<fieldset class="question-confidence mt-3"></fieldset>').append($('<legend class="h6"></legend>').text(strings.confidenceprompt));return CONFIDENCE_LEVELS.forEach((function(level){$('<label class="quiz-confidence-label mr-3"></label>').append($('<input type="radio" name="confidence">').val(level.value)).append(" ").append($("<span></span>").text(strings[level.label])).appendTo(fieldset)})),fieldset}(strings):null).append($('<button type="button" class="btn btn-primary btn-lg submit-answer-btn mt-3"></button>').text(strings.submitanswer))},getConfidence:function(form){var value=parseInt(form.find('input[name="confidence"]:checked').val(),10);return isNaN(value)?null:value}}}));
+
+//# sourceMappingURL=question_renderers.min.js.map
\ No newline at end of file
@@ -1,9 +1,9 @@
 /**
  * Student quiz interface with real-time updates
  *
- * SSE-only mode: Receives question broadcasts and session state updates
- * exclusively via Server-Sent Events. api.php is used only for
- * answer submissions and session operations.
+ * Receives question broadcasts and session state updates through the
+ * connection manager (WebSocket, SSE or long-polling). api.php is used only
+ * for answer submissions and session operations.
  *
  * Requirements: 2.4, 4.5, 8.5
  *
@@ -11,6 +11,6 @@
  * @copyright  2025 Danielle
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
-define("mod_classengage/quiz",["jquery","core/ajax","core/notification","core/str","mod_classengage/connection_manager","mod_classengage/client_cache"],(function($,Ajax,Notification,Str,ConnectionManager,ClientCache){var STATE_PAUSED="paused",STATE_COMPLETED="completed",Quiz={cmid:null,sessionId:null,currentQuestion:null,currentQuestionId:null,pollingTimer:null,countdownTimer:null,isOnline:!0,pendingSubmission:null,strings:{},answeredQuestions:{},timerState:{serverTimeRemaining:0,serverTimestamp:0,clientStartTime:0,isRunning:!1,isPaused:!1,lastSyncTime:0},init:function(options){var cmid,sessionid,pollinginterval,timelimit,timeremaining,questionid,hasanswered,self=this;return"object"==typeof options&&null!==options?(cmid=options.cmid,sessionid=options.sessionid,pollinginterval=options.pollinginterval,timelimit=options.timelimit||0,timeremaining=options.timeremaining||0,questionid=options.questionid||0,hasanswered=options.hasanswered||!1):(cmid=arguments[0],sessionid=arguments[1],pollinginterval=arguments[2],timelimit=0,timeremaining=0,questionid=0,hasanswered=!1),this.cmid=cmid,this.sessionId=sessionid,this.currentQuestionId=questionid,questionid>0&&hasanswered&&(this.answeredQuestions[questionid]=!0),this.loadStrings().then((function(){return ClientCache.init({maxRetries:3,retryDelay:2e3})})).then((function(){return ClientCache.setConnectionManager(ConnectionManager.getInstance()),ConnectionManager.init(sessionid,{pollInterval:pollinginterval||2e3})})).then((function(){return self.setupEventHandlers(),self.setupConnectionHandlers(),self.setupOfflineIndicator(),$(document).on("click",".submit-answer-btn",(function(){self.submitAnswer()})),$(document).on("touchend",".quiz-option",(function(e){e.preventDefault(),$(this).find('input[type="radio"]').prop("checked",!0),$(this).addClass("selected").siblings().removeClass("selected")})),timeremaining>0&&timelimit>0&&self.startLocalCountdown(timeremaining),$("#quiz-status").removeClass("d-none").text("Connected"),setTimeout((function(){$("#quiz-status").addClass("d-none")}),2e3),null})).catch((function(error){console.error("Quiz initialization error:",error),self.startLegacyPolling(pollinginterval)}))},loadStrings:function(){var self=this;return Str.get_strings([{key:"answersubmitted",component:"mod_classengage"},{key:"correct",component:"mod_classengage"},{key:"incorrect",component:"mod_classengage"},{key:"correctanswer",component:"mod_classengage"},{key:"waitingnextquestion",component:"mod_classengage"},{key:"quizcompleted",component:"mod_classengage"},{key:"alreadyanswered",component:"mod_classengage"},{key:"selectanswer",component:"mod_classengage"},{key:"error",component:"core"},{key:"offline",component:"mod_classengage"},{key:"reconnecting",component:"mod_classengage"},{key:"connectionrestored",component:"mod_classengage"},{key:"submittingoffline",component:"mod_classengage"},{key:"pendingsubmissions",component:"mod_classengage"}]).then((function(strings){return self.strings={answersubmitted:strings[0],correct:strings[1],incorrect:strings[2],correctanswer:strings[3],waitingnextquestion:strings[4],quizcompleted:strings[5],alreadyanswered:strings[6],selectanswer:strings[7],error:strings[8],offline:strings[9]||"Offline - responses will be saved locally",reconnecting:strings[10]||"Reconnecting...",connectionrestored:strings[11]||"Connection restored",submittingoffline:strings[12]||"Saving response offline...",pendingsubmissions:strings[13]||"Pending submissions"},null})).catch((function(){self.strings={answersubmitted:"Answer submitted!",correct:"Correct!",incorrect:"Incorrect",correctanswer:"Correct Answer",waitingnextquestion:"Waiting for next question...",quizcompleted:"Quiz completed!",alreadyanswered:"You have already answered this question",selectanswer:"Please select an answer",error:"Error",offline:"Offline - responses will be saved locally",reconnecting:"Reconnecting...",connectionrestored:"Connection restored",submittingoffline:"Saving response offline...",pendingsubmissions:"Pending submissions"}}))},setupConnectionHandlers:function(){var self=this;ConnectionManager.on("statuschange",(function(data){self.handleConnectionStatusChange(data)})),ConnectionManager.on("state_update",(function(data){self.handleStateUpdate(data)})),ConnectionManager.on("question_broadcast",(function(data){self.handleQuestionBroadcast(data)})),ConnectionManager.on("session_started",(function(data){self.handleSessionStarted(data)})),ConnectionManager.on("session_paused",(function(data){self.handleSessionPaused(data)})),ConnectionManager.on("session_resumed",(function(data){self.handleSessionResumed(data)})),ConnectionManager.on("session_completed",(function(data){self.handleSessionCompleted(data)})),ConnectionManager.on("timer_sync",(function(data){self.syncServerTime(data)})),ConnectionManager.on("reconnected",(function(){self.handleReconnected()})),ConnectionManager.on("disconnected",(function(){self.handleDisconnected()}))},setupEventHandlers:function(){var self=this;ClientCache.on("submitted",(function(data){self.handleCachedResponseSubmitted(data)})),ClientCache.on("retrying",(function(data){self.showNotification("info",self.strings.pendingsubmissions+": "+data.count)})),ClientCache.on("retryComplete",(function(data){var successCount=data.results.filter((function(r){return r.success})).length;successCount>0&&self.showNotification("success",successCount+" cached response(s) submitted")}))},setupOfflineIndicator:function(){if(0===$("#offline-indicator").length){var indicator=$('<div id="offline-indicator" class="offline-indicator" style="display: none;"><span class="offline-icon">&#9888;</span><span class="offline-text"></span><span class="pending-count"></span></div>');$("#quiz-status").after(indicator)}var self=this;window.addEventListener("online",(function(){self.handleOnlineStatusChange(!0)})),window.addEventListener("offline",(function(){self.handleOnlineStatusChange(!1)})),this.isOnline=navigator.onLine,this.updateOfflineIndicator()},handleOnlineStatusChange:function(online){this.isOnline=online,this.updateOfflineIndicator(),online&&ConnectionManager.reconnect().catch((function(){}))},handleConnectionStatusChange:function(data){var status=data.status,transport=data.transport;status===ConnectionManager.STATUS.CONNECTED?(this.isOnline=!0,this.updateOfflineIndicator(),this.updateTransportIndicator(transport)):status===ConnectionManager.STATUS.RECONNECTING?this.showReconnectingIndicator():status===ConnectionManager.STATUS.DISCONNECTED&&(this.isOnline=!1,this.updateOfflineIndicator())},updateOfflineIndicator:function(){var indicator=$("#offline-indicator"),textSpan=indicator.find(".offline-text"),pendingSpan=indicator.find(".pending-count");this.isOnline?indicator.hide():(textSpan.text(this.strings.offline),indicator.removeClass("reconnecting").addClass("offline").show());var stats=ClientCache.getStats();stats.pending>0?(pendingSpan.text(" ("+stats.pending+" pending)").show(),indicator.show()):pendingSpan.hide()},showReconnectingIndicator:function(){var indicator=$("#offline-indicator");indicator.find(".offline-text").text(this.strings.reconnecting),indicator.removeClass("offline").addClass("reconnecting").show()},updateTransportIndicator:function(transport){var transportIndicator=$("#transport-indicator");0===transportIndicator.length&&(transportIndicator=$('<span id="transport-indicator" class="transport-indicator"></span>'),$("#quiz-status").append(transportIndicator)),transport===ConnectionManager.TRANSPORT.SSE?transportIndicator.text("Real-time").addClass("realtime"):transport===ConnectionManager.TRANSPORT.POLLING&&transportIndicator.text("Polling").removeClass("realtime")},handleStateUpdate:function(data){data.timelimit>0&&void 0!==data.timeremaining&&this.syncServerTime({timerremaining:data.timeremaining,timestamp:data.timestamp||Date.now()/1e3}),data.question&&this.updateQuestionDisplay({success:!0,status:data.status,question:data.question}),data.status===STATE_COMPLETED?this.handleSessionCompleted(data):data.status===STATE_PAUSED&&this.handleSessionPaused(data)},handleQuestionBroadcast:function(data){var question=data.question,questionId=question.id||data.questionid;questionId&&this.currentQuestionId!==questionId&&(this.currentQuestionId=questionId),questionId&&this.answeredQuestions[questionId]&&(question.answered=!0),this.currentQuestion=question,this.displayQuestion(question);var timelimit=data.timelimit||question&&question.timelimit||0;timelimit>0&&!question.answered&&this.startLocalCountdown(timelimit)},handleSessionStarted:function(data){$("#quiz-status").removeClass("alert-warning").addClass("alert-info"),data.question&&(this.currentQuestion=data.question,this.displayQuestion(data.question))},handleSessionPaused:function(data){var container=$("#question-container");container.find(".submit-answer-btn").prop("disabled",!0),this.showNotification("warning","Quiz paused by instructor"),0===$(".paused-overlay").length&&container.append('<div class="paused-overlay"><span>Quiz Paused</span></div>'),this.pauseLocalCountdown(),void 0!==data.timerRemaining&&(this.pausedTimerRemaining=data.timerRemaining)},handleSessionResumed:function(data){var container=$("#question-container");container.find(".submit-answer-btn").prop("disabled",!1),container.find(".paused-overlay").remove(),this.showNotification("info","Quiz resumed"),void 0!==data.timerRemaining?this.resumeLocalCountdown(data.timerRemaining):this.resumeLocalCountdown()},handleSessionCompleted:function(data){var container=$("#question-container"),statusDiv=$("#quiz-status");statusDiv.removeClass("alert-info").addClass("alert-success");var scoreText=void 0!==data.score?" Your score: "+data.score:"";statusDiv.html(this.strings.quizcompleted+scoreText),container.html('<div class="alert alert-success"><h4>'+this.strings.quizcompleted+"</h4>"+(void 0!==data.score?"<p>Your score: "+data.score+"</p>":"")+"</div>"),this.stopPolling(),ConnectionManager.disconnect()},handleReconnected:function(){this.isOnline=!0,this.updateOfflineIndicator(),this.showNotification("success",this.strings.connectionrestored),ConnectionManager.send("getstatus",{sessionid:this.sessionId}).then(function(response){return response.success&&response.session&&this.handleStateUpdate(response.session),null}.bind(this)).catch((function(){}))},handleDisconnected:function(){this.isOnline=!1,this.updateOfflineIndicator()},handleCachedResponseSubmitted:function(data){this.showNotification("success","Cached response submitted: "+data.id),this.updateOfflineIndicator()},submitAnswer:function(){var self=this,selectedAnswer=$('input[name="answer"]:checked').val();if(selectedAnswer){if(this.currentQuestion){var questionId=this.currentQuestion.id,clientTimestamp=Date.now();this.showOptimisticSubmission(),$(".submit-answer-btn").prop("disabled",!0),this.isOnline&&ConnectionManager.getStatus().connected?ConnectionManager.send("submitanswer",{sessionid:this.sessionId,questionid:questionId,answer:selectedAnswer,clienttimestamp:clientTimestamp}).then((function(response){return self.handleSubmissionResponse(response),null})).catch((function(error){self.submitOffline(questionId,selectedAnswer,clientTimestamp),console.warn("Submission failed, cached offline:",error)})):this.submitOffline(questionId,selectedAnswer,clientTimestamp)}}else Notification.alert(this.strings.error,this.strings.selectanswer)},showOptimisticSubmission:function(){var container=$("#question-container");container.addClass("submitting");var feedbackDiv=container.find(".optimistic-feedback");0===feedbackDiv.length&&(feedbackDiv=$('<div class="optimistic-feedback"><span class="spinner"></span> Submitting...</div>'),container.find(".submit-answer-btn").after(feedbackDiv)),feedbackDiv.show()},submitOffline:function(questionId,answer,clientTimestamp){var self=this;this.showNotification("info",this.strings.submittingoffline),ClientCache.storeResponse({sessionId:this.sessionId,questionId:questionId,answer:answer,clientTimestamp:clientTimestamp}).then((function(){return self.showOfflineSubmissionConfirmation(),self.updateOfflineIndicator(),null})).catch((function(error){console.error("Failed to cache response:",error),Notification.exception({message:"Failed to save response offline"}),$(".submit-answer-btn").prop("disabled",!1)}))},showOfflineSubmissionConfirmation:function(){var container=$("#question-container");container.removeClass("submitting"),container.find(".optimistic-feedback").remove(),container.html('<div class="alert alert-info"><h4>'+this.strings.answersubmitted+"</h4><p>"+this.strings.offline+"</p><p>"+this.strings.waitingnextquestion+"</p></div>")},handleSubmissionResponse:function(response){var container=$("#question-container");if(container.removeClass("submitting"),container.find(".optimistic-feedback").remove(),response.success){this.currentQuestion&&this.currentQuestion.id&&(this.answeredQuestions[this.currentQuestion.id]=!0);var message=response.iscorrect?this.strings.correct:this.strings.incorrect,html='<div class="alert alert-'+(response.iscorrect?"success":"warning")+'"><h4>'+message+"</h4>";response.correctanswer&&(html+="<p>"+this.strings.correctanswer+": "+response.correctanswer+"</p>"),response.islate&&(html+='<p class="text-muted"><em>Response recorded as late</em></p>'),html+="<p>"+this.strings.waitingnextquestion+"</p></div>",container.html(html),this.showVisualConfirmation(response.iscorrect)}else{var errorMsg=response.error||"";-1!==errorMsg.toLowerCase().indexOf("already")||-1!==errorMsg.toLowerCase().indexOf("duplicate")?container.html('<div class="alert alert-info">'+this.strings.alreadyanswered+"</div>"):-1!==errorMsg.toLowerCase().indexOf("not active")?container.html('<div class="alert alert-warning">Session is not active</div>'):(this.showNotification("error",errorMsg||"Error submitting answer"),$(".submit-answer-btn").prop("disabled",!1))}},showVisualConfirmation:function(isCorrect){var overlay=$('<div class="submission-confirmation '+(isCorrect?"confirmation-correct":"confirmation-incorrect")+'"><span class="confirmation-icon">'+(isCorrect?"✓":"✗")+"</span></div>");$("body").append(overlay),setTimeout((function(){overlay.addClass("fade-out"),setTimeout((function(){overlay.remove()}),300)}),500)},showNotification:function(type,message){var notificationArea=$("#quiz-notifications");0===notificationArea.length&&(notificationArea=$('<div id="quiz-notifications" class="quiz-notifications"></div>'),$("#quiz-status").before(notificationArea));var notification=$('<div class="alert '+("alert-"+("error"===type?"danger":type))+' notification-toast">'+message+"</div>");notificationArea.append(notification),setTimeout((function(){notification.fadeOut((function(){$(this).remove()}))}),3e3)},updateQuestionDisplay:function(response){var container=$("#question-container"),statusDiv=$("#quiz-status");if(!response.success||"active"!==response.status)return container.html(""),void("completed"===response.status?(statusDiv.removeClass("alert-info").addClass("alert-success"),statusDiv.html(this.strings.quizcompleted),this.stopPolling()):"paused"===response.status?statusDiv.html("Quiz is paused"):statusDiv.html(this.strings.waitingnextquestion));var question=response.question;question?(null!==this.currentQuestion&&this.currentQuestion.id===question.id||(this.currentQuestion=question,this.displayQuestion(question)),this.updateTimer(question.timeremaining),statusDiv.html("Question "+question.number+" of "+question.total)):container.html("<p>"+this.strings.waitingnextquestion+"</p>")},displayQuestion:function(question){var html='<div class="question-text mb-4">';if(html+="<h4>"+question.text+"</h4>",html+="</div>",question.answered)html+='<div class="alert alert-info">'+this.strings.alreadyanswered+"</div>";else{html+='<form id="answer-form">',html+='<div class="question-options">';for(var i=0;i<question.options.length;i++){var option=question.options[i];html+='<div class="quiz-option" data-option="'+option.key+'">',html+='<label class="quiz-option-label">',html+='<input type="radio" name="answer" value="'+option.key+'" required> ',html+='<span class="option-key">'+option.key+"</span>",html+='<span class="option-text">'+option.text+"</span>",html+="</label>",html+="</div>"}html+="</div>",html+='<button type="button" class="btn btn-primary btn-lg submit-answer-btn mt-3">',html+=(this.strings.answersubmitted,"Submit Answer"),html+="</button>",html+="</form>"}$("#question-container").html(html)},updateTimerDisplay:function(seconds){var display=$("#timer-display");if(seconds<=0)return display.text("0:00"),void display.removeClass("warning").addClass("danger");var minutes=Math.floor(seconds/60),secs=Math.floor(seconds%60),timeStr=minutes+":"+(secs<10?"0":"")+secs;display.text(timeStr),seconds<=10?display.removeClass("warning").addClass("danger"):seconds<=30?display.removeClass("danger").addClass("warning"):display.removeClass("warning danger")},startLocalCountdown:function(seconds){var self=this;this.countdownTimer&&(clearInterval(this.countdownTimer),this.countdownTimer=null),this.timerState.serverTimeRemaining=seconds,this.timerState.clientStartTime=Date.now(),this.timerState.isRunning=!0,this.timerState.isPaused=!1,this.updateTimerDisplay(seconds),this.countdownTimer=setInterval((function(){if(self.timerState.isRunning&&!self.timerState.isPaused){var clientElapsed=(Date.now()-self.timerState.clientStartTime)/1e3,remaining=Math.max(0,self.timerState.serverTimeRemaining-clientElapsed);self.updateTimerDisplay(remaining),remaining<=0&&self.stopLocalCountdown()}}),100)},stopLocalCountdown:function(){this.countdownTimer&&(clearInterval(this.countdownTimer),this.countdownTimer=null),this.timerState.isRunning=!1},pauseLocalCountdown:function(){this.timerState.isPaused=!0;var clientElapsed=(Date.now()-this.timerState.clientStartTime)/1e3;this.timerState.serverTimeRemaining=Math.max(0,this.timerState.serverTimeRemaining-clientElapsed),this.timerState.clientStartTime=Date.now()},resumeLocalCountdown:function(seconds){void 0!==seconds&&(this.timerState.serverTimeRemaining=seconds),this.timerState.clientStartTime=Date.now(),this.timerState.isPaused=!1},syncServerTime:function(data){var serverRemaining=data.timerremaining,serverTimestamp=data.timestamp,clientElapsed=(Date.now()-this.timerState.clientStartTime)/1e3,clientRemaining=Math.max(0,this.timerState.serverTimeRemaining-clientElapsed),drift=Math.abs(serverRemaining-clientRemaining);(drift>2||!this.timerState.isRunning)&&(console.log("Timer sync: correcting drift of",drift.toFixed(1),"seconds"),this.timerState.serverTimeRemaining=serverRemaining,this.timerState.clientStartTime=Date.now(),this.timerState.serverTimestamp=serverTimestamp),this.timerState.lastSyncTime=Date.now(),!this.timerState.isRunning&&serverRemaining>0&&this.startLocalCountdown(serverRemaining)},updateTimer:function(seconds){null!=seconds&&(this.timerState.isRunning?this.syncServerTime({timerremaining:seconds,timestamp:Date.now()/1e3}):this.startLocalCountdown(seconds))},startLegacyPolling:function(){this.showNotification("error","SSE connection required. Please ensure your browser supports Server-Sent Events.")},getCurrentQuestion:function(){var self=this;ConnectionManager.send("getstatus",{sessionid:this.sessionId}).then((function(response){return response&&response.success&&response.session&&self.handleStateUpdate(response.session),null})).catch((function(){}))},stopPolling:function(){this.pollingTimer&&(clearInterval(this.pollingTimer),this.pollingTimer=null),this.countdownTimer&&(clearInterval(this.countdownTimer),this.countdownTimer=null)}};return{init:function(cmid,sessionid,pollinginterval){return Quiz.init(cmid,sessionid,pollinginterval)}}}));
+define("mod_classengage/quiz",["jquery","core/ajax","core/notification","core/str","mod_classengage/connection_manager","mod_classengage/client_cache","mod_classengage/error_taxonomy","mod_classengage/cache_inspector","mod_classengage/question_renderers"],(function($,Ajax,Notification,Str,ConnectionManager,ClientCache,ErrorTaxonomy,CacheInspector,QuestionRenderers){var STATE_PAUSED="paused",STATE_COMPLETED="completed",Quiz={cmid:null,sessionId:null,currentQuestion:null,currentQuestionId:null,pollingTimer:null,countdownTimer:null,isOnline:!0,pendingSubmission:null,strings:{},answeredQuestions:{},selectedAnswers:{},timerState:{serverTimeRemaining:0,serverTimestamp:0,clientStartTime:0,isRunning:!1,isPaused:!1,lastSyncTime:0},init:function(options){var cmid,sessionid,pollinginterval,timelimit,timeremaining,questionid,hasanswered,self=this,websocketurl="",cachekey="",userid=null;return"object"==typeof options&&null!==options?(cmid=options.cmid,sessionid=options.sessionid,pollinginterval=options.pollinginterval,timelimit=options.timelimit||0,timeremaining=options.timeremaining||0,questionid=options.questionid||0,hasanswered=options.hasanswered||!1,websocketurl=options.websocketurl||"",cachekey=options.cachekey||"",userid=options.userid||null):(cmid=arguments[0],sessionid=arguments[1],pollinginterval=arguments[2],timelimit=0,timeremaining=0,questionid=0,hasanswered=!1),this.cmid=cmid,this.sessionId=sessionid,this.currentQuestionId=questionid,questionid>0&&hasanswered&&(this.answeredQuestions[questionid]=!0),this.loadStrings().then((function(){return self.renderInitialQuestion(),ClientCache.init({maxRetries:3,retryDelay:2e3,userId:userid,sessionId:sessionid,keyMaterial:cachekey})})).then((function(){return self.restoreAnsweredState()})).then((function(){return ClientCache.setConnectionManager(ConnectionManager.getInstance()),self.setupEventHandlers(),self.setupConnectionHandlers(),self.setupOfflineIndicator(),ClientCache.checkBackgroundDeliveries().catch((function(){})),ClientCache.checkForeignRecords().catch((function(){})),ConnectionManager.init(sessionid,{pollInterval:pollinginterval||2e3,wsEndpoint:websocketurl,pageRole:"quiz"})})).then((function(){return $(document).on("click",".submit-answer-btn",(function(){self.submitAnswer()})),$(document).on("submit","#answer-form",(function(e){e.preventDefault(),self.submitAnswer()})),$(document).on("touchend",".quiz-option",(function(e){e.preventDefault();var input=$(this).find('input[name="answer"]');"checkbox"===input.attr("type")?(input.prop("checked",!input.prop("checked")),$(this).toggleClass("selected",input.prop("checked"))):(input.prop("checked",!0),$(this).addClass("selected").siblings().removeClass("selected"))})),timeremaining>0&&timelimit>0&&self.startLocalCountdown(timeremaining),$("#quiz-status").removeClass("d-none").text("Connected"),setTimeout((function(){$("#quiz-status").addClass("d-none")}),2e3),null})).catch((function(error){console.error("Quiz initialization error:",error),self.startLegacyPolling(pollinginterval)}))},loadStrings:function(){var self=this;return Str.get_strings([{key:"answersubmitted",component:"mod_classengage"},{key:"correct",component:"mod_classengage"},{key:"incorrect",component:"mod_classengage"},{key:"correctanswer",component:"mod_classengage"},{key:"waitingnextquestion",component:"mod_classengage"},{key:"quizcompleted",component:"mod_classengage"},{key:"alreadyanswered",component:"mod_classengage"},{key:"selectanswer",component:"mod_classengage"},{key:"error",component:"core"},{key:"offline",component:"mod_classengage"},{key:"reconnecting",component:"mod_classengage"},{key:"connectionrestored",component:"mod_classengage"},{key:"submittingoffline",component:"mod_classengage"},{key:"pendingsubmissions",component:"mod_classengage"},{key:"versionmismatch",component:"mod_classengage"},{key:"versionmismatchrequired",component:"mod_classengage"},{key:"reloadpage",component:"mod_classengage"},{key:"sessionnotactive",component:"mod_classengage"},{key:"loginexpired",component:"mod_classengage"},{key:"youranswer",component:"mod_classengage"},{key:"answernotsentyet",component:"mod_classengage"},{key:"submitanswer",component:"mod_classengage"},{key:"answertrue",component:"mod_classengage"},{key:"answerfalse",component:"mod_classengage"},{key:"answerplaceholder",component:"mod_classengage"},{key:"enteranswer",component:"mod_classengage"},{key:"answertoolong",component:"mod_classengage"},{key:"selectoneormore",component:"mod_classengage"},{key:"enternumber",component:"mod_classengage"},{key:"numberplaceholder",component:"mod_classengage"},{key:"orderinghelp",component:"mod_classengage"},{key:"moveup",component:"mod_classengage"},{key:"movedown",component:"mod_classengage"},{key:"wordcloudplaceholder",component:"mod_classengage"},{key:"wordcloudtoolong",component:"mod_classengage"},{key:"wordcloudrecorded",component:"mod_classengage"},{key:"hotspothelp",component:"mod_classengage"},{key:"tapimage",component:"mod_classengage"},{key:"confidenceprompt",component:"mod_classengage"},{key:"confidenceguessing",component:"mod_classengage"},{key:"confidenceunsure",component:"mod_classengage"},{key:"confidencesure",component:"mod_classengage"},{key:"rateconfidence",component:"mod_classengage"},{key:"responselate",component:"mod_classengage"}]).then((function(strings){return self.strings={answersubmitted:strings[0],correct:strings[1],incorrect:strings[2],correctanswer:strings[3],waitingnextquestion:strings[4],quizcompleted:strings[5],alreadyanswered:strings[6],selectanswer:strings[7],error:strings[8],offline:strings[9]||"Offline - responses will be saved locally",reconnecting:strings[10]||"Reconnecting...",connectionrestored:strings[11]||"Connection restored",submittingoffline:strings[12]||"Saving response offline...",pendingsubmissions:strings[13]||"Pending submissions",versionmismatch:strings[14]||"This quiz has been updated. Reload the page to get the latest version.",versionmismatchrequired:strings[15]||"This page is out of date and can no longer follow the quiz. Reload the page to continue.",reloadpage:strings[16]||"Reload page",sessionnotactive:strings[17]||"Session is not active",loginexpired:strings[18]||"Your login has expired. Your answers are saved on this device and will be submitted after you reload the page.",youranswer:strings[19]||"Your answer",answernotsentyet:strings[20]||"Saved on this device, not yet received by the server.",submitanswer:strings[21]||"Submit Answer",answertrue:strings[22]||"True",answerfalse:strings[23]||"False",answerplaceholder:strings[24]||"Type your answer",enteranswer:strings[25]||"Please enter an answer",answertoolong:strings[26]||"Answers can be at most 255 characters long",selectoneormore:strings[27]||"Please select one or more answers",enternumber:strings[28]||"Please enter a number",numberplaceholder:strings[29]||"Enter a number",orderinghelp:strings[30]||"Drag the items into order, or move them with the arrows.",moveup:strings[31]||"Move up",movedown:strings[32]||"Move down",wordcloudplaceholder:strings[33]||"One word or short phrase",wordcloudtoolong:strings[34]||"Answers can be at most 50 characters long",wordcloudrecorded:strings[35]||"Your answer has been added to the word cloud.",hotspothelp:strings[36]||"Tap the image where you think the answer is. Tap again to move your mark.",tapimage:strings[37]||"Please tap a point on the image",confidenceprompt:strings[38]||"How sure are you?",confidenceguessing:strings[39]||"Guessing",confidenceunsure:strings[40]||"Unsure",confidencesure:strings[41]||"Sure",rateconfidence:strings[42]||"Please say how sure you are of your answer",responselate:strings[43]||"Response recorded as late"},null})).catch((function(){self.strings={answersubmitted:"Answer submitted!",correct:"Correct!",incorrect:"Incorrect",correctanswer:"Correct Answer",waitingnextquestion:"Waiting for next question...",quizcompleted:"Quiz completed!",alreadyanswered:"You have already answered this question",selectanswer:"Please select an answer",error:"Error",offline:"Offline - responses will be saved locally",reconnecting:"Reconnecting...",connectionrestored:"Connection restored",submittingoffline:"Saving response offline...",pendingsubmissions:"Pending submissions",versionmismatch:"This quiz has been updated. Reload the page to get the latest version.",versionmismatchrequired:"This page is out of date and can no longer follow the quiz. Reload the page to continue.",reloadpage:"Reload page",sessionnotactive:"Session is not active",loginexpired:"Your login has expired. Your answers are saved on this device and will be submitted after you reload the page.",youranswer:"Your answer",answernotsentyet:"Saved on this device, not yet received by the server.",submitanswer:"Submit Answer",answertrue:"True",answerfalse:"False",answerplaceholder:"Type your answer",enteranswer:"Please enter an answer",answertoolong:"Answers can be at most 255 characters long",selectoneormore:"Please select one or more answers",enternumber:"Please enter a number",numberplaceholder:"Enter a number",orderinghelp:"Drag the items into order, or move them with the arrows.",moveup:"Move up",movedown:"Move down",wordcloudplaceholder:"One word or short phrase",wordcloudtoolong:"Answers can be at most 50 characters long",wordcloudrecorded:"Your answer has been added to the word cloud.",hotspothelp:"Tap the image where you think the answer is. Tap again to move your mark.",tapimage:"Please tap a point on the image",confidenceprompt:"How sure are you?",confidenceguessing:"Guessing",confidenceunsure:"Unsure",confidencesure:"Sure",rateconfidence:"Please say how sure you are of your answer",responselate:"Response recorded as late"}}))},setupConnectionHandlers:function(){var self=this;ConnectionManager.on("statuschange",(function(data){self.handleConnectionStatusChange(data)})),ConnectionManager.on("state_update",(function(data){self.handleStateUpdate(data)})),ConnectionManager.on("question_broadcast",(function(data){self.handleQuestionBroadcast(data)})),ConnectionManager.on("session_started",(function(data){self.handleSessionStarted(data)})),ConnectionManager.on("session_paused",(function(data){self.handleSessionPaused(data)})),ConnectionManager.on("session_resumed",(function(data){self.handleSessionResumed(data)})),ConnectionManager.on("session_completed",(function(data){self.handleSessionCompleted(data)})),ConnectionManager.on("timer_sync",(function(data){self.syncServerTime(data)})),ConnectionManager.on("reconnected",(function(){self.handleReconnected()})),ConnectionManager.on("disconnected",(function(){self.handleDisconnected()})),ConnectionManager.on("version_mismatch",(function(data){self.handleVersionMismatch(data)}))},setupEventHandlers:function(){var self=this;ClientCache.on("submitted",(function(data){self.handleCachedResponseSubmitted(data)})),ClientCache.on("background_submitted",(function(data){Str.get_string("backgroundsubmitted","mod_classengage",data.count).then((function(message){return self.showNotification("success",message),null})).catch((function(){self.showNotification("success",data.count+" saved answer(s) were submitted in the background")}))})),ClientCache.on("foreign_records",(function(data){Str.get_string("foreignrecords","mod_classengage",data.count).then((function(message){return self.showNotification("warning",message),null})).catch((function(){self.showNotification("warning",data.count+" unsent answer(s) left by another user were deleted")}))})),ClientCache.on("conflict",(function(data){String(data.sessionId)===String(self.sessionId)&&self.handleAnswerConflict(data.questionId,data.conflict)})),ClientCache.on("auth_expired",(function(){self.handleAuthExpired()})),ClientCache.on("retrying",(function(data){self.showNotification("info",self.strings.pendingsubmissions+": "+data.count)})),ClientCache.on("retryComplete",(function(data){var successCount=data.results.filter((function(r){return r.success})).length;successCount>0&&self.showNotification("success",successCount+" cached response(s) submitted")}))},setupOfflineIndicator:function(){if(0===$("#offline-indicator").length){var indicator=$('<div id="offline-indicator" class="offline-indicator" style="display: none;"><span class="offline-icon">&#9888;</span><span class="offline-text"></span><span class="pending-count"></span></div>');$("#quiz-status").after(indicator),CacheInspector.init(indicator,this.sessionId)}var self=this;window.addEventListener("online",(function(){self.handleOnlineStatusChange(!0)})),window.addEventListener("offline",(function(){self.handleOnlineStatusChange(!1)})),ClientCache.on("statschange",(function(){self.updateOfflineIndicator()})),this.isOnline=navigator.onLine,this.updateOfflineIndicator()},handleOnlineStatusChange:function(online){this.isOnline=online,this.updateOfflineIndicator(),online&&ConnectionManager.reconnect().catch((function(){}))},handleConnectionStatusChange:function(data){var status=data.status,transport=data.transport;status===ConnectionManager.STATUS.CONNECTED?(this.isOnline=!0,this.updateOfflineIndicator(),this.updateTransportIndicator(transport)):status===ConnectionManager.STATUS.RECONNECTING?this.showReconnectingIndicator():status===ConnectionManager.STATUS.DISCONNECTED&&(this.isOnline=!1,this.updateOfflineIndicator())},updateOfflineIndicator:function(){var indicator=$("#offline-indicator"),textSpan=indicator.find(".offline-text"),pendingSpan=indicator.find(".pending-count");this.isOnline?indicator.hide():(textSpan.text(this.strings.offline),indicator.removeClass("reconnecting").addClass("offline").show());var stats=ClientCache.getStats();if(stats.pending>0||stats.unsent>0){var counts=[];stats.pending>0&&counts.push(stats.pending+" pending"),stats.unsent>0&&counts.push(stats.unsent+" not sent"),pendingSpan.text(" ("+counts.join(", ")+")").show(),indicator.show()}else pendingSpan.hide()},showReconnectingIndicator:function(){var indicator=$("#offline-indicator");indicator.find(".offline-text").text(this.strings.reconnecting),indicator.removeClass("offline").addClass("reconnecting").show()},updateTransportIndicator:function(transport){var transportIndicator=$("#transport-indicator");0===transportIndicator.length&&(transportIndicator=$('<span id="transport-indicator" class="transport-indicator"></span>'),$("#quiz-status").append(transportIndicator)),transport===ConnectionManager.TRANSPORT.SSE||transport===ConnectionManager.TRANSPORT.WEBSOCKET?transportIndicator.text("Real-time").addClass("realtime"):transport===ConnectionManager.TRANSPORT.POLLING&&transportIndicator.text("Polling").removeClass("realtime")},handleStateUpdate:function(data){data.timelimit>0&&void 0!==data.timeremaining&&this.syncServerTime({timerremaining:data.timeremaining,timestamp:data.timestamp||Date.now()/1e3}),data.question&&this.updateQuestionDisplay({success:!0,status:data.status,question:data.question}),data.status===STATE_COMPLETED?this.handleSessionCompleted(data):data.status===STATE_PAUSED&&this.handleSessionPaused(data)},handleQuestionBroadcast:function(data){var question=data.question,questionId=question.id||data.questionid;questionId&&this.currentQuestionId!==questionId&&(this.currentQuestionId=questionId),questionId&&data.hasanswered&&this.markAnswered(questionId,null,!0),questionId&&this.answeredQuestions[questionId]&&(question.answered=!0),this.currentQuestion=question,this.displayQuestion(question);var timelimit=data.timelimit||question&&question.timelimit||0;timelimit>0&&!question.answered&&this.startLocalCountdown(timelimit)},handleSessionStarted:function(data){$("#quiz-status").removeClass("alert-warning").addClass("alert-info"),data.question&&(this.currentQuestion=data.question,this.displayQuestion(data.question))},handleSessionPaused:function(data){var container=$("#question-container");container.find(".submit-answer-btn").prop("disabled",!0),this.showNotification("warning","Quiz paused by instructor"),0===$(".paused-overlay").length&&container.append('<div class="paused-overlay"><span>Quiz Paused</span></div>'),this.pauseLocalCountdown(),void 0!==data.timerRemaining&&(this.pausedTimerRemaining=data.timerRemaining)},handleSessionResumed:function(data){var container=$("#question-container");container.find(".submit-answer-btn").prop("disabled",!1),container.find(".paused-overlay").remove(),this.showNotification("info","Quiz resumed"),void 0!==data.timerRemaining?this.resumeLocalCountdown(data.timerRemaining):this.resumeLocalCountdown()},handleSessionCompleted:function(data){var container=$("#question-container"),statusDiv=$("#quiz-status");statusDiv.removeClass("alert-info").addClass("alert-success");var scoreText=void 0!==data.score?" Your score: "+data.score:"";statusDiv.html(this.strings.quizcompleted+scoreText),container.html('<div class="alert alert-success"><h4>'+this.strings.quizcompleted+"</h4>"+(void 0!==data.score?"<p>Your score: "+data.score+"</p>":"")+"</div>"),this.stopPolling(),ConnectionManager.disconnect()},handleReconnected:function(){this.isOnline=!0,this.updateOfflineIndicator(),this.showNotification("success",this.strings.connectionrestored),this.reconcileAnsweredState()},restoreAnsweredState:function(){var self=this;return ClientCache.getAnswered(this.sessionId).then((function(answered){return Object.keys(answered).forEach((function(questionId){self.answeredQuestions[questionId]=!0,self.selectedAnswers[questionId]=answered[questionId]})),self.currentQuestionId&&self.answeredQuestions[self.currentQuestionId]&&$("#answer-form").replaceWith(self.renderAnsweredNotice(self.currentQuestionId)),null})).catch((function(){}))},markAnswered:function(questionId,answer,confirmed){var known=this.selectedAnswers[questionId]||{answer:null,confirmed:!1},state={answer:answer||known.answer,confirmed:confirmed||known.confirmed};this.answeredQuestions[questionId]=!0,this.selectedAnswers[questionId]&&state.answer===known.answer&&state.confirmed===known.confirmed||(this.selectedAnswers[questionId]=state,$('#question-container .answered-notice[data-questionid="'+questionId+'"]').replaceWith(this.renderAnsweredNotice(questionId)),ClientCache.saveAnswered({sessionId:this.sessionId,questionId:questionId,answer:state.answer,confirmed:state.confirmed}).catch((function(){})))},forgetAnswered:function(questionId){delete this.answeredQuestions[questionId],delete this.selectedAnswers[questionId],ClientCache.forgetAnswered(this.sessionId,questionId).catch((function(){}))},reconcileAnsweredState:function(){var self=this;return Promise.all([ConnectionManager.send("reconnect"),ClientCache.getCachedResponses()]).then((function(results){var state=results[0],questionId=state.success&&state.question?state.question.id:null;if(!questionId)return null;var queued=results[1].some((function(response){return String(response.questionId)===String(questionId)&&"submitted"!==response.status}));if(state.hasanswered){var known=self.selectedAnswers[questionId];return!queued&&known&&known.answer&&state.useranswer&&String(known.answer).toUpperCase()!==String(state.useranswer).toUpperCase()&&self.notifyAnswerConflict(questionId,"answerconflictchanged",state.useranswer,"info"),self.markAnswered(questionId,state.useranswer,!0),null}return self.answeredQuestions[questionId]&&!queued&&(self.forgetAnswered(questionId),self.currentQuestion&&String(self.currentQuestion.id)===String(questionId)&&(self.currentQuestion.answered=!1,self.displayQuestion(self.currentQuestion))),null})).catch((function(){}))},handleDisconnected:function(){this.isOnline=!1,this.updateOfflineIndicator()},handleVersionMismatch:function(data){this.showReloadBanner("quiz-version-mismatch",data.required?"alert-danger":"alert-warning",data.required?this.strings.versionmismatchrequired:this.strings.versionmismatch)},handleAuthExpired:function(){this.showReloadBanner("quiz-auth-expired","alert-warning",this.strings.loginexpired)},showReloadBanner:function(id,alertClass,message){var banner=$("#"+id);0===banner.length&&(banner=$('<div class="alert" role="alert"></div>').attr("id",id),$("#quiz-status").before(banner));var reloadButton=$('<button type="button" class="btn btn-primary btn-sm ml-2"></button>').text(this.strings.reloadpage).on("click",(function(){window.location.reload()}));banner.removeClass("alert-warning alert-danger").addClass(alertClass).empty().append($("<span></span>").text(message)).append(reloadButton)},handleCachedResponseSubmitted:function(data){this.showNotification("success","Cached response submitted: "+data.id),this.updateOfflineIndicator()},submitAnswer:function(){var self=this;if(this.currentQuestion){var renderer=QuestionRenderers.get(this.currentQuestion.type),selectedAnswer=renderer.getAnswer($("#answer-form")),invalid=renderer.validate(selectedAnswer,this.currentQuestion);if(invalid)Notification.alert(this.strings.error,this.strings[invalid]||this.strings.selectanswer);else{var confidence=QuestionRenderers.getConfidence($("#answer-form"));if(renderer.rateConfidence&&null===confidence)Notification.alert(this.strings.error,this.strings.rateconfidence);else{var questionId=this.currentQuestion.id,questionType=this.currentQuestion.type||"",clientTimestamp=Date.now();this.showOptimisticSubmission(),$(".submit-answer-btn").prop("disabled",!0),this.isOnline&&ConnectionManager.getStatus().connected?ConnectionManager.send("submitanswer",{sessionid:this.sessionId,questionid:questionId,answer:selectedAnswer,questiontype:questionType,confidence:confidence||0,clienttimestamp:clientTimestamp,deviceid:ClientCache.getDeviceId()}).then((function(response){return response.success||ErrorTaxonomy.isPermanent(response)?(self.handleSubmissionResponse(response,selectedAnswer),null):(self.submitOffline(questionId,selectedAnswer,clientTimestamp,questionType,confidence),null)})).catch((function(error){self.submitOffline(questionId,selectedAnswer,clientTimestamp,questionType,confidence),console.warn("Submission failed, cached offline:",error)})):this.submitOffline(questionId,selectedAnswer,clientTimestamp,questionType,confidence)}}}},showOptimisticSubmission:function(){var container=$("#question-container");container.addClass("submitting");var feedbackDiv=container.find(".optimistic-feedback");0===feedbackDiv.length&&(feedbackDiv=$('<div class="optimistic-feedback"><span class="spinner"></span> Submitting...</div>'),container.find(".submit-answer-btn").after(feedbackDiv)),feedbackDiv.show()},submitOffline:function(questionId,answer,clientTimestamp,questionType,confidence){var self=this;this.showNotification("info",this.strings.submittingoffline),ClientCache.storeResponse({sessionId:this.sessionId,questionId:questionId,answer:answer,questionType:questionType,confidence:confidence,clientTimestamp:clientTimestamp}).then((function(){return self.markAnswered(questionId,answer,!1),self.showOfflineSubmissionConfirmation(),self.updateOfflineIndicator(),null})).catch((function(error){console.error("Failed to cache response:",error),Notification.exception({message:"Failed to save response offline"}),$(".submit-answer-btn").prop("disabled",!1)}))},showOfflineSubmissionConfirmation:function(){var container=$("#question-container");container.removeClass("submitting"),container.find(".optimistic-feedback").remove(),container.html('<div class="alert alert-info"><h4>'+this.strings.answersubmitted+"</h4><p>"+this.strings.offline+"</p><p>"+this.strings.waitingnextquestion+"</p></div>")},handleSubmissionResponse:function(response,answer){var container=$("#question-container");if(container.removeClass("submitting"),container.find(".optimistic-feedback").remove(),response.success){this.currentQuestion&&this.currentQuestion.id&&this.markAnswered(this.currentQuestion.id,answer,!0);var question=this.currentQuestion||{};container.html(QuestionRenderers.get(question.type).renderFeedback(response,question,this.strings)),this.showVisualConfirmation(response.iscorrect),response.conflict&&this.currentQuestion&&this.handleAnswerConflict(this.currentQuestion.id,response.conflict)}else{var code=ErrorTaxonomy.getCode(response);code===ErrorTaxonomy.CODES.ANSWER_CONFLICT&&response.conflict&&this.currentQuestion?this.handleAnswerConflict(this.currentQuestion.id,response.conflict):code===ErrorTaxonomy.CODES.ALREADY_ANSWERED?(this.currentQuestion&&this.currentQuestion.id&&this.markAnswered(this.currentQuestion.id,null,!0),container.html('<div class="alert alert-info">'+this.strings.alreadyanswered+"</div>")):code===ErrorTaxonomy.CODES.SESSION_NOT_ACTIVE||code===ErrorTaxonomy.CODES.SESSION_NOT_FOUND?container.html('<div class="alert alert-warning">'+this.strings.sessionnotactive+"</div>"):(this.showNotification("error",response.error||"Error submitting answer"),$(".submit-answer-btn").prop("disabled",!1))}},handleAnswerConflict:function(questionId,conflict){var messages={rejected:"answerconflictrejected",pending:"answerconflictpending",replaced:"answerconflictreplaced"};messages[conflict.outcome]&&(this.markAnswered(questionId,conflict.answer,!0),"replaced"!==conflict.outcome&&this.currentQuestion&&String(this.currentQuestion.id)===String(questionId)&&$("#question-container").html(this.renderAnsweredNotice(questionId)),this.notifyAnswerConflict(questionId,messages[conflict.outcome],conflict.answer,"replaced"===conflict.outcome?"info":"warning"))},notifyAnswerConflict:function(questionId,key,answer,type){var self=this;Str.get_string(key,"mod_classengage",answer).then((function(message){if(!self.currentQuestion||String(self.currentQuestion.id)!==String(questionId))return self.showNotification(type,message),null;var container=$("#question-container");return container.find(".answer-conflict").remove(),container.prepend($('<div class="alert answer-conflict" role="alert"></div>').addClass("alert-"+type).attr("data-questionid",questionId).text(message)),null})).catch(Notification.exception)},showVisualConfirmation:function(isCorrect){var overlay=$('<div class="submission-confirmation '+(isCorrect?"confirmation-correct":"confirmation-incorrect")+'"><span class="confirmation-icon">'+(isCorrect?"✓":"✗")+"</span></div>");$("body").append(overlay),setTimeout((function(){overlay.addClass("fade-out"),setTimeout((function(){overlay.remove()}),300)}),500)},showNotification:function(type,message){var notificationArea=$("#quiz-notifications");0===notificationArea.length&&(notificationArea=$('<div id="quiz-notifications" class="quiz-notifications"></div>'),$("#quiz-status").before(notificationArea));var notification=$('<div class="alert '+("alert-"+("error"===type?"danger":type))+' notification-toast">'+message+"</div>");notificationArea.append(notification),setTimeout((function(){notification.fadeOut((function(){$(this).remove()}))}),3e3)},updateQuestionDisplay:function(response){var container=$("#question-container"),statusDiv=$("#quiz-status");if(!response.success||"active"!==response.status)return container.html(""),void("completed"===response.status?(statusDiv.removeClass("alert-info").addClass("alert-success"),statusDiv.html(this.strings.quizcompleted),this.stopPolling()):"paused"===response.status?statusDiv.html("Quiz is paused"):statusDiv.html(this.strings.waitingnextquestion));var question=response.question;question?(null!==this.currentQuestion&&this.currentQuestion.id===question.id||(this.currentQuestion=question,this.displayQuestion(question)),this.updateTimer(question.timeremaining),statusDiv.html("Question "+question.number+" of "+question.total)):container.html("<p>"+this.strings.waitingnextquestion+"</p>")},displayQuestion:function(question){var html='<div class="question-text mb-4">';html+="<h4>"+question.text+"</h4>",html+="</div>",$("#question-container").html(html).append(question.answered?this.renderAnsweredNotice(question.id):QuestionRenderers.renderForm(question,this.strings))},renderInitialQuestion:function(){var placeholder=$("#answer-form[data-question]");placeholder.length&&(this.currentQuestion=placeholder.data("question"),placeholder.replaceWith(QuestionRenderers.renderForm(this.currentQuestion,this.strings)))},formatAnswer:function(questionId,answer){var question=this.currentQuestion;return question&&String(question.id)===String(questionId)?QuestionRenderers.get(question.type).formatAnswer(answer,question,this.strings):String(answer)},renderAnsweredNotice:function(questionId){var state=this.selectedAnswers[questionId],notice=$('<div class="alert alert-info answered-notice"></div>').attr("data-questionid",questionId).append($('<p class="mb-0"></p>').text(this.strings.alreadyanswered)),answer=state&&state.answer?this.formatAnswer(questionId,state.answer):"";return answer&&notice.append($('<p class="mb-0"></p>').text(this.strings.youranswer+": "+answer)),state&&!state.confirmed&&notice.append($('<p class="mb-0 small text-muted"></p>').text(this.strings.answernotsentyet)),notice.prop("outerHTML")},updateTimerDisplay:function(seconds){var display=$("#timer-display");if(seconds<=0)return display.text("0:00"),void display.removeClass("warning").addClass("danger");var minutes=Math.floor(seconds/60),secs=Math.floor(seconds%60),timeStr=minutes+":"+(secs<10?"0":"")+secs;display.text(timeStr),seconds<=10?display.removeClass("warning").addClass("danger"):seconds<=30?display.removeClass("danger").addClass("warning"):display.removeClass("warning danger")},startLocalCountdown:function(seconds){var self=this;this.countdownTimer&&(clearInterval(this.countdownTimer),this.countdownTimer=null),this.timerState.serverTimeRemaining=seconds,this.timerState.clientStartTime=Date.now(),this.timerState.isRunning=!0,this.timerState.isPaused=!1,this.updateTimerDisplay(seconds),this.countdownTimer=setInterval((function(){if(self.timerState.isRunning&&!self.timerState.isPaused){var clientElapsed=(Date.now()-self.timerState.clientStartTime)/1e3,remaining=Math.max(0,self.timerState.serverTimeRemaining-clientElapsed);self.updateTimerDisplay(remaining),remaining<=0&&self.stopLocalCountdown()}}),100)},stopLocalCountdown:function(){this.countdownTimer&&(clearInterval(this.countdownTimer),this.countdownTimer=null),this.timerState.isRunning=!1},pauseLocalCountdown:function(){this.timerState.isPaused=!0;var clientElapsed=(Date.now()-this.timerState.clientStartTime)/1e3;this.timerState.serverTimeRemaining=Math.max(0,this.timerState.serverTimeRemaining-clientElapsed),this.timerState.clientStartTime=Date.now()},resumeLocalCountdown:function(seconds){void 0!==seconds&&(this.timerState.serverTimeRemaining=seconds),this.timerState.clientStartTime=Date.now(),this.timerState.isPaused=!1},syncServerTime:function(data){var serverRemaining=data.timerremaining,serverTimestamp=data.timestamp,clientElapsed=(Date.now()-this.timerState.clientStartTime)/1e3,clientRemaining=Math.max(0,this.timerState.serverTimeRemaining-clientElapsed),drift=Math.abs(serverRemaining-clientRemaining);(drift>2||!this.timerState.isRunning)&&(console.log("Timer sync: correcting drift of",drift.toFixed(1),"seconds"),this.timerState.serverTimeRemaining=serverRemaining,this.timerState.clientStartTime=Date.now(),this.timerState.serverTimestamp=serverTimestamp),this.timerState.lastSyncTime=Date.now(),!this.timerState.isRunning&&serverRemaining>0&&this.startLocalCountdown(serverRemaining)},updateTimer:function(seconds){null!=seconds&&(this.timerState.isRunning?this.syncServerTime({timerremaining:seconds,timestamp:Date.now()/1e3}):this.startLocalCountdown(seconds))},startLegacyPolling:function(pollinginterval){var self=this;this.showNotification("error",this.strings.reconnecting),this.pollingTimer||(this.pollingTimer=setTimeout((function(){self.pollingTimer=null,ConnectionManager.reconnect().catch((function(){self.startLegacyPolling(pollinginterval)}))}),Math.max(pollinginterval||0,5e3)))},getCurrentQuestion:function(){var self=this;ConnectionManager.send("getstatus",{sessionid:this.sessionId}).then((function(response){return response&&response.success&&response.session&&self.handleStateUpdate(response.session),null})).catch((function(){}))},stopPolling:function(){this.pollingTimer&&(clearInterval(this.pollingTimer),this.pollingTimer=null),this.countdownTimer&&(clearInterval(this.countdownTimer),this.countdownTimer=null)}};return{init:function(cmid,sessionid,pollinginterval){return Quiz.init(cmid,sessionid,pollinginterval)}}}));
 
 //# sourceMappingURL=quiz.min.js.map
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * Cross-tab coordination for a shared real-time connection
+ *
+ * Elects one browser tab per session as leader using the Web Locks API and
+ * links all tabs of that session with a BroadcastChannel. The leader owns
+ * the server connection and relays what it receives; the other tabs wait in
+ * line for the lock, so when the leader tab closes the next tab takes over.
+ * A SharedWorker would need its own separately served script, which AMD
+ * modules cannot provide, so the lock is used instead.
+ *
+ * @module     mod_classengage/tab_coordinator
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("mod_classengage/tab_coordinator",[],(function(){function TabCoordinator(name){this.name=name,this.channel=null,this.abortController=null,this.releaseLock=null,this.messageHandler=null,this.leader=!1,this.stopped=!1}return TabCoordinator.isSupported=function(){return"undefined"!=typeof BroadcastChannel&&"undefined"!=typeof navigator&&void 0!==navigator.locks&&"function"==typeof navigator.locks.request},TabCoordinator.prototype.start=function(onMessage,onLeader){var self=this;this.messageHandler=onMessage,this.channel=new BroadcastChannel(this.name),this.channel.onmessage=function(message){!self.stopped&&message.data&&"object"==typeof message.data&&self.messageHandler(message.data)};var lockOptions={mode:"exclusive"};"undefined"!=typeof AbortController&&(this.abortController=new AbortController,lockOptions.signal=this.abortController.signal),navigator.locks.request(this.name,lockOptions,(function(){if(self.stopped)return null;self.leader=!0,self.abortController=null;var held=new Promise((function(resolve){self.releaseLock=resolve}));return onLeader(),held})).catch((function(){}))},TabCoordinator.prototype.post=function(message){if(this.channel&&!this.stopped)try{this.channel.postMessage(message)}catch(e){console.warn("Tab coordinator could not relay message:",message.type,e)}},TabCoordinator.prototype.isLeader=function(){return this.leader},TabCoordinator.prototype.stop=function(){this.stopped=!0,this.leader=!1,this.abortController&&(this.abortController.abort(),this.abortController=null),this.releaseLock&&(this.releaseLock(),this.releaseLock=null),this.channel&&(this.channel.close(),this.channel=null)},TabCoordinator}));
+
+//# sourceMappingURL=tab_coordinator.min.js.map
\ No newline at end of file
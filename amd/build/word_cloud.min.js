@@ -0,0 +1,17 @@
+/**
+ * Live word cloud of word cloud question answers
+ *
+ * The server sends every answer as typed with how often it was given. Here
+ * they are split into words, normalised (case, accents and surrounding
+ * punctuation), stripped of stop words and merged with their plurals, so
+ * "Fun!", "fun" and "FUNS" count as one word. Each update resizes the words
+ * already shown and adds new ones at the end rather than redrawing the cloud,
+ * so it grows steadily on a projector.
+ *
+ * @module     mod_classengage/word_cloud
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("mod_classengage/word_cloud",["jquery"],(function($){var FONT_SIZE_min=1,FONT_SIZE_max=4,COLOURS=["#0f6cbf","#357a32","#c2410c","#7c3aed","#b91c1c","#0e7490","#a16207"],SEPARATORS=/[\s.,;:!?"()[\]{}<>/\\|*+=_~^#@&%$\u00a1\u00bf\u201c\u201d\u201e\u00ab\u00bb\u2026]+/,EDGES=/^['`\u2019\-\u2013\u2014]+|['`\u2019\-\u2013\u2014]+$/g,normalise=function(word){var key=String(word).toLowerCase().replace(EDGES,"");return"function"==typeof key.normalize&&(key=key.normalize("NFD").replace(/[\u0300-\u036f]/g,"")),key},aggregate=function(answers,stopWords){var skip={};(stopWords||[]).forEach((function(word){skip[normalise(word)]=!0}));var words={};return(answers||[]).forEach((function(answer){String(answer.text).split(SEPARATORS).forEach((function(typed){var key=normalise(typed);if(key&&!skip[key]){var form=typed.toLowerCase().replace(EDGES,""),word=words[key]||(words[key]={key:key,count:0,forms:{}});word.count+=answer.count,word.forms[form]=(word.forms[form]||0)+answer.count}}))})),Object.keys(words).sort((function(a,b){return b.length-a.length})).forEach((function(key){var singular=function(key,words){var candidates=[];key.length>3&&/ies$/.test(key)&&candidates.push(key.slice(0,-3)+"y"),key.length>3&&/(s|x|z|ch|sh)es$/.test(key)&&candidates.push(key.slice(0,-2)),key.length>2&&/[^s]s$/.test(key)&&candidates.push(key.slice(0,-1));for(var i=0;i<candidates.length;i++)if(words[candidates[i]])return candidates[i];return null}(key,words);singular&&(words[singular].count+=words[key].count,$.each(words[key].forms,(function(form,count){words[singular].forms[form]=(words[singular].forms[form]||0)+count})),delete words[key])})),Object.keys(words).map((function(key){var forms=words[key].forms;return{key:key,text:Object.keys(forms).sort((function(a,b){return forms[b]-forms[a]||a.length-b.length||(a<b?-1:1)}))[0],count:words[key].count}})).sort((function(a,b){return b.count-a.count||(a.key<b.key?-1:1)}))},WordCloud=function(container,stopWords){this.container=container,this.stopWords=stopWords||[],this.elements={}};return WordCloud.prototype.update=function(answers){var self=this,words=aggregate(answers,this.stopWords).slice(0,60),max=words.length?words[0].count:1,min=words.length?words[words.length-1].count:1,shown={};words.forEach((function(word){var share=max>min?(word.count-min)/(max-min):1,element=self.elements[word.key];element||(element=$('<span class="word-cloud-word d-inline-block mx-2 font-weight-bold"></span>').css("color",function(key){for(var hash=0,i=0;i<key.length;i++)hash=(31*hash+key.charCodeAt(i))%COLOURS.length;return COLOURS[hash]}(word.key)).appendTo(self.container),self.elements[word.key]=element),element.text(word.text).attr("title",word.count).css("font-size",(FONT_SIZE_min+share*(FONT_SIZE_max-FONT_SIZE_min)).toFixed(2)+"rem"),shown[word.key]=!0})),Object.keys(this.elements).forEach((function(key){shown[key]||(self.elements[key].remove(),delete self.elements[key])}))},{create:function(container,stopWords){return new WordCloud(container,stopWords)},aggregate:aggregate}}));
+
+//# sourceMappingURL=word_cloud.min.js.map
\ No newline at end of file
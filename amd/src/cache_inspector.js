@@ -0,0 +1,302 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Diagnostics panel for answers saved on this device
+ *
+ * Opened from the quiz page's offline indicator, it lists what
+ * mod_classengage/client_cache holds with each answer's status, retries and
+ * last error, so a student told an answer "didn't count" can see why. It can
+ * send the saved answers again, including those that used up their retries,
+ * and export them as JSON for a support ticket.
+ *
+ * @module     mod_classengage/cache_inspector
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define([
+    'jquery',
+    'core/templates',
+    'core/notification',
+    'core/str',
+    'mod_classengage/client_cache',
+], function ($, Templates, Notification, Str, ClientCache) {
+
+    /**
+     * Record fields included in an export
+     *
+     * The session key each record keeps for the service worker is left out:
+     * exports end up attached to tickets.
+     * @type {Array}
+     */
+    var EXPORT_FIELDS = [
+        'id',
+        'userId',
+        'deviceId',
+        'sessionId',
+        'questionId',
+        'questionType',
+        'answer',
+        'confidence',
+        'status',
+        'retryCount',
+        'nextAttempt',
+        'lastError',
+        'timestamp',
+        'clientTimestamp',
+    ];
+
+    /**
+     * Cache inspector instance
+     * @type {Object}
+     */
+    var CacheInspector = {
+        trigger: null,
+        sessionId: null,
+        isOpen: false,
+        waiting: 0, // Pending and failed responses in the last render
+
+        /**
+         * Attach the panel to the element that opens it
+         *
+         * @param {string|jQuery} trigger Element toggling the panel
+         * @param {number} sessionId Session ID, for the export file name
+         */
+        init: function (trigger, sessionId) {
+            var self = this;
+            this.trigger = $(trigger);
+            this.sessionId = sessionId;
+
+            this.trigger.attr({
+                'role': 'button',
+                'tabindex': 0,
+                'aria-controls': 'cache-inspector',
+                'aria-expanded': 'false',
+            });
+            this.trigger.on('click', function () {
+                self.toggle();
+            });
+            this.trigger.on('keydown', function (e) {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    self.toggle();
+                }
+            });
+
+            $(document).on('click', '#cache-inspector [data-action]', function () {
+                self.handleAction($(this).data('action'));
+            });
+
+            // Keep an open panel current as answers are sent or fail
+            ClientCache.on('statschange', function () {
+                if (self.isOpen) {
+                    self.render();
+                }
+            });
+        },
+
+        /**
+         * Open the panel if closed, close it if open
+         */
+        toggle: function () {
+            if (this.isOpen) {
+                this.close();
+            } else {
+                this.open();
+            }
+        },
+
+        /**
+         * Open the panel
+         *
+         * @return {Promise} Resolves when rendered
+         */
+        open: function () {
+            this.isOpen = true;
+            this.trigger.attr('aria-expanded', 'true');
+            return this.render();
+        },
+
+        /**
+         * Close the panel
+         */
+        close: function () {
+            this.isOpen = false;
+            this.trigger.attr('aria-expanded', 'false');
+            $('#cache-inspector').remove();
+        },
+
+        /**
+         * Handle a panel button
+         *
+         * @param {string} action Button action
+         */
+        handleAction: function (action) {
+            if (action === 'close') {
+                this.close();
+                this.trigger.focus();
+            } else if (action === 'retry') {
+                this.retry();
+            } else if (action === 'export') {
+                this.exportJson();
+            }
+        },
+
+        /**
+         * Render the panel after the trigger, replacing any earlier render
+         *
+         * @return {Promise} Resolves when rendered
+         */
+        render: function () {
+            var self = this;
+
+            return ClientCache.getCachedResponses().then(function (responses) {
+                return Templates.render('mod_classengage/cache_inspector', self.buildContext(responses))
+                    .then(function (html, js) {
+                        if (!self.isOpen) {
+                            return null;
+                        }
+                        $('#cache-inspector').remove();
+                        self.trigger.after(html);
+                        Templates.runTemplateJS(js);
+                        return null;
+                    });
+            }).catch(Notification.exception);
+        },
+
+        /**
+         * Build the template context
+         *
+         * @param {Array} responses Cached responses
+         * @return {Object} Template context
+         * @private
+         */
+        buildContext: function (responses) {
+            this.waiting = responses.filter(function (response) {
+                return response.status === 'pending' || response.status === 'failed';
+            }).length;
+
+            return {
+                stats: ClientCache.getStats(),
+                online: navigator.onLine,
+                canretry: this.waiting > 0,
+                hasresponses: responses.length > 0,
+                responses: responses.map(function (response) {
+                    return {
+                        id: response.id,
+                        questionid: response.questionId,
+                        answer: typeof response.answer === 'object' ? JSON.stringify(response.answer) : response.answer,
+                        pending: response.status === 'pending',
+                        failed: response.status === 'failed',
+                        submitted: response.status === 'submitted',
+                        retrycount: response.retryCount,
+                        lasterror: response.lastError || '',
+                        saved: new Date(response.timestamp).toLocaleString(),
+                    };
+                }),
+            };
+        },
+
+        /**
+         * Send all saved answers now, giving failed ones a fresh set of retries
+         *
+         * @return {Promise} Resolves when the attempt completes
+         */
+        retry: function () {
+            var self = this;
+
+            Str.get_string('retryingsaved', 'mod_classengage', this.waiting).then(function (message) {
+                Notification.addNotification({ message: message, type: 'info' });
+                return null;
+            }).catch(Notification.exception);
+
+            return ClientCache.requeueFailed().then(function () {
+                return ClientCache.retryPendingResponses();
+            }).then(function () {
+                return self.isOpen ? self.render() : null;
+            }).catch(Notification.exception);
+        },
+
+        /**
+         * Download the saved answers and cache statistics as JSON
+         *
+         * @return {Promise} Resolves when the download starts
+         */
+        exportJson: function () {
+            var self = this;
+
+            return ClientCache.getCachedResponses().then(function (responses) {
+                var report = {
+                    exported: new Date().toISOString(),
+                    sessionid: self.sessionId,
+                    online: navigator.onLine,
+                    useragent: navigator.userAgent,
+                    stats: ClientCache.getStats(),
+                    responses: responses.map(function (response) {
+                        var record = {};
+                        EXPORT_FIELDS.forEach(function (field) {
+                            record[field] = response[field] === undefined ? null : response[field];
+                        });
+                        return record;
+                    }),
+                };
+
+                self.download('classengage-cache-' + self.sessionId + '-' + Date.now() + '.json',
+                    JSON.stringify(report, null, 2));
+                return null;
+            }).catch(Notification.exception);
+        },
+
+        /**
+         * Save text as a file through a temporary link
+         *
+         * @param {string} filename File name
+         * @param {string} content File content
+         * @private
+         */
+        download: function (filename, content) {
+            var url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+            var link = $('<a></a>').attr({ href: url, download: filename }).appendTo('body');
+
+            link[0].click();
+            link.remove();
+            setTimeout(function () {
+                URL.revokeObjectURL(url);
+            }, 0);
+        },
+    };
+
+    return {
+        /**
+         * Attach the panel to the element that opens it
+         *
+         * @param {string|jQuery} trigger Element toggling the panel
+         * @param {number} sessionId Session ID, for the export file name
+         */
+        init: function (trigger, sessionId) {
+            CacheInspector.init(trigger, sessionId);
+        },
+
+        /**
+         * Open the panel
+         *
+         * @return {Promise} Resolves when rendered
+         */
+        open: function () {
+            return CacheInspector.open();
+        },
+    };
+});
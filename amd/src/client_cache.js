@@ -19,6 +19,10 @@
  * Provides IndexedDB-based storage for pending quiz responses during network
  * interruptions. Automatically retries submission when connectivity is restored.
  *
+ * Responses are encrypted at rest with a key derived for the student and
+ * session, submitted in batches with backoff, and handed to the service worker
+ * for Background Sync where the browser supports it.
+ *
  * Requirements: 4.1, 4.2, 4.3, 4.5
  *
  * @module     mod_classengage/client_cache
@@ -26,7 +30,7 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
-define(['jquery'], function($) {
+define(['jquery', 'mod_classengage/error_taxonomy'], function($, ErrorTaxonomy) {
 
     /**
      * Database configuration
@@ -34,18 +38,111 @@ define(['jquery'], function($) {
      */
     var DB_CONFIG = {
         name: 'classengage_cache',
-        version: 1,
         storeName: 'pending_responses',
+        answeredStoreName: 'answered_questions',
     };
 
+    /**
+     * Schema migrations, in version order
+     *
+     * A browser whose store is at an earlier version runs every later step in
+     * turn. upgrade(db, transaction) changes stores and indexes; the optional
+     * transform(record) rewrites each existing record, returning it, or null
+     * to delete it. Existing steps must never change: add a new version.
+     *
+     * @type {Array}
+     */
+    var MIGRATIONS = [
+        {
+            version: 1,
+            upgrade: function(db) {
+                var store = db.createObjectStore(DB_CONFIG.storeName, {keyPath: 'id'});
+                store.createIndex('sessionId', 'sessionId', {unique: false});
+                store.createIndex('timestamp', 'timestamp', {unique: false});
+                store.createIndex('status', 'status', {unique: false});
+            },
+        },
+        {
+            version: 2,
+            upgrade: function(db, transaction) {
+                transaction.objectStore(DB_CONFIG.storeName).createIndex('userId', 'userId', {unique: false});
+            },
+            transform: function(record) {
+                // Fields version 1 records gained over time without a version change
+                if (record.nextAttempt === undefined) {
+                    record.nextAttempt = 0;
+                }
+                if (record.userId === undefined) {
+                    record.userId = null;
+                }
+                return record;
+            },
+        },
+        {
+            version: 3,
+            upgrade: function(db) {
+                var store = db.createObjectStore(DB_CONFIG.answeredStoreName, {keyPath: 'id'});
+                store.createIndex('sessionId', 'sessionId', {unique: false});
+            },
+        },
+    ];
+
+    /**
+     * Schema version this script works with: that of the last migration
+     * @type {number}
+     */
+    var DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    /**
+     * Background Sync tag handled by service_worker.js
+     * @type {string}
+     */
+    var SYNC_TAG = 'classengage-pending-responses';
+
+    /**
+     * Web Lock held while pending responses are submitted, shared with service_worker.js
+     * @type {string}
+     */
+    var FLUSH_LOCK = 'classengage-flush-pending';
+
+    /**
+     * Path of the background delivery service worker, relative to wwwroot
+     * @type {string}
+     */
+    var SERVICE_WORKER_PATH = '/mod/classengage/service_worker.js';
+
+    /**
+     * Record fields encrypted at rest; the others stay readable for indexes and scheduling
+     * @type {Array}
+     */
+    var SEALED_FIELDS = ['questionId', 'questionType', 'answer', 'confidence', 'clientTimestamp', 'sesskey'];
+
+    /**
+     * localStorage key of this browser's device ID
+     * @type {string}
+     */
+    var DEVICE_ID_KEY = 'mod_classengage/deviceid';
+
+    /**
+     * HKDF salt for record keys, shared with service_worker.js
+     * @type {string}
+     */
+    var KEY_SALT = 'mod_classengage/client_cache';
+
     /**
      * Default configuration options
      * @type {Object}
      */
     var DEFAULTS = {
         maxRetries: 5,
-        retryDelay: 1000,
+        retryDelay: 1000, // Delay before the first retry, doubled for each further one
+        maxRetryDelay: 60000, // Max delay between retries
         maxCacheAge: 3600000, // 1 hour in milliseconds
+        batchSize: 20, // Responses per submitbatch request (the server accepts up to 50)
+        flushJitter: 5000, // Max random delay in milliseconds before flushing pending responses
+        userId: null, // Moodle user whose records this page may read and submit
+        sessionId: null, // Session the key material belongs to
+        keyMaterial: '', // Server-issued secret the record key is derived from
     };
 
     /**
@@ -57,6 +154,13 @@ define(['jquery'], function($) {
         this.options = $.extend({}, DEFAULTS);
         this.isInitialized = false;
         this.connectionManager = null;
+        this.flushing = null;
+        this.serviceWorker = null;
+        this.retryTimer = null;
+        this.onlineListener = null;
+        this.authExpired = false;
+        this.keys = {};
+        this.deviceId = null;
 
         // Statistics tracking
         this.stats = {
@@ -64,6 +168,7 @@ define(['jquery'], function($) {
             submitted: 0,
             failed: 0,
             pending: 0,
+            unsent: 0, // Failed responses still in the cache
         };
 
         // Event handlers
@@ -80,50 +185,118 @@ define(['jquery'], function($) {
         var self = this;
 
         this.options = $.extend({}, DEFAULTS, options || {});
+        this.keys = {};
+
+        // Answers only go to disk encrypted
+        if (!this.isIndexedDBSupported() || !this.isCryptoSupported() || !this.options.keyMaterial) {
+            // Fallback to in-memory storage
+            this.useMemoryFallback();
+            this.isInitialized = true;
+            this.watchOnline();
+            return Promise.resolve();
+        }
 
-        // eslint-disable-next-line no-unused-vars
-        return new Promise(function(resolve, reject) {
-            // Check IndexedDB support
-            if (!self.isIndexedDBSupported()) {
-                // Fallback to in-memory storage
-                self.useMemoryFallback();
-                self.isInitialized = true;
-                resolve();
-                return;
-            }
+        return this.setSessionKey(this.options.sessionId, this.options.keyMaterial).then(function() {
+            return self.openDatabase();
+        }).then(function(db) {
+            self.db = db;
+            self.isInitialized = true;
+            self.updatePendingCount();
+            self.registerServiceWorker();
+            self.watchOnline();
+            return null;
+        }).catch(function(error) {
+            // Fallback to in-memory storage on error
+            // eslint-disable-next-line no-console
+            console.warn('Offline store unavailable, using memory fallback:', error);
+            self.useMemoryFallback();
+            self.isInitialized = true;
+            self.watchOnline();
+        });
+    };
 
-            var request = indexedDB.open(DB_CONFIG.name, DB_CONFIG.version);
+    /**
+     * Open the offline store, migrating it to the current schema version
+     *
+     * Rejects if a migration fails, leaving the store at its earlier version.
+     *
+     * @return {Promise<IDBDatabase>} Resolves with the open database
+     */
+    ClientCache.prototype.openDatabase = function() {
+        var self = this;
 
-            request.onerror = function(event) {
-                // Fallback to in-memory storage on error
-                // eslint-disable-next-line no-console
-                console.warn('IndexedDB error, using memory fallback:', event);
-                self.useMemoryFallback();
-                self.isInitialized = true;
-                resolve();
-            };
+        return new Promise(function(resolve, reject) {
+            var request = indexedDB.open(DB_CONFIG.name, DB_VERSION);
 
-            request.onsuccess = function(event) {
-                self.db = event.target.result;
-                self.isInitialized = true;
-                self.updatePendingCount();
-                resolve();
+            request.onupgradeneeded = function(event) {
+                self.migrate(event.target.result, event.target.transaction, event.oldVersion);
             };
 
-            request.onupgradeneeded = function(event) {
+            request.onsuccess = function(event) {
                 var db = event.target.result;
 
-                // Create object store for pending responses
-                if (!db.objectStoreNames.contains(DB_CONFIG.storeName)) {
-                    var store = db.createObjectStore(DB_CONFIG.storeName, {keyPath: 'id'});
-                    store.createIndex('sessionId', 'sessionId', {unique: false});
-                    store.createIndex('timestamp', 'timestamp', {unique: false});
-                    store.createIndex('status', 'status', {unique: false});
-                }
+                // Make way for a newer page upgrading the store; this one carries on in memory
+                db.onversionchange = function() {
+                    db.close();
+                    if (self.db === db) {
+                        self.useMemoryFallback();
+                    }
+                };
+                resolve(db);
+            };
+
+            request.onerror = function() {
+                reject(request.error || new Error('Failed to open offline store'));
             };
         });
     };
 
+    /**
+     * Upgrade the offline store from an earlier schema version
+     *
+     * Applies the schema changes of every later migration in order, then
+     * passes each existing record once through their transforms, in order.
+     *
+     * @param {IDBDatabase} db Database being upgraded
+     * @param {IDBTransaction} transaction Version change transaction
+     * @param {number} oldVersion Version the store was at, 0 if it is new
+     * @private
+     */
+    ClientCache.prototype.migrate = function(db, transaction, oldVersion) {
+        var steps = MIGRATIONS.filter(function(step) {
+            return step.version > oldVersion;
+        });
+
+        steps.forEach(function(step) {
+            step.upgrade(db, transaction);
+        });
+
+        var transforms = steps.filter(function(step) {
+            return typeof step.transform === 'function';
+        });
+        if (oldVersion === 0 || !transforms.length) {
+            return;
+        }
+
+        transaction.objectStore(DB_CONFIG.storeName).openCursor().onsuccess = function(event) {
+            var cursor = event.target.result;
+            if (!cursor) {
+                return;
+            }
+
+            var record = transforms.reduce(function(current, step) {
+                return current ? step.transform(current) : null;
+            }, cursor.value);
+
+            if (record) {
+                cursor.update(record);
+            } else {
+                cursor.delete();
+            }
+            cursor.continue();
+        };
+    };
+
     /**
      * Check if IndexedDB is supported
      *
@@ -133,6 +306,393 @@ define(['jquery'], function($) {
         return typeof indexedDB !== 'undefined';
     };
 
+    /**
+     * Check if WebCrypto is available to encrypt records
+     *
+     * @return {boolean} True if supported
+     */
+    ClientCache.prototype.isCryptoSupported = function() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle && typeof TextEncoder !== 'undefined';
+    };
+
+    /**
+     * Derive the key that encrypts a session's records
+     *
+     * The key material is issued per student and session, so another user of
+     * the same computer cannot read the records. Without WebCrypto or key
+     * material, answers are only kept in memory.
+     *
+     * @param {number} sessionId Session ID
+     * @param {string} keyMaterial Key material the server handed out for the session
+     * @return {Promise<CryptoKey>} Resolves with the non-extractable AES-GCM key
+     */
+    ClientCache.prototype.setSessionKey = function(sessionId, keyMaterial) {
+        var encoder = new TextEncoder();
+
+        this.keys[sessionId] = crypto.subtle.importKey('raw', encoder.encode(keyMaterial), 'HKDF', false, ['deriveKey'])
+            .then(function(baseKey) {
+                return crypto.subtle.deriveKey({
+                    name: 'HKDF',
+                    hash: 'SHA-256',
+                    salt: encoder.encode(KEY_SALT),
+                    info: encoder.encode(String(sessionId)),
+                }, baseKey, {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+            });
+
+        return this.keys[sessionId];
+    };
+
+    /**
+     * Encrypt the answer fields of a record before it is written
+     *
+     * @param {Object} record Readable record
+     * @return {Promise<Object>} Resolves with the record to store
+     * @private
+     */
+    ClientCache.prototype.sealRecord = function(record) {
+        var key = this.keys[record.sessionId];
+        if (!key) {
+            return Promise.reject(new Error('No cache key for session ' + record.sessionId));
+        }
+
+        var stored = {};
+        var secret = {};
+        Object.keys(record).forEach(function(field) {
+            if (SEALED_FIELDS.indexOf(field) !== -1) {
+                secret[field] = record[field];
+            } else {
+                stored[field] = record[field];
+            }
+        });
+
+        var iv = crypto.getRandomValues(new Uint8Array(12));
+
+        return key.then(function(cryptoKey) {
+            return crypto.subtle.encrypt({name: 'AES-GCM', iv: iv}, cryptoKey,
+                new TextEncoder().encode(JSON.stringify(secret)));
+        }).then(function(data) {
+            stored.sealed = {iv: iv, data: data};
+            return stored;
+        });
+    };
+
+    /**
+     * Check if a stored record belongs to another user
+     *
+     * Records carry the Moodle user ID, and only the current user's are ever
+     * submitted.
+     *
+     * @param {Object} record Stored record
+     * @return {boolean} True if foreign
+     * @private
+     */
+    ClientCache.prototype.isForeign = function(record) {
+        if (!this.options.userId) {
+            return false;
+        }
+        if (record.userId !== undefined && record.userId !== null) {
+            return String(record.userId) !== String(this.options.userId);
+        }
+        // Stored before records carried a user: only decrypting one shows it is ours
+        return !record.sealed;
+    };
+
+    /**
+     * Decrypt stored records, purging foreign ones and those that no longer decrypt
+     *
+     * Records of sessions without a key are left out and left alone. Purged
+     * answered-question records are not reported: nothing unsent is lost.
+     *
+     * @param {Array} records Stored records
+     * @param {string} storeName Store they were read from, pending responses by default
+     * @return {Promise<Array>} Resolves with the readable records
+     * @private
+     */
+    ClientCache.prototype.openRecords = function(records, storeName) {
+        var self = this;
+        var unreadable = [];
+        var foreign = [];
+        var stale = [];
+
+        storeName = storeName || DB_CONFIG.storeName;
+        var report = storeName === DB_CONFIG.storeName;
+
+        return Promise.all(records.map(function(record) {
+            if (self.isForeign(record)) {
+                foreign.push(record.id);
+                return null;
+            }
+
+            if (!record.sealed) {
+                // Stored before records were encrypted
+                return record;
+            }
+
+            var key = self.keys[record.sessionId];
+            if (!key) {
+                return null;
+            }
+
+            return key.then(function(cryptoKey) {
+                return crypto.subtle.decrypt({name: 'AES-GCM', iv: record.sealed.iv}, cryptoKey, record.sealed.data)
+                    .then(function(plain) {
+                        var opened = $.extend({}, record, JSON.parse(new TextDecoder().decode(plain)));
+                        delete opened.sealed;
+                        if (self.hasClearSealedFields(record)) {
+                            stale.push(opened);
+                        }
+                        return opened;
+                    }, function() {
+                        // Encrypted for someone else, or under a rotated secret
+                        unreadable.push(record.id);
+                        return null;
+                    });
+            });
+        })).then(function(opened) {
+            if (foreign.length) {
+                self.purgeRecords(foreign, report ? 'foreign_records' : null, storeName);
+            }
+            if (unreadable.length) {
+                self.purgeRecords(unreadable, report ? 'purged' : null, storeName);
+            }
+            if (stale.length) {
+                self.resealRecords(stale, storeName);
+            }
+            return opened.filter(function(record) {
+                return record !== null;
+            });
+        });
+    };
+
+    /**
+     * Check if a sealed record still holds fields in clear that are now sealed
+     *
+     * @param {Object} record Stored record
+     * @return {boolean} True if it was sealed before some of its fields were
+     * @private
+     */
+    ClientCache.prototype.hasClearSealedFields = function(record) {
+        return SEALED_FIELDS.some(function(field) {
+            return Object.prototype.hasOwnProperty.call(record, field);
+        });
+    };
+
+    /**
+     * Seal records again so that fields sealed since they were written are encrypted
+     *
+     * Migrates records written before confidence, question type and the
+     * session key were sealed. Schema migrations cannot do it, as an upgrade transaction
+     * cannot wait for the session key, so it is done when they are opened.
+     *
+     * @param {Array} records Readable records
+     * @param {string} storeName Store holding them
+     * @return {Promise} Resolves once they are written
+     * @private
+     */
+    ClientCache.prototype.resealRecords = function(records, storeName) {
+        var self = this;
+
+        return Promise.all(records.map(function(record) {
+            return self.sealRecord(record);
+        })).then(function(sealedRecords) {
+            return new Promise(function(resolve, reject) {
+                var transaction = self.db.transaction([storeName], 'readwrite');
+                var store = transaction.objectStore(storeName);
+                sealedRecords.forEach(function(sealedRecord) {
+                    // Keep status changes made while sealing, only the sealed fields are replaced
+                    store.get(sealedRecord.id).onsuccess = function(event) {
+                        var current = event.target.result;
+                        if (!current || !self.hasClearSealedFields(current)) {
+                            return;
+                        }
+                        SEALED_FIELDS.forEach(function(field) {
+                            delete current[field];
+                        });
+                        current.sealed = sealedRecord.sealed;
+                        store.put(current);
+                    };
+                });
+                transaction.oncomplete = resolve;
+                transaction.onerror = function() {
+                    reject(new Error('Failed to reseal records'));
+                };
+            });
+        }).catch(function(error) {
+            // Still readable, so retried when next opened
+            // eslint-disable-next-line no-console
+            console.warn('Could not reseal cached records:', error);
+        });
+    };
+
+    /**
+     * Delete records this page must not submit
+     *
+     * @param {Array} ids Record IDs
+     * @param {string|null} event Event emitted once deleted: 'purged', 'foreign_records' or none
+     * @param {string} storeName Store holding them, pending responses by default
+     * @private
+     */
+    ClientCache.prototype.purgeRecords = function(ids, event, storeName) {
+        var self = this;
+        storeName = storeName || DB_CONFIG.storeName;
+        var transaction = this.db.transaction([storeName], 'readwrite');
+        var store = transaction.objectStore(storeName);
+
+        ids.forEach(function(id) {
+            store.delete(id);
+        });
+
+        transaction.oncomplete = function() {
+            if (event) {
+                self.emit(event, {count: ids.length, ids: ids});
+            }
+        };
+    };
+
+    /**
+     * Delete every record another user left in the cache
+     *
+     * Covers delivered and failed records as well as pending ones. Emits
+     * 'foreign_records' with their count.
+     *
+     * @return {Promise<number>} Resolves with the number of records deleted
+     */
+    ClientCache.prototype.checkForeignRecords = function() {
+        var self = this;
+
+        if (!this.isInitialized || !this.db) {
+            return Promise.resolve(0);
+        }
+
+        return new Promise(function(resolve, reject) {
+            var transaction = self.db.transaction([DB_CONFIG.storeName], 'readwrite');
+            var request = transaction.objectStore(DB_CONFIG.storeName).openCursor();
+            var ids = [];
+
+            request.onsuccess = function(event) {
+                var cursor = event.target.result;
+                if (cursor) {
+                    if (self.isForeign(cursor.value)) {
+                        ids.push(cursor.value.id);
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = function() {
+                if (ids.length) {
+                    self.updatePendingCount();
+                    self.emit('foreign_records', {count: ids.length, ids: ids});
+                }
+                resolve(ids.length);
+            };
+
+            transaction.onerror = function() {
+                reject(new Error('Failed to check for foreign records'));
+            };
+        });
+    };
+
+    /**
+     * Register the service worker that delivers answers in the background
+     *
+     * Only useful with IndexedDB, which the worker reads; skipped where
+     * Background Sync is not supported.
+     *
+     * @private
+     */
+    ClientCache.prototype.registerServiceWorker = function() {
+        var self = this;
+
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) ||
+                typeof window === 'undefined' || !('SyncManager' in window)) {
+            return;
+        }
+
+        this.serviceWorker = navigator.serviceWorker.register(M.cfg.wwwroot + SERVICE_WORKER_PATH, {
+            scope: M.cfg.wwwroot + '/mod/classengage/',
+        }).then(function() {
+            return navigator.serviceWorker.ready;
+        }).catch(function(error) {
+            // eslint-disable-next-line no-console
+            console.warn('Background delivery unavailable:', error);
+            return null;
+        });
+
+        navigator.serviceWorker.addEventListener('message', function(event) {
+            if (event.data && event.data.type === SYNC_TAG) {
+                self.checkBackgroundDeliveries();
+            }
+        });
+    };
+
+    /**
+     * Ask the browser to deliver pending responses once it is online
+     *
+     * @private
+     */
+    ClientCache.prototype.requestBackgroundSync = function() {
+        if (!this.serviceWorker) {
+            return;
+        }
+
+        this.serviceWorker.then(function(registration) {
+            return registration ? registration.sync.register(SYNC_TAG) : null;
+        }).catch(function() {
+            // The page still retries on reconnect
+        });
+    };
+
+    /**
+     * Report responses the service worker delivered while no page was open
+     *
+     * Emits 'background_submitted' with their count and removes them.
+     *
+     * @return {Promise<number>} Resolves with the number of responses reported
+     */
+    ClientCache.prototype.checkBackgroundDeliveries = function() {
+        var self = this;
+
+        if (!this.isInitialized || !this.db) {
+            return Promise.resolve(0);
+        }
+
+        return new Promise(function(resolve, reject) {
+            var transaction = self.db.transaction([DB_CONFIG.storeName], 'readwrite');
+            var store = transaction.objectStore(DB_CONFIG.storeName);
+            var request = store.index('status').openCursor('submitted');
+            var delivered = [];
+
+            request.onsuccess = function(event) {
+                var cursor = event.target.result;
+                if (cursor) {
+                    if (cursor.value.background) {
+                        delivered.push({
+                            id: cursor.value.id,
+                            sessionId: cursor.value.sessionId,
+                        });
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = function() {
+                if (delivered.length) {
+                    self.stats.submitted += delivered.length;
+                    self.updatePendingCount();
+                    self.emit('background_submitted', {count: delivered.length, responses: delivered});
+                }
+                resolve(delivered.length);
+            };
+
+            transaction.onerror = function() {
+                reject(new Error('Failed to read background deliveries'));
+            };
+        });
+    };
+
     /**
      * Use in-memory fallback when IndexedDB is not available
      *
@@ -140,9 +700,46 @@ define(['jquery'], function($) {
      */
     ClientCache.prototype.useMemoryFallback = function() {
         this.memoryStore = [];
+        this.answeredMemory = {};
         this.db = null;
     };
 
+    /**
+     * Get the random ID of this browser, creating it on first use
+     *
+     * It is sent with every answer and stored on each record for the service
+     * worker. The server settles an answer that differs from one given on
+     * another device by the conflict policy, reported as a 'conflict' event.
+     * Without localStorage the ID lasts as long as the page.
+     *
+     * @return {string} Device ID of letters and digits
+     */
+    ClientCache.prototype.getDeviceId = function() {
+        if (this.deviceId) {
+            return this.deviceId;
+        }
+
+        try {
+            this.deviceId = window.localStorage.getItem(DEVICE_ID_KEY);
+        } catch (e) {
+            this.deviceId = null;
+        }
+
+        if (!this.deviceId) {
+            var bytes = crypto.getRandomValues(new Uint8Array(16));
+            this.deviceId = Array.prototype.map.call(bytes, function(byte) {
+                return ('0' + byte.toString(16)).slice(-2);
+            }).join('');
+            try {
+                window.localStorage.setItem(DEVICE_ID_KEY, this.deviceId);
+            } catch (e) {
+                // Kept for this page only
+            }
+        }
+
+        return this.deviceId;
+    };
+
     /**
      * Generate a unique ID for a response
      *
@@ -164,14 +761,21 @@ define(['jquery'], function($) {
 
         var pendingResponse = {
             id: this.generateId(),
+            userId: this.options.userId,
+            deviceId: this.getDeviceId(),
             sessionId: response.sessionId,
             questionId: response.questionId,
+            questionType: response.questionType || '',
             answer: response.answer,
+            confidence: response.confidence || null,
             timestamp: Date.now(),
             clientTimestamp: response.clientTimestamp || Date.now(),
             retryCount: 0,
+            nextAttempt: 0, // Time of the next automatic retry, 0 when due now
             status: 'pending',
             lastError: null,
+            // Lets the service worker submit the response without the page, sealed like the answer
+            sesskey: M.cfg.sesskey,
         };
 
         return new Promise(function(resolve, reject) {
@@ -186,34 +790,275 @@ define(['jquery'], function($) {
                 self.stats.stored++;
                 self.stats.pending++;
                 self.emit('stored', pendingResponse);
+                self.scheduleRetry();
                 resolve(pendingResponse);
                 return;
             }
 
+            self.sealRecord(pendingResponse).then(function(sealedResponse) {
+                var transaction = self.db.transaction([DB_CONFIG.storeName], 'readwrite');
+                var store = transaction.objectStore(DB_CONFIG.storeName);
+                var request = store.add(sealedResponse);
+
+                request.onsuccess = function() {
+                    self.stats.stored++;
+                    self.stats.pending++;
+                    self.emit('stored', pendingResponse);
+                    self.requestBackgroundSync();
+                    self.scheduleRetry();
+                    resolve(pendingResponse);
+                };
+
+                request.onerror = function() {
+                    reject(new Error('Failed to store response'));
+                };
+                return null;
+            }).catch(reject);
+        });
+    };
+
+    /**
+     * Get all pending responses
+     *
+     * @return {Promise<Array>} Resolves with array of pending responses
+     */
+    ClientCache.prototype.getPendingResponses = function() {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            if (!self.isInitialized) {
+                reject(new Error('Cache not initialized'));
+                return;
+            }
+
+            if (self.memoryStore) {
+                // Memory fallback
+                var pending = self.memoryStore.filter(function(r) {
+                    return r.status === 'pending';
+                });
+                resolve(pending);
+                return;
+            }
+
+            var transaction = self.db.transaction([DB_CONFIG.storeName], 'readonly');
+            var store = transaction.objectStore(DB_CONFIG.storeName);
+            var index = store.index('status');
+            var request = index.getAll('pending');
+
+            request.onsuccess = function(event) {
+                resolve(self.openRecords(event.target.result || []));
+            };
+
+            request.onerror = function() {
+                reject(new Error('Failed to get pending responses'));
+            };
+        });
+    };
+
+    /**
+     * Get every cached response, including failed ones
+     *
+     * @return {Promise<Array>} Resolves with the readable responses, oldest first
+     */
+    ClientCache.prototype.getCachedResponses = function() {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            if (!self.isInitialized) {
+                reject(new Error('Cache not initialized'));
+                return;
+            }
+
+            if (self.memoryStore) {
+                // Memory fallback
+                resolve(self.memoryStore.slice().sort(function(a, b) {
+                    return a.timestamp - b.timestamp;
+                }));
+                return;
+            }
+
+            var transaction = self.db.transaction([DB_CONFIG.storeName], 'readonly');
+            var store = transaction.objectStore(DB_CONFIG.storeName);
+            var request = store.index('timestamp').getAll();
+
+            request.onsuccess = function(event) {
+                resolve(self.openRecords(event.target.result || []));
+            };
+
+            request.onerror = function() {
+                reject(new Error('Failed to get cached responses'));
+            };
+        });
+    };
+
+    /**
+     * Return failed responses to pending with a fresh set of retries
+     *
+     * @return {Promise<number>} Resolves with the number requeued
+     */
+    ClientCache.prototype.requeueFailed = function() {
+        var self = this;
+
+        var requeue = function(record) {
+            record.status = 'pending';
+            record.retryCount = 0;
+            record.nextAttempt = 0;
+            return record;
+        };
+
+        return new Promise(function(resolve, reject) {
+            if (!self.isInitialized) {
+                reject(new Error('Cache not initialized'));
+                return;
+            }
+
+            if (self.memoryStore) {
+                // Memory fallback
+                var failed = self.memoryStore.filter(function(r) {
+                    return r.status === 'failed';
+                });
+                failed.forEach(requeue);
+                self.updatePendingCount();
+                resolve(failed.length);
+                return;
+            }
+
+            var count = 0;
             var transaction = self.db.transaction([DB_CONFIG.storeName], 'readwrite');
             var store = transaction.objectStore(DB_CONFIG.storeName);
-            var request = store.add(pendingResponse);
+            var request = store.index('status').openCursor(IDBKeyRange.only('failed'));
+
+            request.onsuccess = function(event) {
+                var cursor = event.target.result;
+                if (cursor) {
+                    cursor.update(requeue(cursor.value));
+                    count++;
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = function() {
+                self.updatePendingCount();
+                resolve(count);
+            };
+
+            transaction.onerror = function() {
+                reject(new Error('Failed to requeue responses'));
+            };
+        });
+    };
+
+    /**
+     * Remember that a question was answered in this browser
+     *
+     * Kept encrypted in a store of its own, whether or not the server has
+     * confirmed the answer yet, so a reloaded page does not offer the question
+     * again. Replaces what was remembered for the question before.
+     *
+     * @param {Object} answered Answered question
+     * @param {number} answered.sessionId Session ID
+     * @param {number} answered.questionId Question ID
+     * @param {string|null} answered.answer Option chosen, null if not known
+     * @param {boolean} answered.confirmed Whether the server has recorded the answer
+     * @return {Promise} Resolves when saved
+     */
+    ClientCache.prototype.saveAnswered = function(answered) {
+        var self = this;
+
+        var record = {
+            id: answered.sessionId + ':' + answered.questionId,
+            userId: this.options.userId,
+            sessionId: answered.sessionId,
+            questionId: answered.questionId,
+            answer: answered.answer,
+            confirmed: !!answered.confirmed,
+            timestamp: Date.now(),
+        };
+
+        return new Promise(function(resolve, reject) {
+            if (!self.isInitialized) {
+                reject(new Error('Cache not initialized'));
+                return;
+            }
+
+            if (self.memoryStore) {
+                // Memory fallback
+                self.answeredMemory[record.id] = record;
+                resolve();
+                return;
+            }
+
+            self.sealRecord(record).then(function(sealedRecord) {
+                var transaction = self.db.transaction([DB_CONFIG.answeredStoreName], 'readwrite');
+                transaction.objectStore(DB_CONFIG.answeredStoreName).put(sealedRecord);
+
+                transaction.oncomplete = function() {
+                    resolve();
+                };
+
+                transaction.onerror = function() {
+                    reject(new Error('Failed to save answered question'));
+                };
+                return null;
+            }).catch(reject);
+        });
+    };
+
+    /**
+     * Get the questions of a session answered in this browser
+     *
+     * @param {number} sessionId Session ID
+     * @return {Promise<Object>} Resolves with {answer, confirmed} keyed by question ID
+     */
+    ClientCache.prototype.getAnswered = function(sessionId) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            if (!self.isInitialized) {
+                reject(new Error('Cache not initialized'));
+                return;
+            }
+
+            if (self.memoryStore) {
+                // Memory fallback
+                resolve(Object.keys(self.answeredMemory).map(function(id) {
+                    return self.answeredMemory[id];
+                }).filter(function(record) {
+                    return record.sessionId === sessionId;
+                }));
+                return;
+            }
 
-            request.onsuccess = function() {
-                self.stats.stored++;
-                self.stats.pending++;
-                self.emit('stored', pendingResponse);
-                resolve(pendingResponse);
+            var transaction = self.db.transaction([DB_CONFIG.answeredStoreName], 'readonly');
+            var store = transaction.objectStore(DB_CONFIG.answeredStoreName);
+            var request = store.index('sessionId').getAll(sessionId);
+
+            request.onsuccess = function(event) {
+                resolve(self.openRecords(event.target.result || [], DB_CONFIG.answeredStoreName));
             };
 
             request.onerror = function() {
-                reject(new Error('Failed to store response'));
+                reject(new Error('Failed to get answered questions'));
             };
+        }).then(function(records) {
+            var answered = {};
+            records.forEach(function(record) {
+                answered[record.questionId] = {answer: record.answer, confirmed: record.confirmed};
+            });
+            return answered;
         });
     };
 
     /**
-     * Get all pending responses
+     * Forget that a question was answered in this browser
      *
-     * @return {Promise<Array>} Resolves with array of pending responses
+     * @param {number} sessionId Session ID
+     * @param {number} questionId Question ID
+     * @return {Promise} Resolves when forgotten
      */
-    ClientCache.prototype.getPendingResponses = function() {
+    ClientCache.prototype.forgetAnswered = function(sessionId, questionId) {
         var self = this;
+        var id = sessionId + ':' + questionId;
 
         return new Promise(function(resolve, reject) {
             if (!self.isInitialized) {
@@ -223,24 +1068,20 @@ define(['jquery'], function($) {
 
             if (self.memoryStore) {
                 // Memory fallback
-                var pending = self.memoryStore.filter(function(r) {
-                    return r.status === 'pending';
-                });
-                resolve(pending);
+                delete self.answeredMemory[id];
+                resolve();
                 return;
             }
 
-            var transaction = self.db.transaction([DB_CONFIG.storeName], 'readonly');
-            var store = transaction.objectStore(DB_CONFIG.storeName);
-            var index = store.index('status');
-            var request = index.getAll('pending');
+            var transaction = self.db.transaction([DB_CONFIG.answeredStoreName], 'readwrite');
+            var request = transaction.objectStore(DB_CONFIG.answeredStoreName).delete(id);
 
-            request.onsuccess = function(event) {
-                resolve(event.target.result || []);
+            request.onsuccess = function() {
+                resolve();
             };
 
             request.onerror = function() {
-                reject(new Error('Failed to get pending responses'));
+                reject(new Error('Failed to forget answered question'));
             };
         });
     };
@@ -342,9 +1183,11 @@ define(['jquery'], function($) {
                 if (index !== -1) {
                     self.memoryStore[index].retryCount++;
                     self.memoryStore[index].lastError = errorMsg;
+                    self.memoryStore[index].nextAttempt = Date.now() + self.getRetryDelay(self.memoryStore[index].retryCount);
                     if (self.memoryStore[index].retryCount >= self.options.maxRetries) {
                         self.memoryStore[index].status = 'failed';
                         self.stats.failed++;
+                        self.stats.unsent++;
                         self.stats.pending = Math.max(0, self.stats.pending - 1);
                         self.emit('failed', {id: responseId, error: errorMsg});
                     }
@@ -362,9 +1205,11 @@ define(['jquery'], function($) {
                 if (response) {
                     response.retryCount++;
                     response.lastError = errorMsg;
+                    response.nextAttempt = Date.now() + self.getRetryDelay(response.retryCount);
                     if (response.retryCount >= self.options.maxRetries) {
                         response.status = 'failed';
                         self.stats.failed++;
+                        self.stats.unsent++;
                         self.stats.pending = Math.max(0, self.stats.pending - 1);
                         self.emit('failed', {id: responseId, error: errorMsg});
                     }
@@ -410,6 +1255,8 @@ define(['jquery'], function($) {
                     var removed = self.memoryStore.splice(index, 1)[0];
                     if (removed.status === 'pending') {
                         self.stats.pending = Math.max(0, self.stats.pending - 1);
+                    } else if (removed.status === 'failed') {
+                        self.stats.unsent = Math.max(0, self.stats.unsent - 1);
                     }
                 }
                 resolve();
@@ -449,6 +1296,7 @@ define(['jquery'], function($) {
                 // Memory fallback
                 self.memoryStore = [];
                 self.stats.pending = 0;
+                self.stats.unsent = 0;
                 self.emit('cleared', {});
                 resolve();
                 return;
@@ -460,6 +1308,7 @@ define(['jquery'], function($) {
 
             request.onsuccess = function() {
                 self.stats.pending = 0;
+                self.stats.unsent = 0;
                 self.emit('cleared', {});
                 resolve();
             };
@@ -519,15 +1368,24 @@ define(['jquery'], function($) {
     };
 
     /**
-     * Update pending count in stats
+     * Update pending and unsent counts in stats, then emit 'statschange'
      *
+     * @return {Promise} Resolves when updated
      * @private
      */
     ClientCache.prototype.updatePendingCount = function() {
         var self = this;
 
-        this.getPendingResponses().then(function(responses) {
-            self.stats.pending = responses.length;
+        return this.getCachedResponses().then(function(responses) {
+            var count = function(status) {
+                return responses.filter(function(r) {
+                    return r.status === status;
+                }).length;
+            };
+            self.stats.pending = count('pending');
+            self.stats.unsent = count('failed');
+            self.emit('statschange', self.getStats());
+            return null;
         }).catch(function() {
             // Ignore errors
         });
@@ -561,34 +1419,343 @@ define(['jquery'], function($) {
                 self.retryPendingResponses();
             });
         }
+
+        // Pick up retries scheduled before the page was last closed
+        this.scheduleRetry();
     };
 
     /**
      * Retry all pending responses
      *
+     * Used when connectivity returns, so responses waiting out a backoff
+     * delay are sent too. Only one flush runs at a time; calls made while
+     * one is running share its result.
+     *
      * @return {Promise} Resolves when all retries complete
      */
     ClientCache.prototype.retryPendingResponses = function() {
+        return this.flush(false);
+    };
+
+    /**
+     * Retry the pending responses whose next attempt is due
+     *
+     * @return {Promise} Resolves when all retries complete
+     */
+    ClientCache.prototype.retryDueResponses = function() {
+        return this.flush(true);
+    };
+
+    /**
+     * Submit pending responses, then schedule the next automatic retry
+     *
+     * A flush for all responses waits a random delay first to spread out
+     * clients reconnecting together; due retries are already jittered.
+     *
+     * @param {boolean} dueOnly Only submit responses whose next attempt is due
+     * @return {Promise} Resolves with one result per submitted response
+     * @private
+     */
+    ClientCache.prototype.flush = function(dueOnly) {
         var self = this;
 
-        return this.getPendingResponses().then(function(responses) {
-            if (responses.length === 0) {
-                return Promise.resolve([]);
-            }
+        if (this.flushing) {
+            return this.flushing;
+        }
+        if (this.authExpired) {
+            // Every request would be refused until the page is reloaded
+            return Promise.resolve([]);
+        }
 
-            self.emit('retrying', {count: responses.length});
+        this.clearRetryTimer();
 
-            var promises = responses.map(function(response) {
-                return self.submitCachedResponse(response);
-            });
+        var delay = dueOnly ? Promise.resolve() : this.waitForJitter();
+
+        this.flushing = delay.then(function() {
+            return self.withFlushLock(function() {
+                // Read inside the lock: another tab or the service worker may have flushed meanwhile
+                return self.getPendingResponses().then(function(responses) {
+                    var now = Date.now();
+                    if (dueOnly) {
+                        responses = responses.filter(function(response) {
+                            return (response.nextAttempt || 0) <= now;
+                        });
+                    }
+                    if (responses.length === 0) {
+                        return [];
+                    }
 
-            return Promise.all(promises);
+                    self.emit('retrying', {count: responses.length});
+
+                    return self.submitInBatches(responses);
+                });
+            });
         }).then(function(results) {
+            self.flushing = null;
+            self.scheduleRetry();
             self.emit('retryComplete', {results: results});
             return results;
+        }, function(error) {
+            self.flushing = null;
+            self.scheduleRetry();
+            throw error;
+        });
+
+        return this.flushing;
+    };
+
+    /**
+     * Get the delay before a retry, backing off exponentially with jitter
+     *
+     * @param {number} retryCount Failed attempts so far
+     * @return {number} Delay in milliseconds
+     * @private
+     */
+    ClientCache.prototype.getRetryDelay = function(retryCount) {
+        var backoff = Math.min(
+            this.options.retryDelay * Math.pow(2, Math.max(retryCount - 1, 0)),
+            this.options.maxRetryDelay,
+        );
+        return Math.round(backoff * (0.5 + Math.random() * 0.5));
+    };
+
+    /**
+     * Set the retry timer for the earliest next attempt of a pending response
+     *
+     * The times are stored with the responses, so a reloaded page picks up
+     * the schedule where it left off. Nothing is scheduled while the browser
+     * reports being offline; coming back online schedules again.
+     *
+     * @private
+     */
+    ClientCache.prototype.scheduleRetry = function() {
+        var self = this;
+
+        this.clearRetryTimer();
+
+        if (!this.connectionManager || this.authExpired ||
+                (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+            return;
+        }
+
+        this.getPendingResponses().then(function(responses) {
+            if (!responses.length || self.flushing) {
+                return null;
+            }
+
+            var next = Math.min.apply(null, responses.map(function(response) {
+                return response.nextAttempt || 0;
+            }));
+
+            self.clearRetryTimer();
+            self.retryTimer = setTimeout(function() {
+                self.retryTimer = null;
+                self.retryDueResponses().catch(function() {
+                    // Rescheduled by the flush
+                });
+            }, Math.max(0, next - Date.now()));
+            return null;
+        }).catch(function() {
+            // Ignore errors
+        });
+    };
+
+    /**
+     * Cancel the retry timer
+     *
+     * @private
+     */
+    ClientCache.prototype.clearRetryTimer = function() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+    };
+
+    /**
+     * Reschedule retries when the browser comes back online
+     *
+     * @private
+     */
+    ClientCache.prototype.watchOnline = function() {
+        var self = this;
+
+        if (this.onlineListener || typeof window === 'undefined' || !window.addEventListener) {
+            return;
+        }
+
+        this.onlineListener = function() {
+            self.scheduleRetry();
+        };
+        window.addEventListener('online', this.onlineListener);
+    };
+
+    /**
+     * Run a task while holding the flush lock, when Web Locks are available
+     *
+     * @param {Function} task Returns a promise
+     * @return {Promise} Resolves with the task result
+     * @private
+     */
+    ClientCache.prototype.withFlushLock = function(task) {
+        if (typeof navigator !== 'undefined' && navigator.locks && typeof navigator.locks.request === 'function') {
+            return navigator.locks.request(FLUSH_LOCK, task);
+        }
+        return task();
+    };
+
+    /**
+     * Wait a random part of the flush jitter window
+     *
+     * @return {Promise} Resolves after the delay
+     * @private
+     */
+    ClientCache.prototype.waitForJitter = function() {
+        var delay = Math.floor(Math.random() * this.options.flushJitter);
+
+        return new Promise(function(resolve) {
+            setTimeout(resolve, delay);
+        });
+    };
+
+    /**
+     * Submit cached responses one batch at a time
+     *
+     * Falls back to one submitanswer per response, still one at a time, when
+     * the server does not offer batch submission.
+     *
+     * @param {Array} responses Cached responses
+     * @return {Promise<Array>} Resolves with one result per response
+     * @private
+     */
+    ClientCache.prototype.submitInBatches = function(responses) {
+        var self = this;
+        var manager = this.connectionManager;
+        var useBatch = !manager || typeof manager.hasCapability !== 'function' || manager.hasCapability('batch');
+        var batches = this.groupIntoBatches(responses, useBatch ? this.options.batchSize : 1);
+        var results = [];
+
+        return batches.reduce(function(chain, batch) {
+            return chain.then(function() {
+                var submission = useBatch ? self.submitBatch(batch) : self.submitCachedResponse(batch[0]).then(function(result) {
+                    return [result];
+                });
+                return submission.then(function(batchResults) {
+                    results = results.concat(batchResults);
+                });
+            });
+        }, Promise.resolve()).then(function() {
+            return results;
         });
     };
 
+    /**
+     * Split responses into batches of one session each
+     *
+     * @param {Array} responses Cached responses, oldest first
+     * @param {number} size Maximum responses per batch
+     * @return {Array} List of batches
+     * @private
+     */
+    ClientCache.prototype.groupIntoBatches = function(responses, size) {
+        var bySession = {};
+        var order = [];
+
+        responses.forEach(function(response) {
+            if (!bySession[response.sessionId]) {
+                bySession[response.sessionId] = [];
+                order.push(response.sessionId);
+            }
+            bySession[response.sessionId].push(response);
+        });
+
+        var batches = [];
+        order.forEach(function(sessionId) {
+            var list = bySession[sessionId];
+            for (var i = 0; i < list.length; i += size) {
+                batches.push(list.slice(i, i + size));
+            }
+        });
+
+        return batches;
+    };
+
+    /**
+     * Submit one batch of cached responses to the server
+     *
+     * The connection manager resends the batch under the same key if the
+     * request is lost, so it is processed once. Each flush gets a new key, so
+     * a flush never gets an earlier one's results back.
+     *
+     * @param {Array} batch Cached responses of one session
+     * @return {Promise<Array>} Resolves with one result per response
+     * @private
+     */
+    ClientCache.prototype.submitBatch = function(batch) {
+        var self = this;
+
+        if (!this.connectionManager) {
+            return Promise.reject(new Error('No connection manager'));
+        }
+
+        return this.connectionManager.send('submitbatch', {
+            sessionid: batch[0].sessionId,
+            deviceid: this.getDeviceId(),
+            responses: JSON.stringify(batch.map(function(cachedResponse) {
+                return {
+                    questionid: cachedResponse.questionId,
+                    questiontype: cachedResponse.questionType || '',
+                    answer: cachedResponse.answer,
+                    confidence: cachedResponse.confidence || null,
+                    clienttimestamp: cachedResponse.clientTimestamp,
+                };
+            })),
+        }, {idempotencyKey: this.getBatchKey(batch)}).then(function(response) {
+            var results = response && response.success && Array.isArray(response.results) ? response.results : [];
+            var batchError = {
+                success: false,
+                error: (response && response.error) || 'Batch submission failed',
+                errorcode: response && response.errorcode,
+            };
+
+            return Promise.all(batch.map(function(cachedResponse, index) {
+                return self.applySubmissionResult(cachedResponse, results[index] || batchError);
+            }));
+        }, function(error) {
+            return Promise.all(batch.map(function(cachedResponse) {
+                return self.markSubmissionError(cachedResponse, error);
+            }));
+        });
+    };
+
+    /**
+     * Build the idempotency key of one attempt at submitting a batch
+     *
+     * A hash of the response IDs, plus a nonce unique to the attempt.
+     *
+     * @param {Array} batch Cached responses
+     * @return {string} Key of letters, digits and dashes
+     * @private
+     */
+    ClientCache.prototype.getBatchKey = function(batch) {
+        var ids = batch.map(function(cachedResponse) {
+            return cachedResponse.id;
+        }).join(',');
+
+        // Two independent 32-bit string hashes (djb2 and sdbm)
+        var djb2 = 5381;
+        var sdbm = 0;
+        for (var i = 0; i < ids.length; i++) {
+            var code = ids.charCodeAt(i);
+            djb2 = ((djb2 * 33) ^ code) >>> 0;
+            sdbm = (code + (sdbm << 6) + (sdbm << 16) - sdbm) >>> 0;
+        }
+
+        var nonce = Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+
+        return 'batch-' + batch.length + '-' + djb2.toString(36) + '-' + sdbm.toString(36) + '-' + nonce;
+    };
+
     /**
      * Submit a cached response to the server
      *
@@ -603,71 +1770,124 @@ define(['jquery'], function($) {
             return Promise.reject(new Error('No connection manager'));
         }
 
+        // The cache ID doubles as idempotency key, so a resubmission whose
+        // first answer was lost gets that answer back rather than a duplicate error
         return this.connectionManager.send('submitanswer', {
             sessionid: cachedResponse.sessionId,
             questionid: cachedResponse.questionId,
+            questiontype: cachedResponse.questionType || '',
             answer: cachedResponse.answer,
+            confidence: cachedResponse.confidence || 0,
             clienttimestamp: cachedResponse.clientTimestamp,
-        }).then(function(response) {
-            if (response.success) {
-                return self.markSubmitted(cachedResponse.id).then(function() {
-                    return {
-                        id: cachedResponse.id,
-                        success: true,
-                        islate: response.islate || false,
-                    };
-                });
-            } else {
-                // Check if it's a permanent failure (duplicate, session ended, etc.)
-                if (self.isPermanentFailure(response.error)) {
-                    return self.removeResponse(cachedResponse.id).then(function() {
-                        return {
-                            id: cachedResponse.id,
-                            success: false,
-                            error: response.error,
-                            permanent: true,
-                        };
-                    });
-                }
-                return self.markFailed(cachedResponse.id, response.error).then(function() {
-                    return {
-                        id: cachedResponse.id,
-                        success: false,
-                        error: response.error,
-                    };
-                });
-            }
-        }).catch(function(error) {
-            return self.markFailed(cachedResponse.id, error.message).then(function() {
+            deviceid: this.getDeviceId(),
+        }, {idempotencyKey: cachedResponse.id}).then(function(response) {
+            return self.applySubmissionResult(cachedResponse, response);
+        }, function(error) {
+            return self.markSubmissionError(cachedResponse, error);
+        });
+    };
+
+    /**
+     * Record the server's answer to one cached response
+     *
+     * Errors are sorted by mod_classengage/error_taxonomy: a permanent one
+     * drops the response, a transient one schedules a retry, and an expired
+     * login stops retries until the page is reloaded.
+     *
+     * @param {Object} cachedResponse Cached response object
+     * @param {Object} response Server result for this response
+     * @return {Promise} Resolves with submission result
+     * @private
+     */
+    ClientCache.prototype.applySubmissionResult = function(cachedResponse, response) {
+        if (response.conflict) {
+            // Differs from the answer given on another device
+            this.emit('conflict', {
+                id: cachedResponse.id,
+                sessionId: cachedResponse.sessionId,
+                questionId: cachedResponse.questionId,
+                answer: cachedResponse.answer,
+                conflict: response.conflict,
+            });
+        }
+
+        if (response.success) {
+            return this.markSubmitted(cachedResponse.id).then(function() {
+                return {
+                    id: cachedResponse.id,
+                    success: true,
+                    islate: response.islate || false,
+                };
+            });
+        }
+
+        var category = ErrorTaxonomy.classify(response);
+
+        // Resubmitting cannot succeed (duplicate, session ended, etc.)
+        if (category === ErrorTaxonomy.CATEGORY.PERMANENT) {
+            return this.removeResponse(cachedResponse.id).then(function() {
                 return {
                     id: cachedResponse.id,
                     success: false,
-                    error: error.message,
+                    error: response.error,
+                    errorcode: response.errorcode,
+                    permanent: true,
                 };
             });
+        }
+
+        if (category === ErrorTaxonomy.CATEGORY.AUTH_EXPIRED) {
+            // Not the response's fault, so it keeps its place and retry count
+            this.markAuthExpired(response);
+            return Promise.resolve({
+                id: cachedResponse.id,
+                success: false,
+                error: response.error,
+                errorcode: response.errorcode,
+                authExpired: true,
+            });
+        }
+
+        return this.markFailed(cachedResponse.id, response.error).then(function() {
+            return {
+                id: cachedResponse.id,
+                success: false,
+                error: response.error,
+                errorcode: response.errorcode,
+            };
         });
     };
 
     /**
-     * Check if an error is a permanent failure
+     * Stop retrying until the page is reloaded with a fresh login and session key
      *
-     * @param {string} error Error message
-     * @return {boolean} True if permanent failure
+     * @param {Object} response Server response reporting the lapsed login
      * @private
      */
-    ClientCache.prototype.isPermanentFailure = function(error) {
-        if (!error) {
-            return false;
+    ClientCache.prototype.markAuthExpired = function(response) {
+        if (this.authExpired) {
+            return;
         }
-        var permanentErrors = [
-            'Duplicate submission',
-            'Session not found',
-            'Session not active',
-            'Question not found',
-            'already answered',
-        ];
-        return permanentErrors.some(function(msg) {
-            return error.indexOf(msg) !== -1;
+        this.authExpired = true;
+        this.clearRetryTimer();
+        this.emit('auth_expired', {error: response.error, errorcode: response.errorcode});
+    };
+
+    /**
+     * Record a cached response whose request did not reach the server
+     *
+     * @param {Object} cachedResponse Cached response object
+     * @param {Error} error Request error
+     * @return {Promise} Resolves with submission result
+     * @private
+     */
+    ClientCache.prototype.markSubmissionError = function(cachedResponse, error) {
+        return this.markFailed(cachedResponse.id, error.message).then(function() {
+            return {
+                id: cachedResponse.id,
+                success: false,
+                error: error.message,
+            };
         });
     };
 
@@ -760,6 +1980,15 @@ define(['jquery'], function($) {
             return this.getInstance().init(options);
         },
 
+        /**
+         * Get the random ID of this browser
+         *
+         * @return {string} Device ID
+         */
+        getDeviceId: function() {
+            return this.getInstance().getDeviceId();
+        },
+
         /**
          * Store a pending response
          *
@@ -779,6 +2008,15 @@ define(['jquery'], function($) {
             return this.getInstance().getPendingResponses();
         },
 
+        /**
+         * Get every cached response, including failed ones
+         *
+         * @return {Promise<Array>} Resolves with the readable responses, oldest first
+         */
+        getCachedResponses: function() {
+            return this.getInstance().getCachedResponses();
+        },
+
         /**
          * Get pending responses for a session
          *
@@ -865,6 +2103,64 @@ define(['jquery'], function($) {
             return this.getInstance().retryPendingResponses();
         },
 
+        /**
+         * Return failed responses to pending with a fresh set of retries
+         *
+         * @return {Promise<number>} Resolves with the number requeued
+         */
+        requeueFailed: function() {
+            return this.getInstance().requeueFailed();
+        },
+
+        /**
+         * Remember that a question was answered in this browser
+         *
+         * @param {Object} answered Answered question (sessionId, questionId, answer, confirmed)
+         * @return {Promise} Resolves when saved
+         */
+        saveAnswered: function(answered) {
+            return this.getInstance().saveAnswered(answered);
+        },
+
+        /**
+         * Get the questions of a session answered in this browser
+         *
+         * @param {number} sessionId Session ID
+         * @return {Promise<Object>} Resolves with {answer, confirmed} keyed by question ID
+         */
+        getAnswered: function(sessionId) {
+            return this.getInstance().getAnswered(sessionId);
+        },
+
+        /**
+         * Forget that a question was answered in this browser
+         *
+         * @param {number} sessionId Session ID
+         * @param {number} questionId Question ID
+         * @return {Promise} Resolves when forgotten
+         */
+        forgetAnswered: function(sessionId, questionId) {
+            return this.getInstance().forgetAnswered(sessionId, questionId);
+        },
+
+        /**
+         * Report responses delivered in the background since the last visit
+         *
+         * @return {Promise<number>} Resolves with the number reported
+         */
+        checkBackgroundDeliveries: function() {
+            return this.getInstance().checkBackgroundDeliveries();
+        },
+
+        /**
+         * Delete records another user left in the cache
+         *
+         * @return {Promise<number>} Resolves with the number deleted
+         */
+        checkForeignRecords: function() {
+            return this.getInstance().checkForeignRecords();
+        },
+
         /**
          * Check if there are pending responses
          *
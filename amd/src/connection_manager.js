@@ -16,9 +16,9 @@
 /**
  * Connection Manager for real-time quiz communication
  *
- * SSE-only mode: Uses Server-Sent Events exclusively for real-time data.
- * api.php is used only for write operations (submit, pause, resume).
- * Polling fallback has been removed to reduce server resource consumption.
+ * Connects to a session over WebSocket, Server-Sent Events or long-polling,
+ * shares one connection between the tabs open on it, and delivers server
+ * events in order while queueing writes to api.php until they are answered.
  *
  * Requirements: 6.1, 6.2, 6.3, 6.4, 6.5
  *
@@ -27,7 +27,11 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
-define(['jquery'], function ($) {
+define([
+    'jquery',
+    'mod_classengage/tab_coordinator',
+    'mod_classengage/event_schema',
+], function ($, TabCoordinator, EventSchema) {
 
     /**
      * Connection status constants
@@ -45,60 +49,241 @@ define(['jquery'], function ($) {
      * @type {Object}
      */
     var TRANSPORT = {
+        WEBSOCKET: 'websocket',
         SSE: 'sse',
         POLLING: 'polling',
         OFFLINE: 'offline',
     };
 
+    /**
+     * Tab role constants
+     * @type {Object}
+     */
+    var ROLE = {
+        LEADER: 'leader',
+        FOLLOWER: 'follower',
+    };
+
+    /**
+     * Connection quality levels
+     * @type {Object}
+     */
+    var QUALITY = {
+        GOOD: 'good',
+        FAIR: 'fair',
+        POOR: 'poor',
+        UNKNOWN: 'unknown',
+    };
+
+    /**
+     * States of a queued write request, reported through 'request_state' events
+     * @type {Object}
+     */
+    var REQUEST_STATE = {
+        QUEUED: 'queued',
+        SENDING: 'sending',
+        RETRYING: 'retrying',
+        COMPLETED: 'completed', // The server answered, successfully or not
+        FAILED: 'failed', // Gave up after the last retry
+    };
+
+    /**
+     * Actions that change server state and go through the outbound queue
+     * @type {Array}
+     */
+    var WRITE_ACTIONS = ['submitanswer', 'submitbatch', 'pause', 'resume'];
+
+    /**
+     * Server error codes worth retrying: rate limited (ERROR_RATE_LIMIT_EXCEEDED)
+     * and first attempt still running (ERROR_REQUEST_IN_PROGRESS)
+     * @type {Array}
+     */
+    var RETRYABLE_ERRORS = [1004, 1009];
+
+    /**
+     * Real-time protocol version this client speaks (constants::PROTOCOL_VERSION)
+     * @type {number}
+     */
+    var PROTOCOL_VERSION = 1;
+
+    /**
+     * Optional server features this client uses; each is done without when
+     * the server does not announce it
+     * @type {Array}
+     */
+    var CAPABILITIES = ['journal', 'replay', 'heartbeat', 'idempotency', 'batch'];
+
+    /**
+     * Limits above which a connection drops to fair or poor quality
+     * @type {Object}
+     */
+    var QUALITY_LIMITS = {
+        fair: { rtt: 300, jitter: 100, loss: 0 },
+        poor: { rtt: 1000, jitter: 500, loss: 0.3 },
+    };
+
     /**
      * Default configuration options
      * @type {Object}
      */
     var DEFAULTS = {
+        wsEndpoint: '', // Absolute ws(s):// URL of the socket relay, empty to disable
+        wsRetryAttempts: 2, // Consecutive socket failures before settling on SSE
         sseEndpoint: '/mod/classengage/sse_handler.php',
         apiEndpoint: '/mod/classengage/api.php', // Write-only endpoint (SSE-only mode)
         sseRetryAttempts: 3, // 3 attempts before error (SSE required)
         reconnectDelay: 1000, // Initial reconnect delay
         maxReconnectDelay: 30000, // Max reconnect delay
         connectionTimeout: 10000, // Connection timeout
+        pollEndpoint: '/mod/classengage/poll_handler.php', // Long-poll fallback endpoint
+        pollInterval: 1000, // Delay between polls while events are flowing
+        maxPollInterval: 10000, // Max delay between polls while idle or failing
+        pollWait: 20, // Seconds the server may hold a poll open
+        pollRetryAttempts: 3, // Consecutive poll failures before reconnecting
+        sseUpgradeInterval: 60000, // How often a polling client retries SSE
+        shareConnection: true, // Share one server connection across tabs of a session
+        pageRole: 'quiz', // Only tabs of the same kind of page share a connection, as their streams differ
+        heartbeatTimeout: 30000, // Silence on a stream after which it is treated as dead
+        qualityInterval: 15000, // Delay between round-trip probes
+        qualityWindow: 10, // Recent probes used to estimate loss
+        requestRetryAttempts: 5, // Attempts per write before giving up
+        requestRetryDelay: 1000, // Initial delay between write attempts
+        maxRequestRetryDelay: 15000, // Max delay between write attempts
     };
 
+    /**
+     * Events pushed by the server, shared by all transports
+     * @type {Array}
+     */
+    var SERVER_EVENTS = [
+        'session_started',
+        'session_paused',
+        'session_resumed',
+        'session_completed',
+        'session_ended',
+        'question_broadcast',
+        'timer_sync',
+        'reconnect',
+        // Note: 'error' removed - conflicts with native EventSource.onerror event
+        // Instructor-only events (SSE-only mode)
+        'stats_update',
+        'students_update',
+    ];
+
+    /**
+     * Server events numbered by the session journal, delivered strictly in order
+     * @type {Array}
+     */
+    var SEQUENCED_EVENTS = [
+        'session_started',
+        'session_paused',
+        'session_resumed',
+        'session_completed',
+        'question_broadcast',
+    ];
+
+    /**
+     * Client-side events a leader tab relays to follower tabs as-is
+     * @type {Array}
+     */
+    var RELAYED_EVENTS = [
+        'disconnected',
+        'reconnected',
+        'connection_error',
+    ];
+
     /**
      * Connection Manager constructor
+     *
      * @constructor
+     * @param {number} sessionId Session to bind the manager to (optional for the default manager)
+     * @param {Object} options Configuration options
      */
-    function ConnectionManager() {
-        this.sessionId = null;
+    function ConnectionManager(sessionId, options) {
+        this.sessionId = sessionId || null;
+        this.boundSession = !!sessionId;
         this.connectionId = null;
-        this.options = $.extend({}, DEFAULTS);
+        this.options = $.extend({}, DEFAULTS, options || {});
 
         // State tracking
         this.status = STATUS.DISCONNECTED;
         this.transport = TRANSPORT.OFFLINE;
         this.latency = 0;
 
+        // Heartbeat tracking
+        this.lastPing = null;
+        this.heartbeatTimer = null;
+
+        // Connection quality
+        this.quality = {
+            rtt: null,
+            jitter: 0,
+            lastRtt: null,
+            probes: [],
+            reconnects: 0,
+            eventGaps: 0,
+            missedEvents: 0,
+        };
+        this.qualityTimer = null;
+        this.qualityGeneration = 0;
+
+        // WebSocket connection
+        this.socket = null;
+        this.wsFailures = 0;
+        this.socketRequests = {};
+
         // SSE connection
         this.eventSource = null;
         this.sseAttempts = 0;
 
         // Polling
         this.pollingTimer = null;
+        this.pollRequest = null;
+        this.pollCursor = null;
+        this.pollDelay = DEFAULTS.pollInterval;
+        this.pollFailures = 0;
+        this.pollGeneration = 0;
+        this.upgradeTimer = null;
+
+        // Event sequence and replay of missed events
         this.lastEventId = 0;
+        this.deliveringId = null;
+        this.replaying = false;
+        this.replayBuffer = [];
+        this.replayGeneration = 0;
+
+        // Protocol announced by the server, all features assumed until then
+        this.serverProtocol = { version: null, minVersion: null, capabilities: CAPABILITIES.slice() };
+        this.versionMismatch = null;
+
+        // Outbound write queue
+        this.requestQueue = [];
+        this.activeRequest = null;
 
         // Reconnection
         this.reconnectTimer = null;
         this.reconnectDelay = DEFAULTS.reconnectDelay;
+        this.reconnectGeneration = 0;
+
+        // Cross-tab sharing
+        this.coordinator = null;
+        this.role = ROLE.LEADER;
+        this.tabSynced = false;
+        this.tabSnapshot = {};
+        this.tabSequence = 0;
+        this.syncWaiters = [];
+        this.connectedData = {};
 
         // Event handlers
         this.eventHandlers = {};
-
-        // Request tracking for latency calculation
-        this.pendingRequests = {};
     }
 
     /**
      * Initialize connection with session
      *
+     * A manager created for a session connects to that session; both
+     * arguments may then be omitted to use the ones it was created with.
+     *
      * @param {number} sessionId Session ID to connect to
      * @param {Object} options Configuration options
      * @return {Promise} Resolves when connected
@@ -106,15 +291,295 @@ define(['jquery'], function ($) {
     ConnectionManager.prototype.init = function (sessionId, options) {
         var self = this;
 
-        this.sessionId = sessionId;
-        this.options = $.extend({}, DEFAULTS, options || {});
+        if (this.boundSession && sessionId && sessionId != this.sessionId) {
+            return Promise.reject(new Error('Connection manager is bound to session ' + this.sessionId));
+        }
+
+        this.sessionId = sessionId || this.sessionId;
+        if (options) {
+            // Keep the options given to create()
+            this.options = $.extend({}, this.options, options);
+        }
         this.connectionId = this.generateConnectionId();
 
         self.status = STATUS.CONNECTING;
         self.emit('statuschange', { status: self.status });
 
-        // Try SSE first (Requirement 6.3)
-        return self.connectSSE()
+        if (this.options.shareConnection && TabCoordinator.isSupported()) {
+            return self.startTabCoordination();
+        }
+
+        self.role = ROLE.LEADER;
+        return self.connect();
+    };
+
+    /**
+     * Join the other tabs of this session and wait for a leader
+     *
+     * Every tab starts as a follower. The tab granted the lock becomes leader
+     * and connects; followers are connected once the leader sends its state.
+     * The lock and channel are named after the page role as well as the
+     * session, so a control panel and a quiz open in one browser do not share.
+     *
+     * @return {Promise} Resolves when this tab has a live connection
+     * @private
+     */
+    ConnectionManager.prototype.startTabCoordination = function () {
+        var self = this;
+        var ready = this.waitForSync(0);
+
+        this.role = ROLE.FOLLOWER;
+        this.tabSynced = false;
+        this.coordinator = new TabCoordinator('mod_classengage_session_' + this.sessionId + '_' + this.options.pageRole);
+        this.coordinator.start(function (message) {
+            self.handleTabMessage(message);
+        }, function () {
+            self.becomeLeader();
+        });
+        this.coordinator.post({ type: 'hello' });
+
+        return ready;
+    };
+
+    /**
+     * Take over the server connection after winning the tab lock
+     *
+     * @private
+     */
+    ConnectionManager.prototype.becomeLeader = function () {
+        var self = this;
+        var handover = this.tabSynced;
+
+        this.role = ROLE.LEADER;
+        this.tabSynced = false;
+
+        // A previous leader closed: resume its stream from the last relayed event
+        var connecting = handover ? this.reconnect() : this.connect();
+
+        connecting.catch(function (error) {
+            self.settleSyncWaiters(error);
+        });
+    };
+
+    /**
+     * Handle a message posted by another tab of this session
+     *
+     * @param {Object} message Tab message
+     * @private
+     */
+    ConnectionManager.prototype.handleTabMessage = function (message) {
+        if (this.role === ROLE.LEADER) {
+            if (message.type === 'reconnect' && this.status === STATUS.DISCONNECTED) {
+                this.reconnect().catch(function () {
+                    // Reported to the tabs through the relayed statuschange
+                });
+            }
+            if (message.type === 'hello' || message.type === 'reconnect') {
+                this.coordinator.post(this.getTabState());
+            }
+            return;
+        }
+
+        switch (message.type) {
+        case 'state':
+            this.applyTabState(message);
+            break;
+
+        case 'status':
+            if (this.tabSynced) {
+                this.status = message.status;
+                this.transport = message.transport;
+                this.emit('statuschange', { status: this.status, transport: this.transport });
+            }
+            break;
+
+        case 'ping':
+            this.markHeartbeat();
+            break;
+
+        case 'quality':
+            this.applyTabQuality(message.quality || {});
+            break;
+
+        case 'event':
+            if (this.tabSynced) {
+                this.markHeartbeat();
+                this.receiveServerEvent(message.event, message.data || {}, message.id);
+            }
+            break;
+
+        case 'emit':
+            if (message.event === 'connection_error') {
+                this.settleSyncWaiters(new Error((message.data && message.data.message) || 'Connection failed'));
+            }
+            if (this.tabSynced || message.event === 'connection_error') {
+                this.emit(message.event, message.data);
+            }
+            break;
+        }
+    };
+
+    /**
+     * Relay an emitted event from the leader to the follower tabs
+     *
+     * @param {string} event Event name
+     * @param {Object} data Event data
+     * @private
+     */
+    ConnectionManager.prototype.relayToTabs = function (event, data) {
+        if (SERVER_EVENTS.indexOf(event) !== -1) {
+            var entry = { type: 'event', event: event, data: data, id: this.deliveringId };
+            if (event !== 'reconnect') {
+                // Latest event of each type, replayed to tabs that join later
+                this.tabSequence++;
+                this.tabSnapshot[event] = { event: event, data: data, id: this.deliveringId, seq: this.tabSequence };
+            }
+            this.coordinator.post(entry);
+        } else if (event === 'connected') {
+            this.coordinator.post(this.getTabState());
+        } else if (event === 'statuschange') {
+            this.coordinator.post({ type: 'status', status: this.status, transport: this.transport });
+        } else if (event === 'quality') {
+            var quality = this.quality;
+            this.coordinator.post({
+                type: 'quality',
+                quality: { rtt: quality.rtt, jitter: quality.jitter, lastRtt: quality.lastRtt, probes: quality.probes },
+            });
+        } else if (RELAYED_EVENTS.indexOf(event) !== -1) {
+            this.coordinator.post({ type: 'emit', event: event, data: data });
+        }
+    };
+
+    /**
+     * Build the leader's connection state for follower tabs
+     *
+     * @return {Object} State message
+     * @private
+     */
+    ConnectionManager.prototype.getTabState = function () {
+        var snapshot = this.tabSnapshot;
+
+        return {
+            type: 'state',
+            status: this.status,
+            transport: this.transport,
+            connectionId: this.connectionId,
+            lastEventId: this.lastEventId,
+            connected: this.connectedData,
+            events: Object.keys(snapshot).map(function (key) {
+                return snapshot[key];
+            }).sort(function (a, b) {
+                return a.seq - b.seq;
+            }),
+        };
+    };
+
+    /**
+     * Adopt the leader's connection state in a follower tab
+     *
+     * The first state received after joining also replays the leader's latest
+     * events so the tab renders the current question and session status.
+     *
+     * @param {Object} state State message from the leader
+     * @private
+     */
+    ConnectionManager.prototype.applyTabState = function (state) {
+        var self = this;
+        var wasSynced = this.tabSynced;
+        var changed = this.status !== state.status || this.transport !== state.transport;
+
+        this.tabSynced = true;
+        this.status = state.status;
+        this.transport = state.transport;
+        this.connectionId = state.connectionId || this.connectionId;
+        this.lastEventId = parseInt(state.lastEventId) || 0;
+
+        if (changed) {
+            this.emit('statuschange', { status: this.status, transport: this.transport });
+        }
+
+        if (this.status !== STATUS.CONNECTED) {
+            return;
+        }
+
+        this.negotiateProtocol(state.connected || {});
+        this.markHeartbeat();
+
+        if (!wasSynced) {
+            this.emit('connected', state.connected || {});
+            (state.events || []).forEach(function (event) {
+                if (self.role === ROLE.FOLLOWER && self.tabSynced) {
+                    self.dispatchServerEvent(event.event, event.data || {});
+                }
+            });
+        }
+
+        this.settleSyncWaiters(null);
+    };
+
+    /**
+     * Wait until this tab has a live connection
+     *
+     * @param {number} timeout Milliseconds before rejecting, 0 to wait indefinitely
+     * @return {Promise} Resolves when connected
+     * @private
+     */
+    ConnectionManager.prototype.waitForSync = function (timeout) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            var waiter = { resolve: resolve, reject: reject, timer: null };
+
+            if (timeout) {
+                waiter.timer = setTimeout(function () {
+                    self.syncWaiters = self.syncWaiters.filter(function (other) {
+                        return other !== waiter;
+                    });
+                    reject(new Error('Leader tab did not respond'));
+                }, timeout);
+            }
+
+            self.syncWaiters.push(waiter);
+        });
+    };
+
+    /**
+     * Resolve or reject everything waiting for a live connection
+     *
+     * @param {Error|null} error Rejection reason, or null to resolve
+     * @private
+     */
+    ConnectionManager.prototype.settleSyncWaiters = function (error) {
+        var waiters = this.syncWaiters;
+        this.syncWaiters = [];
+
+        waiters.forEach(function (waiter) {
+            clearTimeout(waiter.timer);
+            if (error) {
+                waiter.reject(error);
+            } else {
+                waiter.resolve();
+            }
+        });
+    };
+
+    /**
+     * Negotiate a transport: WebSocket, then SSE, then polling
+     *
+     * A WebSocket is only tried when a socket endpoint is configured, and
+     * polling serves networks that buffer event streams.
+     *
+     * @return {Promise} Resolves when a transport is connected
+     * @private
+     */
+    ConnectionManager.prototype.connect = function () {
+        var self = this;
+
+        return self.connectWebSocket()
+            .catch(function () {
+                // Socket unavailable, negotiate down to SSE (Requirement 6.3)
+                return self.connectSSE();
+            })
             .catch(function () {
                 // SSE failed, fall back to polling (Requirement 6.1)
                 return self.startPolling();
@@ -168,8 +633,11 @@ define(['jquery'], function ($) {
                 return;
             }
 
+            // Tracked per stream: while polling, status is already CONNECTED
+            var opened = false;
+
             var connectionTimeout = setTimeout(function () {
-                if (self.status !== STATUS.CONNECTED) {
+                if (!opened) {
                     self.closeSSE();
                     if (self.sseAttempts < self.options.sseRetryAttempts) {
                         self.connectSSE().then(resolve).catch(reject);
@@ -183,165 +651,1099 @@ define(['jquery'], function ($) {
                 // Connection opened, wait for 'connected' event
             };
 
-            self.eventSource.onerror = function () {
-                clearTimeout(connectionTimeout);
-                self.closeSSE();
+            self.eventSource.onerror = function () {
+                clearTimeout(connectionTimeout);
+                self.closeSSE();
+
+                if (self.sseAttempts < self.options.sseRetryAttempts) {
+                    setTimeout(function () {
+                        self.connectSSE().then(resolve).catch(reject);
+                    }, 1000);
+                } else {
+                    reject(new Error('SSE connection failed after ' + self.sseAttempts + ' attempts'));
+                }
+            };
+
+            // Handle connected event
+            self.eventSource.addEventListener('connected', function (event) {
+                clearTimeout(connectionTimeout);
+                opened = true;
+                self.sseAttempts = 0;
+                self.handleConnected(TRANSPORT.SSE, JSON.parse(event.data));
+                resolve();
+            });
+
+            // Register SSE event handlers
+            self.registerSSEHandlers();
+        });
+    };
+
+    /**
+     * Register handlers for SSE events
+     *
+     * @private
+     */
+    ConnectionManager.prototype.registerSSEHandlers = function () {
+        var self = this;
+
+        if (!this.eventSource) {
+            return;
+        }
+
+        this.eventSource.addEventListener('ping', function () {
+            self.handlePing();
+        });
+
+        SERVER_EVENTS.forEach(function (eventType) {
+            self.eventSource.addEventListener(eventType, function (event) {
+                self.markHeartbeat();
+
+                // Validate event data exists before parsing
+                if (!event.data || event.data === 'undefined') {
+                    self.reportProtocolError(eventType, ['payload is missing'], event.lastEventId);
+                    return;
+                }
+
+                var data;
+                try {
+                    data = JSON.parse(event.data);
+                } catch (e) {
+                    self.reportProtocolError(eventType, ['payload is not valid JSON: ' + e.message], event.lastEventId);
+                    return;
+                }
+
+                // Events sent without an id inherit the previous one, which is never a gap
+                self.receiveServerEvent(eventType, data, event.lastEventId);
+            });
+        });
+    };
+
+    /**
+     * Mark the connection as established on the given transport
+     *
+     * When the server resumed from our last event ID, the events we missed
+     * follow on the stream. Otherwise it sends a snapshot of the current
+     * state and numbering continues from its journal head.
+     *
+     * @param {string} transport Transport that delivered the 'connected' event
+     * @param {Object} data Connected event payload
+     * @private
+     */
+    ConnectionManager.prototype.handleConnected = function (transport, data) {
+        this.connectedData = data;
+        this.connectionId = data.connectionid;
+        this.status = STATUS.CONNECTED;
+        this.transport = transport;
+        this.reconnectDelay = DEFAULTS.reconnectDelay;
+
+        // A replay still in flight is superseded by what the new stream sends
+        this.cancelReplay();
+        if (!data.resumed) {
+            this.lastEventId = parseInt(data.lasteventid) || 0;
+        }
+
+        this.negotiateProtocol(data);
+
+        this.markHeartbeat();
+        if (transport === TRANSPORT.POLLING || !this.hasCapability('heartbeat')) {
+            // Every poll is its own request, so a dead link surfaces as a failed poll;
+            // a server without pings would look dead after every quiet spell
+            this.stopHeartbeat();
+        } else {
+            this.armHeartbeat();
+        }
+
+        this.emit('statuschange', { status: this.status, transport: this.transport });
+        this.emit('connected', data);
+        this.settleSyncWaiters(null);
+        this.startQualityProbes();
+    };
+
+    /**
+     * Adopt the protocol version and capabilities announced by the server
+     *
+     * Servers from before the handshake announce nothing and are treated as
+     * protocol 0 without any optional feature. A server newer than this
+     * script raises 'version_mismatch' once per version, marked required
+     * when the server no longer serves this script's protocol at all.
+     *
+     * @param {Object} data Connected event payload
+     * @private
+     */
+    ConnectionManager.prototype.negotiateProtocol = function (data) {
+        var offered = Array.isArray(data.capabilities) ? data.capabilities : [];
+        var version = parseInt(data.protocol) || 0;
+        var minVersion = parseInt(data.minprotocol) || 0;
+
+        this.serverProtocol = {
+            version: version,
+            minVersion: minVersion,
+            capabilities: CAPABILITIES.filter(function (capability) {
+                return offered.indexOf(capability) !== -1;
+            }),
+        };
+
+        if (version <= PROTOCOL_VERSION && minVersion <= PROTOCOL_VERSION) {
+            if (this.serverProtocol.capabilities.length < CAPABILITIES.length) {
+                // eslint-disable-next-line no-console
+                console.info('Server protocol ' + version + ' lacks some features, running without them:',
+                    CAPABILITIES.filter(function (capability) {
+                        return offered.indexOf(capability) === -1;
+                    }).join(', '));
+            }
+            return;
+        }
+
+        var mismatch = {
+            clientVersion: PROTOCOL_VERSION,
+            serverVersion: version,
+            required: minVersion > PROTOCOL_VERSION,
+        };
+        var key = version + ':' + mismatch.required;
+        if (this.versionMismatch !== key) {
+            this.versionMismatch = key;
+            this.emit('version_mismatch', mismatch);
+        }
+    };
+
+    /**
+     * Check whether the server offers an optional feature
+     *
+     * @param {string} capability Capability name
+     * @return {boolean} True if the feature can be used
+     */
+    ConnectionManager.prototype.hasCapability = function (capability) {
+        return this.serverProtocol.capabilities.indexOf(capability) !== -1;
+    };
+
+    /**
+     * Deliver a parsed server event to handlers
+     *
+     * @param {string} eventType Event name
+     * @param {Object} data Event payload
+     * @private
+     */
+    ConnectionManager.prototype.dispatchServerEvent = function (eventType, data) {
+        this.emit(eventType, data);
+
+        // Handle reconnect request from server (follower tabs hold no stream)
+        if (eventType === 'reconnect' && this.role === ROLE.LEADER) {
+            this.handleReconnectRequest(data);
+        }
+
+        // Handle session end
+        if (eventType === 'session_completed' || eventType === 'session_ended') {
+            this.disconnect();
+        }
+    };
+
+    /**
+     * Handle a heartbeat ping from the server
+     *
+     * @private
+     */
+    ConnectionManager.prototype.handlePing = function () {
+        this.markHeartbeat();
+
+        if (this.role === ROLE.LEADER && this.coordinator) {
+            this.coordinator.post({ type: 'ping' });
+        }
+    };
+
+    /**
+     * Record that the server was heard from
+     *
+     * @private
+     */
+    ConnectionManager.prototype.markHeartbeat = function () {
+        this.lastPing = Date.now();
+    };
+
+    /**
+     * Watch a streaming transport for missed heartbeats
+     *
+     * Compares against the last heartbeat when the timer fires rather than
+     * trusting the timer itself, which browsers delay in background tabs.
+     *
+     * @private
+     */
+    ConnectionManager.prototype.armHeartbeat = function () {
+        var self = this;
+
+        this.stopHeartbeat();
+
+        var remaining = this.options.heartbeatTimeout - (Date.now() - (this.lastPing || 0));
+
+        this.heartbeatTimer = setTimeout(function () {
+            self.heartbeatTimer = null;
+
+            if (self.status !== STATUS.CONNECTED ||
+                (self.transport !== TRANSPORT.SSE && self.transport !== TRANSPORT.WEBSOCKET)) {
+                return;
+            }
+
+            if (Date.now() - self.lastPing < self.options.heartbeatTimeout) {
+                self.armHeartbeat();
+                return;
+            }
+
+            // eslint-disable-next-line no-console
+            console.warn('No heartbeat for ' + (Date.now() - self.lastPing) + 'ms, reconnecting');
+            self.closeWebSocket();
+            self.closeSSE();
+            self.handleConnectionError('heartbeat_timeout');
+        }, Math.max(remaining, 0));
+    };
+
+    /**
+     * Stop watching for heartbeats
+     *
+     * @private
+     */
+    ConnectionManager.prototype.stopHeartbeat = function () {
+        if (this.heartbeatTimer) {
+            clearTimeout(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    };
+
+    /**
+     * Accept a server event from any transport or from the leader tab
+     *
+     * Journal events are delivered in ID order. One that skips ahead is held
+     * back while the missing range is replayed; one already delivered is
+     * dropped. Other events, and snapshot events sent without an ID, are
+     * delivered straight away.
+     *
+     * @param {string} eventType Event name
+     * @param {Object} data Event payload
+     * @param {string|number} id Journal event ID, if any
+     * @private
+     */
+    ConnectionManager.prototype.receiveServerEvent = function (eventType, data, id) {
+        var eventId = parseInt(id) || 0;
+
+        if (SEQUENCED_EVENTS.indexOf(eventType) === -1 || !eventId) {
+            this.deliverEvent(eventType, data, null);
+            return;
+        }
+
+        if (this.replaying) {
+            this.replayBuffer.push({ event: eventType, data: data, id: eventId });
+            return;
+        }
+
+        if (eventId <= this.lastEventId) {
+            return;
+        }
+
+        if (eventId > this.lastEventId + 1) {
+            this.quality.eventGaps++;
+            this.quality.missedEvents += eventId - this.lastEventId - 1;
+            this.emit('quality', this.getQuality());
+
+            if (!this.hasCapability('replay')) {
+                this.resynchronise();
+                return;
+            }
+
+            this.replayBuffer.push({ event: eventType, data: data, id: eventId });
+            this.requestReplay(this.lastEventId, eventId - 1);
+            return;
+        }
+
+        this.lastEventId = eventId;
+        this.deliverEvent(eventType, data, eventId);
+    };
+
+    /**
+     * Deliver a server event, remembering its ID for the tab relay
+     *
+     * The payload is first checked against mod_classengage/event_schema.
+     *
+     * @param {string} eventType Event name
+     * @param {Object} data Event payload
+     * @param {number|null} eventId Journal event ID, or null if unsequenced
+     * @private
+     */
+    ConnectionManager.prototype.deliverEvent = function (eventType, data, eventId) {
+        var result = EventSchema.validate(eventType, data);
+        if (!result.valid) {
+            this.reportProtocolError(eventType, result.errors, eventId);
+            return;
+        }
+
+        this.deliveringId = eventId;
+        try {
+            this.dispatchServerEvent(eventType, result.data);
+        } finally {
+            this.deliveringId = null;
+        }
+    };
+
+    /**
+     * Report a server event whose payload could not be used
+     *
+     * The event is dropped. A 'protocol_error' usually means client and
+     * server versions have drifted apart.
+     *
+     * @param {string} eventType Event name
+     * @param {Array} errors What was wrong with the payload
+     * @param {string|number|null} eventId Journal event ID, if any
+     * @private
+     */
+    ConnectionManager.prototype.reportProtocolError = function (eventType, errors, eventId) {
+        // eslint-disable-next-line no-console
+        console.warn('Dropped malformed ' + eventType + ' event:', errors.join('; '));
+
+        this.emit('protocol_error', {
+            event: eventType,
+            id: parseInt(eventId) || null,
+            errors: errors,
+        });
+    };
+
+    /**
+     * Fetch and deliver the journal events in a gap, then the events held back
+     *
+     * If the server cannot fill the whole gap the client starts over from a
+     * fresh snapshot of the session state.
+     *
+     * @param {number} since Last event ID delivered
+     * @param {number} until Last missing event ID
+     * @private
+     */
+    ConnectionManager.prototype.requestReplay = function (since, until) {
+        var self = this;
+        var generation = this.replayGeneration;
+
+        this.replaying = true;
+
+        this.send('replay', { since: since, until: until }).then(function (response) {
+            if (generation !== self.replayGeneration) {
+                return;
+            }
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Replay failed');
+            }
+
+            (response.events || []).forEach(function (event) {
+                var eventId = parseInt(event.id) || 0;
+                if (generation !== self.replayGeneration || eventId <= self.lastEventId) {
+                    return;
+                }
+                self.lastEventId = eventId;
+                self.deliverEvent(event.event, event.data || {}, eventId);
+            });
+
+            if (generation !== self.replayGeneration) {
+                return;
+            }
+            if (!response.complete || self.lastEventId < until) {
+                throw new Error('Replay incomplete');
+            }
+
+            var held = self.replayBuffer;
+            self.replaying = false;
+            self.replayBuffer = [];
+            held.forEach(function (event) {
+                self.receiveServerEvent(event.event, event.data, event.id);
+            });
+        }).catch(function (error) {
+            if (generation !== self.replayGeneration) {
+                return;
+            }
+            // eslint-disable-next-line no-console
+            console.warn('Could not replay missed events, resynchronising:', error.message);
+            self.cancelReplay();
+            self.resynchronise();
+        });
+    };
+
+    /**
+     * Abandon a replay in flight and the events held back for it
+     *
+     * @private
+     */
+    ConnectionManager.prototype.cancelReplay = function () {
+        this.replayGeneration++;
+        this.replaying = false;
+        this.replayBuffer = [];
+    };
+
+    /**
+     * Reconnect without resuming, so the server sends the current state
+     *
+     * @private
+     */
+    ConnectionManager.prototype.resynchronise = function () {
+        this.lastEventId = 0;
+
+        if (this.role === ROLE.FOLLOWER && this.coordinator) {
+            // The leader's reply includes its latest event of each type
+            this.reconnect().catch(function () {
+                // Retried when the leader next reports its status
+            });
+            return;
+        }
+
+        this.handleReconnectRequest();
+    };
+
+    /**
+     * Adopt the round trips measured by the leader tab in a follower tab
+     *
+     * Only the leader probes, so a student with several tabs open sends one
+     * ping per interval rather than one per tab.
+     *
+     * @param {Object} measured Smoothed RTT, jitter, last RTT and probe outcomes
+     * @private
+     */
+    ConnectionManager.prototype.applyTabQuality = function (measured) {
+        var quality = this.quality;
+
+        quality.rtt = typeof measured.rtt === 'number' ? measured.rtt : null;
+        quality.jitter = measured.jitter || 0;
+        quality.lastRtt = typeof measured.lastRtt === 'number' ? measured.lastRtt : null;
+        quality.probes = Array.isArray(measured.probes) ? measured.probes.slice() : [];
+        this.latency = quality.rtt === null ? 0 : Math.round(quality.rtt);
+
+        this.emit('quality', this.getQuality());
+    };
+
+    /**
+     * Start periodic round-trip probes
+     *
+     * Run by the leader tab only; followers get its measurements.
+     *
+     * @private
+     */
+    ConnectionManager.prototype.startQualityProbes = function () {
+        var self = this;
+
+        if (this.qualityTimer) {
+            return;
+        }
+
+        var generation = this.qualityGeneration;
+        this.qualityTimer = setTimeout(function () {
+            self.probeQuality(generation);
+        }, 0);
+    };
+
+    /**
+     * Stop periodic round-trip probes
+     *
+     * @private
+     */
+    ConnectionManager.prototype.stopQualityProbes = function () {
+        // Ends the probe loop even while a probe is in flight
+        this.qualityGeneration++;
+
+        if (this.qualityTimer) {
+            clearTimeout(this.qualityTimer);
+            this.qualityTimer = null;
+        }
+    };
+
+    /**
+     * Measure one round trip and report the current quality to the server
+     *
+     * The ping carries the quality measured so far, which the server
+     * aggregates for the instructor panel.
+     *
+     * @param {number} generation Probe loop the call belongs to
+     * @private
+     */
+    ConnectionManager.prototype.probeQuality = function (generation) {
+        var self = this;
+        var next = function () {
+            if (generation !== self.qualityGeneration) {
+                return;
+            }
+            self.emit('quality', self.getQuality());
+            self.qualityTimer = setTimeout(function () {
+                self.probeQuality(generation);
+            }, self.options.qualityInterval);
+        };
+
+        if (this.status !== STATUS.CONNECTED) {
+            next();
+            return;
+        }
+
+        var current = this.getQuality();
+        var report = {};
+        if (current.level !== QUALITY.UNKNOWN) {
+            report = { rtt: current.rtt, jitter: current.jitter, quality: current.level };
+        }
+
+        var startTime = Date.now();
+        this.send('ping', report).then(function (response) {
+            if (response && response.success) {
+                self.recordRtt(Date.now() - startTime);
+            } else {
+                self.recordProbe(false);
+            }
+            return null;
+        }).catch(function () {
+            self.recordProbe(false);
+        }).then(next);
+    };
+
+    /**
+     * Add a round-trip sample
+     *
+     * Smooths RTT as in TCP (RFC 6298) and jitter as in RTP (RFC 3550).
+     *
+     * @param {number} sample Round-trip time in milliseconds
+     * @private
+     */
+    ConnectionManager.prototype.recordRtt = function (sample) {
+        var quality = this.quality;
+
+        if (quality.lastRtt !== null) {
+            quality.jitter += (Math.abs(sample - quality.lastRtt) - quality.jitter) / 16;
+        }
+        quality.lastRtt = sample;
+        quality.rtt = quality.rtt === null ? sample : quality.rtt * 0.875 + sample * 0.125;
+
+        this.latency = Math.round(quality.rtt);
+        this.recordProbe(true);
+    };
+
+    /**
+     * Record whether a probe was answered
+     *
+     * @param {boolean} answered True if the probe got a response
+     * @private
+     */
+    ConnectionManager.prototype.recordProbe = function (answered) {
+        var probes = this.quality.probes;
+
+        probes.push(answered);
+        while (probes.length > this.options.qualityWindow) {
+            probes.shift();
+        }
+    };
+
+    /**
+     * Get connection quality metrics
+     *
+     * @return {Object} Level, smoothed RTT, jitter, probe loss, reconnects and event gaps
+     */
+    ConnectionManager.prototype.getQuality = function () {
+        var quality = this.quality;
+        var failed = quality.probes.filter(function (answered) {
+            return !answered;
+        }).length;
+        var loss = quality.probes.length ? failed / quality.probes.length : 0;
+        var rtt = quality.rtt === null ? null : Math.round(quality.rtt);
+        var jitter = Math.round(quality.jitter);
+
+        var level = QUALITY.UNKNOWN;
+        if (quality.probes.length) {
+            var exceeds = function (limits) {
+                return loss > limits.loss || (rtt !== null && rtt > limits.rtt) || jitter > limits.jitter;
+            };
+            if (rtt === null || exceeds(QUALITY_LIMITS.poor)) {
+                level = QUALITY.POOR;
+            } else if (exceeds(QUALITY_LIMITS.fair)) {
+                level = QUALITY.FAIR;
+            } else {
+                level = QUALITY.GOOD;
+            }
+        }
+
+        return {
+            level: level,
+            rtt: rtt,
+            jitter: jitter,
+            loss: Math.round(loss * 100) / 100,
+            reconnects: quality.reconnects,
+            eventGaps: quality.eventGaps,
+            missedEvents: quality.missedEvents,
+        };
+    };
+
+    /**
+     * Connect using a WebSocket
+     *
+     * The URL carries only the session, connection and last event IDs. The
+     * sesskey goes in a {type: 'auth', sesskey} frame sent once the socket is
+     * open, so it stays out of relay and proxy logs; the relay answers with
+     * the 'connected' event once it has checked it. After that the socket
+     * carries server events as {id, event, data} frames and client writes as
+     * {type: 'request', requestid, data} frames answered by
+     * {type: 'response', requestid, response}. The README describes the relay
+     * side of this protocol.
+     *
+     * @return {Promise} Resolves when the socket is connected
+     * @private
+     */
+    ConnectionManager.prototype.connectWebSocket = function () {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            if (!self.options.wsEndpoint || typeof WebSocket === 'undefined') {
+                reject(new Error('WebSocket not available'));
+                return;
+            }
+
+            if (self.wsFailures >= self.options.wsRetryAttempts) {
+                reject(new Error('WebSocket disabled after ' + self.wsFailures + ' failures'));
+                return;
+            }
+
+            var endpoint = self.options.wsEndpoint;
+            var url = endpoint + (endpoint.indexOf('?') === -1 ? '?' : '&') +
+                'sessionid=' + self.sessionId +
+                '&connectionid=' + encodeURIComponent(self.connectionId) +
+                '&lastEventId=' + self.lastEventId;
+
+            var settled = false;
+            var fail = function (message) {
+                if (!settled) {
+                    settled = true;
+                    self.wsFailures++;
+                    reject(new Error(message));
+                }
+            };
+
+            try {
+                self.socket = new WebSocket(url);
+            } catch (e) {
+                self.socket = null;
+                fail('WebSocket connection failed');
+                return;
+            }
+
+            var socket = self.socket;
+
+            var connectionTimeout = setTimeout(function () {
+                fail('WebSocket connection timeout');
+                self.closeWebSocket();
+            }, self.options.connectionTimeout);
+
+            socket.onopen = function () {
+                try {
+                    socket.send(JSON.stringify({ type: 'auth', sesskey: M.cfg.sesskey }));
+                } catch (e) {
+                    fail('WebSocket authentication failed');
+                    self.closeWebSocket();
+                }
+            };
+
+            socket.onmessage = function (message) {
+                var frame;
+                try {
+                    frame = JSON.parse(message.data);
+                } catch (e) {
+                    // eslint-disable-next-line no-console
+                    console.error('WebSocket JSON parse error:', message.data, e);
+                    return;
+                }
+
+                self.markHeartbeat();
+
+                if (frame.type === 'response') {
+                    self.resolveSocketRequest(frame.requestid, frame.response);
+                    return;
+                }
+
+                if (frame.event === 'ping') {
+                    self.handlePing();
+                    return;
+                }
+
+                if (frame.event === 'connected') {
+                    clearTimeout(connectionTimeout);
+                    settled = true;
+                    self.wsFailures = 0;
+                    self.handleConnected(TRANSPORT.WEBSOCKET, frame.data || {});
+                    resolve();
+                    return;
+                }
+
+                if (SERVER_EVENTS.indexOf(frame.event) === -1) {
+                    return;
+                }
+
+                self.receiveServerEvent(frame.event, frame.data || {}, frame.id);
+            };
+
+            socket.onclose = function () {
+                clearTimeout(connectionTimeout);
+                if (self.socket === socket) {
+                    self.socket = null;
+                }
+                self.rejectSocketRequests(new Error('WebSocket closed'));
+
+                if (!settled) {
+                    fail('WebSocket connection failed');
+                } else if (self.transport === TRANSPORT.WEBSOCKET) {
+                    self.handleConnectionError();
+                }
+            };
+        });
+    };
+
+    /**
+     * Close WebSocket connection
+     *
+     * @private
+     */
+    ConnectionManager.prototype.closeWebSocket = function () {
+        if (this.socket) {
+            var socket = this.socket;
+            this.socket = null;
+            socket.onclose = null;
+            socket.onopen = null;
+            socket.onmessage = null;
+            socket.close();
+            this.rejectSocketRequests(new Error('WebSocket closed'));
+        }
+    };
+
+    /**
+     * Check whether writes can go over the socket
+     *
+     * @return {boolean} True if the socket is open and is the active transport
+     * @private
+     */
+    ConnectionManager.prototype.isSocketOpen = function () {
+        return this.transport === TRANSPORT.WEBSOCKET && this.socket !== null &&
+            this.socket.readyState === WebSocket.OPEN;
+    };
+
+    /**
+     * Send a request frame over the WebSocket
+     *
+     * @param {string} requestId Request identifier echoed back by the server
+     * @param {Object} requestData Request payload (same fields as the api.php POST)
+     * @return {Promise} Resolves with server response
+     * @private
+     */
+    ConnectionManager.prototype.sendWebSocket = function (requestId, requestData) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            var timer = setTimeout(function () {
+                delete self.socketRequests[requestId];
+                reject(new Error('timeout'));
+            }, self.options.connectionTimeout);
+
+            self.socketRequests[requestId] = { resolve: resolve, reject: reject, timer: timer };
+
+            try {
+                self.socket.send(JSON.stringify({
+                    type: 'request',
+                    requestid: requestId,
+                    data: requestData,
+                }));
+            } catch (e) {
+                clearTimeout(timer);
+                delete self.socketRequests[requestId];
+                reject(new Error('WebSocket send failed'));
+            }
+        });
+    };
+
+    /**
+     * Resolve a pending socket request with its response
+     *
+     * @param {string} requestId Request identifier
+     * @param {Object} response Server response
+     * @private
+     */
+    ConnectionManager.prototype.resolveSocketRequest = function (requestId, response) {
+        var request = this.socketRequests[requestId];
+        if (!request) {
+            return;
+        }
+        clearTimeout(request.timer);
+        delete this.socketRequests[requestId];
+        request.resolve(response);
+    };
+
+    /**
+     * Reject all pending socket requests
+     *
+     * @param {Error} error Rejection reason
+     * @private
+     */
+    ConnectionManager.prototype.rejectSocketRequests = function (error) {
+        var requests = this.socketRequests;
+        this.socketRequests = {};
+        Object.keys(requests).forEach(function (requestId) {
+            clearTimeout(requests[requestId].timer);
+            requests[requestId].reject(error);
+        });
+    };
+
+    /**
+     * Close SSE connection
+     *
+     * @private
+     */
+    ConnectionManager.prototype.closeSSE = function () {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    };
+
+    /**
+     * Start long-polling fallback (Requirement 6.1)
+     *
+     * The first poll carries no cursor, so the server answers at once with
+     * a 'connected' event and the current state. Later polls resume from
+     * lastEventId and the cursor returned by the previous poll.
+     *
+     * @return {Promise} Resolves when the first poll succeeds
+     * @private
+     */
+    ConnectionManager.prototype.startPolling = function () {
+        var self = this;
+
+        this.stopPolling();
+        this.pollCursor = null;
+        this.pollFailures = 0;
+        this.pollDelay = this.options.pollInterval;
+
+        return this.poll().then(function (events) {
+            var connected = events.filter(function (event) {
+                return event.event === 'connected';
+            })[0];
+
+            if (!connected) {
+                throw new Error('Polling handshake failed');
+            }
+
+            self.handleConnected(TRANSPORT.POLLING, connected.data || {});
+            // Deliver after init() resolves, like SSE events arriving on a later tick
+            setTimeout(function () {
+                self.deliverPollEvents(events);
+            }, 0);
+            self.schedulePoll(self.pollDelay);
+            self.scheduleSSEUpgrade();
+        }).catch(function (error) {
+            self.status = STATUS.DISCONNECTED;
+            self.transport = TRANSPORT.OFFLINE;
+            self.emit('statuschange', { status: self.status, transport: self.transport });
+            self.emit('connection_error', {
+                message: error.message,
+                reason: 'all_transports_failed',
+            });
+            throw error;
+        });
+    };
+
+    /**
+     * Issue a single long-poll request
+     *
+     * @return {Promise<Array>} Resolves with the events returned by the server
+     * @private
+     */
+    ConnectionManager.prototype.poll = function () {
+        var self = this;
 
-                if (self.sseAttempts < self.options.sseRetryAttempts) {
-                    setTimeout(function () {
-                        self.connectSSE().then(resolve).catch(reject);
-                    }, 1000);
-                } else {
-                    reject(new Error('SSE connection failed after ' + self.sseAttempts + ' attempts'));
-                }
-            };
+        var params = {
+            sessionid: this.sessionId,
+            connectionid: this.connectionId,
+            lastEventId: this.lastEventId,
+            wait: this.options.pollWait,
+        };
+        if (this.pollCursor) {
+            params.cursor = JSON.stringify(this.pollCursor);
+        }
 
-            // Handle connected event
-            self.eventSource.addEventListener('connected', function (event) {
-                clearTimeout(connectionTimeout);
-                var data = JSON.parse(event.data);
-                self.connectionId = data.connectionid;
-                self.status = STATUS.CONNECTED;
-                self.transport = TRANSPORT.SSE;
-                self.sseAttempts = 0;
-                self.reconnectDelay = DEFAULTS.reconnectDelay;
-                self.lastEventId = parseInt(event.lastEventId) || 0;
+        return new Promise(function (resolve, reject) {
+            self.pollRequest = $.ajax({
+                url: M.cfg.wwwroot + self.options.pollEndpoint,
+                method: 'GET',
+                data: params,
+                dataType: 'json',
+                cache: false,
+                timeout: self.options.pollWait * 1000 + self.options.connectionTimeout,
+            })
+                .done(function (response) {
+                    self.pollRequest = null;
+                    if (!response || !response.success) {
+                        reject(new Error((response && response.error) || 'Poll failed'));
+                        return;
+                    }
+                    self.pollCursor = response.cursor || self.pollCursor;
+                    self.markHeartbeat();
+                    resolve(response.events || []);
+                })
+                .fail(function (xhr, status, error) {
+                    self.pollRequest = null;
+                    reject(new Error(error || status || 'Poll failed'));
+                });
+        });
+    };
 
-                self.emit('statuschange', { status: self.status, transport: self.transport });
-                self.emit('connected', data);
-                resolve();
-            });
+    /**
+     * Deliver events from a poll response through emit()
+     *
+     * @param {Array} events Events as {id, event, data}
+     * @private
+     */
+    ConnectionManager.prototype.deliverPollEvents = function (events) {
+        var self = this;
 
-            // Register SSE event handlers
-            self.registerSSEHandlers();
+        events.forEach(function (event) {
+            if (self.transport !== TRANSPORT.POLLING) {
+                // Session ended or transport upgraded while delivering
+                return;
+            }
+            if (SERVER_EVENTS.indexOf(event.event) !== -1) {
+                self.receiveServerEvent(event.event, event.data || {}, event.id);
+            }
         });
     };
 
     /**
-     * Register handlers for SSE events
+     * Schedule the next poll
      *
+     * Adaptive interval: polls again promptly while events are flowing,
+     * doubles the delay while the session is idle, and backs off on errors.
+     *
+     * @param {number} delay Delay in milliseconds
      * @private
      */
-    ConnectionManager.prototype.registerSSEHandlers = function () {
+    ConnectionManager.prototype.schedulePoll = function (delay) {
         var self = this;
 
-        if (!this.eventSource) {
-            return;
+        if (this.pollingTimer) {
+            clearTimeout(this.pollingTimer);
         }
 
-        var events = [
-            'session_started',
-            'session_paused',
-            'session_resumed',
-            'session_completed',
-            'session_ended',
-            'question_broadcast',
-            'timer_sync',
-            'reconnect',
-            // Note: 'error' removed - conflicts with native EventSource.onerror event
-            // Instructor-only events (SSE-only mode)
-            'stats_update',
-            'students_update',
-        ];
-
-        events.forEach(function (eventType) {
-            self.eventSource.addEventListener(eventType, function (event) {
-                self.lastEventId = parseInt(event.lastEventId) || self.lastEventId;
+        var generation = this.pollGeneration;
+        var isCurrent = function () {
+            return generation === self.pollGeneration && self.transport === TRANSPORT.POLLING;
+        };
 
-                // Validate event data exists before parsing
-                if (!event.data || event.data === 'undefined') {
-                    // eslint-disable-next-line no-console
-                    console.warn('SSE event received without valid data:', eventType, event);
-                    return;
-                }
+        this.pollingTimer = setTimeout(function () {
+            self.pollingTimer = null;
 
-                var data;
-                try {
-                    data = JSON.parse(event.data);
-                } catch (e) {
-                    // eslint-disable-next-line no-console
-                    console.error('SSE JSON parse error for event:', eventType, 'data:', event.data, e);
+            self.poll().then(function (events) {
+                if (!isCurrent()) {
                     return;
                 }
+                self.pollFailures = 0;
+                self.deliverPollEvents(events);
 
-                self.emit(eventType, data);
+                self.pollDelay = events.length > 0 ?
+                    self.options.pollInterval :
+                    Math.min(self.pollDelay * 2, self.options.maxPollInterval);
 
-                // Handle reconnect request from server
-                if (eventType === 'reconnect') {
-                    self.handleReconnectRequest(data);
+                if (isCurrent()) {
+                    self.schedulePoll(self.pollDelay);
                 }
-
-                // Handle session end
-                if (eventType === 'session_completed' || eventType === 'session_ended') {
-                    self.disconnect();
+            }).catch(function () {
+                if (!isCurrent()) {
+                    return;
+                }
+                self.pollFailures++;
+                if (self.pollFailures >= self.options.pollRetryAttempts) {
+                    self.stopPolling();
+                    self.handleConnectionError();
+                    return;
                 }
+                self.schedulePoll(Math.min(
+                    self.options.pollInterval * Math.pow(2, self.pollFailures),
+                    self.options.maxPollInterval,
+                ));
             });
-        });
+        }, delay);
     };
 
     /**
-     * Close SSE connection
+     * Schedule a background attempt to move from polling back to SSE
      *
      * @private
      */
-    ConnectionManager.prototype.closeSSE = function () {
-        if (this.eventSource) {
-            this.eventSource.close();
-            this.eventSource = null;
+    ConnectionManager.prototype.scheduleSSEUpgrade = function () {
+        var self = this;
+
+        if (this.upgradeTimer || typeof EventSource === 'undefined') {
+            return;
         }
+
+        this.upgradeTimer = setTimeout(function () {
+            self.upgradeTimer = null;
+            self.tryUpgradeToSSE();
+        }, this.options.sseUpgradeInterval);
     };
 
     /**
-     * SSE connection failed fallback - show error (SSE-only mode)
+     * Probe SSE once while polling; switch over if the stream opens
      *
-     * @return {Promise} Rejects with error message
      * @private
      */
-    ConnectionManager.prototype.startPolling = function () {
+    ConnectionManager.prototype.tryUpgradeToSSE = function () {
         var self = this;
 
-        // SSE-only mode: No polling fallback
-        return new Promise(function (resolve, reject) {
-            self.status = STATUS.DISCONNECTED;
-            self.transport = TRANSPORT.OFFLINE;
-            self.emit('statuschange', { status: self.status, transport: self.transport });
-            self.emit('connection_error', {
-                message: 'SSE connection required. Polling fallback has been removed.',
-                reason: 'sse_required',
-            });
-            reject(new Error('SSE connection required. Please ensure your browser supports Server-Sent Events.'));
+        if (this.transport !== TRANSPORT.POLLING) {
+            return;
+        }
+
+        // A single probe per interval rather than the full retry budget
+        this.sseAttempts = this.options.sseRetryAttempts - 1;
+
+        this.connectSSE().then(function () {
+            // The stream delivered 'connected', so transport is now SSE
+            self.stopPolling();
+            return null;
+        }).catch(function () {
+            self.closeSSE();
+            if (self.transport === TRANSPORT.POLLING) {
+                self.scheduleSSEUpgrade();
+            }
         });
     };
 
-    // NOTE: startPollingLoop, poll, and pollReconnect have been removed (SSE-only mode)
-    // All real-time data is now pushed via Server-Sent Events
-    // Only write operations (submit, pause, resume) use api.php via send() method
-
     /**
      * Stop polling
      *
      * @private
      */
     ConnectionManager.prototype.stopPolling = function () {
+        // Invalidates callbacks of polls already in flight
+        this.pollGeneration++;
+
         if (this.pollingTimer) {
-            clearInterval(this.pollingTimer);
+            clearTimeout(this.pollingTimer);
             this.pollingTimer = null;
         }
+        if (this.upgradeTimer) {
+            clearTimeout(this.upgradeTimer);
+            this.upgradeTimer = null;
+        }
+        if (this.pollRequest) {
+            var request = this.pollRequest;
+            this.pollRequest = null;
+            request.abort();
+        }
     };
 
     /**
      * Handle connection error
      *
+     * @param {string} reason Reason reported with the 'disconnected' event
      * @private
      */
-    ConnectionManager.prototype.handleConnectionError = function () {
+    ConnectionManager.prototype.handleConnectionError = function (reason) {
         if (this.status === STATUS.DISCONNECTED) {
             return;
         }
 
+        this.stopHeartbeat();
         this.status = STATUS.RECONNECTING;
         this.emit('statuschange', { status: this.status });
-        this.emit('disconnected', { reason: 'connection_error' });
+        this.emit('disconnected', { reason: reason || 'connection_error' });
 
         this.scheduleReconnect();
     };
@@ -352,6 +1754,8 @@ define(['jquery'], function ($) {
      * @private
      */
     ConnectionManager.prototype.handleReconnectRequest = function () {
+        this.stopHeartbeat();
+        this.closeWebSocket();
         this.closeSSE();
         this.stopPolling();
         this.scheduleReconnect();
@@ -360,6 +1764,9 @@ define(['jquery'], function ($) {
     /**
      * Schedule a reconnection attempt
      *
+     * An attempt that fails on every transport schedules the next one, unless
+     * the manager was disconnected meanwhile.
+     *
      * @private
      */
     ConnectionManager.prototype.scheduleReconnect = function () {
@@ -369,9 +1776,16 @@ define(['jquery'], function ($) {
             return;
         }
 
+        var generation = this.reconnectGeneration;
         this.reconnectTimer = setTimeout(function () {
             self.reconnectTimer = null;
-            self.reconnect();
+            self.reconnect().catch(function () {
+                if (generation !== self.reconnectGeneration) {
+                    return;
+                }
+                self.emit('disconnected', { reason: 'reconnect_failed' });
+                self.scheduleReconnect();
+            });
         }, this.reconnectDelay);
 
         // Exponential backoff
@@ -389,6 +1803,17 @@ define(['jquery'], function ($) {
     ConnectionManager.prototype.reconnect = function () {
         var self = this;
 
+        if (this.role === ROLE.FOLLOWER && this.coordinator) {
+            // Ask the leader to recover and resend its state
+            this.tabSynced = false;
+            var synced = this.waitForSync(this.options.connectionTimeout);
+            this.coordinator.post({ type: 'reconnect' });
+            return synced.then(function () {
+                self.quality.reconnects++;
+                self.emit('reconnected', { transport: self.transport });
+            });
+        }
+
         // Clear any pending reconnect
         if (this.reconnectTimer) {
             clearTimeout(this.reconnectTimer);
@@ -396,6 +1821,8 @@ define(['jquery'], function ($) {
         }
 
         // Close existing connections
+        this.stopHeartbeat();
+        this.closeWebSocket();
         this.closeSSE();
         this.stopPolling();
 
@@ -405,39 +1832,33 @@ define(['jquery'], function ($) {
         // Reset SSE attempts for fresh reconnection
         this.sseAttempts = 0;
 
-        // Try SSE first, then polling
-        return self.connectSSE()
+        // Negotiate WebSocket, then SSE, then polling
+        return self.connect()
             .then(function () {
+                self.quality.reconnects++;
                 self.emit('reconnected', { transport: self.transport });
             })
-            .catch(function () {
-                return self.startPolling()
-                    .then(function () {
-                        self.emit('reconnected', { transport: self.transport });
-                    })
-                    .catch(function (error) {
-                        self.status = STATUS.DISCONNECTED;
-                        self.transport = TRANSPORT.OFFLINE;
-                        self.emit('statuschange', { status: self.status, transport: self.transport });
-                        throw error;
-                    });
+            .catch(function (error) {
+                self.status = STATUS.DISCONNECTED;
+                self.transport = TRANSPORT.OFFLINE;
+                self.emit('statuschange', { status: self.status, transport: self.transport });
+                throw error;
             });
     };
 
     /**
      * Send message to server
      *
+     * Writes are queued and retried with the same idempotency key until the
+     * server answers; anything else is sent once. Either way the promise
+     * resolves with the server's response, which may report success: false.
+     *
      * @param {string} type Message type (action)
      * @param {Object} data Message data
+     * @param {Object} options Write options: idempotencyKey to reuse a key from an earlier send
      * @return {Promise} Resolves with server response
      */
-    ConnectionManager.prototype.send = function (type, data) {
-        var self = this;
-        var startTime = Date.now();
-        var requestId = this.generateConnectionId();
-
-        this.pendingRequests[requestId] = startTime;
-
+    ConnectionManager.prototype.send = function (type, data, options) {
         var requestData = $.extend({
             action: type,
             sessionid: this.sessionId,
@@ -445,6 +1866,31 @@ define(['jquery'], function ($) {
             sesskey: M.cfg.sesskey,
         }, data || {});
 
+        if (WRITE_ACTIONS.indexOf(type) === -1) {
+            return this.transmit(requestData, this.generateConnectionId());
+        }
+
+        return this.enqueueRequest(requestData, (options && options.idempotencyKey) || this.generateRequestKey());
+    };
+
+    /**
+     * Send one request to the server
+     *
+     * Goes over the WebSocket when it is the active transport, otherwise
+     * as a POST to api.php.
+     *
+     * @param {Object} requestData Request payload
+     * @param {string} requestId Identifier for matching a socket response
+     * @return {Promise} Resolves with server response
+     * @private
+     */
+    ConnectionManager.prototype.transmit = function (requestData, requestId) {
+        var self = this;
+
+        if (this.isSocketOpen()) {
+            return this.sendWebSocket(requestId, requestData);
+        }
+
         return new Promise(function (resolve, reject) {
             $.ajax({
                 url: M.cfg.wwwroot + self.options.apiEndpoint,
@@ -454,17 +1900,202 @@ define(['jquery'], function ($) {
                 timeout: self.options.connectionTimeout,
             })
                 .done(function (response) {
-                    delete self.pendingRequests[requestId];
-                    self.latency = Date.now() - startTime;
                     resolve(response);
                 })
                 .fail(function (xhr, status, error) {
-                    delete self.pendingRequests[requestId];
                     reject(new Error(error || 'Request failed'));
                 });
         });
     };
 
+    /**
+     * Generate an idempotency key for a write
+     *
+     * @return {string} Key of letters, digits and dashes
+     * @private
+     */
+    ConnectionManager.prototype.generateRequestKey = function () {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return 'req-' + Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 12);
+    };
+
+    /**
+     * Add a write to the outbound queue
+     *
+     * Writes are sent one at a time in the order queued, so a pause and the
+     * resume after it reach the server in that order.
+     *
+     * @param {Object} requestData Request payload
+     * @param {string} key Idempotency key
+     * @return {Promise} Resolves with the server response, rejects once retries are exhausted
+     * @private
+     */
+    ConnectionManager.prototype.enqueueRequest = function (requestData, key) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            var request = {
+                id: key,
+                action: requestData.action,
+                data: $.extend({}, requestData, { idempotencykey: key }),
+                attempts: 0,
+                state: null,
+                settled: false,
+                timer: null,
+                resolve: resolve,
+                reject: reject,
+            };
+
+            self.requestQueue.push(request);
+            self.setRequestState(request, REQUEST_STATE.QUEUED);
+            self.processRequestQueue();
+        });
+    };
+
+    /**
+     * Start the next queued write if none is in flight
+     *
+     * @private
+     */
+    ConnectionManager.prototype.processRequestQueue = function () {
+        if (this.activeRequest || !this.requestQueue.length) {
+            return;
+        }
+
+        this.activeRequest = this.requestQueue[0];
+        this.attemptRequest(this.activeRequest);
+    };
+
+    /**
+     * Make one attempt at the active write
+     *
+     * @param {Object} request Queued request
+     * @private
+     */
+    ConnectionManager.prototype.attemptRequest = function (request) {
+        var self = this;
+
+        request.timer = null;
+        request.attempts++;
+        this.setRequestState(request, REQUEST_STATE.SENDING);
+
+        this.transmit(request.data, request.id + '-' + request.attempts).then(function (response) {
+            if (request.settled) {
+                // A late answer to an attempt already given up on
+                return null;
+            }
+            if (response && !response.success && RETRYABLE_ERRORS.indexOf(parseInt(response.errorcode)) !== -1) {
+                self.retryRequest(request, new Error(response.error || 'Request deferred'),
+                    (parseInt(response.retry_after) || 0) * 1000);
+                return null;
+            }
+            self.settleRequest(request, REQUEST_STATE.COMPLETED, response);
+            return null;
+        }).catch(function (error) {
+            if (request.settled) {
+                return;
+            }
+            if (!self.hasCapability('idempotency')) {
+                // The write may have been applied; without a key a retry could apply it twice
+                self.settleRequest(request, REQUEST_STATE.FAILED, error);
+                return;
+            }
+            self.retryRequest(request, error, 0);
+        });
+    };
+
+    /**
+     * Schedule another attempt at a write, or give up after the last one
+     *
+     * Backs off exponentially with jitter, so clients that lost the network
+     * together do not all retry in the same instant.
+     *
+     * @param {Object} request Queued request
+     * @param {Error} error Why the attempt failed
+     * @param {number} minDelay Server-requested minimum delay in milliseconds
+     * @private
+     */
+    ConnectionManager.prototype.retryRequest = function (request, error, minDelay) {
+        var self = this;
+
+        if (request.attempts >= this.options.requestRetryAttempts) {
+            this.settleRequest(request, REQUEST_STATE.FAILED, error);
+            return;
+        }
+
+        var backoff = Math.min(
+            this.options.requestRetryDelay * Math.pow(2, request.attempts - 1),
+            this.options.maxRequestRetryDelay,
+        );
+        var delay = Math.max(minDelay, Math.round(backoff * (0.5 + Math.random() * 0.5)));
+
+        this.setRequestState(request, REQUEST_STATE.RETRYING, { error: error.message, delay: delay });
+        request.timer = setTimeout(function () {
+            self.attemptRequest(request);
+        }, delay);
+    };
+
+    /**
+     * Finish a write and move on to the next one
+     *
+     * @param {Object} request Queued request
+     * @param {string} state REQUEST_STATE.COMPLETED or REQUEST_STATE.FAILED
+     * @param {Object|Error} result Server response, or the last error
+     * @private
+     */
+    ConnectionManager.prototype.settleRequest = function (request, state, result) {
+        request.settled = true;
+        clearTimeout(request.timer);
+
+        this.requestQueue = this.requestQueue.filter(function (other) {
+            return other !== request;
+        });
+        if (this.activeRequest === request) {
+            this.activeRequest = null;
+        }
+
+        if (state === REQUEST_STATE.FAILED) {
+            this.setRequestState(request, state, { error: result.message });
+            request.reject(result);
+        } else {
+            this.setRequestState(request, state, { success: !!(result && result.success) });
+            request.resolve(result);
+        }
+
+        this.processRequestQueue();
+    };
+
+    /**
+     * Record and announce a write's new state
+     *
+     * @param {Object} request Queued request
+     * @param {string} state New state
+     * @param {Object} details Extra fields for the event
+     * @private
+     */
+    ConnectionManager.prototype.setRequestState = function (request, state, details) {
+        request.state = state;
+        this.emit('request_state', $.extend({
+            id: request.id,
+            action: request.action,
+            state: state,
+            attempt: request.attempts,
+        }, details || {}));
+    };
+
+    /**
+     * Get the writes still queued or in flight
+     *
+     * @return {Array} Requests as {id, action, state, attempts}
+     */
+    ConnectionManager.prototype.getPendingRequests = function () {
+        return this.requestQueue.map(function (request) {
+            return { id: request.id, action: request.action, state: request.state, attempts: request.attempts };
+        });
+    };
+
     /**
      * Register event handler
      *
@@ -506,6 +2137,10 @@ define(['jquery'], function ($) {
      * @private
      */
     ConnectionManager.prototype.emit = function (event, data) {
+        if (this.role === ROLE.LEADER && this.coordinator) {
+            this.relayToTabs(event, data);
+        }
+
         var handlers = this.eventHandlers[event];
         if (handlers) {
             handlers.forEach(function (callback) {
@@ -531,6 +2166,14 @@ define(['jquery'], function ($) {
             transport: this.transport,
             latency: this.latency,
             connectionId: this.connectionId,
+            role: this.role,
+            timeSinceLastPing: this.lastPing === null ? null : Date.now() - this.lastPing,
+            quality: this.getQuality(),
+            protocol: {
+                client: PROTOCOL_VERSION,
+                server: this.serverProtocol.version,
+                capabilities: this.serverProtocol.capabilities.slice(),
+            },
         };
     };
 
@@ -556,6 +2199,19 @@ define(['jquery'], function ($) {
      * Graceful disconnect
      */
     ConnectionManager.prototype.disconnect = function () {
+        // Leave first: the next tab in line takes over, and this tab's
+        // disconnect is not relayed to the others
+        if (this.coordinator) {
+            this.coordinator.stop();
+            this.coordinator = null;
+        }
+        this.settleSyncWaiters(new Error('Disconnected'));
+
+        this.reconnectGeneration++;
+        this.cancelReplay();
+        this.stopHeartbeat();
+        this.stopQualityProbes();
+        this.closeWebSocket();
         this.closeSSE();
         this.stopPolling();
 
@@ -571,16 +2227,95 @@ define(['jquery'], function ($) {
         this.emit('disconnected', { reason: 'user_disconnect' });
     };
 
+    /**
+     * Disconnect and release everything the manager holds
+     *
+     * Queued writes are rejected and all handlers removed; the manager
+     * should not be used afterwards.
+     */
+    ConnectionManager.prototype.destroy = function () {
+        this.disconnect();
+
+        var error = new Error('Connection manager destroyed');
+        var pending = this.requestQueue;
+        this.requestQueue = [];
+        this.activeRequest = null;
+        pending.forEach(function (request) {
+            request.settled = true;
+            clearTimeout(request.timer);
+            request.reject(error);
+        });
+
+        this.eventHandlers = {};
+    };
+
     // Export constants for external use
     ConnectionManager.STATUS = STATUS;
     ConnectionManager.TRANSPORT = TRANSPORT;
+    ConnectionManager.ROLE = ROLE;
+    ConnectionManager.QUALITY = QUALITY;
+    ConnectionManager.REQUEST_STATE = REQUEST_STATE;
+    ConnectionManager.PROTOCOL_VERSION = PROTOCOL_VERSION;
 
-    // Singleton instance
+    // Managers created through the factory, keyed by session ID
+    var managers = {};
+
+    // Manager behind the module-level shims
     var instance = null;
 
     return {
         /**
-         * Get or create ConnectionManager instance
+         * Create an independent manager for a session
+         *
+         * Each manager has its own connection, handlers and write queue, so
+         * a page can follow several sessions at once. Register handlers, then
+         * call init() to connect.
+         *
+         * @param {number} sessionId Session ID
+         * @param {Object} options Configuration options
+         * @return {ConnectionManager} New connection manager
+         */
+        create: function (sessionId, options) {
+            if (!sessionId) {
+                throw new Error('A session ID is required');
+            }
+            if (managers[sessionId]) {
+                throw new Error('A connection manager already exists for session ' + sessionId);
+            }
+            managers[sessionId] = new ConnectionManager(sessionId, options);
+            return managers[sessionId];
+        },
+
+        /**
+         * Get the manager created for a session
+         *
+         * @param {number} sessionId Session ID
+         * @return {ConnectionManager|null} Connection manager, or null if none was created
+         */
+        get: function (sessionId) {
+            return managers[sessionId] || null;
+        },
+
+        /**
+         * Destroy the manager created for a session
+         *
+         * @param {number} sessionId Session ID
+         */
+        destroy: function (sessionId) {
+            var manager = managers[sessionId];
+            if (manager) {
+                delete managers[sessionId];
+                manager.destroy();
+            }
+        },
+
+        // The functions below act on one default manager and are kept for
+        // pages written before managers could be created per session.
+
+        /**
+         * Get or create the default manager
+         *
+         * The module-level init, on and send functions drive this manager.
          *
          * @return {ConnectionManager} Connection manager instance
          */
@@ -607,10 +2342,30 @@ define(['jquery'], function ($) {
          *
          * @param {string} type Message type
          * @param {Object} data Message data
+         * @param {Object} options Write options (idempotencyKey)
          * @return {Promise} Resolves with response
          */
-        send: function (type, data) {
-            return this.getInstance().send(type, data);
+        send: function (type, data, options) {
+            return this.getInstance().send(type, data, options);
+        },
+
+        /**
+         * Get the writes still queued or in flight
+         *
+         * @return {Array} Pending requests
+         */
+        getPendingRequests: function () {
+            return this.getInstance().getPendingRequests();
+        },
+
+        /**
+         * Check whether the server offers an optional feature
+         *
+         * @param {string} capability Capability name
+         * @return {boolean} True if the feature can be used
+         */
+        hasCapability: function (capability) {
+            return this.getInstance().hasCapability(capability);
         },
 
         /**
@@ -661,5 +2416,9 @@ define(['jquery'], function ($) {
         // Export constants
         STATUS: STATUS,
         TRANSPORT: TRANSPORT,
+        ROLE: ROLE,
+        QUALITY: QUALITY,
+        REQUEST_STATE: REQUEST_STATE,
+        PROTOCOL_VERSION: PROTOCOL_VERSION,
     };
 });
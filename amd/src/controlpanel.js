@@ -27,11 +27,12 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
-define(['jquery', 'core/notification', 'mod_classengage/connection_manager'],
-    function ($, Notification, ConnectionManager) {
+define(['jquery', 'core/notification', 'core/str', 'mod_classengage/connection_manager', 'mod_classengage/word_cloud'],
+    function ($, Notification, Str, ConnectionManager, WordCloud) {
 
         // SSE-only mode: No polling timers needed
         var pollingInterval = 1000; // Used only for SSE connection options
+        var websocketUrl = ''; // Optional WebSocket relay, SSE is used when empty
         var sessionId = null;
         var chart = null;
         var lastQuestionNumber = -1; // Track last known question to prevent stale updates
@@ -48,6 +49,33 @@ define(['jquery', 'core/notification', 'mod_classengage/connection_manager'],
         // Student search filter
         var searchTerm = '';
 
+        // Network quality: class summary from stats_update, own link from the connection manager
+        var networkSummary = null;
+        var ownQuality = null;
+        var networkStrings = {};
+
+        // Share of reporting students on a degraded link before the class badge changes
+        var NETWORK_DEGRADED_SHARE = 0.25;
+
+        // Students answering differently on two devices, from stats_update
+        var conflictSummary = null;
+        var conflictStrings = {};
+
+        // Word cloud of the current word cloud question, built on the first stats_update
+        var wordCloud = null;
+
+        // Heatmap over the current hotspot question's image: image, canvas and latest points
+        var hotspotHeatmap = null;
+
+        // Heat radius as a share of the image's shorter side, and colours from least to most tapped
+        var HOTSPOT_HEAT_RADIUS = 0.05;
+        var HOTSPOT_HEAT_STOPS = [
+            [0, [0, 0, 255]],
+            [0.4, [0, 255, 0]],
+            [0.7, [255, 255, 0]],
+            [1, [255, 0, 0]],
+        ];
+
         // Client-side timer state (local countdown)
         var timerState = {
             timeRemaining: 0,       // Current time remaining
@@ -63,13 +91,15 @@ define(['jquery', 'core/notification', 'mod_classengage/connection_manager'],
              *
              * @param {number} sid Session ID
              * @param {number} interval Polling interval in milliseconds
+             * @param {string} wsurl WebSocket relay URL (optional)
              */
-            init: function (sid, interval) {
+            init: function (sid, interval, wsurl) {
                 // eslint-disable-next-line no-console
                 console.log('Control panel init called with sessionId:', sid, 'interval:', interval);
 
                 sessionId = sid;
                 pollingInterval = interval || 1000;
+                websocketUrl = wsurl || '';
 
                 // Initialize SSE connection (SSE-only, no polling fallback for stats)
                 this.initSSEConnection();
@@ -95,6 +125,9 @@ define(['jquery', 'core/notification', 'mod_classengage/connection_manager'],
                 // Setup student search functionality
                 this.setupStudentSearch();
 
+                this.loadNetworkStrings();
+                this.loadConflictStrings();
+
                 // Register event handlers before connecting
                 ConnectionManager.on('session_paused', function (data) {
                     self.handleSessionPaused(data);
@@ -116,6 +149,11 @@ define(['jquery', 'core/notification', 'mod_classengage/connection_manager'],
                     self.handleConnectionStatusChange(data);
                 });
 
+                ConnectionManager.on('quality', function (data) {
+                    ownQuality = data;
+                    self.renderNetworkQuality();
+                });
+
                 // SSE-ONLY: Register handlers for stats and students updates
                 ConnectionManager.on('stats_update', function (data) {
                     self.handleStatsUpdate(data);
@@ -128,6 +166,8 @@ define(['jquery', 'core/notification', 'mod_classengage/connection_manager'],
                 // Try to connect via SSE
                 ConnectionManager.init(sessionId, {
                     pollInterval: pollingInterval,
+                    wsEndpoint: websocketUrl,
+                    pageRole: 'controlpanel',
                 }).then(function () {
                     // Log actual transport being used
                     var status = ConnectionManager.getInstance().getStatus();
@@ -138,9 +178,15 @@ define(['jquery', 'core/notification', 'mod_classengage/connection_manager'],
                         connectionId: status.connectionId,
                     });
 
-                    if (status.transport === 'sse') {
+                    if (status.transport === ConnectionManager.TRANSPORT.WEBSOCKET) {
+                        // eslint-disable-next-line no-console
+                        console.log('✓ WebSocket mode active - Updates and controls share one socket');
+                    } else if (status.transport === ConnectionManager.TRANSPORT.SSE) {
                         // eslint-disable-next-line no-console
                         console.log('✓ SSE-ONLY mode active - No polling required!');
+                    } else if (status.transport === ConnectionManager.TRANSPORT.POLLING) {
+                        // eslint-disable-next-line no-console
+                        console.warn('⚠ SSE unavailable - Using long-polling, will retry SSE in the background');
                     } else {
                         // eslint-disable-next-line no-console
                         console.warn('⚠ SSE failed - Updates may not work correctly');
@@ -148,7 +194,7 @@ define(['jquery', 'core/notification', 'mod_classengage/connection_manager'],
                     return null;
                 }).catch(function (error) {
                     // eslint-disable-next-line no-console
-                    console.error('SSE connection failed:', error);
+                    console.error('Real-time connection failed:', error);
                 });
             },
 
@@ -188,6 +234,432 @@ define(['jquery', 'core/notification', 'mod_classengage/connection_manager'],
                     answered: data.answered,
                     pending: data.pending,
                 });
+
+                if (data.network) {
+                    networkSummary = data.network;
+                    this.renderNetworkQuality();
+                }
+
+                if (data.conflicts) {
+                    conflictSummary = data.conflicts;
+                    this.renderConflicts();
+                }
+
+                if (data.breakdown) {
+                    this.renderBreakdown(data.breakdown);
+                }
+
+                if (data.confidence) {
+                    this.renderConfidence(data.confidence);
+                }
+            },
+
+            /**
+             * Fill in the split of correct and incorrect answers by confidence
+             *
+             * @param {Object} confidence Correct and incorrect counts by confidence, and unrated, from stats_update
+             * @private
+             */
+            renderConfidence: function (confidence) {
+                var panel = $('#confidence-split');
+                if (!panel.length) {
+                    return;
+                }
+
+                ['correct', 'incorrect'].forEach(function (row) {
+                    confidence[row].forEach(function (count, index) {
+                        panel.find('[data-confidence="' + row + '-' + index + '"]').text(count);
+                    });
+                });
+
+                var unrated = confidence.unrated ? panel.attr('data-unratedlabel').replace('{count}', confidence.unrated) : '';
+                $('#confidence-unrated').text(unrated);
+            },
+
+            /**
+             * Render the breakdown of numeric, ordering, word cloud or hotspot answers
+             *
+             * The word cloud and hotspot image are updated in place, the others
+             * are redrawn.
+             *
+             * @param {Object} breakdown Histogram, heatmap, words or points from stats_update
+             * @private
+             */
+            renderBreakdown: function (breakdown) {
+                var body = $('#answer-breakdown-body');
+                if (!body.length) {
+                    return;
+                }
+
+                if (breakdown.type === 'histogram') {
+                    body.empty().append(this.buildHistogram(breakdown));
+                } else if (breakdown.type === 'heatmap') {
+                    body.empty().append(this.buildHeatmap(breakdown, $('#answer-breakdown').attr('data-positionlabel')));
+                } else if (breakdown.type === 'words') {
+                    if (!wordCloud) {
+                        var stopWords = String($('#answer-breakdown').attr('data-stopwords') || '').split(',');
+                        wordCloud = WordCloud.create(body.addClass('word-cloud text-center'), stopWords);
+                    }
+                    wordCloud.update(breakdown.answers);
+                } else if (breakdown.type === 'points') {
+                    this.renderHotspotHeatmap(body, breakdown);
+                }
+            },
+
+            /**
+             * Show the points tapped on a hotspot question's image
+             *
+             * The image and a canvas over it are added on the first update;
+             * later ones only redraw the canvas.
+             *
+             * @param {jQuery} body Breakdown container
+             * @param {Object} points Points with x, y and count, and the correct area
+             * @private
+             */
+            renderHotspotHeatmap: function (body, points) {
+                if (!hotspotHeatmap) {
+                    var draw = this.drawHotspotHeatmap.bind(this);
+                    var image = $('<img class="img-fluid d-block" alt="">')
+                        .attr('src', $('#answer-breakdown').attr('data-image') || '')
+                        .on('load', draw);
+                    var canvas = $('<canvas class="position-absolute" aria-hidden="true"></canvas>').css({
+                        top: 0,
+                        left: 0,
+                        width: '100%',
+                        height: '100%',
+                        pointerEvents: 'none',
+                    });
+
+                    body.append($('<div class="hotspot-heatmap position-relative d-inline-block mw-100"></div>')
+                        .append(image)
+                        .append(canvas));
+                    hotspotHeatmap = { image: image[0], canvas: canvas[0], points: points };
+                    $(window).on('resize', draw);
+                }
+
+                hotspotHeatmap.points = points;
+                this.drawHotspotHeatmap();
+            },
+
+            /**
+             * Draw the heatmap of tapped points at the image's current size
+             *
+             * Each point adds a soft blob, stronger the more students tapped
+             * it; the overlapping blobs are then coloured from blue (few) to
+             * red (many). The correct area is outlined, as an oval on images
+             * that are not square, as it is measured in fractions of each side.
+             *
+             * @private
+             */
+            drawHotspotHeatmap: function () {
+                var width = hotspotHeatmap.image.clientWidth;
+                var height = hotspotHeatmap.image.clientHeight;
+                if (!width || !height) {
+                    return;
+                }
+
+                var canvas = hotspotHeatmap.canvas;
+                var data = hotspotHeatmap.points;
+                canvas.width = width;
+                canvas.height = height;
+                var context = canvas.getContext('2d');
+
+                var max = Math.max.apply(null, data.points.map(function (point) {
+                    return point.count;
+                }).concat([1]));
+                var radius = Math.max(12, Math.min(width, height) * HOTSPOT_HEAT_RADIUS);
+
+                data.points.forEach(function (point) {
+                    var x = point.x * width;
+                    var y = point.y * height;
+                    var gradient = context.createRadialGradient(x, y, 0, x, y, radius);
+                    gradient.addColorStop(0, 'rgba(0, 0, 0, ' + (0.25 + 0.75 * point.count / max).toFixed(2) + ')');
+                    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+                    context.fillStyle = gradient;
+                    context.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+                });
+
+                if (data.points.length) {
+                    var pixels = context.getImageData(0, 0, width, height);
+                    for (var i = 0; i < pixels.data.length; i += 4) {
+                        var heat = pixels.data[i + 3] / 255;
+                        if (heat > 0) {
+                            var colour = this.heatColour(heat);
+                            pixels.data[i] = colour[0];
+                            pixels.data[i + 1] = colour[1];
+                            pixels.data[i + 2] = colour[2];
+                            pixels.data[i + 3] = Math.round(Math.min(1, heat * 1.5) * 190);
+                        }
+                    }
+                    context.putImageData(pixels, 0, 0);
+                }
+
+                if (data.correct) {
+                    context.beginPath();
+                    context.ellipse(data.correct.x * width, data.correct.y * height,
+                        data.correct.radius * width, data.correct.radius * height, 0, 0, 2 * Math.PI);
+                    context.lineWidth = 3;
+                    context.setLineDash([8, 6]);
+                    context.strokeStyle = '#28a745';
+                    context.stroke();
+                }
+            },
+
+            /**
+             * Get the heatmap colour of a heat level
+             *
+             * @param {number} heat Heat from 0 to 1
+             * @return {Array} Red, green and blue
+             * @private
+             */
+            heatColour: function (heat) {
+                for (var i = 1; i < HOTSPOT_HEAT_STOPS.length; i++) {
+                    var upper = HOTSPOT_HEAT_STOPS[i];
+                    if (heat <= upper[0]) {
+                        var lower = HOTSPOT_HEAT_STOPS[i - 1];
+                        var share = (heat - lower[0]) / (upper[0] - lower[0]);
+                        return lower[1].map(function (value, index) {
+                            return Math.round(value + (upper[1][index] - value) * share);
+                        });
+                    }
+                }
+                return HOTSPOT_HEAT_STOPS[HOTSPOT_HEAT_STOPS.length - 1][1];
+            },
+
+            /**
+             * Build a histogram of numeric answers, one bar per bin
+             *
+             * Bins within the correct range are green.
+             *
+             * @param {Object} histogram Bins with from, to, count and correct
+             * @return {jQuery} Histogram
+             * @private
+             */
+            buildHistogram: function (histogram) {
+                var max = Math.max.apply(null, histogram.bins.map(function (bin) {
+                    return bin.count;
+                }).concat([1]));
+                var format = function (value) {
+                    return String(Number(Number(value).toPrecision(4)));
+                };
+
+                var list = $('<div class="answer-histogram"></div>');
+                histogram.bins.forEach(function (bin) {
+                    var share = Math.round((bin.count / max) * 100);
+                    var label = bin.from === bin.to ? format(bin.from) : format(bin.from) + ' \u2013 ' + format(bin.to);
+
+                    $('<div class="d-flex align-items-center mb-1"></div>')
+                        .append($('<span class="small text-nowrap mr-2" style="min-width: 8rem;"></span>').text(label))
+                        .append($('<div class="progress flex-grow-1" style="height: 1.25rem;"></div>').append(
+                            $('<div class="progress-bar" role="progressbar"></div>')
+                                .addClass(bin.correct ? 'bg-success' : 'bg-info')
+                                .css('width', share + '%'),
+                        ))
+                        .append($('<span class="font-weight-bold text-center ml-2" style="min-width: 2.5rem;"></span>')
+                            .text(bin.count))
+                        .appendTo(list);
+                });
+
+                return list;
+            },
+
+            /**
+             * Build a heatmap of how often each item was put in each position
+             *
+             * Darker cells were chosen more often; each item's correct
+             * position is outlined.
+             *
+             * @param {Object} heatmap Items with counts by position and correct position
+             * @param {string} positionLabel Heading of the position columns
+             * @return {jQuery} Heatmap table
+             * @private
+             */
+            buildHeatmap: function (heatmap, positionLabel) {
+                var total = Math.max(heatmap.total, 1);
+                var head = $('<tr></tr>').append('<th class="border-top-0"></th>');
+                for (var position = 0; position < heatmap.positions; position++) {
+                    head.append($('<th class="text-center border-top-0"></th>').text(positionLabel + ' ' + (position + 1)));
+                }
+
+                var rows = heatmap.items.map(function (item) {
+                    var row = $('<tr></tr>').append($('<th class="font-weight-normal"></th>')
+                        .append($('<strong class="mr-2"></strong>').text(item.key))
+                        .append($('<span></span>').text(item.text)));
+
+                    item.counts.forEach(function (count, index) {
+                        var share = count / total;
+                        $('<td class="text-center align-middle"></td>')
+                            .text(count)
+                            .toggleClass('border border-success', index === item.correctposition)
+                            .toggleClass('text-white', share > 0.5)
+                            .css('background-color', 'rgba(54, 162, 235, ' + share.toFixed(2) + ')')
+                            .appendTo(row);
+                    });
+                    return row;
+                });
+
+                return $('<table class="table table-sm mb-0 answer-heatmap"></table>')
+                    .append($('<thead></thead>').append(head))
+                    .append($('<tbody></tbody>').append(rows));
+            },
+
+            /**
+             * Load the strings used by the answer conflicts panel
+             *
+             * @private
+             */
+            loadConflictStrings: function () {
+                var self = this;
+
+                Str.get_strings([
+                    { key: 'answerconflictsstudents', component: 'mod_classengage', param: '{count}' },
+                    { key: 'answerconflictspending', component: 'mod_classengage', param: '{count}' },
+                    { key: 'conflictcounted', component: 'mod_classengage', param: '{answer}' },
+                    { key: 'conflictother', component: 'mod_classengage', param: '{answer}' },
+                    { key: 'keepcountedanswer', component: 'mod_classengage' },
+                    { key: 'useotheranswer', component: 'mod_classengage' },
+                ]).then(function (strings) {
+                    conflictStrings = {
+                        students: strings[0],
+                        pending: strings[1],
+                        counted: strings[2],
+                        other: strings[3],
+                        keep: strings[4],
+                        use: strings[5],
+                    };
+                    self.renderConflicts();
+                    return null;
+                }).catch(Notification.exception);
+            },
+
+            /**
+             * Render the answer conflicts panel
+             *
+             * Shown once a student answered the current question differently
+             * on two devices. Conflicts left to the instructor get a button
+             * for each answer.
+             *
+             * @private
+             */
+            renderConflicts: function () {
+                var panel = $('#answer-conflicts');
+                if (!panel.length || !conflictStrings.students || !conflictSummary) {
+                    return;
+                }
+
+                panel.toggleClass('d-none', !conflictSummary.students);
+
+                var summary = conflictStrings.students.replace('{count}', conflictSummary.students);
+                if (conflictSummary.pending.length) {
+                    summary += ' \u00b7 ' + conflictStrings.pending.replace('{count}', conflictSummary.pending.length);
+                }
+                $('#answer-conflicts-summary').text(summary);
+
+                var actionUrl = panel.attr('data-actionurl');
+                var list = $('#answer-conflicts-list').empty();
+                conflictSummary.pending.forEach(function (conflict) {
+                    var url = actionUrl + '&conflictid=' + conflict.id + '&accept=';
+                    var buttons = $('<div class="mt-1"></div>')
+                        .append($('<a class="btn btn-sm btn-outline-secondary mr-2"></a>')
+                            .attr('href', url + '0').text(conflictStrings.keep))
+                        .append($('<a class="btn btn-sm btn-outline-primary"></a>')
+                            .attr('href', url + '1').text(conflictStrings.use));
+
+                    $('<li class="border-top pt-2 mt-2"></li>')
+                        .attr('data-conflictid', conflict.id)
+                        .append($('<div class="font-weight-bold"></div>').text(conflict.fullname))
+                        .append($('<div></div>').text(conflictStrings.counted.replace('{answer}', conflict.previousanswer)))
+                        .append($('<div></div>').text(conflictStrings.other.replace('{answer}', conflict.answer)))
+                        .append(buttons)
+                        .appendTo(list);
+                });
+            },
+
+            /**
+             * Load the strings used by the network quality badge
+             *
+             * @private
+             */
+            loadNetworkStrings: function () {
+                var self = this;
+                var keys = ['good', 'fair', 'poor', 'unknown'];
+
+                Str.get_strings(keys.map(function (key) {
+                    return { key: 'networkquality_' + key, component: 'mod_classengage' };
+                }).concat([
+                    { key: 'networkqualitysummary', component: 'mod_classengage', param: { poor: '{poor}', reporting: '{reporting}', rtt: '{rtt}' } },
+                    { key: 'networkqualityyours', component: 'mod_classengage', param: { rtt: '{rtt}', jitter: '{jitter}', reconnects: '{reconnects}' } },
+                ])).then(function (strings) {
+                    keys.forEach(function (key, index) {
+                        networkStrings[key] = strings[index];
+                    });
+                    networkStrings.summary = strings[keys.length];
+                    networkStrings.yours = strings[keys.length + 1];
+                    self.renderNetworkQuality();
+                    return null;
+                }).catch(Notification.exception);
+            },
+
+            /**
+             * Classify the class network from the students' reported quality
+             *
+             * @param {Object} network Summary with reporting, good, fair, poor counts
+             * @return {string} good, fair, poor or unknown
+             * @private
+             */
+            getClassNetworkLevel: function (network) {
+                if (!network || !network.reporting) {
+                    return 'unknown';
+                }
+                if (network.poor / network.reporting >= NETWORK_DEGRADED_SHARE) {
+                    return 'poor';
+                }
+                if ((network.poor + network.fair) / network.reporting >= NETWORK_DEGRADED_SHARE) {
+                    return 'fair';
+                }
+                return 'good';
+            },
+
+            /**
+             * Render the network quality badge
+             *
+             * The badge reflects the class as a whole, so a bad Wi-Fi shows up
+             * here rather than as students who are not answering.
+             *
+             * @private
+             */
+            renderNetworkQuality: function () {
+                var badge = $('#network-quality');
+                if (!badge.length || !networkStrings.unknown) {
+                    return;
+                }
+
+                var level = this.getClassNetworkLevel(networkSummary);
+                var badgeClasses = {
+                    good: 'badge-success',
+                    fair: 'badge-warning',
+                    poor: 'badge-danger',
+                    unknown: 'badge-secondary',
+                };
+
+                badge.removeClass('badge-success badge-warning badge-danger badge-secondary')
+                    .addClass(badgeClasses[level]);
+                $('#network-quality-level').text(networkStrings[level]);
+
+                var title = [];
+                if (networkSummary && networkSummary.reporting) {
+                    title.push(networkStrings.summary
+                        .replace('{poor}', networkSummary.poor)
+                        .replace('{reporting}', networkSummary.reporting)
+                        .replace('{rtt}', networkSummary.medianrtt === null ? '-' : networkSummary.medianrtt));
+                }
+                if (ownQuality && ownQuality.rtt !== null) {
+                    title.push(networkStrings.yours
+                        .replace('{rtt}', ownQuality.rtt)
+                        .replace('{jitter}', ownQuality.jitter)
+                        .replace('{reconnects}', ownQuality.reconnects));
+                }
+                badge.attr('title', title.join('\n'));
             },
 
             /**
@@ -302,35 +774,25 @@ define(['jquery', 'core/notification', 'mod_classengage/connection_manager'],
             pauseSession: function () {
                 var self = this;
 
-                $.ajax({
-                    url: M.cfg.wwwroot + '/mod/classengage/api.php',
-                    method: 'POST',
-                    data: {
-                        action: 'pause',
-                        sessionid: sessionId,
-                        sesskey: M.cfg.sesskey,
-                    },
-                    dataType: 'json',
-                    success: function (response) {
-                        if (response.success) {
-                            self.handleSessionPaused(response);
-                            Notification.addNotification({
-                                message: M.util.get_string('sessionpaused', 'mod_classengage'),
-                                type: 'info',
-                            });
-                        } else {
-                            Notification.addNotification({
-                                message: response.error || 'Failed to pause session',
-                                type: 'error',
-                            });
-                        }
-                    },
-                    error: function () {
+                ConnectionManager.send('pause', {}).then(function (response) {
+                    if (response.success) {
+                        self.handleSessionPaused(response);
+                        Notification.addNotification({
+                            message: M.util.get_string('sessionpaused', 'mod_classengage'),
+                            type: 'info',
+                        });
+                    } else {
                         Notification.addNotification({
-                            message: 'Network error while pausing session',
+                            message: response.error || 'Failed to pause session',
                             type: 'error',
                         });
-                    },
+                    }
+                    return null;
+                }).catch(function () {
+                    Notification.addNotification({
+                        message: 'Network error while pausing session',
+                        type: 'error',
+                    });
                 });
             },
 
@@ -343,35 +805,25 @@ define(['jquery', 'core/notification', 'mod_classengage/connection_manager'],
             resumeSession: function () {
                 var self = this;
 
-                $.ajax({
-                    url: M.cfg.wwwroot + '/mod/classengage/api.php',
-                    method: 'POST',
-                    data: {
-                        action: 'resume',
-                        sessionid: sessionId,
-                        sesskey: M.cfg.sesskey,
-                    },
-                    dataType: 'json',
-                    success: function (response) {
-                        if (response.success) {
-                            self.handleSessionResumed(response);
-                            Notification.addNotification({
-                                message: M.util.get_string('sessionresumed', 'mod_classengage'),
-                                type: 'info',
-                            });
-                        } else {
-                            Notification.addNotification({
-                                message: response.error || 'Failed to resume session',
-                                type: 'error',
-                            });
-                        }
-                    },
-                    error: function () {
+                ConnectionManager.send('resume', {}).then(function (response) {
+                    if (response.success) {
+                        self.handleSessionResumed(response);
                         Notification.addNotification({
-                            message: 'Network error while resuming session',
+                            message: M.util.get_string('sessionresumed', 'mod_classengage'),
+                            type: 'info',
+                        });
+                    } else {
+                        Notification.addNotification({
+                            message: response.error || 'Failed to resume session',
                             type: 'error',
                         });
-                    },
+                    }
+                    return null;
+                }).catch(function () {
+                    Notification.addNotification({
+                        message: 'Network error while resuming session',
+                        type: 'error',
+                    });
                 });
             },
 
@@ -0,0 +1,183 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Classification of server errors on answer submission
+ *
+ * api.php reports a failed write with a numeric errorcode from
+ * constants::ERROR_*, and Moodle reports its own exceptions, such as a lapsed
+ * login or session key, with a string errorcode. This module sorts those
+ * codes into what the client should do about them:
+ *
+ * - permanent: resubmitting cannot succeed, e.g. the question was already
+ *   answered or the session has ended
+ * - transient: resubmitting later may succeed, e.g. rate limited or a
+ *   database hiccup
+ * - auth_expired: nothing will succeed until the page is reloaded with a
+ *   fresh login and session key
+ *
+ * Responses without a code, from servers older than the codes or stored by
+ * an idempotency key before them, fall back to matching the English message.
+ *
+ * @module     mod_classengage/error_taxonomy
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define([], function () {
+
+    /**
+     * Error categories
+     * @type {Object}
+     */
+    var CATEGORY = {
+        PERMANENT: 'permanent',
+        TRANSIENT: 'transient',
+        AUTH_EXPIRED: 'auth_expired',
+    };
+
+    /**
+     * Server error codes (constants::ERROR_*)
+     * @type {Object}
+     */
+    var CODES = {
+        SESSION_NOT_FOUND: 1001,
+        SESSION_NOT_ACTIVE: 1002,
+        ALREADY_ANSWERED: 1003,
+        RATE_LIMIT_EXCEEDED: 1004,
+        INVALID_ANSWER: 1005,
+        CONNECTION_TIMEOUT: 1006,
+        DATABASE: 1007,
+        PERMISSION_DENIED: 1008,
+        REQUEST_IN_PROGRESS: 1009,
+        QUESTION_NOT_FOUND: 1010,
+        ANSWER_CONFLICT: 1011,
+    };
+
+    /**
+     * Category of each numeric code
+     * @type {Object}
+     */
+    var CATEGORIES = {};
+    CATEGORIES[CODES.SESSION_NOT_FOUND] = CATEGORY.PERMANENT;
+    CATEGORIES[CODES.SESSION_NOT_ACTIVE] = CATEGORY.PERMANENT;
+    CATEGORIES[CODES.ALREADY_ANSWERED] = CATEGORY.PERMANENT;
+    CATEGORIES[CODES.INVALID_ANSWER] = CATEGORY.PERMANENT;
+    CATEGORIES[CODES.PERMISSION_DENIED] = CATEGORY.PERMANENT;
+    CATEGORIES[CODES.QUESTION_NOT_FOUND] = CATEGORY.PERMANENT;
+    CATEGORIES[CODES.ANSWER_CONFLICT] = CATEGORY.PERMANENT;
+    CATEGORIES[CODES.RATE_LIMIT_EXCEEDED] = CATEGORY.TRANSIENT;
+    CATEGORIES[CODES.CONNECTION_TIMEOUT] = CATEGORY.TRANSIENT;
+    CATEGORIES[CODES.DATABASE] = CATEGORY.TRANSIENT;
+    CATEGORIES[CODES.REQUEST_IN_PROGRESS] = CATEGORY.TRANSIENT;
+
+    /**
+     * Category of the Moodle exception codes api.php can answer with
+     * @type {Object}
+     */
+    var MOODLE_CATEGORIES = {
+        invalidsesskey: CATEGORY.AUTH_EXPIRED,
+        requireloginerror: CATEGORY.AUTH_EXPIRED,
+        sessionerroruser: CATEGORY.AUTH_EXPIRED,
+        servicerequireslogin: CATEGORY.AUTH_EXPIRED,
+        invalidrecord: CATEGORY.PERMANENT,
+        nopermissions: CATEGORY.PERMANENT,
+    };
+
+    /**
+     * Codes implied by the messages of servers that sent none
+     * @type {Array}
+     */
+    var LEGACY_MESSAGES = [
+        { text: 'duplicate submission', code: CODES.ALREADY_ANSWERED },
+        { text: 'already answered', code: CODES.ALREADY_ANSWERED },
+        { text: 'session not found', code: CODES.SESSION_NOT_FOUND },
+        { text: 'session not active', code: CODES.SESSION_NOT_ACTIVE },
+        { text: 'question not found', code: CODES.QUESTION_NOT_FOUND },
+        { text: 'rate limit exceeded', code: CODES.RATE_LIMIT_EXCEEDED },
+    ];
+
+    /**
+     * Find the error code of a failed response
+     *
+     * @param {Object|Error|string} error Server response, request error or bare message
+     * @return {number|string|null} Numeric server code, Moodle exception code, or null
+     */
+    var getCode = function (error) {
+        if (!error) {
+            return null;
+        }
+
+        var code = typeof error === 'object' ? error.errorcode : null;
+        if (code !== undefined && code !== null && code !== '') {
+            return /^\d+$/.test(String(code)) ? parseInt(code, 10) : String(code);
+        }
+
+        var message = (typeof error === 'string' ? error : error.error || error.message || '').toLowerCase();
+        for (var i = 0; i < LEGACY_MESSAGES.length; i++) {
+            if (message.indexOf(LEGACY_MESSAGES[i].text) !== -1) {
+                return LEGACY_MESSAGES[i].code;
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Sort a failed response into a category
+     *
+     * Unknown codes and request errors without a code count as transient, so
+     * the answer is kept and tried again.
+     *
+     * @param {Object|Error|string} error Server response, request error or bare message
+     * @return {string} CATEGORY value
+     */
+    var classify = function (error) {
+        var code = getCode(error);
+        var categories = typeof code === 'string' ? MOODLE_CATEGORIES : CATEGORIES;
+
+        if (code !== null && Object.prototype.hasOwnProperty.call(categories, code)) {
+            return categories[code];
+        }
+        return CATEGORY.TRANSIENT;
+    };
+
+    return {
+        CATEGORY: CATEGORY,
+        CODES: CODES,
+        getCode: getCode,
+        classify: classify,
+
+        /**
+         * Check if resubmitting cannot succeed
+         *
+         * @param {Object|Error|string} error Server response, request error or bare message
+         * @return {boolean} True if permanent
+         */
+        isPermanent: function (error) {
+            return classify(error) === CATEGORY.PERMANENT;
+        },
+
+        /**
+         * Check if the login or session key has lapsed
+         *
+         * @param {Object|Error|string} error Server response, request error or bare message
+         * @return {boolean} True if the page needs reloading
+         */
+        isAuthExpired: function (error) {
+            return classify(error) === CATEGORY.AUTH_EXPIRED;
+        },
+    };
+});
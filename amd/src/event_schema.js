@@ -0,0 +1,335 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Payload schemas for server-pushed real-time events
+ *
+ * Every event the server pushes has a schema describing its fields. Incoming
+ * payloads are checked against it before any handler sees them, and values
+ * that arrive with a loose type (numbers as strings, flags as 0/1) are
+ * normalised, so quiz and control panel code can rely on the field types.
+ *
+ * A field is described by a type name - int, number, string, bool, object or
+ * array - prefixed with '?' when it may be missing or null, or by an object
+ * {type, optional, fields, items} for nested objects and lists. Fields not in
+ * the schema are passed through untouched.
+ *
+ * @module     mod_classengage/event_schema
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define([], function () {
+
+    /**
+     * Schema of the status fields shared by session state events
+     * @type {Object}
+     */
+    var SESSION_STATUS = {
+        sessionid: 'int',
+        status: 'string',
+        currentquestion: '?int',
+        timerremaining: '?int',
+        timestamp: '?int',
+    };
+
+    /**
+     * Schemas by event name
+     * @type {Object}
+     */
+    var SCHEMAS = {
+        session_started: SESSION_STATUS,
+        session_paused: SESSION_STATUS,
+        session_resumed: SESSION_STATUS,
+        session_completed: {
+            sessionid: 'int',
+            status: '?string',
+            timestamp: '?int',
+        },
+        session_ended: {
+            reason: '?string',
+            timestamp: '?int',
+        },
+        question_broadcast: {
+            sessionid: '?int',
+            questionnumber: 'int',
+            question: {
+                type: 'object',
+                fields: {
+                    id: 'int',
+                    text: 'string',
+                    options: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            fields: {
+                                key: 'string',
+                                text: 'string',
+                            },
+                        },
+                    },
+                },
+            },
+            timelimit: '?int',
+            hasanswered: '?bool',
+            timestamp: '?int',
+        },
+        timer_sync: {
+            remaining: 'int',
+            timestamp: '?int',
+        },
+        reconnect: {
+            reason: '?string',
+            message: '?string',
+        },
+        stats_update: {
+            sessionid: 'int',
+            status: 'string',
+            currentquestion: 'int',
+            totalquestions: 'int',
+            timelimit: 'int',
+            timeremaining: 'int',
+            distribution: {
+                type: 'object',
+                fields: {
+                    A: 'int',
+                    B: 'int',
+                    C: 'int',
+                    D: 'int',
+                    total: 'int',
+                    correctanswer: '?string',
+                },
+            },
+            responses: 'int',
+            participants: 'int',
+            participationrate: 'number',
+            connected: 'int',
+            answered: 'int',
+            pending: 'int',
+            network: '?object',
+            timestamp: '?int',
+        },
+        students_update: {
+            sessionid: '?int',
+            students: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    fields: {
+                        userid: 'int',
+                        fullname: 'string',
+                        status: 'string',
+                        hasanswered: 'bool',
+                    },
+                },
+            },
+            stats: {
+                type: 'object',
+                fields: {
+                    connected: 'int',
+                    answered: 'int',
+                    pending: 'int',
+                    total: 'int',
+                },
+            },
+            timestamp: '?int',
+        },
+    };
+
+    /**
+     * Expand a field description into {type, optional, fields, items}
+     *
+     * @param {string|Object} spec Field description
+     * @return {Object} Expanded description
+     * @private
+     */
+    var expand = function (spec) {
+        if (typeof spec !== 'string') {
+            return spec;
+        }
+        var optional = spec.charAt(0) === '?';
+        return { type: optional ? spec.substr(1) : spec, optional: optional };
+    };
+
+    /**
+     * Check and normalise one scalar value
+     *
+     * @param {string} type Expected type
+     * @param {*} value Received value
+     * @return {Object} {ok: boolean, value: *}
+     * @private
+     */
+    var coerceScalar = function (type, value) {
+        switch (type) {
+        case 'int':
+            if (typeof value === 'number' && isFinite(value) && Math.floor(value) === value) {
+                return { ok: true, value: value };
+            }
+            if (typeof value === 'string' && /^-?\d+$/.test(value)) {
+                return { ok: true, value: parseInt(value, 10) };
+            }
+            return { ok: false };
+
+        case 'number':
+            if (typeof value === 'number' && isFinite(value)) {
+                return { ok: true, value: value };
+            }
+            if (typeof value === 'string' && value.trim() !== '' && isFinite(Number(value))) {
+                return { ok: true, value: Number(value) };
+            }
+            return { ok: false };
+
+        case 'string':
+            if (typeof value === 'string') {
+                return { ok: true, value: value };
+            }
+            if (typeof value === 'number' && isFinite(value)) {
+                return { ok: true, value: String(value) };
+            }
+            return { ok: false };
+
+        case 'bool':
+            if (typeof value === 'boolean') {
+                return { ok: true, value: value };
+            }
+            if (value === 1 || value === '1' || value === 'true') {
+                return { ok: true, value: true };
+            }
+            if (value === 0 || value === '0' || value === 'false' || value === '') {
+                return { ok: true, value: false };
+            }
+            return { ok: false };
+
+        case 'object':
+            return { ok: value !== null && typeof value === 'object' && !Array.isArray(value), value: value };
+
+        case 'array':
+            return { ok: Array.isArray(value), value: value };
+        }
+
+        return { ok: false };
+    };
+
+    /**
+     * Check and normalise a value against a field description
+     *
+     * @param {string|Object} spec Field description
+     * @param {*} value Received value
+     * @param {string} path Field path for error messages
+     * @param {Array} errors Collects error messages
+     * @return {*} Normalised value
+     * @private
+     */
+    var check = function (spec, value, path, errors) {
+        spec = expand(spec);
+
+        if (value === undefined || value === null) {
+            if (!spec.optional) {
+                errors.push(path + ' is missing');
+            }
+            return value;
+        }
+
+        var result = coerceScalar(spec.type, value);
+        if (!result.ok) {
+            errors.push(path + ' should be ' + spec.type + ', got ' + JSON.stringify(value));
+            return value;
+        }
+
+        if (spec.type === 'object' && spec.fields) {
+            return checkFields(spec.fields, result.value, path + '.', errors);
+        }
+
+        if (spec.type === 'array' && spec.items) {
+            return result.value.map(function (item, index) {
+                return check(spec.items, item, path + '[' + index + ']', errors);
+            });
+        }
+
+        return result.value;
+    };
+
+    /**
+     * Check and normalise the fields of an object
+     *
+     * @param {Object} fields Field descriptions by name
+     * @param {Object} data Received object
+     * @param {string} prefix Path prefix for error messages
+     * @param {Array} errors Collects error messages
+     * @return {Object} Copy of the object with normalised fields
+     * @private
+     */
+    var checkFields = function (fields, data, prefix, errors) {
+        var normalised = {};
+
+        Object.keys(data).forEach(function (name) {
+            normalised[name] = data[name];
+        });
+        Object.keys(fields).forEach(function (name) {
+            var value = check(fields[name], data[name], prefix + name, errors);
+            if (value !== undefined) {
+                normalised[name] = value;
+            }
+        });
+
+        return normalised;
+    };
+
+    return {
+        /**
+         * Check whether an event has a schema
+         *
+         * @param {string} event Event name
+         * @return {boolean} True if the event is known
+         */
+        has: function (event) {
+            return Object.prototype.hasOwnProperty.call(SCHEMAS, event);
+        },
+
+        /**
+         * Add or replace the schema of an event
+         *
+         * @param {string} event Event name
+         * @param {Object} fields Field descriptions by name
+         */
+        register: function (event, fields) {
+            SCHEMAS[event] = fields;
+        },
+
+        /**
+         * Validate and normalise an event payload
+         *
+         * Events without a schema are passed through unchecked.
+         *
+         * @param {string} event Event name
+         * @param {*} data Received payload
+         * @return {Object} {valid: boolean, data: Object, errors: Array}
+         */
+        validate: function (event, data) {
+            if (!this.has(event)) {
+                return { valid: true, data: data, errors: [] };
+            }
+
+            var errors = [];
+            if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+                return { valid: false, data: data, errors: ['payload should be an object'] };
+            }
+
+            var normalised = checkFields(SCHEMAS[event], data, '', errors);
+
+            return { valid: errors.length === 0, data: normalised, errors: errors };
+        },
+    };
+});
@@ -0,0 +1,783 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Answer inputs for each question type
+ *
+ * The quiz page asks the renderer registered for a question's type to build
+ * its inputs, read the student's answer back, check it before submission and
+ * show the server's feedback. Renderers for multiple choice, true/false,
+ * short answer, multi-select, numeric, ordering, word cloud and image hotspot
+ * questions ship here; others can be added with register(). A question of an
+ * unknown type is shown as multiple choice.
+ *
+ * A renderer is an object with:
+ * - render(question, strings): jQuery element holding the inputs
+ * - getAnswer(form): the answer as sent to the server, '' if none
+ * - validate(answer, question): null if it can be submitted, otherwise the
+ *   key of the quiz string explaining why not
+ * - formatAnswer(answer, question, strings): an answer as shown to students,
+ *   '' to leave it out
+ * - renderFeedback(response, question, strings): jQuery element with the
+ *   result of a submission
+ * - rateConfidence: whether students say how sure they are of their answer
+ * Any left out are taken from the multiple choice renderer.
+ *
+ * @module     mod_classengage/question_renderers
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery'], function ($) {
+
+    /**
+     * Type used for questions without a registered renderer
+     * @type {string}
+     */
+    var DEFAULT_TYPE = 'multichoice';
+
+    /**
+     * Longest short answer the server accepts
+     * @type {number}
+     */
+    var MAX_SHORT_ANSWER_LENGTH = 255;
+
+    /**
+     * Longest word cloud answer the server accepts
+     * @type {number}
+     */
+    var MAX_WORDCLOUD_LENGTH = 50;
+
+    /**
+     * Numbers the server accepts, as PHP's is_numeric() does
+     * @type {RegExp}
+     */
+    var NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+    /**
+     * Distance an arrow key moves the hotspot mark, as a fraction of the image
+     * @type {number}
+     */
+    var HOTSPOT_KEY_STEP = 0.02;
+
+    /**
+     * Confidence ratings from guessing to sure, with the quiz strings naming them
+     * @type {Array}
+     */
+    var CONFIDENCE_LEVELS = [
+        { value: 1, label: 'confidenceguessing' },
+        { value: 2, label: 'confidenceunsure' },
+        { value: 3, label: 'confidencesure' },
+    ];
+
+    /**
+     * Renderers by question type
+     * @type {Object}
+     */
+    var renderers = {};
+
+    /**
+     * Build a list of selectable options
+     *
+     * @param {Array} options Options, each with key and text
+     * @param {string} inputType radio or checkbox
+     * @return {jQuery} Options element
+     */
+    var renderOptions = function (options, inputType) {
+        var list = $('<div class="question-options"></div>');
+
+        (options || []).forEach(function (option) {
+            var label = $('<label class="quiz-option-label"></label>')
+                .append($('<input name="answer">').attr({ type: inputType, value: option.key }))
+                .append(' ')
+                .append($('<span class="option-key"></span>').text(option.key))
+                .append($('<span class="option-text"></span>').text(option.text));
+
+            list.append($('<div class="quiz-option"></div>').attr('data-option', option.key).append(label));
+        });
+
+        return list;
+    };
+
+    /**
+     * Shuffle ordering items so they do not start in their correct order
+     *
+     * Ordering questions store the options in their correct order, so a
+     * shuffle that changed nothing is turned by one place.
+     *
+     * @param {Array} options Options in their correct order
+     * @return {Array} Shuffled copy
+     */
+    var shuffleOrder = function (options) {
+        var shuffled = (options || []).slice();
+
+        for (var i = shuffled.length - 1; i > 0; i--) {
+            var j = Math.floor(Math.random() * (i + 1));
+            var swap = shuffled[i];
+            shuffled[i] = shuffled[j];
+            shuffled[j] = swap;
+        }
+
+        var unchanged = shuffled.every(function (option, index) {
+            return option.key === options[index].key;
+        });
+        if (unchanged && shuffled.length > 1) {
+            shuffled.push(shuffled.shift());
+        }
+        return shuffled;
+    };
+
+    /**
+     * Let the items of an ordering list be dragged, or moved with their arrows
+     *
+     * @param {jQuery} list Ordering list
+     */
+    var bindOrdering = function (list) {
+        var dragged = null;
+
+        list.on('click', '.ordering-move', function () {
+            var item = $(this).closest('.ordering-item');
+            if ($(this).attr('data-direction') === 'up') {
+                item.insertBefore(item.prev('.ordering-item'));
+            } else {
+                item.insertAfter(item.next('.ordering-item'));
+            }
+            // Moving the item loses focus in some browsers
+            $(this).trigger('focus');
+        });
+
+        list.on('dragstart', '.ordering-item', function (e) {
+            dragged = this;
+            $(this).addClass('dragging');
+            e.originalEvent.dataTransfer.effectAllowed = 'move';
+            // Firefox only starts a drag with data set
+            e.originalEvent.dataTransfer.setData('text/plain', $(this).attr('data-option'));
+        });
+
+        list.on('dragover', '.ordering-item', function (e) {
+            e.preventDefault();
+            if (!dragged || dragged === this) {
+                return;
+            }
+            var rect = this.getBoundingClientRect();
+            if (e.originalEvent.clientY < rect.top + rect.height / 2) {
+                $(this).before(dragged);
+            } else {
+                $(this).after(dragged);
+            }
+        });
+
+        list.on('drop', function (e) {
+            e.preventDefault();
+        });
+
+        list.on('dragend', '.ordering-item', function () {
+            $(this).removeClass('dragging');
+            dragged = null;
+        });
+    };
+
+    /**
+     * Multiple choice: one of options A to D
+     * @type {Object}
+     */
+    var multichoice = {
+        rateConfidence: true,
+
+        /**
+         * Build the options as radio buttons
+         *
+         * @param {Object} question Question with options
+         * @return {jQuery} Inputs
+         */
+        render: function (question) {
+            return renderOptions(question.options, 'radio');
+        },
+
+        /**
+         * Get the option chosen
+         *
+         * @param {jQuery} form Answer form
+         * @return {string} Option key, '' if none
+         */
+        getAnswer: function (form) {
+            return form.find('input[name="answer"]:checked').val() || '';
+        },
+
+        /**
+         * Check an option was chosen
+         *
+         * @param {string} answer Answer
+         * @return {string|null} Error string key, null if valid
+         */
+        validate: function (answer) {
+            return answer ? null : 'selectanswer';
+        },
+
+        /**
+         * Format an answer for students
+         *
+         * @param {string} answer Answer
+         * @return {string} Answer shown
+         */
+        formatAnswer: function (answer) {
+            return String(answer);
+        },
+
+        /**
+         * Build the result of a submission
+         *
+         * @param {Object} response Server response
+         * @param {Object} question Question answered
+         * @param {Object} strings Quiz strings
+         * @return {jQuery} Feedback
+         */
+        renderFeedback: function (response, question, strings) {
+            var feedback = $('<div class="alert"></div>')
+                .addClass(response.iscorrect ? 'alert-success' : 'alert-warning')
+                .append($('<h4></h4>').text(response.iscorrect ? strings.correct : strings.incorrect));
+
+            if (response.correctanswer) {
+                feedback.append($('<p></p>').text(strings.correctanswer + ': ' +
+                    this.formatAnswer(response.correctanswer, question, strings)));
+            }
+            if (response.islate) {
+                feedback.append($('<p class="text-muted"></p>').append($('<em></em>').text(strings.responselate)));
+            }
+
+            return feedback.append($('<p></p>').text(strings.waitingnextquestion));
+        },
+    };
+
+    /**
+     * True/false: sent as TRUE or FALSE
+     * @type {Object}
+     */
+    var truefalse = {
+        /**
+         * Build true and false radio buttons
+         *
+         * @param {Object} question Question
+         * @param {Object} strings Quiz strings
+         * @return {jQuery} Inputs
+         */
+        render: function (question, strings) {
+            return renderOptions([
+                { key: 'TRUE', text: strings.answertrue },
+                { key: 'FALSE', text: strings.answerfalse },
+            ], 'radio').addClass('question-options-truefalse');
+        },
+
+        /**
+         * Show any accepted form of true or false in words
+         *
+         * @param {string} answer Answer
+         * @param {Object} question Question
+         * @param {Object} strings Quiz strings
+         * @return {string} Answer shown
+         */
+        formatAnswer: function (answer, question, strings) {
+            var value = String(answer).toUpperCase();
+            if (value === 'TRUE' || value === 'T' || value === '1') {
+                return strings.answertrue;
+            }
+            return value === 'FALSE' || value === 'F' || value === '0' ? strings.answerfalse : String(answer);
+        },
+    };
+
+    /**
+     * Short answer: free text, compared with the correct answer ignoring case
+     * @type {Object}
+     */
+    var shortanswer = {
+        /**
+         * Build a text field
+         *
+         * @param {Object} question Question
+         * @param {Object} strings Quiz strings
+         * @return {jQuery} Inputs
+         */
+        render: function (question, strings) {
+            return $('<div class="question-options question-options-shortanswer"></div>').append(
+                $('<input type="text" name="answer" class="form-control form-control-lg" autocomplete="off">').attr({
+                    maxlength: MAX_SHORT_ANSWER_LENGTH,
+                    placeholder: strings.answerplaceholder,
+                    'aria-label': strings.youranswer,
+                }),
+            );
+        },
+
+        /**
+         * Get the text typed, without surrounding spaces
+         *
+         * @param {jQuery} form Answer form
+         * @return {string} Answer
+         */
+        getAnswer: function (form) {
+            return $.trim(form.find('input[name="answer"]').val() || '');
+        },
+
+        /**
+         * Check text was typed and the server will take it
+         *
+         * @param {string} answer Answer
+         * @return {string|null} Error string key, null if valid
+         */
+        validate: function (answer) {
+            if (!answer) {
+                return 'enteranswer';
+            }
+            return answer.length > MAX_SHORT_ANSWER_LENGTH ? 'answertoolong' : null;
+        },
+    };
+
+    /**
+     * Multi-select: any options, sent as their keys in order joined by commas
+     * @type {Object}
+     */
+    var multiselect = {
+        /**
+         * Build the options as checkboxes
+         *
+         * @param {Object} question Question with options
+         * @return {jQuery} Inputs
+         */
+        render: function (question) {
+            return renderOptions(question.options, 'checkbox').addClass('question-options-multiselect');
+        },
+
+        /**
+         * Get the options ticked
+         *
+         * @param {jQuery} form Answer form
+         * @return {string} Option keys in order joined by commas, '' if none
+         */
+        getAnswer: function (form) {
+            return form.find('input[name="answer"]:checked').map(function () {
+                return this.value;
+            }).get().sort().join(',');
+        },
+
+        /**
+         * Check at least one option was ticked
+         *
+         * @param {string} answer Answer
+         * @return {string|null} Error string key, null if valid
+         */
+        validate: function (answer) {
+            return answer ? null : 'selectoneormore';
+        },
+
+        /**
+         * Space out the option keys
+         *
+         * @param {string} answer Answer
+         * @return {string} Answer shown
+         */
+        formatAnswer: function (answer) {
+            return String(answer).split(',').join(', ');
+        },
+    };
+
+    /**
+     * Numeric: a number, correct within the question's tolerance
+     * @type {Object}
+     */
+    var numeric = {
+        /**
+         * Build a number field
+         *
+         * A text field with a decimal keypad, as number fields reject a
+         * decimal comma in some locales.
+         *
+         * @param {Object} question Question
+         * @param {Object} strings Quiz strings
+         * @return {jQuery} Inputs
+         */
+        render: function (question, strings) {
+            return $('<div class="question-options question-options-numeric"></div>').append(
+                $('<input type="text" name="answer" class="form-control form-control-lg" inputmode="decimal" autocomplete="off">')
+                    .attr({
+                        placeholder: strings.numberplaceholder,
+                        'aria-label': strings.youranswer,
+                    }),
+            );
+        },
+
+        /**
+         * Get the number typed, with a decimal point and no spaces
+         *
+         * @param {jQuery} form Answer form
+         * @return {string} Answer
+         */
+        getAnswer: function (form) {
+            return String(form.find('input[name="answer"]').val() || '').replace(/\s+/g, '').replace(',', '.');
+        },
+
+        /**
+         * Check a number was typed
+         *
+         * @param {string} answer Answer
+         * @return {string|null} Error string key, null if valid
+         */
+        validate: function (answer) {
+            return NUMBER_PATTERN.test(answer) ? null : 'enternumber';
+        },
+    };
+
+    /**
+     * Ordering: the options put in order, sent as their keys joined by commas
+     * @type {Object}
+     */
+    var ordering = {
+        /**
+         * Build a shuffled list of the options to drag into order
+         *
+         * @param {Object} question Question with options in their correct order
+         * @param {Object} strings Quiz strings
+         * @return {jQuery} Inputs
+         */
+        render: function (question, strings) {
+            var list = $('<ol class="question-ordering list-unstyled mb-0"></ol>');
+
+            shuffleOrder(question.options).forEach(function (option) {
+                $('<li class="ordering-item d-flex align-items-center p-2 mb-2 border rounded" draggable="true"></li>')
+                    .attr('data-option', option.key)
+                    .append('<span class="ordering-handle mr-2" aria-hidden="true">&#9776;</span>')
+                    .append($('<span class="option-text flex-grow-1"></span>').text(option.text))
+                    .append($('<button type="button" class="btn btn-sm btn-link ordering-move" data-direction="up"></button>')
+                        .attr('aria-label', strings.moveup + ': ' + option.text).html('&#9650;'))
+                    .append($('<button type="button" class="btn btn-sm btn-link ordering-move" data-direction="down"></button>')
+                        .attr('aria-label', strings.movedown + ': ' + option.text).html('&#9660;'))
+                    .appendTo(list);
+            });
+            bindOrdering(list);
+
+            return $('<div class="question-options question-options-ordering"></div>')
+                .append($('<p class="small text-muted"></p>').text(strings.orderinghelp))
+                .append(list);
+        },
+
+        /**
+         * Get the options in the order the student put them
+         *
+         * @param {jQuery} form Answer form
+         * @return {string} Option keys joined by commas
+         */
+        getAnswer: function (form) {
+            return form.find('.ordering-item').map(function () {
+                return $(this).attr('data-option');
+            }).get().join(',');
+        },
+
+        /**
+         * Check there is something to put in order
+         *
+         * @param {string} answer Answer
+         * @return {string|null} Error string key, null if valid
+         */
+        validate: function (answer) {
+            return answer.indexOf(',') > 0 ? null : 'selectanswer';
+        },
+
+        /**
+         * Show an order with arrows between the option keys
+         *
+         * @param {string} answer Answer
+         * @return {string} Answer shown
+         */
+        formatAnswer: function (answer) {
+            return String(answer).split(',').join(' \u2192 ');
+        },
+    };
+
+    /**
+     * Word cloud: a word or short phrase, with no wrong answer
+     * @type {Object}
+     */
+    var wordcloud = {
+        // Opinions cannot be right or wrong, so there is nothing to be sure of.
+        rateConfidence: false,
+
+        /**
+         * Build a text field for a word or short phrase
+         *
+         * @param {Object} question Question
+         * @param {Object} strings Quiz strings
+         * @return {jQuery} Inputs
+         */
+        render: function (question, strings) {
+            return $('<div class="question-options question-options-wordcloud"></div>').append(
+                $('<input type="text" name="answer" class="form-control form-control-lg" autocomplete="off">').attr({
+                    maxlength: MAX_WORDCLOUD_LENGTH,
+                    placeholder: strings.wordcloudplaceholder,
+                    'aria-label': strings.youranswer,
+                }),
+            );
+        },
+
+        getAnswer: shortanswer.getAnswer,
+
+        /**
+         * Check text was typed and is short enough for the cloud
+         *
+         * @param {string} answer Answer
+         * @return {string|null} Error string key, null if valid
+         */
+        validate: function (answer) {
+            if (!answer) {
+                return 'enteranswer';
+            }
+            return answer.length > MAX_WORDCLOUD_LENGTH ? 'wordcloudtoolong' : null;
+        },
+
+        /**
+         * Confirm the answer joined the cloud, as it cannot be wrong
+         *
+         * @param {Object} response Server response
+         * @param {Object} question Question answered
+         * @param {Object} strings Quiz strings
+         * @return {jQuery} Feedback
+         */
+        renderFeedback: function (response, question, strings) {
+            var feedback = $('<div class="alert alert-success"></div>')
+                .append($('<h4></h4>').text(strings.answersubmitted))
+                .append($('<p></p>').text(strings.wordcloudrecorded));
+
+            if (response.islate) {
+                feedback.append($('<p class="text-muted"></p>').append($('<em></em>').text(strings.responselate)));
+            }
+
+            return feedback.append($('<p></p>').text(strings.waitingnextquestion));
+        },
+    };
+
+    /**
+     * Let a point on a hotspot image be chosen by tap, click or arrow keys
+     *
+     * The point is kept as fractions of the image's width and height, so it
+     * does not depend on the size the image is shown at.
+     *
+     * @param {jQuery} area Element holding the image and mark
+     * @param {jQuery} input Field the answer is kept in
+     */
+    var bindHotspot = function (area, input) {
+        var point = null;
+        var moved = false;
+
+        var place = function (x, y) {
+            point = [Math.min(1, Math.max(0, x)), Math.min(1, Math.max(0, y))];
+            area.find('.hotspot-marker').css({ left: (point[0] * 100) + '%', top: (point[1] * 100) + '%' }).show();
+            input.val(point[0].toFixed(4) + ',' + point[1].toFixed(4));
+        };
+
+        var placeAt = function (clientX, clientY) {
+            var box = area.find('img')[0].getBoundingClientRect();
+            if (box.width && box.height) {
+                place((clientX - box.left) / box.width, (clientY - box.top) / box.height);
+            }
+        };
+
+        // A tap places the mark, a swipe across the image scrolls the page.
+        area.on('touchstart', function () {
+            moved = false;
+        }).on('touchmove', function () {
+            moved = true;
+        }).on('touchend', function (e) {
+            var touch = e.originalEvent.changedTouches && e.originalEvent.changedTouches[0];
+            if (touch && !moved) {
+                // Stop the click that follows.
+                e.preventDefault();
+                placeAt(touch.clientX, touch.clientY);
+            }
+        }).on('click', function (e) {
+            placeAt(e.clientX, e.clientY);
+        }).on('keydown', function (e) {
+            var steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+            if (steps) {
+                e.preventDefault();
+                var from = point || [0.5, 0.5];
+                place(from[0] + steps[0] * HOTSPOT_KEY_STEP, from[1] + steps[1] * HOTSPOT_KEY_STEP);
+            }
+        });
+    };
+
+    /**
+     * Image hotspot: a point on the question's image, sent as "x,y" fractions
+     * of its width and height
+     * @type {Object}
+     */
+    var hotspot = {
+        /**
+         * Build the image to tap, with a mark on the point chosen
+         *
+         * @param {Object} question Question with image URL
+         * @param {Object} strings Quiz strings
+         * @return {jQuery} Inputs
+         */
+        render: function (question, strings) {
+            var input = $('<input type="hidden" name="answer" value="">');
+            var area = $('<div class="hotspot-area position-relative d-inline-block mw-100" tabindex="0" role="application"></div>')
+                .attr('aria-label', strings.hotspothelp)
+                .css('cursor', 'crosshair')
+                .append($('<img class="img-fluid d-block" draggable="false" alt="">').attr('src', question.image || ''))
+                .append($('<span class="hotspot-marker position-absolute rounded-circle" aria-hidden="true"></span>').css({
+                    width: '1.5rem',
+                    height: '1.5rem',
+                    transform: 'translate(-50%, -50%)',
+                    border: '3px solid #fff',
+                    background: 'rgba(220, 53, 69, 0.85)',
+                    boxShadow: '0 0 0 1px rgba(0, 0, 0, 0.5)',
+                    pointerEvents: 'none',
+                }).hide());
+            bindHotspot(area, input);
+
+            return $('<div class="question-options question-options-hotspot text-center"></div>')
+                .append($('<p class="small text-muted"></p>').text(strings.hotspothelp))
+                .append(area)
+                .append(input);
+        },
+
+        /**
+         * Get the point chosen
+         *
+         * @param {jQuery} form Answer form
+         * @return {string} Point as "x,y", '' if none
+         */
+        getAnswer: function (form) {
+            return String(form.find('input[name="answer"]').val() || '');
+        },
+
+        /**
+         * Check a point was chosen
+         *
+         * @param {string} answer Answer
+         * @return {string|null} Error string key, null if valid
+         */
+        validate: function (answer) {
+            return answer ? null : 'tapimage';
+        },
+
+        /**
+         * Leave a point out, as it means nothing as numbers
+         *
+         * @return {string} Nothing to show
+         */
+        formatAnswer: function () {
+            return '';
+        },
+
+        /**
+         * Build the result of a submission
+         *
+         * The correct point means nothing as numbers, so it is left out.
+         *
+         * @param {Object} response Server response
+         * @param {Object} question Question answered
+         * @param {Object} strings Quiz strings
+         * @return {jQuery} Feedback
+         */
+        renderFeedback: function (response, question, strings) {
+            return multichoice.renderFeedback.call(this, $.extend({}, response, { correctanswer: '' }), question, strings);
+        },
+    };
+
+    /**
+     * Add or replace the renderer of a question type
+     *
+     * @param {string} type Question type
+     * @param {Object} renderer Renderer, methods it lacks come from multiple choice
+     */
+    var register = function (type, renderer) {
+        renderers[type] = $.extend({}, type === DEFAULT_TYPE ? {} : renderers[DEFAULT_TYPE], renderer);
+    };
+
+    /**
+     * Get the renderer of a question type
+     *
+     * @param {string} type Question type
+     * @return {Object} Renderer, multiple choice for unknown types
+     */
+    var get = function (type) {
+        return renderers[type] || renderers[DEFAULT_TYPE];
+    };
+
+    /**
+     * Build the buttons students rate their confidence with
+     *
+     * @param {Object} strings Quiz strings
+     * @return {jQuery} Fieldset
+     */
+    var renderConfidence = function (strings) {
+        var fieldset = $('<fieldset class="question-confidence mt-3"></fieldset>')
+            .append($('<legend class="h6"></legend>').text(strings.confidenceprompt));
+
+        CONFIDENCE_LEVELS.forEach(function (level) {
+            $('<label class="quiz-confidence-label mr-3"></label>')
+                .append($('<input type="radio" name="confidence">').val(level.value))
+                .append(' ')
+                .append($('<span></span>').text(strings[level.label]))
+                .appendTo(fieldset);
+        });
+
+        return fieldset;
+    };
+
+    /**
+     * Get the confidence rating chosen
+     *
+     * @param {jQuery} form Answer form
+     * @return {number|null} Rating from 1 (guessing) to 3 (sure), null if none
+     */
+    var getConfidence = function (form) {
+        var value = parseInt(form.find('input[name="confidence"]:checked').val(), 10);
+        return isNaN(value) ? null : value;
+    };
+
+    /**
+     * Build the answer form of a question
+     *
+     * @param {Object} question Question with type and options
+     * @param {Object} strings Quiz strings
+     * @return {jQuery} Form element
+     */
+    var renderForm = function (question, strings) {
+        var type = renderers[question.type] ? question.type : DEFAULT_TYPE;
+        var renderer = get(type);
+
+        return $('<form id="answer-form"></form>')
+            .attr('data-questiontype', type)
+            .append(renderer.render(question, strings))
+            .append(renderer.rateConfidence ? renderConfidence(strings) : null)
+            .append($('<button type="button" class="btn btn-primary btn-lg submit-answer-btn mt-3"></button>')
+                .text(strings.submitanswer));
+    };
+
+    register(DEFAULT_TYPE, multichoice);
+    register('truefalse', truefalse);
+    register('shortanswer', shortanswer);
+    register('multiselect', multiselect);
+    register('numeric', numeric);
+    register('ordering', ordering);
+    register('wordcloud', wordcloud);
+    register('hotspot', hotspot);
+
+    return {
+        register: register,
+        get: get,
+        renderForm: renderForm,
+        getConfidence: getConfidence,
+    };
+});
@@ -16,9 +16,9 @@
 /**
  * Student quiz interface with real-time updates
  *
- * SSE-only mode: Receives question broadcasts and session state updates
- * exclusively via Server-Sent Events. api.php is used only for
- * answer submissions and session operations.
+ * Receives question broadcasts and session state updates through the
+ * connection manager (WebSocket, SSE or long-polling). api.php is used only
+ * for answer submissions and session operations.
  *
  * Requirements: 2.4, 4.5, 8.5
  *
@@ -34,7 +34,10 @@ define([
     'core/str',
     'mod_classengage/connection_manager',
     'mod_classengage/client_cache',
-], function ($, Ajax, Notification, Str, ConnectionManager, ClientCache) {
+    'mod_classengage/error_taxonomy',
+    'mod_classengage/cache_inspector',
+    'mod_classengage/question_renderers',
+], function ($, Ajax, Notification, Str, ConnectionManager, ClientCache, ErrorTaxonomy, CacheInspector, QuestionRenderers) {
 
     /**
      * Quiz state constants
@@ -62,6 +65,7 @@ define([
         pendingSubmission: null,
         strings: {},
         answeredQuestions: {}, // Track which questions user has answered
+        selectedAnswers: {}, // Option chosen for each, and whether the server has it
 
         // Client-side timer state (enterprise timer separation)
         timerState: {
@@ -83,6 +87,9 @@ define([
          * @param {number} options.timelimit Time limit for current question
          * @param {number} options.timeremaining Time remaining for current question
          * @param {number} options.questionid Current question ID
+         * @param {string} options.websocketurl WebSocket relay URL (optional)
+         * @param {string} options.cachekey Key material for encrypting offline answers (optional)
+         * @param {number} options.userid Current user ID, whose offline answers may be submitted (optional)
          * @return {Promise} Resolves when initialized
          */
         init: function (options) {
@@ -90,6 +97,9 @@ define([
 
             // Handle both object and legacy positional arguments
             var cmid, sessionid, pollinginterval, timelimit, timeremaining, questionid, hasanswered;
+            var websocketurl = '';
+            var cachekey = '';
+            var userid = null;
             if (typeof options === 'object' && options !== null) {
                 cmid = options.cmid;
                 sessionid = options.sessionid;
@@ -98,6 +108,9 @@ define([
                 timeremaining = options.timeremaining || 0;
                 questionid = options.questionid || 0;
                 hasanswered = options.hasanswered || false;
+                websocketurl = options.websocketurl || '';
+                cachekey = options.cachekey || '';
+                userid = options.userid || null;
             } else {
                 // Legacy positional arguments
                 cmid = arguments[0];
@@ -120,35 +133,67 @@ define([
 
             // Load language strings
             return this.loadStrings().then(function () {
+                self.renderInitialQuestion();
+
                 // Initialize client cache for offline support
                 return ClientCache.init({
                     maxRetries: 3,
                     retryDelay: 2000,
+                    userId: userid,
+                    sessionId: sessionid,
+                    keyMaterial: cachekey,
                 });
+            }).then(function () {
+                // Before connecting, so the first question broadcast knows what was answered here
+                return self.restoreAnsweredState();
             }).then(function () {
                 // Set up connection manager for client cache
                 ClientCache.setConnectionManager(ConnectionManager.getInstance());
 
+                // Set up event handlers before connecting so no initial event is missed
+                self.setupEventHandlers();
+                self.setupConnectionHandlers();
+                self.setupOfflineIndicator();
+
+                // Tell the student about answers delivered after they left last time
+                ClientCache.checkBackgroundDeliveries().catch(function () {
+                    // Nothing to report
+                });
+
+                // Discard answers another student left on this computer
+                ClientCache.checkForeignRecords().catch(function () {
+                    // Checked again whenever pending answers are read
+                });
+
                 // Initialize connection manager
                 return ConnectionManager.init(sessionid, {
                     pollInterval: pollinginterval || 2000,
+                    wsEndpoint: websocketurl,
+                    pageRole: 'quiz',
                 });
             }).then(function () {
-                // Set up event handlers
-                self.setupEventHandlers();
-                self.setupConnectionHandlers();
-                self.setupOfflineIndicator();
-
                 // Handle answer submission
                 $(document).on('click', '.submit-answer-btn', function () {
                     self.submitAnswer();
                 });
 
+                // Enter in a text answer submits it rather than the page
+                $(document).on('submit', '#answer-form', function (e) {
+                    e.preventDefault();
+                    self.submitAnswer();
+                });
+
                 // Handle touch events for mobile
                 $(document).on('touchend', '.quiz-option', function (e) {
                     e.preventDefault();
-                    $(this).find('input[type="radio"]').prop('checked', true);
-                    $(this).addClass('selected').siblings().removeClass('selected');
+                    var input = $(this).find('input[name="answer"]');
+                    if (input.attr('type') === 'checkbox') {
+                        input.prop('checked', !input.prop('checked'));
+                        $(this).toggleClass('selected', input.prop('checked'));
+                    } else {
+                        input.prop('checked', true);
+                        $(this).addClass('selected').siblings().removeClass('selected');
+                    }
                 });
 
                 // Start timer immediately if we have timer data from PHP
@@ -166,7 +211,7 @@ define([
             }).catch(function (error) {
                 // eslint-disable-next-line no-console
                 console.error('Quiz initialization error:', error);
-                // Fall back to legacy polling if connection manager fails
+                // Every transport failed, keep retrying in the background
                 self.startLegacyPolling(pollinginterval);
             });
         },
@@ -193,6 +238,36 @@ define([
                 { key: 'connectionrestored', component: 'mod_classengage' },
                 { key: 'submittingoffline', component: 'mod_classengage' },
                 { key: 'pendingsubmissions', component: 'mod_classengage' },
+                { key: 'versionmismatch', component: 'mod_classengage' },
+                { key: 'versionmismatchrequired', component: 'mod_classengage' },
+                { key: 'reloadpage', component: 'mod_classengage' },
+                { key: 'sessionnotactive', component: 'mod_classengage' },
+                { key: 'loginexpired', component: 'mod_classengage' },
+                { key: 'youranswer', component: 'mod_classengage' },
+                { key: 'answernotsentyet', component: 'mod_classengage' },
+                { key: 'submitanswer', component: 'mod_classengage' },
+                { key: 'answertrue', component: 'mod_classengage' },
+                { key: 'answerfalse', component: 'mod_classengage' },
+                { key: 'answerplaceholder', component: 'mod_classengage' },
+                { key: 'enteranswer', component: 'mod_classengage' },
+                { key: 'answertoolong', component: 'mod_classengage' },
+                { key: 'selectoneormore', component: 'mod_classengage' },
+                { key: 'enternumber', component: 'mod_classengage' },
+                { key: 'numberplaceholder', component: 'mod_classengage' },
+                { key: 'orderinghelp', component: 'mod_classengage' },
+                { key: 'moveup', component: 'mod_classengage' },
+                { key: 'movedown', component: 'mod_classengage' },
+                { key: 'wordcloudplaceholder', component: 'mod_classengage' },
+                { key: 'wordcloudtoolong', component: 'mod_classengage' },
+                { key: 'wordcloudrecorded', component: 'mod_classengage' },
+                { key: 'hotspothelp', component: 'mod_classengage' },
+                { key: 'tapimage', component: 'mod_classengage' },
+                { key: 'confidenceprompt', component: 'mod_classengage' },
+                { key: 'confidenceguessing', component: 'mod_classengage' },
+                { key: 'confidenceunsure', component: 'mod_classengage' },
+                { key: 'confidencesure', component: 'mod_classengage' },
+                { key: 'rateconfidence', component: 'mod_classengage' },
+                { key: 'responselate', component: 'mod_classengage' },
             ];
 
             return Str.get_strings(stringKeys).then(function (strings) {
@@ -211,6 +286,38 @@ define([
                     connectionrestored: strings[11] || 'Connection restored',
                     submittingoffline: strings[12] || 'Saving response offline...',
                     pendingsubmissions: strings[13] || 'Pending submissions',
+                    versionmismatch: strings[14] || 'This quiz has been updated. Reload the page to get the latest version.',
+                    versionmismatchrequired: strings[15] ||
+                        'This page is out of date and can no longer follow the quiz. Reload the page to continue.',
+                    reloadpage: strings[16] || 'Reload page',
+                    sessionnotactive: strings[17] || 'Session is not active',
+                    loginexpired: strings[18] || 'Your login has expired. Your answers are saved on this device ' +
+                        'and will be submitted after you reload the page.',
+                    youranswer: strings[19] || 'Your answer',
+                    answernotsentyet: strings[20] || 'Saved on this device, not yet received by the server.',
+                    submitanswer: strings[21] || 'Submit Answer',
+                    answertrue: strings[22] || 'True',
+                    answerfalse: strings[23] || 'False',
+                    answerplaceholder: strings[24] || 'Type your answer',
+                    enteranswer: strings[25] || 'Please enter an answer',
+                    answertoolong: strings[26] || 'Answers can be at most 255 characters long',
+                    selectoneormore: strings[27] || 'Please select one or more answers',
+                    enternumber: strings[28] || 'Please enter a number',
+                    numberplaceholder: strings[29] || 'Enter a number',
+                    orderinghelp: strings[30] || 'Drag the items into order, or move them with the arrows.',
+                    moveup: strings[31] || 'Move up',
+                    movedown: strings[32] || 'Move down',
+                    wordcloudplaceholder: strings[33] || 'One word or short phrase',
+                    wordcloudtoolong: strings[34] || 'Answers can be at most 50 characters long',
+                    wordcloudrecorded: strings[35] || 'Your answer has been added to the word cloud.',
+                    hotspothelp: strings[36] || 'Tap the image where you think the answer is. Tap again to move your mark.',
+                    tapimage: strings[37] || 'Please tap a point on the image',
+                    confidenceprompt: strings[38] || 'How sure are you?',
+                    confidenceguessing: strings[39] || 'Guessing',
+                    confidenceunsure: strings[40] || 'Unsure',
+                    confidencesure: strings[41] || 'Sure',
+                    rateconfidence: strings[42] || 'Please say how sure you are of your answer',
+                    responselate: strings[43] || 'Response recorded as late',
                 };
                 return null;
             }).catch(function () {
@@ -230,6 +337,38 @@ define([
                     connectionrestored: 'Connection restored',
                     submittingoffline: 'Saving response offline...',
                     pendingsubmissions: 'Pending submissions',
+                    versionmismatch: 'This quiz has been updated. Reload the page to get the latest version.',
+                    versionmismatchrequired: 'This page is out of date and can no longer follow the quiz. ' +
+                        'Reload the page to continue.',
+                    reloadpage: 'Reload page',
+                    sessionnotactive: 'Session is not active',
+                    loginexpired: 'Your login has expired. Your answers are saved on this device ' +
+                        'and will be submitted after you reload the page.',
+                    youranswer: 'Your answer',
+                    answernotsentyet: 'Saved on this device, not yet received by the server.',
+                    submitanswer: 'Submit Answer',
+                    answertrue: 'True',
+                    answerfalse: 'False',
+                    answerplaceholder: 'Type your answer',
+                    enteranswer: 'Please enter an answer',
+                    answertoolong: 'Answers can be at most 255 characters long',
+                    selectoneormore: 'Please select one or more answers',
+                    enternumber: 'Please enter a number',
+                    numberplaceholder: 'Enter a number',
+                    orderinghelp: 'Drag the items into order, or move them with the arrows.',
+                    moveup: 'Move up',
+                    movedown: 'Move down',
+                    wordcloudplaceholder: 'One word or short phrase',
+                    wordcloudtoolong: 'Answers can be at most 50 characters long',
+                    wordcloudrecorded: 'Your answer has been added to the word cloud.',
+                    hotspothelp: 'Tap the image where you think the answer is. Tap again to move your mark.',
+                    tapimage: 'Please tap a point on the image',
+                    confidenceprompt: 'How sure are you?',
+                    confidenceguessing: 'Guessing',
+                    confidenceunsure: 'Unsure',
+                    confidencesure: 'Sure',
+                    rateconfidence: 'Please say how sure you are of your answer',
+                    responselate: 'Response recorded as late',
                 };
             });
         },
@@ -286,6 +425,11 @@ define([
             ConnectionManager.on('disconnected', function () {
                 self.handleDisconnected();
             });
+
+            // Handle a server upgraded while this page was open
+            ConnectionManager.on('version_mismatch', function (data) {
+                self.handleVersionMismatch(data);
+            });
         },
 
         /**
@@ -299,6 +443,38 @@ define([
                 self.handleCachedResponseSubmitted(data);
             });
 
+            // Handle answers the service worker delivered while no page was open
+            ClientCache.on('background_submitted', function (data) {
+                Str.get_string('backgroundsubmitted', 'mod_classengage', data.count).then(function (message) {
+                    self.showNotification('success', message);
+                    return null;
+                }).catch(function () {
+                    self.showNotification('success', data.count + ' saved answer(s) were submitted in the background');
+                });
+            });
+
+            // Warn that unsent answers of another user were discarded
+            ClientCache.on('foreign_records', function (data) {
+                Str.get_string('foreignrecords', 'mod_classengage', data.count).then(function (message) {
+                    self.showNotification('warning', message);
+                    return null;
+                }).catch(function () {
+                    self.showNotification('warning', data.count + ' unsent answer(s) left by another user were deleted');
+                });
+            });
+
+            // Explain how a saved answer differing from another device's was settled
+            ClientCache.on('conflict', function (data) {
+                if (String(data.sessionId) === String(self.sessionId)) {
+                    self.handleAnswerConflict(data.questionId, data.conflict);
+                }
+            });
+
+            // Handle saved answers held back until the page is reloaded
+            ClientCache.on('auth_expired', function () {
+                self.handleAuthExpired();
+            });
+
             // Handle retry events
             ClientCache.on('retrying', function (data) {
                 self.showNotification('info', self.strings.pendingsubmissions + ': ' + data.count);
@@ -327,6 +503,9 @@ define([
                     '<span class="pending-count"></span>' +
                     '</div>');
                 $('#quiz-status').after(indicator);
+
+                // Opens the list of answers saved on this device
+                CacheInspector.init(indicator, this.sessionId);
             }
 
             // Listen for online/offline events
@@ -337,6 +516,9 @@ define([
             window.addEventListener('offline', function () {
                 self.handleOnlineStatusChange(false);
             });
+            ClientCache.on('statschange', function () {
+                self.updateOfflineIndicator();
+            });
 
             // Check initial status
             this.isOnline = navigator.onLine;
@@ -397,10 +579,17 @@ define([
                 indicator.hide();
             }
 
-            // Update pending count
+            // Update pending count, including answers that used up their retries
             var stats = ClientCache.getStats();
-            if (stats.pending > 0) {
-                pendingSpan.text(' (' + stats.pending + ' pending)').show();
+            if (stats.pending > 0 || stats.unsent > 0) {
+                var counts = [];
+                if (stats.pending > 0) {
+                    counts.push(stats.pending + ' pending');
+                }
+                if (stats.unsent > 0) {
+                    counts.push(stats.unsent + ' not sent');
+                }
+                pendingSpan.text(' (' + counts.join(', ') + ')').show();
                 indicator.show();
             } else {
                 pendingSpan.hide();
@@ -417,7 +606,7 @@ define([
         },
 
         /**
-         * Update transport indicator (SSE vs polling)
+         * Update transport indicator (WebSocket/SSE vs polling)
          *
          * @param {string} transport Transport type
          */
@@ -428,7 +617,8 @@ define([
                 $('#quiz-status').append(transportIndicator);
             }
 
-            if (transport === ConnectionManager.TRANSPORT.SSE) {
+            if (transport === ConnectionManager.TRANSPORT.SSE ||
+                transport === ConnectionManager.TRANSPORT.WEBSOCKET) {
                 transportIndicator.text('Real-time').addClass('realtime');
             } else if (transport === ConnectionManager.TRANSPORT.POLLING) {
                 transportIndicator.text('Polling').removeClass('realtime');
@@ -479,7 +669,10 @@ define([
                 // New question - user hasn't answered yet (unless cached)
             }
 
-            // Check if user has already answered this question
+            // Check if user has already answered this question, here or on another device
+            if (questionId && data.hasanswered) {
+                this.markAnswered(questionId, null, true);
+            }
             if (questionId && this.answeredQuestions[questionId]) {
                 question.answered = true;
             }
@@ -576,22 +769,139 @@ define([
 
         /**
          * Handle reconnection
+         *
+         * No state request is needed: the connection manager replays the
+         * session events missed while offline, or a snapshot of the current
+         * state, before any new event.
          */
         handleReconnected: function () {
             this.isOnline = true;
             this.updateOfflineIndicator();
             this.showNotification('success', this.strings.connectionrestored);
+            this.reconcileAnsweredState();
+        },
 
-            // Request current state
-            ConnectionManager.send('getstatus', {
-                sessionid: this.sessionId,
-            }).then(function (response) {
-                if (response.success && response.session) {
-                    this.handleStateUpdate(response.session);
+        /**
+         * Load the questions answered in this browser, even if not yet sent
+         *
+         * A question answered before the page was rendered has its options
+         * replaced, as PHP only knows the answers the server has.
+         *
+         * @return {Promise} Resolves when loaded
+         */
+        restoreAnsweredState: function () {
+            var self = this;
+
+            return ClientCache.getAnswered(this.sessionId).then(function (answered) {
+                Object.keys(answered).forEach(function (questionId) {
+                    self.answeredQuestions[questionId] = true;
+                    self.selectedAnswers[questionId] = answered[questionId];
+                });
+
+                if (self.currentQuestionId && self.answeredQuestions[self.currentQuestionId]) {
+                    $('#answer-form').replaceWith(self.renderAnsweredNotice(self.currentQuestionId));
+                }
+                return null;
+            }).catch(function () {
+                // Only answers the server has are known
+            });
+        },
+
+        /**
+         * Record that a question was answered, here and in the client cache
+         *
+         * @param {number} questionId Question ID
+         * @param {string|null} answer Option chosen, null to keep the one known
+         * @param {boolean} confirmed Whether the server has recorded the answer
+         */
+        markAnswered: function (questionId, answer, confirmed) {
+            var known = this.selectedAnswers[questionId] || { answer: null, confirmed: false };
+            var state = {
+                answer: answer || known.answer,
+                confirmed: confirmed || known.confirmed,
+            };
+
+            this.answeredQuestions[questionId] = true;
+            if (this.selectedAnswers[questionId] && state.answer === known.answer && state.confirmed === known.confirmed) {
+                return;
+            }
+            this.selectedAnswers[questionId] = state;
+
+            // Keep an answered notice on screen current
+            $('#question-container .answered-notice[data-questionid="' + questionId + '"]')
+                .replaceWith(this.renderAnsweredNotice(questionId));
+
+            ClientCache.saveAnswered({
+                sessionId: this.sessionId,
+                questionId: questionId,
+                answer: state.answer,
+                confirmed: state.confirmed,
+            }).catch(function () {
+                // Remembered until the page is closed
+            });
+        },
+
+        /**
+         * Forget an answer the server never received and the client cache no longer holds
+         *
+         * @param {number} questionId Question ID
+         */
+        forgetAnswered: function (questionId) {
+            delete this.answeredQuestions[questionId];
+            delete this.selectedAnswers[questionId];
+
+            ClientCache.forgetAnswered(this.sessionId, questionId).catch(function () {
+                // Forgotten until the page is reloaded
+            });
+        },
+
+        /**
+         * Check the answered state of the current question with the server
+         *
+         * Confirms an answer the server has, telling the student if it is not
+         * the one chosen here, i.e. it came from another device. An answer it
+         * lacks stays answered while the client cache still holds it to send;
+         * otherwise it was lost or refused, and the student may answer again.
+         *
+         * @return {Promise} Resolves when reconciled
+         */
+        reconcileAnsweredState: function () {
+            var self = this;
+
+            return Promise.all([
+                ConnectionManager.send('reconnect'),
+                ClientCache.getCachedResponses(),
+            ]).then(function (results) {
+                var state = results[0];
+                var questionId = state.success && state.question ? state.question.id : null;
+                if (!questionId) {
+                    return null;
+                }
+
+                var queued = results[1].some(function (response) {
+                    return String(response.questionId) === String(questionId) && response.status !== 'submitted';
+                });
+
+                if (state.hasanswered) {
+                    var known = self.selectedAnswers[questionId];
+                    if (!queued && known && known.answer && state.useranswer &&
+                            String(known.answer).toUpperCase() !== String(state.useranswer).toUpperCase()) {
+                        self.notifyAnswerConflict(questionId, 'answerconflictchanged', state.useranswer, 'info');
+                    }
+                    self.markAnswered(questionId, state.useranswer, true);
+                    return null;
+                }
+
+                if (self.answeredQuestions[questionId] && !queued) {
+                    self.forgetAnswered(questionId);
+                    if (self.currentQuestion && String(self.currentQuestion.id) === String(questionId)) {
+                        self.currentQuestion.answered = false;
+                        self.displayQuestion(self.currentQuestion);
+                    }
                 }
                 return null;
-            }.bind(this)).catch(function () {
-                // Ignore errors, state will sync on next update
+            }).catch(function () {
+                // Reconciled again on the next reconnection
             });
         },
 
@@ -603,6 +913,55 @@ define([
             this.updateOfflineIndicator();
         },
 
+        /**
+         * Handle a server running a newer real-time protocol than this page
+         *
+         * Shows a banner that stays until the page is reloaded.
+         *
+         * @param {Object} data Mismatch details (clientVersion, serverVersion, required)
+         */
+        handleVersionMismatch: function (data) {
+            this.showReloadBanner('quiz-version-mismatch', data.required ? 'alert-danger' : 'alert-warning',
+                data.required ? this.strings.versionmismatchrequired : this.strings.versionmismatch);
+        },
+
+        /**
+         * Handle a lapsed login or session key
+         *
+         * Answers are kept in the client cache, which submits them once the
+         * reloaded page has a fresh session key.
+         */
+        handleAuthExpired: function () {
+            this.showReloadBanner('quiz-auth-expired', 'alert-warning', this.strings.loginexpired);
+        },
+
+        /**
+         * Show a banner asking the student to reload the page
+         *
+         * @param {string} id Banner element ID
+         * @param {string} alertClass Bootstrap alert class
+         * @param {string} message Banner text
+         */
+        showReloadBanner: function (id, alertClass, message) {
+            var banner = $('#' + id);
+            if (banner.length === 0) {
+                banner = $('<div class="alert" role="alert"></div>').attr('id', id);
+                $('#quiz-status').before(banner);
+            }
+
+            var reloadButton = $('<button type="button" class="btn btn-primary btn-sm ml-2"></button>')
+                .text(this.strings.reloadpage)
+                .on('click', function () {
+                    window.location.reload();
+                });
+
+            banner.removeClass('alert-warning alert-danger')
+                .addClass(alertClass)
+                .empty()
+                .append($('<span></span>').text(message))
+                .append(reloadButton);
+        },
+
         /**
          * Handle cached response submitted
          *
@@ -618,18 +977,27 @@ define([
          */
         submitAnswer: function () {
             var self = this;
-            var selectedAnswer = $('input[name="answer"]:checked').val();
 
-            if (!selectedAnswer) {
-                Notification.alert(this.strings.error, this.strings.selectanswer);
+            if (!this.currentQuestion) {
                 return;
             }
 
-            if (!this.currentQuestion) {
+            var renderer = QuestionRenderers.get(this.currentQuestion.type);
+            var selectedAnswer = renderer.getAnswer($('#answer-form'));
+            var invalid = renderer.validate(selectedAnswer, this.currentQuestion);
+            if (invalid) {
+                Notification.alert(this.strings.error, this.strings[invalid] || this.strings.selectanswer);
+                return;
+            }
+
+            var confidence = QuestionRenderers.getConfidence($('#answer-form'));
+            if (renderer.rateConfidence && confidence === null) {
+                Notification.alert(this.strings.error, this.strings.rateconfidence);
                 return;
             }
 
             var questionId = this.currentQuestion.id;
+            var questionType = this.currentQuestion.type || '';
             var clientTimestamp = Date.now();
 
             // Optimistic UI update (Requirement 8.5)
@@ -641,7 +1009,7 @@ define([
             // Check if we're online
             if (!this.isOnline || !ConnectionManager.getStatus().connected) {
                 // Store in cache for later submission (Requirement 4.5)
-                this.submitOffline(questionId, selectedAnswer, clientTimestamp);
+                this.submitOffline(questionId, selectedAnswer, clientTimestamp, questionType, confidence);
                 return;
             }
 
@@ -650,13 +1018,21 @@ define([
                 sessionid: this.sessionId,
                 questionid: questionId,
                 answer: selectedAnswer,
+                questiontype: questionType,
+                confidence: confidence || 0,
                 clienttimestamp: clientTimestamp,
+                deviceid: ClientCache.getDeviceId(),
             }).then(function (response) {
-                self.handleSubmissionResponse(response);
+                if (!response.success && !ErrorTaxonomy.isPermanent(response)) {
+                    // Worth trying again later, or once a lapsed login is renewed
+                    self.submitOffline(questionId, selectedAnswer, clientTimestamp, questionType, confidence);
+                    return null;
+                }
+                self.handleSubmissionResponse(response, selectedAnswer);
                 return null;
             }).catch(function (error) {
                 // Network error - cache the response
-                self.submitOffline(questionId, selectedAnswer, clientTimestamp);
+                self.submitOffline(questionId, selectedAnswer, clientTimestamp, questionType, confidence);
                 // eslint-disable-next-line no-console
                 console.warn('Submission failed, cached offline:', error);
             });
@@ -688,8 +1064,10 @@ define([
          * @param {number} questionId Question ID
          * @param {string} answer Selected answer
          * @param {number} clientTimestamp Client timestamp
+         * @param {string} questionType Type of the question answered, empty if unknown
+         * @param {number|null} confidence Confidence rating from 1 (guessing) to 3 (sure), null if not rated
          */
-        submitOffline: function (questionId, answer, clientTimestamp) {
+        submitOffline: function (questionId, answer, clientTimestamp, questionType, confidence) {
             var self = this;
 
             // Show offline submission feedback
@@ -699,8 +1077,11 @@ define([
                 sessionId: this.sessionId,
                 questionId: questionId,
                 answer: answer,
+                questionType: questionType,
+                confidence: confidence,
                 clientTimestamp: clientTimestamp,
             }).then(function () {
+                self.markAnswered(questionId, answer, false);
                 self.showOfflineSubmissionConfirmation();
                 self.updateOfflineIndicator();
                 return null;
@@ -733,8 +1114,9 @@ define([
          * Handle submission response from server
          *
          * @param {Object} response Server response
+         * @param {string} answer Option submitted
          */
-        handleSubmissionResponse: function (response) {
+        handleSubmissionResponse: function (response, answer) {
             var container = $('#question-container');
             container.removeClass('submitting');
             container.find('.optimistic-feedback').remove();
@@ -742,48 +1124,101 @@ define([
             if (response.success) {
                 // Mark this question as answered so SSE won't overwrite
                 if (this.currentQuestion && this.currentQuestion.id) {
-                    this.answeredQuestions[this.currentQuestion.id] = true;
-                }
-
-                var message = response.iscorrect ? this.strings.correct : this.strings.incorrect;
-                var alertClass = response.iscorrect ? 'success' : 'warning';
-
-                var html = '<div class="alert alert-' + alertClass + '">' +
-                    '<h4>' + message + '</h4>';
-
-                if (response.correctanswer) {
-                    html += '<p>' + this.strings.correctanswer + ': ' + response.correctanswer + '</p>';
+                    this.markAnswered(this.currentQuestion.id, answer, true);
                 }
 
-                if (response.islate) {
-                    html += '<p class="text-muted"><em>Response recorded as late</em></p>';
-                }
-
-                html += '<p>' + this.strings.waitingnextquestion + '</p>' +
-                    '</div>';
-
-                container.html(html);
+                var question = this.currentQuestion || {};
+                container.html(QuestionRenderers.get(question.type).renderFeedback(response, question, this.strings));
 
                 // Visual confirmation (Requirement 2.4)
                 this.showVisualConfirmation(response.iscorrect);
+
+                if (response.conflict && this.currentQuestion) {
+                    this.handleAnswerConflict(this.currentQuestion.id, response.conflict);
+                }
             } else {
                 // Handle error
-                var errorMsg = response.error || '';
-                if (errorMsg.toLowerCase().indexOf('already') !== -1 || 
-                    errorMsg.toLowerCase().indexOf('duplicate') !== -1) {
+                var code = ErrorTaxonomy.getCode(response);
+                if (code === ErrorTaxonomy.CODES.ANSWER_CONFLICT && response.conflict && this.currentQuestion) {
+                    // Answered differently on another device
+                    this.handleAnswerConflict(this.currentQuestion.id, response.conflict);
+                } else if (code === ErrorTaxonomy.CODES.ALREADY_ANSWERED) {
                     // Already answered - show friendly message
+                    if (this.currentQuestion && this.currentQuestion.id) {
+                        this.markAnswered(this.currentQuestion.id, null, true);
+                    }
                     container.html('<div class="alert alert-info">' + this.strings.alreadyanswered + '</div>');
-                } else if (errorMsg.toLowerCase().indexOf('not active') !== -1) {
+                } else if (code === ErrorTaxonomy.CODES.SESSION_NOT_ACTIVE || code === ErrorTaxonomy.CODES.SESSION_NOT_FOUND) {
                     // Session not active
-                    container.html('<div class="alert alert-warning">Session is not active</div>');
+                    container.html('<div class="alert alert-warning">' + this.strings.sessionnotactive + '</div>');
                 } else {
                     // Other errors - show as notification instead of exception popup
-                    this.showNotification('error', errorMsg || 'Error submitting answer');
+                    this.showNotification('error', response.error || 'Error submitting answer');
                     $('.submit-answer-btn').prop('disabled', false);
                 }
             }
         },
 
+        /**
+         * Handle an answer that differs from the one given on another device
+         *
+         * The server settled it by the activity's conflict policy. Unless this
+         * device's answer replaced the other, the question shows the answer
+         * that counts.
+         *
+         * @param {number} questionId Question ID
+         * @param {Object} conflict Server details: policy, outcome and the answer that counts
+         */
+        handleAnswerConflict: function (questionId, conflict) {
+            var messages = {
+                rejected: 'answerconflictrejected',
+                pending: 'answerconflictpending',
+                replaced: 'answerconflictreplaced',
+            };
+            if (!messages[conflict.outcome]) {
+                return;
+            }
+
+            this.markAnswered(questionId, conflict.answer, true);
+            if (conflict.outcome !== 'replaced' && this.currentQuestion &&
+                    String(this.currentQuestion.id) === String(questionId)) {
+                $('#question-container').html(this.renderAnsweredNotice(questionId));
+            }
+
+            this.notifyAnswerConflict(questionId, messages[conflict.outcome], conflict.answer,
+                conflict.outcome === 'replaced' ? 'info' : 'warning');
+        },
+
+        /**
+         * Tell the student about an answer conflict with another device
+         *
+         * Shown above the current question if it is the one concerned,
+         * otherwise as a notification.
+         *
+         * @param {number} questionId Question ID
+         * @param {string} key Language string
+         * @param {string} answer Answer that counts
+         * @param {string} type Alert type (info, warning)
+         */
+        notifyAnswerConflict: function (questionId, key, answer, type) {
+            var self = this;
+
+            Str.get_string(key, 'mod_classengage', answer).then(function (message) {
+                if (!self.currentQuestion || String(self.currentQuestion.id) !== String(questionId)) {
+                    self.showNotification(type, message);
+                    return null;
+                }
+
+                var container = $('#question-container');
+                container.find('.answer-conflict').remove();
+                container.prepend($('<div class="alert answer-conflict" role="alert"></div>')
+                    .addClass('alert-' + type)
+                    .attr('data-questionid', questionId)
+                    .text(message));
+                return null;
+            }).catch(Notification.exception);
+        },
+
         /**
          * Show visual confirmation of answer submission (Requirement 2.4)
          *
@@ -887,31 +1322,65 @@ define([
             html += '<h4>' + question.text + '</h4>';
             html += '</div>';
 
-            if (question.answered) {
-                html += '<div class="alert alert-info">' + this.strings.alreadyanswered + '</div>';
-            } else {
-                html += '<form id="answer-form">';
-                html += '<div class="question-options">';
-
-                for (var i = 0; i < question.options.length; i++) {
-                    var option = question.options[i];
-                    html += '<div class="quiz-option" data-option="' + option.key + '">';
-                    html += '<label class="quiz-option-label">';
-                    html += '<input type="radio" name="answer" value="' + option.key + '" required> ';
-                    html += '<span class="option-key">' + option.key + '</span>';
-                    html += '<span class="option-text">' + option.text + '</span>';
-                    html += '</label>';
-                    html += '</div>';
-                }
+            $('#question-container').html(html).append(question.answered ?
+                this.renderAnsweredNotice(question.id) :
+                QuestionRenderers.renderForm(question, this.strings));
+        },
+
+        /**
+         * Build the answer form of the question rendered with the page
+         *
+         * quiz.php leaves a placeholder holding the question, as its inputs
+         * depend on the question type.
+         */
+        renderInitialQuestion: function () {
+            var placeholder = $('#answer-form[data-question]');
+            if (!placeholder.length) {
+                return;
+            }
+
+            this.currentQuestion = placeholder.data('question');
+            placeholder.replaceWith(QuestionRenderers.renderForm(this.currentQuestion, this.strings));
+        },
 
-                html += '</div>';
-                html += '<button type="button" class="btn btn-primary btn-lg submit-answer-btn mt-3">';
-                html += this.strings.answersubmitted ? 'Submit Answer' : 'Submit Answer';
-                html += '</button>';
-                html += '</form>';
+        /**
+         * Format an answer as the renderer of its question type shows it
+         *
+         * Only the current question's type is known; other answers are shown
+         * as stored.
+         *
+         * @param {number} questionId Question ID
+         * @param {string} answer Answer as sent to the server
+         * @return {string} Answer shown, empty to leave it out
+         */
+        formatAnswer: function (questionId, answer) {
+            var question = this.currentQuestion;
+            if (!question || String(question.id) !== String(questionId)) {
+                return String(answer);
             }
+            return QuestionRenderers.get(question.type).formatAnswer(answer, question, this.strings);
+        },
 
-            $('#question-container').html(html);
+        /**
+         * Build the notice shown in place of an answered question's options
+         *
+         * @param {number} questionId Question ID
+         * @return {string} Notice HTML
+         */
+        renderAnsweredNotice: function (questionId) {
+            var state = this.selectedAnswers[questionId];
+            var notice = $('<div class="alert alert-info answered-notice"></div>')
+                .attr('data-questionid', questionId)
+                .append($('<p class="mb-0"></p>').text(this.strings.alreadyanswered));
+
+            var answer = state && state.answer ? this.formatAnswer(questionId, state.answer) : '';
+            if (answer) {
+                notice.append($('<p class="mb-0"></p>').text(this.strings.youranswer + ': ' + answer));
+            }
+            if (state && !state.confirmed) {
+                notice.append($('<p class="mb-0 small text-muted"></p>').text(this.strings.answernotsentyet));
+            }
+            return notice.prop('outerHTML');
         },
 
         /**
@@ -1074,15 +1543,29 @@ define([
         },
 
         /**
-         * Get current question via SSE connection
-         * Legacy polling removed - all data now comes via SSE events
-         * This method is kept for initial state fetch on connect failures
+         * Retry the connection after every transport failed at startup
+         *
+         * Long-polling is handled by the connection manager itself; this only
+         * keeps retrying until some transport comes up. The 'reconnected'
+         * event then refreshes the question state.
+         *
+         * @param {number} pollinginterval Polling interval in milliseconds
          */
-        startLegacyPolling: function () {
-            // SSE-only mode: No polling fallback
-            // Show connection error notification
-            this.showNotification('error',
-                'SSE connection required. Please ensure your browser supports Server-Sent Events.');
+        startLegacyPolling: function (pollinginterval) {
+            var self = this;
+
+            this.showNotification('error', this.strings.reconnecting);
+
+            if (this.pollingTimer) {
+                return;
+            }
+
+            this.pollingTimer = setTimeout(function () {
+                self.pollingTimer = null;
+                ConnectionManager.reconnect().catch(function () {
+                    self.startLegacyPolling(pollinginterval);
+                });
+            }, Math.max(pollinginterval || 0, 5000));
         },
 
         /**
@@ -0,0 +1,150 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Cross-tab coordination for a shared real-time connection
+ *
+ * Elects one browser tab per session as leader using the Web Locks API and
+ * links all tabs of that session with a BroadcastChannel. The leader owns
+ * the server connection and relays what it receives; the other tabs wait in
+ * line for the lock, so when the leader tab closes the next tab takes over.
+ * A SharedWorker would need its own separately served script, which AMD
+ * modules cannot provide, so the lock is used instead.
+ *
+ * @module     mod_classengage/tab_coordinator
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define([], function () {
+
+    /**
+     * Tab coordinator constructor
+     *
+     * @constructor
+     * @param {string} name Lock and channel name shared by the tabs
+     */
+    function TabCoordinator(name) {
+        this.name = name;
+        this.channel = null;
+        this.abortController = null;
+        this.releaseLock = null;
+        this.messageHandler = null;
+        this.leader = false;
+        this.stopped = false;
+    }
+
+    /**
+     * Check whether the browser supports coordinating tabs
+     *
+     * @return {boolean} True if BroadcastChannel and Web Locks are available
+     */
+    TabCoordinator.isSupported = function () {
+        return typeof BroadcastChannel !== 'undefined' &&
+            typeof navigator !== 'undefined' &&
+            typeof navigator.locks !== 'undefined' &&
+            typeof navigator.locks.request === 'function';
+    };
+
+    /**
+     * Join the channel and queue for leadership
+     *
+     * @param {Function} onMessage Called with each message posted by another tab
+     * @param {Function} onLeader Called once this tab holds the lock
+     */
+    TabCoordinator.prototype.start = function (onMessage, onLeader) {
+        var self = this;
+
+        this.messageHandler = onMessage;
+        this.channel = new BroadcastChannel(this.name);
+        this.channel.onmessage = function (message) {
+            if (!self.stopped && message.data && typeof message.data === 'object') {
+                self.messageHandler(message.data);
+            }
+        };
+
+        var lockOptions = { mode: 'exclusive' };
+        if (typeof AbortController !== 'undefined') {
+            this.abortController = new AbortController();
+            lockOptions.signal = this.abortController.signal;
+        }
+
+        navigator.locks.request(this.name, lockOptions, function () {
+            if (self.stopped) {
+                return null;
+            }
+            self.leader = true;
+            self.abortController = null;
+
+            // Hold the lock until stop() or the tab closes
+            var held = new Promise(function (resolve) {
+                self.releaseLock = resolve;
+            });
+            onLeader();
+            return held;
+        }).catch(function () {
+            // Aborted by stop() while still queued
+        });
+    };
+
+    /**
+     * Post a message to every other tab on the channel
+     *
+     * @param {Object} message Structured-cloneable message
+     */
+    TabCoordinator.prototype.post = function (message) {
+        if (!this.channel || this.stopped) {
+            return;
+        }
+        try {
+            this.channel.postMessage(message);
+        } catch (e) {
+            // eslint-disable-next-line no-console
+            console.warn('Tab coordinator could not relay message:', message.type, e);
+        }
+    };
+
+    /**
+     * Check whether this tab currently holds the lock
+     *
+     * @return {boolean} True if leader
+     */
+    TabCoordinator.prototype.isLeader = function () {
+        return this.leader;
+    };
+
+    /**
+     * Leave the channel and give up the lock or the place in line
+     */
+    TabCoordinator.prototype.stop = function () {
+        this.stopped = true;
+        this.leader = false;
+
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        if (this.releaseLock) {
+            this.releaseLock();
+            this.releaseLock = null;
+        }
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    };
+
+    return TabCoordinator;
+});
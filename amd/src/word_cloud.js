@@ -0,0 +1,239 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Live word cloud of word cloud question answers
+ *
+ * The server sends every answer as typed with how often it was given. Here
+ * they are split into words, normalised (case, accents and surrounding
+ * punctuation), stripped of stop words and merged with their plurals, so
+ * "Fun!", "fun" and "FUNS" count as one word. Each update resizes the words
+ * already shown and adds new ones at the end rather than redrawing the cloud,
+ * so it grows steadily on a projector.
+ *
+ * @module     mod_classengage/word_cloud
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery'], function ($) {
+
+    /**
+     * Most words shown, the most given ones
+     * @type {number}
+     */
+    var MAX_WORDS = 60;
+
+    /**
+     * Font sizes of the least and most given words, in rem
+     * @type {Object}
+     */
+    var FONT_SIZE = { min: 1, max: 4 };
+
+    /**
+     * Word colours, picked by word so a word keeps its colour
+     * @type {Array}
+     */
+    var COLOURS = ['#0f6cbf', '#357a32', '#c2410c', '#7c3aed', '#b91c1c', '#0e7490', '#a16207'];
+
+    /**
+     * Characters that separate words
+     * @type {RegExp}
+     */
+    var SEPARATORS = /[\s.,;:!?"()[\]{}<>/\\|*+=_~^#@&%$\u00a1\u00bf\u201c\u201d\u201e\u00ab\u00bb\u2026]+/;
+
+    /**
+     * Apostrophes and dashes kept inside words but not around them
+     * @type {RegExp}
+     */
+    var EDGES = /^['`\u2019\-\u2013\u2014]+|['`\u2019\-\u2013\u2014]+$/g;
+
+    /**
+     * Turn a word into the key it is counted under
+     *
+     * Lower case without accents or surrounding apostrophes and dashes.
+     *
+     * @param {string} word Word as typed
+     * @return {string} Key, '' if nothing is left
+     */
+    var normalise = function (word) {
+        var key = String(word).toLowerCase().replace(EDGES, '');
+        if (typeof key.normalize === 'function') {
+            key = key.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        }
+        return key;
+    };
+
+    /**
+     * Find the word a plural was counted under, if the singular was given too
+     *
+     * @param {string} key Normalised word
+     * @param {Object} words Words by key
+     * @return {string|null} Key of the singular, null if none
+     */
+    var singularOf = function (key, words) {
+        var candidates = [];
+        if (key.length > 3 && /ies$/.test(key)) {
+            candidates.push(key.slice(0, -3) + 'y');
+        }
+        if (key.length > 3 && /(s|x|z|ch|sh)es$/.test(key)) {
+            candidates.push(key.slice(0, -2));
+        }
+        if (key.length > 2 && /[^s]s$/.test(key)) {
+            candidates.push(key.slice(0, -1));
+        }
+
+        for (var i = 0; i < candidates.length; i++) {
+            if (words[candidates[i]]) {
+                return candidates[i];
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Count the words in a set of answers
+     *
+     * Each word is shown as it was most often typed, in lower case.
+     *
+     * @param {Array} answers Answers, each with text and count
+     * @param {Array} stopWords Normalised words left out
+     * @return {Array} Words with key, text and count, most given first
+     */
+    var aggregate = function (answers, stopWords) {
+        var skip = {};
+        (stopWords || []).forEach(function (word) {
+            skip[normalise(word)] = true;
+        });
+
+        var words = {};
+        (answers || []).forEach(function (answer) {
+            String(answer.text).split(SEPARATORS).forEach(function (typed) {
+                var key = normalise(typed);
+                if (!key || skip[key]) {
+                    return;
+                }
+
+                var form = typed.toLowerCase().replace(EDGES, '');
+                var word = words[key] || (words[key] = { key: key, count: 0, forms: {} });
+                word.count += answer.count;
+                word.forms[form] = (word.forms[form] || 0) + answer.count;
+            });
+        });
+
+        // Fold plurals into their singular, longest first so "boxes" reaches "box".
+        Object.keys(words).sort(function (a, b) {
+            return b.length - a.length;
+        }).forEach(function (key) {
+            var singular = singularOf(key, words);
+            if (singular) {
+                words[singular].count += words[key].count;
+                $.each(words[key].forms, function (form, count) {
+                    words[singular].forms[form] = (words[singular].forms[form] || 0) + count;
+                });
+                delete words[key];
+            }
+        });
+
+        return Object.keys(words).map(function (key) {
+            var forms = words[key].forms;
+            var text = Object.keys(forms).sort(function (a, b) {
+                return forms[b] - forms[a] || a.length - b.length || (a < b ? -1 : 1);
+            })[0];
+            return { key: key, text: text, count: words[key].count };
+        }).sort(function (a, b) {
+            return b.count - a.count || (a.key < b.key ? -1 : 1);
+        });
+    };
+
+    /**
+     * Pick a word's colour from its key
+     *
+     * @param {string} key Normalised word
+     * @return {string} CSS colour
+     */
+    var colourOf = function (key) {
+        var hash = 0;
+        for (var i = 0; i < key.length; i++) {
+            hash = (hash * 31 + key.charCodeAt(i)) % COLOURS.length;
+        }
+        return COLOURS[hash];
+    };
+
+    /**
+     * Word cloud drawn into an element
+     *
+     * @param {jQuery} container Element the words are added to
+     * @param {Array} stopWords Words left out
+     * @class
+     */
+    var WordCloud = function (container, stopWords) {
+        this.container = container;
+        this.stopWords = stopWords || [];
+        this.elements = {};
+    };
+
+    /**
+     * Show the words of the latest answers
+     *
+     * @param {Array} answers Answers, each with text and count
+     */
+    WordCloud.prototype.update = function (answers) {
+        var self = this;
+        var words = aggregate(answers, this.stopWords).slice(0, MAX_WORDS);
+        var max = words.length ? words[0].count : 1;
+        var min = words.length ? words[words.length - 1].count : 1;
+        var shown = {};
+
+        words.forEach(function (word) {
+            var share = max > min ? (word.count - min) / (max - min) : 1;
+            var element = self.elements[word.key];
+            if (!element) {
+                element = $('<span class="word-cloud-word d-inline-block mx-2 font-weight-bold"></span>')
+                    .css('color', colourOf(word.key))
+                    .appendTo(self.container);
+                self.elements[word.key] = element;
+            }
+
+            element.text(word.text)
+                .attr('title', word.count)
+                .css('font-size', (FONT_SIZE.min + share * (FONT_SIZE.max - FONT_SIZE.min)).toFixed(2) + 'rem');
+            shown[word.key] = true;
+        });
+
+        // Words pushed out by more popular ones.
+        Object.keys(this.elements).forEach(function (key) {
+            if (!shown[key]) {
+                self.elements[key].remove();
+                delete self.elements[key];
+            }
+        });
+    };
+
+    return {
+        /**
+         * Create a word cloud in an element
+         *
+         * @param {jQuery} container Element the words are added to
+         * @param {Array} stopWords Words left out
+         * @return {WordCloud} Word cloud
+         */
+        create: function (container, stopWords) {
+            return new WordCloud(container, stopWords);
+        },
+
+        aggregate: aggregate,
+    };
+});
@@ -20,6 +20,20 @@
  * This endpoint handles client-to-server write operations only:
  * - Response submission (single and batch)
  * - Session control (pause/resume)
+ * - Round-trip probes carrying client connection quality (ping)
+ * - Replay of journalled session events a client missed (replay)
+ * - Key material for decrypting offline answers in the service worker (cachekey)
+ *
+ * Every action requires the sesskey except cachekey. The service worker stores
+ * the sesskey encrypted with the answers, so it needs the key material first;
+ * the login cookie is enough for that, as no other site can read the answer.
+ *
+ * Writes may carry an idempotency key. A retry with the same key gets the
+ * first attempt's response back instead of being applied again.
+ *
+ * Answers carry the ID of the browser they were given in. A different answer
+ * to the same question from another browser is settled by the activity's
+ * conflict policy, and the result reports how.
  *
  * All read operations (stats, students, status, current question) are
  * provided via Server-Sent Events (sse_handler.php).
@@ -36,6 +50,11 @@ require_once(__DIR__ . '/lib.php');
 require_once(__DIR__ . '/classes/session_manager.php');
 require_once(__DIR__ . '/classes/analytics_engine.php');
 
+use mod_classengage\answer_conflict_manager;
+use mod_classengage\client_cache_key;
+use mod_classengage\hotspot_image;
+use mod_classengage\idempotency_store;
+use mod_classengage\realtime_event_stream;
 use mod_classengage\response_capture_engine;
 use mod_classengage\session_state_manager;
 use mod_classengage\event_logger;
@@ -44,6 +63,11 @@ use mod_classengage\constants;
 
 $action = required_param('action', PARAM_ALPHA);
 $sessionid = required_param('sessionid', PARAM_INT);
+$idempotencykey = optional_param('idempotencykey', '', PARAM_ALPHANUMEXT);
+$deviceid = optional_param('deviceid', '', PARAM_ALPHANUMEXT);
+if (!answer_conflict_manager::is_valid_device_id($deviceid)) {
+    $deviceid = '';
+}
 
 $session = $DB->get_record('classengage_sessions', array('id' => $sessionid), '*', MUST_EXIST);
 $classengage = $DB->get_record('classengage', array('id' => $session->classengageid), '*', MUST_EXIST);
@@ -51,15 +75,36 @@ $cm = get_coursemodule_from_instance('classengage', $classengage->id, 0, false,
 $context = context_module::instance($cm->id);
 
 require_login(0, false, null, false, true);
-require_sesskey();
+if ($action !== 'cachekey') {
+    // cachekey is answered on the login cookie alone, see above.
+    require_sesskey();
+}
 
-// Enterprise optimization: Apply rate limiting for write operations.
 $writeactions = ['submitanswer', 'submitbatch', 'pause', 'resume'];
+
+// Answer a retried write from the stored response of its first attempt.
+$idempotency = null;
+if (in_array($action, $writeactions) && idempotency_store::is_valid_key($idempotencykey)) {
+    $idempotency = new idempotency_store();
+    $previous = $idempotency->claim($sessionid, $USER->id, $idempotencykey, $action);
+
+    if ($previous !== null) {
+        header('Content-Type: application/json');
+        echo json_encode($previous);
+        exit;
+    }
+}
+
+// Enterprise optimization: Apply rate limiting for write operations.
 if (in_array($action, $writeactions)) {
     $ratelimiter = new rate_limiter();
     $ratelimitresult = $ratelimiter->check($USER->id, $action);
 
     if (!$ratelimitresult->allowed) {
+        if ($idempotency) {
+            // Not processed, so a retry with this key must be.
+            $idempotency->release($USER->id, $idempotencykey);
+        }
         rate_limiter::apply_headers($ratelimitresult);
         header('Content-Type: application/json');
         echo json_encode([
@@ -76,6 +121,7 @@ if (in_array($action, $writeactions)) {
 }
 
 $response = array('success' => false);
+$failed = false;
 
 try {
     switch ($action) {
@@ -84,14 +130,18 @@ try {
             require_capability('mod/classengage:takequiz', $context);
             $questionid = required_param('questionid', PARAM_INT);
             $answer = required_param('answer', PARAM_TEXT);
-            $response = submit_answer($sessionid, $questionid, $answer, $classengage->id);
+            $questiontype = optional_param('questiontype', '', PARAM_ALPHA);
+            $confidence = optional_param('confidence', 0, PARAM_INT);
+            $clienttimestamp = optional_param('clienttimestamp', null, PARAM_INT);
+            $response = submit_answer($sessionid, $questionid, $answer, $classengage->id, $deviceid, $questiontype,
+                $confidence, $clienttimestamp);
             break;
 
         case 'submitbatch':
             // Submit batch of responses (for high-load scenarios).
             require_capability('mod/classengage:takequiz', $context);
             $responses = required_param('responses', PARAM_RAW);
-            $response = submit_batch_responses($sessionid, $responses, $classengage->id);
+            $response = submit_batch_responses($sessionid, $responses, $classengage->id, $deviceid);
             break;
 
 
@@ -121,12 +171,43 @@ try {
             $response = handle_reconnect($sessionid, $connectionid);
             break;
 
+        case 'ping':
+            // Round-trip probe, optionally reporting the client's connection quality.
+            require_capability('mod/classengage:takequiz', $context);
+            $connectionid = optional_param('connectionid', '', PARAM_ALPHANUMEXT);
+            $response = handle_ping($sessionid, $connectionid);
+            break;
+
+        case 'replay':
+            // Resend session events the client detected as missing.
+            require_capability('mod/classengage:takequiz', $context);
+            $since = required_param('since', PARAM_INT);
+            $until = required_param('until', PARAM_INT);
+            $response = replay_events($sessionid, $context, $since, $until);
+            break;
+
+        case 'cachekey':
+            // Key material for the service worker to decrypt offline answers.
+            require_capability('mod/classengage:takequiz', $context);
+            $response = [
+                'success' => true,
+                'keymaterial' => client_cache_key::for_session($sessionid, $USER->id),
+                'userid' => $USER->id,
+            ];
+            break;
+
         default:
             $response['error'] = 'Invalid action';
     }
 
 } catch (Exception $e) {
+    $failed = true;
     $response['error'] = $e->getMessage();
+    if ($e instanceof required_capability_exception) {
+        $response['errorcode'] = constants::ERROR_PERMISSION_DENIED;
+    } else if ($e instanceof dml_exception) {
+        $response['errorcode'] = constants::ERROR_DATABASE;
+    }
 
     // Log the error.
     if (class_exists('mod_classengage\event_logger')) {
@@ -138,65 +219,63 @@ try {
     }
 }
 
+if ($idempotency) {
+    if ($failed) {
+        $idempotency->release($USER->id, $idempotencykey);
+    } else {
+        // Transient failures are not stored, so the retry is processed.
+        $idempotency->finish($USER->id, $idempotencykey, $response);
+    }
+}
+
 header('Content-Type: application/json');
 echo json_encode($response);
 
 /**
  * Submit student answer
  *
+ * Recorded by the response capture engine, as batches are, so both settle
+ * duplicates, conflicts and late answers the same way.
+ *
  * @param int $sessionid
  * @param int $questionid
  * @param string $answer
  * @param int $classengageid
+ * @param string $deviceid Browser the answer was given in, empty if unknown
+ * @param string $questiontype Question type the answer was given for, empty if unknown
+ * @param int|null $confidence How sure the student was (constants::CONFIDENCE_*), null or 0 if not rated
+ * @param int|null $clienttimestamp When the student answered, by the browser's clock, null if unknown
  * @return array
  */
-function submit_answer($sessionid, $questionid, $answer, $classengageid)
+function submit_answer($sessionid, $questionid, $answer, $classengageid, $deviceid = '', $questiontype = '',
+    $confidence = null, $clienttimestamp = null)
 {
-    global $DB, $USER;
-
-    $session = $DB->get_record('classengage_sessions', array('id' => $sessionid), '*', MUST_EXIST);
+    global $USER;
 
-    if ($session->status !== 'active') {
-        return array('success' => false, 'error' => 'Session not active');
-    }
+    $engine = new response_capture_engine();
+    $result = $engine->submit_response(
+        $sessionid,
+        $questionid,
+        $answer,
+        $USER->id,
+        $clienttimestamp,
+        $deviceid,
+        $questiontype,
+        response_capture_engine::normalise_confidence($confidence)
+    );
 
-    // Check if already answered.
-    if (
-        $DB->record_exists('classengage_responses', array(
-            'sessionid' => $sessionid,
-            'questionid' => $questionid,
-            'userid' => $USER->id
-        ))
-    ) {
-        return array('success' => false, 'error' => 'Already answered');
+    if (!$result->success) {
+        $response = array(
+            'success' => false,
+            'error' => $result->error,
+            'errorcode' => $result->errorcode,
+        );
+        if ($result->conflict !== null) {
+            $response['conflict'] = $result->conflict;
+        }
+        return $response;
     }
 
-    // Get question.
-    $question = $DB->get_record('classengage_questions', array('id' => $questionid), '*', MUST_EXIST);
-
-    // Check if answer is correct.
-    $iscorrect = (strtoupper($answer) === strtoupper($question->correctanswer));
-
-    // Calculate response time.
-    $responsetime = time() - $session->questionstarttime;
-
-    // Calculate score.
-    $score = $iscorrect ? 1 : 0;
-
-    // Save response.
-    $response = new stdClass();
-    $response->sessionid = $sessionid;
-    $response->questionid = $questionid;
-    $response->classengageid = $classengageid;
-    $response->userid = $USER->id;
-    $response->answer = $answer;
-    $response->iscorrect = $iscorrect;
-    $response->score = $score;
-    $response->responsetime = $responsetime;
-    $response->timecreated = time();
-
-    $DB->insert_record('classengage_responses', $response);
-
     // Invalidate analytics cache.
     $cm = get_coursemodule_from_instance('classengage', $classengageid);
     $context = context_module::instance($cm->id);
@@ -213,15 +292,17 @@ function submit_answer($sessionid, $questionid, $answer, $classengageid)
         'context' => $context,
         'other' => array(
             'sessionid' => $sessionid,
-            'iscorrect' => $iscorrect
+            'iscorrect' => $result->iscorrect
         )
     ));
     $event->trigger();
 
     return array(
         'success' => true,
-        'iscorrect' => $iscorrect,
-        'correctanswer' => $question->correctanswer
+        'iscorrect' => $result->iscorrect,
+        'correctanswer' => $result->correctanswer,
+        'islate' => $result->islate,
+        'conflict' => $result->conflict,
     );
 }
 
@@ -231,26 +312,32 @@ function submit_answer($sessionid, $questionid, $answer, $classengageid)
  * @param int $sessionid Session ID
  * @param string $responsesJson JSON-encoded array of responses
  * @param int $classengageid Activity ID
+ * @param string $deviceid Browser the answers were given in, empty if unknown
  * @return array
  */
-function submit_batch_responses($sessionid, $responsesJson, $classengageid)
+function submit_batch_responses($sessionid, $responsesJson, $classengageid, $deviceid = '')
 {
     global $USER;
 
     $responses = json_decode($responsesJson, true);
 
     if (!is_array($responses)) {
-        return ['success' => false, 'error' => 'Invalid responses format'];
+        return [
+            'success' => false,
+            'error' => 'Invalid responses format',
+            'errorcode' => constants::ERROR_INVALID_ANSWER,
+        ];
     }
 
     if (empty($responses)) {
         return ['success' => true, 'processedcount' => 0, 'failedcount' => 0, 'results' => []];
     }
 
-    // Add user ID to each response.
+    // Add user and device IDs to each response.
     foreach ($responses as &$response) {
         $response['userid'] = $USER->id;
         $response['sessionid'] = $sessionid;
+        $response['deviceid'] = $deviceid;
     }
 
     $engine = new response_capture_engine();
@@ -281,11 +368,14 @@ function submit_batch_responses($sessionid, $responsesJson, $classengageid)
             return [
                 'success' => $r->success,
                 'error' => $r->error,
+                'errorcode' => $r->errorcode,
                 'iscorrect' => $r->iscorrect,
                 'islate' => $r->islate,
+                'conflict' => $r->conflict,
             ];
         }, $result->results),
         'error' => $result->error,
+        'errorcode' => $result->errorcode,
     ];
 }
 
@@ -374,13 +464,6 @@ function get_session_status($sessionid, $classengageid)
                 'userid' => $USER->id
             ]);
 
-            // Parse options.
-            $options = json_decode($q->options, true) ?: [];
-            $formattedOptions = [];
-            foreach ($options as $key => $text) {
-                $formattedOptions[] = ['key' => $key, 'text' => $text];
-            }
-
             // Calculate time remaining.
             $elapsed = time() - $session->questionstarttime;
             $timeremaining = max(0, $q->timelimit - $elapsed);
@@ -396,7 +479,9 @@ function get_session_status($sessionid, $classengageid)
             $question = [
                 'id' => $q->id,
                 'text' => $q->questiontext,
-                'options' => $formattedOptions,
+                'type' => $q->questiontype,
+                'options' => realtime_event_stream::get_question_options($q),
+                'image' => hotspot_image::get_url($q),
                 'timeremaining' => $timeremaining,
                 'timelimit' => $q->timelimit,
                 'number' => $questionNumber,
@@ -445,7 +530,9 @@ function handle_reconnect($sessionid, $connectionid = '')
         $questiondata = [
             'id' => $clientstate->question->id,
             'text' => $clientstate->question->questiontext,
+            'type' => $clientstate->question->questiontype,
             'options' => [],
+            'image' => hotspot_image::get_url($clientstate->question),
         ];
 
         if (!empty($clientstate->question->optiona)) {
@@ -485,3 +572,58 @@ function handle_reconnect($sessionid, $connectionid = '')
         'timestamp' => $clientstate->timestamp,
     ];
 }
+
+/**
+ * Answer a round-trip probe and record the quality the client reported
+ *
+ * @param int $sessionid Session ID
+ * @param string $connectionid Connection identifier
+ * @return array
+ */
+function handle_ping($sessionid, $connectionid)
+{
+    global $USER;
+
+    $quality = optional_param('quality', '', PARAM_ALPHA);
+
+    if (!empty($connectionid) && $quality !== '') {
+        $statemanager = new session_state_manager();
+        $statemanager->record_connection_quality(
+            $connectionid,
+            $USER->id,
+            optional_param('rtt', null, PARAM_INT),
+            optional_param('jitter', null, PARAM_INT),
+            $quality
+        );
+    }
+
+    return [
+        'success' => true,
+        'sessionid' => $sessionid,
+        'servertime' => (int) round(microtime(true) * 1000),
+    ];
+}
+
+/**
+ * Read the journalled session events after a client's last received event
+ *
+ * @param int $sessionid Session ID
+ * @param context $context Module context
+ * @param int $since Last event ID the client received
+ * @param int $until Last event ID wanted
+ * @return array
+ */
+function replay_events($sessionid, $context, $since, $until)
+{
+    global $USER;
+
+    $stream = new realtime_event_stream($sessionid, $USER->id, $context, false);
+    $replay = $stream->replay($since, $until);
+
+    return [
+        'success' => true,
+        'events' => $replay['events'],
+        'lasteventid' => $replay['lasteventid'],
+        'complete' => $replay['complete'],
+    ];
+}
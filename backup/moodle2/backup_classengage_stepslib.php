@@ -63,7 +63,7 @@ class backup_classengage_activity_structure_step extends backup_activity_structu
 
         $responses = new backup_nested_element('responses');
         $response = new backup_nested_element('response', array('id'), array(
-            'questionid', 'userid', 'answer', 'iscorrect', 'score',
+            'questionid', 'userid', 'answer', 'confidence', 'iscorrect', 'score',
             'responsetime', 'timecreated'));
 
         // Build the tree
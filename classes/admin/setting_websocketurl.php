@@ -0,0 +1,73 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Admin setting for the WebSocket relay URL
+ *
+ * PARAM_URL only accepts http, https and ftp URLs, so the relay URL is
+ * checked here instead.
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace mod_classengage\admin;
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once($CFG->libdir . '/adminlib.php');
+
+/**
+ * Text setting accepting an empty value or a ws:// or wss:// URL
+ */
+class setting_websocketurl extends \admin_setting_configtext
+{
+
+    /**
+     * Constructor
+     *
+     * @param string $name Unique setting name
+     * @param string $visiblename Localised name
+     * @param string $description Localised description
+     */
+    public function __construct($name, $visiblename, $description)
+    {
+        parent::__construct($name, $visiblename, $description, '', PARAM_RAW_TRIMMED);
+    }
+
+    /**
+     * Validate the URL
+     *
+     * @param string $data Submitted value
+     * @return bool|string True if valid, otherwise the error message
+     */
+    public function validate($data)
+    {
+        $valid = parent::validate($data);
+        if ($valid !== true || $data === '') {
+            return $valid;
+        }
+
+        $scheme = strtolower((string) parse_url($data, PHP_URL_SCHEME));
+        $host = parse_url($data, PHP_URL_HOST);
+        if (!in_array($scheme, ['ws', 'wss']) || empty($host)) {
+            return get_string('settings:websocketurl_invalid', 'mod_classengage');
+        }
+
+        return true;
+    }
+}
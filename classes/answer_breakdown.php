@@ -0,0 +1,286 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Live breakdown of answers that are not a single option
+ *
+ * The control panel's A-D distribution cannot show numeric or ordering
+ * answers. Numeric answers are grouped into a histogram of equal-width bins
+ * spanning the answers and the correct range; orderings become a heatmap of
+ * how often each option was put in each position. Word cloud answers are
+ * passed on as typed, to be merged into words by the control panel, and
+ * hotspot answers as the points tapped, drawn as a heatmap over the image.
+ * Every question with a right answer also gets its answers split by
+ * correctness and the confidence students rated them with.
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Builds the stats_update breakdown of numeric, ordering, word cloud and hotspot answers
+ */
+class answer_breakdown
+{
+
+    /** @var int Number of histogram bins when answers differ */
+    const HISTOGRAM_BINS = 10;
+
+    /**
+     * Build the breakdown of a question's answers, if its type has one
+     *
+     * @param \stdClass $question Question with type, correct answer, tolerance and options
+     * @param array $counts Number of responses by answer
+     * @return array|null Histogram, heatmap, words or points, null for other question types
+     */
+    public static function for_question(\stdClass $question, array $counts): ?array
+    {
+        switch ($question->questiontype) {
+            case constants::QUESTION_TYPE_NUMERIC:
+                return self::histogram($question, $counts);
+
+            case constants::QUESTION_TYPE_ORDERING:
+                return self::heatmap($question, $counts);
+
+            case constants::QUESTION_TYPE_WORDCLOUD:
+                return self::words($counts);
+
+            case constants::QUESTION_TYPE_HOTSPOT:
+                return self::points($question, $counts);
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Group numeric answers into bins
+     *
+     * Bins marked correct overlap the correct answer plus or minus the tolerance.
+     *
+     * @param \stdClass $question Numeric question
+     * @param array $counts Number of responses by answer
+     * @return array type, bins (from, to, count, correct), correct range (from, to) and total
+     */
+    public static function histogram(\stdClass $question, array $counts): array
+    {
+        $range = response_capture_engine::get_correct_range($question);
+
+        $values = [];
+        $low = $range['from'];
+        $high = $range['to'];
+        foreach ($counts as $answer => $count) {
+            $answer = trim((string) $answer);
+            if (!is_numeric($answer)) {
+                continue;
+            }
+            $value = (float) $answer;
+            $values[] = [$value, (int) $count];
+            $low = min($low, $value);
+            $high = max($high, $value);
+        }
+
+        $numbins = $high > $low ? self::HISTOGRAM_BINS : 1;
+        $width = ($high - $low) / $numbins;
+
+        $bins = [];
+        for ($i = 0; $i < $numbins; $i++) {
+            $from = $low + $i * $width;
+            $to = $i === $numbins - 1 ? $high : $from + $width;
+            $bins[] = [
+                'from' => $from,
+                'to' => $to,
+                'count' => 0,
+                'correct' => $from <= $range['to'] && $to >= $range['from'],
+            ];
+        }
+
+        $total = 0;
+        foreach ($values as [$value, $count]) {
+            $index = $width > 0 ? min($numbins - 1, (int) floor(($value - $low) / $width)) : 0;
+            $bins[$index]['count'] += $count;
+            $total += $count;
+        }
+
+        return [
+            'type' => 'histogram',
+            'bins' => $bins,
+            'correct' => $range,
+            'total' => $total,
+        ];
+    }
+
+    /**
+     * Count how often each option was put in each position
+     *
+     * @param \stdClass $question Ordering question
+     * @param array $counts Number of responses by answer
+     * @return array type, positions, items (key, text, counts by position, correct position) and total
+     */
+    public static function heatmap(\stdClass $question, array $counts): array
+    {
+        $options = realtime_event_stream::get_question_options($question);
+        $positions = count($options);
+        $cells = array_fill_keys(array_column($options, 'key'), array_fill(0, $positions, 0));
+
+        $total = 0;
+        foreach ($counts as $answer => $count) {
+            foreach (self::split_order((string) $answer) as $position => $key) {
+                if (isset($cells[$key]) && $position < $positions) {
+                    $cells[$key][$position] += (int) $count;
+                }
+            }
+            $total += (int) $count;
+        }
+
+        $correct = self::split_order((string) $question->correctanswer);
+        $items = [];
+        foreach ($options as $option) {
+            $position = array_search($option['key'], $correct, true);
+            $items[] = [
+                'key' => $option['key'],
+                'text' => $option['text'],
+                'counts' => $cells[$option['key']],
+                'correctposition' => $position === false ? -1 : $position,
+            ];
+        }
+
+        return [
+            'type' => 'heatmap',
+            'positions' => $positions,
+            'items' => $items,
+            'total' => $total,
+        ];
+    }
+
+    /**
+     * List the answers given to a word cloud question
+     *
+     * Most given first, so the payload only changes when the answers do.
+     *
+     * @param array $counts Number of responses by answer
+     * @return array type, answers (text, count) and total
+     */
+    public static function words(array $counts): array
+    {
+        $answers = [];
+        foreach ($counts as $answer => $count) {
+            $answers[] = ['text' => (string) $answer, 'count' => (int) $count];
+        }
+        usort($answers, function ($a, $b) {
+            return [$b['count'], $a['text']] <=> [$a['count'], $b['text']];
+        });
+
+        return [
+            'type' => 'words',
+            'answers' => $answers,
+            'total' => array_sum(array_column($answers, 'count')),
+        ];
+    }
+
+    /**
+     * List the points tapped on a hotspot question's image
+     *
+     * Answers that are not points are left out.
+     *
+     * @param \stdClass $question Hotspot question
+     * @param array $counts Number of responses by answer
+     * @return array type, points (x, y, count), correct area (x, y, radius) and total
+     */
+    public static function points(\stdClass $question, array $counts): array
+    {
+        $points = [];
+        foreach ($counts as $answer => $count) {
+            $point = hotspot_image::parse_point((string) $answer);
+            if ($point !== null) {
+                $points[] = ['x' => $point[0], 'y' => $point[1], 'count' => (int) $count];
+            }
+        }
+        usort($points, function ($a, $b) {
+            return [$a['x'], $a['y']] <=> [$b['x'], $b['y']];
+        });
+
+        $target = hotspot_image::parse_point((string) $question->correctanswer);
+
+        return [
+            'type' => 'points',
+            'points' => $points,
+            'correct' => $target === null ? null : [
+                'x' => $target[0],
+                'y' => $target[1],
+                'radius' => response_capture_engine::get_tolerance($question),
+            ],
+            'total' => array_sum(array_column($points, 'count')),
+        ];
+    }
+
+    /**
+     * Split a question's answers by correctness and confidence
+     *
+     * Correct answers given while guessing were lucky; wrong answers given
+     * while sure point to a misconception.
+     *
+     * @param \stdClass $question Question answered
+     * @param iterable $rows Response counts with iscorrect, confidence (null if not rated) and cnt
+     * @return array|null correct and incorrect counts by confidence (guessing, unsure, sure), unrated and total,
+     *                    null for word cloud questions, which have no wrong answer
+     */
+    public static function confidence(\stdClass $question, iterable $rows): ?array
+    {
+        if ($question->questiontype === constants::QUESTION_TYPE_WORDCLOUD) {
+            return null;
+        }
+
+        $levels = constants::CONFIDENCE_SURE - constants::CONFIDENCE_GUESSING + 1;
+        $split = [
+            'correct' => array_fill(0, $levels, 0),
+            'incorrect' => array_fill(0, $levels, 0),
+            'unrated' => 0,
+            'total' => 0,
+        ];
+        foreach ($rows as $row) {
+            $count = (int) $row->cnt;
+            $split['total'] += $count;
+
+            $confidence = response_capture_engine::normalise_confidence($row->confidence);
+            if ($confidence === null) {
+                $split['unrated'] += $count;
+                continue;
+            }
+            $split[$row->iscorrect ? 'correct' : 'incorrect'][$confidence - constants::CONFIDENCE_GUESSING] += $count;
+        }
+
+        return $split;
+    }
+
+    /**
+     * Split an ordering answer into its option keys
+     *
+     * @param string $answer Keys separated by commas, e.g. "C,A,B"
+     * @return array Upper-case keys in order
+     */
+    protected static function split_order(string $answer): array
+    {
+        return array_map(function ($key) {
+            return strtoupper(trim($key));
+        }, explode(',', $answer));
+    }
+}
@@ -0,0 +1,303 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Answer conflicts between a student's devices
+ *
+ * A student with the quiz open on two devices can answer a question
+ * differently on each, often from answers cached while offline. Every client
+ * sends a random ID of its browser with each answer. A different answer from a
+ * different browser is a conflict, settled by the activity's policy: the first
+ * answer counts, a later one replaces it until the question timer runs out, or
+ * the first counts until the instructor chooses. Each conflict is recorded for
+ * the control panel.
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Settles and records answers that conflict with one already recorded
+ */
+class answer_conflict_manager
+{
+
+    /** @var int Maximum device ID length accepted */
+    const MAX_DEVICE_ID_LENGTH = 64;
+
+    /** @var string Conflict policy applied (constants::CONFLICT_POLICY_*) */
+    protected string $policy;
+
+    /**
+     * Constructor
+     *
+     * @param string $policy Conflict policy (constants::CONFLICT_POLICY_*), unknown ones count as first-wins
+     */
+    public function __construct(string $policy = constants::CONFLICT_POLICY_FIRST)
+    {
+        $this->policy = in_array($policy, constants::CONFLICT_POLICIES, true) ? $policy : constants::CONFLICT_POLICY_FIRST;
+    }
+
+    /**
+     * Create a manager applying the policy of an activity
+     *
+     * @param int $classengageid Activity ID
+     * @return answer_conflict_manager
+     */
+    public static function for_activity(int $classengageid): answer_conflict_manager
+    {
+        global $DB;
+
+        return new self((string) $DB->get_field('classengage', 'conflictpolicy', ['id' => $classengageid]));
+    }
+
+    /**
+     * Check whether a client-supplied device ID can be stored
+     *
+     * @param string $deviceid Device ID (already cleaned as PARAM_ALPHANUMEXT)
+     * @return bool
+     */
+    public static function is_valid_device_id(string $deviceid): bool
+    {
+        return $deviceid !== '' && strlen($deviceid) <= self::MAX_DEVICE_ID_LENGTH;
+    }
+
+    /**
+     * Get the policy applied
+     *
+     * @return string constants::CONFLICT_POLICY_*
+     */
+    public function get_policy(): string
+    {
+        return $this->policy;
+    }
+
+    /**
+     * Check whether an answer to a question already answered comes from another device
+     *
+     * A resubmission from the same browser, the same answer again, or an
+     * answer from a client that sends no device ID is a plain duplicate.
+     *
+     * @param \stdClass $existing Recorded response
+     * @param string $answer Answer submitted
+     * @param string $deviceid Browser it came from, empty if unknown
+     * @return bool
+     */
+    public function is_conflict(\stdClass $existing, string $answer, string $deviceid): bool
+    {
+        if ($deviceid === '' || empty($existing->deviceid) || $existing->deviceid === $deviceid) {
+            return false;
+        }
+
+        return strtoupper(trim($answer)) !== strtoupper(trim($existing->answer));
+    }
+
+    /**
+     * Apply the policy to an answer that conflicts with the recorded one
+     *
+     * @param \stdClass $existing Recorded response
+     * @param string $answer Conflicting answer
+     * @param string $deviceid Browser it came from
+     * @param bool $iscorrect Whether the conflicting answer is correct
+     * @param bool $islate Whether it was given after the question timer ran out
+     * @param int|null $confidence Confidence given with the conflicting answer, null if not rated
+     * @return array Details for the client: policy, outcome (constants::CONFLICT_STATUS_*) and the answer that counts
+     */
+    public function resolve(
+        \stdClass $existing,
+        string $answer,
+        string $deviceid,
+        bool $iscorrect,
+        bool $islate,
+        ?int $confidence = null
+    ): array {
+        if ($this->policy === constants::CONFLICT_POLICY_LAST && !$islate) {
+            $status = constants::CONFLICT_STATUS_REPLACED;
+        } else if ($this->policy === constants::CONFLICT_POLICY_INSTRUCTOR) {
+            $status = constants::CONFLICT_STATUS_PENDING;
+        } else {
+            $status = constants::CONFLICT_STATUS_REJECTED;
+        }
+
+        $this->record($existing, $answer, $deviceid, $iscorrect, $status, $confidence);
+        if ($status === constants::CONFLICT_STATUS_REPLACED) {
+            $this->replace_answer($existing->id, $answer, $deviceid, $iscorrect, $confidence);
+        }
+
+        return [
+            'policy' => $this->policy,
+            'outcome' => $status,
+            'answer' => $status === constants::CONFLICT_STATUS_REPLACED ? $answer : $existing->answer,
+        ];
+    }
+
+    /**
+     * Count the conflicts of a question for the control panel
+     *
+     * @param int $sessionid Session ID
+     * @param int $questionid Question ID
+     * @return array students (answering from conflicting devices) and pending (awaiting the instructor)
+     */
+    public function get_counts(int $sessionid, int $questionid): array
+    {
+        global $DB;
+
+        $params = ['sessionid' => $sessionid, 'questionid' => $questionid];
+        $students = $DB->count_records_sql(
+            "SELECT COUNT(DISTINCT userid)
+               FROM {classengage_conflicts}
+              WHERE sessionid = :sessionid AND questionid = :questionid",
+            $params
+        );
+        $pending = $DB->count_records('classengage_conflicts', $params + ['status' => constants::CONFLICT_STATUS_PENDING]);
+
+        return [
+            'students' => (int) $students,
+            'pending' => (int) $pending,
+        ];
+    }
+
+    /**
+     * List the conflicts of a question awaiting the instructor, oldest first
+     *
+     * @param int $sessionid Session ID
+     * @param int $questionid Question ID
+     * @return array Conflict records with the student's name fields
+     */
+    public function get_pending(int $sessionid, int $questionid): array
+    {
+        global $DB;
+
+        $namefields = \core_user\fields::for_name()->get_sql('u', false, '', '', false)->selects;
+        $sql = "SELECT cf.id, cf.userid, cf.answer, cf.previousanswer, cf.timecreated, {$namefields}
+                  FROM {classengage_conflicts} cf
+                  JOIN {user} u ON u.id = cf.userid
+                 WHERE cf.sessionid = :sessionid
+                   AND cf.questionid = :questionid
+                   AND cf.status = :status
+              ORDER BY cf.timecreated, cf.id";
+
+        return array_values($DB->get_records_sql($sql, [
+            'sessionid' => $sessionid,
+            'questionid' => $questionid,
+            'status' => constants::CONFLICT_STATUS_PENDING,
+        ]));
+    }
+
+    /**
+     * Settle a conflict left to the instructor
+     *
+     * @param int $conflictid Conflict ID
+     * @param int $sessionid Session the conflict must belong to
+     * @param bool $accept True to count the conflicting answer, false to keep the recorded one
+     * @return \stdClass Updated conflict record
+     * @throws \dml_missing_record_exception If no such conflict is pending in the session
+     */
+    public function decide(int $conflictid, int $sessionid, bool $accept): \stdClass
+    {
+        global $DB;
+
+        $conflict = $DB->get_record('classengage_conflicts', [
+            'id' => $conflictid,
+            'sessionid' => $sessionid,
+            'status' => constants::CONFLICT_STATUS_PENDING,
+        ], '*', MUST_EXIST);
+
+        if ($accept) {
+            $confidence = $conflict->confidence !== null ? (int) $conflict->confidence : null;
+            $this->replace_answer($conflict->responseid, $conflict->answer, $conflict->deviceid, (bool) $conflict->iscorrect,
+                $confidence);
+        }
+
+        $conflict->status = $accept ? constants::CONFLICT_STATUS_ACCEPTED : constants::CONFLICT_STATUS_DISMISSED;
+        $conflict->timemodified = time();
+        $DB->update_record('classengage_conflicts', $conflict);
+
+        return $conflict;
+    }
+
+    /**
+     * Record a conflict
+     *
+     * @param \stdClass $existing Recorded response
+     * @param string $answer Conflicting answer
+     * @param string $deviceid Browser it came from
+     * @param bool $iscorrect Whether the conflicting answer is correct
+     * @param string $status constants::CONFLICT_STATUS_*
+     * @param int|null $confidence Confidence given with it, null if not rated
+     * @return int Conflict ID
+     */
+    protected function record(
+        \stdClass $existing,
+        string $answer,
+        string $deviceid,
+        bool $iscorrect,
+        string $status,
+        ?int $confidence = null
+    ): int {
+        global $DB;
+
+        $now = time();
+        $conflict = new \stdClass();
+        $conflict->sessionid = $existing->sessionid;
+        $conflict->questionid = $existing->questionid;
+        $conflict->userid = $existing->userid;
+        $conflict->responseid = $existing->id;
+        $conflict->deviceid = $deviceid;
+        $conflict->answer = $answer;
+        $conflict->confidence = $confidence;
+        $conflict->iscorrect = $iscorrect ? 1 : 0;
+        $conflict->previousanswer = $existing->answer;
+        $conflict->status = $status;
+        $conflict->timecreated = $now;
+        $conflict->timemodified = $now;
+
+        return $DB->insert_record('classengage_conflicts', $conflict);
+    }
+
+    /**
+     * Make a response count another answer
+     *
+     * @param int $responseid Response ID
+     * @param string $answer Answer that now counts
+     * @param string $deviceid Browser it came from
+     * @param bool $iscorrect Whether it is correct
+     * @param int|null $confidence Confidence given with it, null if not rated
+     */
+    protected function replace_answer(
+        int $responseid,
+        string $answer,
+        string $deviceid,
+        bool $iscorrect,
+        ?int $confidence = null
+    ): void {
+        global $DB;
+
+        $DB->update_record('classengage_responses', (object) [
+            'id' => $responseid,
+            'answer' => $answer,
+            'confidence' => $confidence,
+            'iscorrect' => $iscorrect ? 1 : 0,
+            'score' => $iscorrect ? 1.0 : 0.0,
+            'deviceid' => $deviceid,
+        ]);
+    }
+}
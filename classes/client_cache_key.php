@@ -0,0 +1,75 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Key material for the client-side offline answer store
+ *
+ * Answers a student submits while offline are kept in the browser, encrypted
+ * with a key mod_classengage/client_cache derives from this material. The
+ * material is an HMAC of the session and user under a site secret, so only
+ * the same student, logged in again, gets it back: the next person on a
+ * shared computer cannot read or submit the answers left behind.
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Hands out per-session key material for encrypting offline answers
+ */
+class client_cache_key
+{
+
+    /** @var string Plugin setting holding the site secret */
+    const SECRET_SETTING = 'cachekeysecret';
+
+    /** @var int Length of a generated site secret */
+    const SECRET_LENGTH = 64;
+
+    /**
+     * Get the key material for a user in a session
+     *
+     * @param int $sessionid Session ID
+     * @param int $userid User ID
+     * @return string 64 hex characters
+     */
+    public static function for_session(int $sessionid, int $userid): string
+    {
+        return hash_hmac('sha256', $sessionid . ':' . $userid, self::get_secret());
+    }
+
+    /**
+     * Get the site secret, generating it on first use
+     *
+     * @return string
+     */
+    private static function get_secret(): string
+    {
+        $secret = get_config('mod_classengage', self::SECRET_SETTING);
+
+        if (empty($secret)) {
+            $secret = random_string(self::SECRET_LENGTH);
+            set_config(self::SECRET_SETTING, $secret, 'mod_classengage');
+        }
+
+        return $secret;
+    }
+}
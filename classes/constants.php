@@ -72,6 +72,34 @@ class constants
     /** @var string Short answer question */
     const QUESTION_TYPE_SHORTANSWER = 'shortanswer';
 
+    /** @var string Multi-select question, answered with one or more options */
+    const QUESTION_TYPE_MULTISELECT = 'multiselect';
+
+    /** @var string Numeric question, correct within a tolerance */
+    const QUESTION_TYPE_NUMERIC = 'numeric';
+
+    /** @var string Ordering question, answered by putting the options in order */
+    const QUESTION_TYPE_ORDERING = 'ordering';
+
+    /** @var string Word cloud question, answered with a word or short phrase that is not graded */
+    const QUESTION_TYPE_WORDCLOUD = 'wordcloud';
+
+    /** @var string Hotspot question, answered by tapping a point on an image */
+    const QUESTION_TYPE_HOTSPOT = 'hotspot';
+
+    /** @var int Longest word cloud answer, in characters */
+    const WORDCLOUD_MAX_LENGTH = 50;
+
+    // Confidence ratings.
+    /** @var int Lowest confidence rating: guessing */
+    const CONFIDENCE_GUESSING = 1;
+
+    /** @var int Middle confidence rating: unsure */
+    const CONFIDENCE_UNSURE = 2;
+
+    /** @var int Highest confidence rating: sure */
+    const CONFIDENCE_SURE = 3;
+
     // Answer options.
     /** @var array Valid answer options for multiple choice */
     const VALID_ANSWERS = ['A', 'B', 'C', 'D'];
@@ -99,14 +127,50 @@ class constants
     /** @var string Action to resume session */
     const ACTION_RESUME = 'resume';
 
+    /** @var string Action to settle an answer conflict left to the instructor */
+    const ACTION_RESOLVE_CONFLICT = 'resolveconflict';
+
     /** @var array Valid control panel actions */
     const VALID_ACTIONS = [
         self::ACTION_NEXT,
         self::ACTION_STOP,
         self::ACTION_PAUSE,
         self::ACTION_RESUME,
+        self::ACTION_RESOLVE_CONFLICT,
+    ];
+
+    // Answer conflict constants.
+    /** @var string Policy: the answer recorded first counts */
+    const CONFLICT_POLICY_FIRST = 'first';
+
+    /** @var string Policy: a later answer from another device replaces it until the timer runs out */
+    const CONFLICT_POLICY_LAST = 'last';
+
+    /** @var string Policy: the first answer counts until the instructor chooses */
+    const CONFLICT_POLICY_INSTRUCTOR = 'instructor';
+
+    /** @var array Valid answer conflict policies */
+    const CONFLICT_POLICIES = [
+        self::CONFLICT_POLICY_FIRST,
+        self::CONFLICT_POLICY_LAST,
+        self::CONFLICT_POLICY_INSTRUCTOR,
     ];
 
+    /** @var string Conflict status: the second answer was not recorded */
+    const CONFLICT_STATUS_REJECTED = 'rejected';
+
+    /** @var string Conflict status: the second answer replaced the first */
+    const CONFLICT_STATUS_REPLACED = 'replaced';
+
+    /** @var string Conflict status: waiting for the instructor */
+    const CONFLICT_STATUS_PENDING = 'pending';
+
+    /** @var string Conflict status: the instructor chose the second answer */
+    const CONFLICT_STATUS_ACCEPTED = 'accepted';
+
+    /** @var string Conflict status: the instructor kept the first answer */
+    const CONFLICT_STATUS_DISMISSED = 'dismissed';
+
     // Default configuration values.
     /** @var int Default polling interval in milliseconds */
     const DEFAULT_POLLING_INTERVAL = 1000;
@@ -133,6 +197,12 @@ class constants
     /** @var int Rate limit window in seconds */
     const RATE_LIMIT_WINDOW = 60;
 
+    /** @var int Seconds a write's idempotency key and stored response are kept */
+    const IDEMPOTENCY_KEY_TTL = 86400;
+
+    /** @var int Seconds after which an unfinished claim on an idempotency key may be taken over */
+    const IDEMPOTENCY_CLAIM_TIMEOUT = 30;
+
     // =========================================================================
     // Enterprise Optimization: Connection Management Constants
     // =========================================================================
@@ -143,6 +213,18 @@ class constants
     /** @var int Maximum SSE connection runtime in seconds */
     const MAX_SSE_RUNTIME = 300;
 
+    /** @var int Seconds between heartbeat pings on a real-time stream */
+    const HEARTBEAT_INTERVAL = 10;
+
+    /** @var string Client network quality: low latency, stable */
+    const NETWORK_QUALITY_GOOD = 'good';
+
+    /** @var string Client network quality: noticeable latency, jitter or loss */
+    const NETWORK_QUALITY_FAIR = 'fair';
+
+    /** @var string Client network quality: high latency, jitter or loss */
+    const NETWORK_QUALITY_POOR = 'poor';
+
     /** @var int Reconnect delay initial value in milliseconds */
     const RECONNECT_DELAY_INITIAL = 1000;
 
@@ -152,6 +234,15 @@ class constants
     /** @var int Connection timeout in milliseconds */
     const CONNECTION_TIMEOUT = 10000;
 
+    /** @var int Version of the real-time protocol, announced in the 'connected' event */
+    const PROTOCOL_VERSION = 1;
+
+    /** @var int Oldest client protocol version the real-time handlers still serve */
+    const PROTOCOL_MIN_VERSION = 1;
+
+    /** @var array Optional real-time features announced to clients in the 'connected' event */
+    const PROTOCOL_CAPABILITIES = ['journal', 'replay', 'heartbeat', 'idempotency', 'batch'];
+
     // =========================================================================
     // Enterprise Optimization: Cache TTL Constants (in seconds)
     // =========================================================================
@@ -199,6 +290,15 @@ class constants
     /** @var int Error: Permission denied */
     const ERROR_PERMISSION_DENIED = 1008;
 
+    /** @var int Error: A request with the same idempotency key is still being processed */
+    const ERROR_REQUEST_IN_PROGRESS = 1009;
+
+    /** @var int Error: Question not found */
+    const ERROR_QUESTION_NOT_FOUND = 1010;
+
+    /** @var int Error: Already answered differently from another device */
+    const ERROR_ANSWER_CONFLICT = 1011;
+
     // =========================================================================
     // Enterprise Optimization: Performance Thresholds
     // =========================================================================
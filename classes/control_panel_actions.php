@@ -81,6 +81,9 @@ class control_panel_actions {
             case constants::ACTION_RESUME:
                 return $this->handle_resume_session($sessionid);
                 
+            case constants::ACTION_RESOLVE_CONFLICT:
+                return $this->handle_resolve_conflict($sessionid);
+                
             default:
                 return false;
         }
@@ -143,4 +146,34 @@ class control_panel_actions {
         // TODO: Implement resume functionality in session_manager.
         throw new \moodle_exception('notimplemented', 'mod_classengage');
     }
+    
+    /**
+     * Handle the instructor's choice between a student's answers from two devices
+     *
+     * The conflict and the choice come from the conflictid and accept
+     * request parameters.
+     *
+     * @param int $sessionid Session ID
+     * @return bool True on success
+     * @throws \required_capability_exception If user lacks permission
+     * @throws \dml_missing_record_exception If the conflict is not waiting in this session
+     */
+    private function handle_resolve_conflict($sessionid) {
+        global $DB;
+
+        require_capability('mod/classengage:startquiz', $this->context);
+        $conflictid = required_param('conflictid', PARAM_INT);
+        $accept = required_param('accept', PARAM_BOOL);
+
+        $conflictmanager = new answer_conflict_manager();
+        $conflictmanager->decide($conflictid, $sessionid, $accept);
+
+        if ($accept) {
+            // The counted answer changed.
+            $classengageid = $DB->get_field('classengage_sessions', 'classengageid', ['id' => $sessionid], MUST_EXIST);
+            $analytics = new analytics_engine($classengageid, $this->context);
+            $analytics->invalidate_cache($sessionid);
+        }
+        return true;
+    }
 }
@@ -0,0 +1,304 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Event journal for live quiz sessions
+ *
+ * Records the session-wide events (status changes and question broadcasts)
+ * under one sequence per session, so every client sees the same event IDs
+ * and a reconnecting client can be sent exactly the events it missed.
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Sequenced, replayable log of session-wide real-time events
+ *
+ * Any request serving the session may notice a state change first, so
+ * entries are appended by whichever request gets there first; the unique
+ * (sessionid, seq) index makes the others back off.
+ */
+class event_journal
+{
+
+    /** @var int Maximum entries returned by one read */
+    const MAX_EVENTS = 100;
+
+    /** @var int Session ID */
+    protected int $sessionid;
+
+    /** @var session_state_manager State manager */
+    protected session_state_manager $statemanager;
+
+    /**
+     * Constructor
+     *
+     * @param int $sessionid Session ID
+     * @param session_state_manager|null $statemanager State manager (created if null)
+     */
+    public function __construct(int $sessionid, ?session_state_manager $statemanager = null)
+    {
+        $this->sessionid = $sessionid;
+        $this->statemanager = $statemanager ?? new session_state_manager();
+    }
+
+    /**
+     * Append entries for any change between the journal and the session state
+     *
+     * A new question is journalled before the status change that came with
+     * it, so replaying a start or pause leaves the question on screen in the
+     * right state. Each entry stores the state it leads to, so if a writer
+     * stops halfway the next call appends what is still missing.
+     *
+     * @param session_state $state Current session state
+     * @return void
+     */
+    public function sync(session_state $state): void
+    {
+        $head = $this->get_head_entry();
+        $seq = $head ? (int) $head->seq : 0;
+        $laststatus = $head ? $head->status : constants::SESSION_STATUS_READY;
+        $lastquestion = $head ? (int) $head->currentquestion : -1;
+        $now = time();
+
+        $showsquestion = $state->status === constants::SESSION_STATUS_ACTIVE
+            || $state->status === constants::SESSION_STATUS_PAUSED;
+
+        if ($showsquestion && $lastquestion !== $state->currentquestion) {
+            // The question is the same for everyone; hasanswered is added per client on delivery.
+            $question = $this->statemanager->get_client_state($this->sessionid, 0)->question;
+
+            $appended = $this->append(++$seq, 'question_broadcast', $laststatus, $state->currentquestion, [
+                'sessionid' => $this->sessionid,
+                'questionnumber' => $state->currentquestion,
+                'question' => $question ? [
+                    'id' => $question->id,
+                    'text' => $question->questiontext,
+                    'type' => $question->questiontype,
+                    'options' => realtime_event_stream::get_question_options($question),
+                    'image' => hotspot_image::get_url($question),
+                ] : null,
+                'timelimit' => $state->timerremaining,
+                'timestamp' => $now,
+            ]);
+            if (!$appended) {
+                return;
+            }
+            $lastquestion = $state->currentquestion;
+        }
+
+        $event = $laststatus !== $state->status ? $this->get_status_event($laststatus, $state->status) : null;
+        if ($event !== null) {
+            $data = [
+                'sessionid' => $this->sessionid,
+                'status' => $state->status,
+                'timestamp' => $now,
+            ];
+            if ($showsquestion) {
+                $data['currentquestion'] = $state->currentquestion;
+                $data['timerremaining'] = $state->timerremaining;
+            }
+            $this->append(++$seq, $event, $state->status, $lastquestion, $data);
+        }
+    }
+
+    /**
+     * Get the sequence number of the latest entry
+     *
+     * @return int 0 if the journal is empty
+     */
+    public function get_head(): int
+    {
+        $head = $this->get_head_entry();
+        return $head ? (int) $head->seq : 0;
+    }
+
+    /**
+     * Check whether every entry after a sequence number is still available
+     *
+     * @param int $seq Last sequence number the client received
+     * @return bool
+     */
+    public function can_replay_from(int $seq): bool
+    {
+        global $DB;
+
+        if ($seq < 0 || $seq > $this->get_head()) {
+            return false;
+        }
+
+        $oldest = $DB->get_field('classengage_session_events', 'MIN(seq)', ['sessionid' => $this->sessionid]);
+
+        return $oldest === false || $oldest === null || $seq >= (int) $oldest - 1;
+    }
+
+    /**
+     * Read entries after a sequence number, in order
+     *
+     * At most MAX_EVENTS entries are returned; read again from the last one
+     * returned to continue.
+     *
+     * @param int $after Return entries with a greater sequence number
+     * @param int|null $until Last sequence number to include (null for all)
+     * @return array List of ['id' => int, 'event' => string, 'data' => array]
+     */
+    public function get_events(int $after, ?int $until = null): array
+    {
+        global $DB;
+
+        $select = 'sessionid = :sessionid AND seq > :after';
+        $params = ['sessionid' => $this->sessionid, 'after' => $after];
+        if ($until !== null) {
+            $select .= ' AND seq <= :until';
+            $params['until'] = $until;
+        }
+
+        $records = $DB->get_records_select(
+            'classengage_session_events',
+            $select,
+            $params,
+            'seq ASC',
+            'id, seq, eventtype, eventdata',
+            0,
+            self::MAX_EVENTS
+        );
+
+        $events = [];
+        foreach ($records as $record) {
+            $events[] = [
+                'id' => (int) $record->seq,
+                'event' => $record->eventtype,
+                'data' => json_decode($record->eventdata, true) ?? [],
+            ];
+        }
+
+        return $events;
+    }
+
+    /**
+     * Read the latest entry of one event type
+     *
+     * @param string $event Event type
+     * @return array|null ['id' => int, 'event' => string, 'data' => array], or null if none
+     */
+    public function get_latest_event(string $event): ?array
+    {
+        global $DB;
+
+        $records = $DB->get_records(
+            'classengage_session_events',
+            ['sessionid' => $this->sessionid, 'eventtype' => $event],
+            'seq DESC',
+            'id, seq, eventtype, eventdata',
+            0,
+            1
+        );
+        if (!$records) {
+            return null;
+        }
+
+        $record = reset($records);
+
+        return [
+            'id' => (int) $record->seq,
+            'event' => $record->eventtype,
+            'data' => json_decode($record->eventdata, true) ?? [],
+        ];
+    }
+
+    /**
+     * Get the event type for a status transition
+     *
+     * @param string $from Previous status
+     * @param string $to New status
+     * @return string|null Event type, or null if clients need not be told
+     */
+    protected function get_status_event(string $from, string $to): ?string
+    {
+        switch ($to) {
+            case constants::SESSION_STATUS_ACTIVE:
+                return $from === constants::SESSION_STATUS_PAUSED ? 'session_resumed' : 'session_started';
+
+            case constants::SESSION_STATUS_PAUSED:
+                return 'session_paused';
+
+            case constants::SESSION_STATUS_COMPLETED:
+                return 'session_completed';
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the latest entry
+     *
+     * @return \stdClass|null
+     */
+    protected function get_head_entry(): ?\stdClass
+    {
+        global $DB;
+
+        $records = $DB->get_records(
+            'classengage_session_events',
+            ['sessionid' => $this->sessionid],
+            'seq DESC',
+            'id, seq, status, currentquestion',
+            0,
+            1
+        );
+
+        return $records ? reset($records) : null;
+    }
+
+    /**
+     * Append one entry
+     *
+     * @param int $seq Sequence number
+     * @param string $event Event type
+     * @param string $status Session status after this entry
+     * @param int $currentquestion Question position after this entry
+     * @param array $data Event payload
+     * @return bool False if another request already wrote this sequence number
+     */
+    protected function append(int $seq, string $event, string $status, int $currentquestion, array $data): bool
+    {
+        global $DB;
+
+        $record = new \stdClass();
+        $record->sessionid = $this->sessionid;
+        $record->seq = $seq;
+        $record->eventtype = $event;
+        $record->status = $status;
+        $record->currentquestion = $currentquestion;
+        $record->eventdata = json_encode($data);
+        $record->timecreated = time();
+
+        try {
+            $DB->insert_record('classengage_session_events', $record);
+        } catch (\dml_write_exception $e) {
+            // Another request journalled this change first.
+            return false;
+        }
+
+        return true;
+    }
+}
@@ -28,6 +28,9 @@ defined('MOODLE_INTERNAL') || die();
 
 require_once($CFG->libdir . '/formslib.php');
 
+use mod_classengage\constants;
+use mod_classengage\hotspot_image;
+
 /**
  * Edit question form class
  */
@@ -55,10 +58,15 @@ class edit_question_form extends \moodleform
 
         // Question type
         $types = array(
-            'multichoice' => get_string('multichoice', 'mod_classengage'),
+            constants::QUESTION_TYPE_MULTICHOICE => get_string('multichoice', 'mod_classengage'),
+            constants::QUESTION_TYPE_NUMERIC => get_string('numeric', 'mod_classengage'),
+            constants::QUESTION_TYPE_ORDERING => get_string('ordering', 'mod_classengage'),
+            constants::QUESTION_TYPE_WORDCLOUD => get_string('wordcloud', 'mod_classengage'),
+            constants::QUESTION_TYPE_HOTSPOT => get_string('hotspot', 'mod_classengage'),
         );
         $mform->addElement('select', 'questiontype', get_string('questiontype', 'mod_classengage'), $types);
         $mform->setDefault('questiontype', 'multichoice');
+        $mform->addHelpButton('questiontype', 'questiontype', 'mod_classengage');
 
         // Options
         $mform->addElement(
@@ -68,7 +76,6 @@ class edit_question_form extends \moodleform
             array('rows' => 2, 'cols' => 60)
         );
         $mform->setType('optiona', PARAM_TEXT);
-        $mform->addRule('optiona', null, 'required', null, 'client');
 
         $mform->addElement(
             'textarea',
@@ -77,7 +84,6 @@ class edit_question_form extends \moodleform
             array('rows' => 2, 'cols' => 60)
         );
         $mform->setType('optionb', PARAM_TEXT);
-        $mform->addRule('optionb', null, 'required', null, 'client');
 
         $mform->addElement(
             'textarea',
@@ -95,10 +101,44 @@ class edit_question_form extends \moodleform
         );
         $mform->setType('optiond', PARAM_TEXT);
 
+        // Only multiple choice and ordering questions have options, ordering ones are answered by putting them back in order.
+        foreach (array('optiona', 'optionb', 'optionc', 'optiond') as $option) {
+            $mform->hideIf($option, 'questiontype', 'in',
+                array(constants::QUESTION_TYPE_NUMERIC, constants::QUESTION_TYPE_WORDCLOUD, constants::QUESTION_TYPE_HOTSPOT));
+        }
+
         // Correct answer
         $answers = array('A' => 'A', 'B' => 'B', 'C' => 'C', 'D' => 'D');
         $mform->addElement('select', 'correctanswer', get_string('correctanswer', 'mod_classengage'), $answers);
         $mform->addRule('correctanswer', null, 'required', null, 'client');
+        $mform->hideIf('correctanswer', 'questiontype', 'in',
+            array(constants::QUESTION_TYPE_NUMERIC, constants::QUESTION_TYPE_ORDERING, constants::QUESTION_TYPE_WORDCLOUD,
+                constants::QUESTION_TYPE_HOTSPOT));
+
+        // Correct answer of numeric questions, and how far off an answer may be
+        $mform->addElement('text', 'correctnumber', get_string('correctanswer', 'mod_classengage'), array('size' => '10'));
+        $mform->setType('correctnumber', PARAM_RAW_TRIMMED);
+        $mform->hideIf('correctnumber', 'questiontype', 'neq', constants::QUESTION_TYPE_NUMERIC);
+
+        $mform->addElement('text', 'tolerance', get_string('tolerance', 'mod_classengage'), array('size' => '10'));
+        $mform->setType('tolerance', PARAM_FLOAT);
+        $mform->setDefault('tolerance', 0);
+        $mform->addHelpButton('tolerance', 'tolerance', 'mod_classengage');
+        $mform->hideIf('tolerance', 'questiontype', 'neq', constants::QUESTION_TYPE_NUMERIC);
+
+        // Image of hotspot questions, and the area on it counted correct, in percent of its width and height
+        $mform->addElement('filemanager', 'hotspotimage', get_string('hotspotimage', 'mod_classengage'), null,
+            hotspot_image::get_filemanager_options());
+        $mform->addHelpButton('hotspotimage', 'hotspotimage', 'mod_classengage');
+        $mform->hideIf('hotspotimage', 'questiontype', 'neq', constants::QUESTION_TYPE_HOTSPOT);
+
+        foreach (array('hotspotx' => 50, 'hotspoty' => 50, 'hotspotradius' => 10) as $field => $default) {
+            $mform->addElement('text', $field, get_string($field, 'mod_classengage'), array('size' => '5'));
+            $mform->setType($field, PARAM_FLOAT);
+            $mform->setDefault($field, $default);
+            $mform->hideIf($field, 'questiontype', 'neq', constants::QUESTION_TYPE_HOTSPOT);
+        }
+        $mform->addHelpButton('hotspotradius', 'hotspotradius', 'mod_classengage');
 
         // Difficulty
         $difficulties = array(
@@ -198,10 +238,111 @@ class edit_question_form extends \moodleform
 
         // Set defaults if editing
         if ($question) {
-            $this->set_data($question);
+            $defaults = clone($question);
+            if ($question->questiontype === constants::QUESTION_TYPE_NUMERIC) {
+                $defaults->correctnumber = $question->correctanswer;
+            }
+            if ($question->questiontype === constants::QUESTION_TYPE_HOTSPOT) {
+                $point = hotspot_image::parse_point($question->correctanswer);
+                if ($point !== null) {
+                    $defaults->hotspotx = round($point[0] * 100, 1);
+                    $defaults->hotspoty = round($point[1] * 100, 1);
+                }
+                $defaults->hotspotradius = round((float) $question->tolerance * 100, 1);
+            }
+
+            $context = \context_module::instance($customdata['cmid']);
+            $draftitemid = file_get_submitted_draft_itemid('hotspotimage');
+            file_prepare_draft_area($draftitemid, $context->id, hotspot_image::COMPONENT, hotspot_image::FILEAREA,
+                $question->id, hotspot_image::get_filemanager_options());
+            $defaults->hotspotimage = $draftitemid;
+
+            $this->set_data($defaults);
         }
     }
 
+    /**
+     * Validate the options and correct answer required by the question type
+     *
+     * @param array $data Submitted data
+     * @param array $files Uploaded files
+     * @return array Errors by element name
+     */
+    public function validation($data, $files)
+    {
+        $errors = parent::validation($data, $files);
+
+        if ($data['questiontype'] === constants::QUESTION_TYPE_NUMERIC) {
+            if (!is_numeric($data['correctnumber']) || strlen($data['correctnumber']) > 10) {
+                $errors['correctnumber'] = get_string('errornumericanswer', 'mod_classengage');
+            }
+            if ($data['tolerance'] < 0) {
+                $errors['tolerance'] = get_string('errortolerance', 'mod_classengage');
+            }
+        } else if ($data['questiontype'] === constants::QUESTION_TYPE_HOTSPOT) {
+            if (!file_get_all_files_in_draftarea($data['hotspotimage'])) {
+                $errors['hotspotimage'] = get_string('required');
+            }
+            foreach (array('hotspotx', 'hotspoty') as $field) {
+                if ($data[$field] < 0 || $data[$field] > 100) {
+                    $errors[$field] = get_string('errorhotspotpercent', 'mod_classengage');
+                }
+            }
+            if ($data['hotspotradius'] <= 0 || $data['hotspotradius'] > 100) {
+                $errors['hotspotradius'] = get_string('errorhotspotpercent', 'mod_classengage');
+            }
+        } else if ($data['questiontype'] !== constants::QUESTION_TYPE_WORDCLOUD) {
+            foreach (array('optiona', 'optionb') as $option) {
+                if (trim($data[$option]) === '') {
+                    $errors[$option] = get_string('required');
+                }
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Get the submitted question with the correct answer its type stores
+     *
+     * Numeric questions store the number, ordering questions the options in
+     * the order they were entered, e.g. "A,B,C", word cloud questions nothing
+     * as no answer is wrong, and hotspot questions the centre of the correct
+     * area as fractions of the image's size, with its radius as tolerance.
+     *
+     * @return \stdClass|null Submitted data, null if not submitted or invalid
+     */
+    public function get_data()
+    {
+        $data = parent::get_data();
+        if (!$data) {
+            return $data;
+        }
+
+        if ($data->questiontype === constants::QUESTION_TYPE_NUMERIC) {
+            $data->correctanswer = $data->correctnumber;
+        } else if ($data->questiontype === constants::QUESTION_TYPE_HOTSPOT) {
+            $data->correctanswer = hotspot_image::format_point($data->hotspotx / 100, $data->hotspoty / 100, 2);
+            $data->tolerance = $data->hotspotradius / 100;
+        } else {
+            if ($data->questiontype === constants::QUESTION_TYPE_ORDERING) {
+                $order = array();
+                foreach (array('A' => 'optiona', 'B' => 'optionb', 'C' => 'optionc', 'D' => 'optiond') as $key => $option) {
+                    if (trim($data->$option) !== '') {
+                        $order[] = $key;
+                    }
+                }
+                $data->correctanswer = implode(',', $order);
+            } else if ($data->questiontype === constants::QUESTION_TYPE_WORDCLOUD) {
+                $data->correctanswer = '';
+            }
+            $data->tolerance = null;
+        }
+        unset($data->correctnumber, $data->hotspotx, $data->hotspoty, $data->hotspotradius);
+
+        return $data;
+    }
+
     /**
      * Format an array of page numbers into compact ranges
      * 
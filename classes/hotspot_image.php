@@ -0,0 +1,151 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Images of hotspot questions
+ *
+ * A hotspot question is answered by tapping a point on its image. Points are
+ * stored as "x,y", each a fraction of the image's width or height from its
+ * top left corner, so they do not depend on the size the image was shown at.
+ * The correct answer is such a point, and the tolerance is the radius around
+ * it in the same fractions.
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Stores and locates hotspot question images
+ */
+class hotspot_image
+{
+
+    /** @var string Component name for file storage */
+    const COMPONENT = 'mod_classengage';
+
+    /** @var string File area for hotspot images, the item ID is the question ID */
+    const FILEAREA = 'hotspotimage';
+
+    /**
+     * Options of the file manager the image is uploaded with
+     *
+     * @return array File manager options
+     */
+    public static function get_filemanager_options(): array
+    {
+        return [
+            'subdirs' => 0,
+            'maxfiles' => 1,
+            'accepted_types' => ['web_image'],
+        ];
+    }
+
+    /**
+     * Store the image uploaded with a question
+     *
+     * @param \context $context Module context
+     * @param int $questionid Question ID
+     * @param int $draftitemid Draft area of the file manager
+     * @return void
+     */
+    public static function save(\context $context, int $questionid, int $draftitemid): void
+    {
+        file_save_draft_area_files($draftitemid, $context->id, self::COMPONENT, self::FILEAREA, $questionid,
+            self::get_filemanager_options());
+    }
+
+    /**
+     * Delete the image of a question
+     *
+     * @param \context $context Module context
+     * @param int $questionid Question ID
+     * @return void
+     */
+    public static function delete(\context $context, int $questionid): void
+    {
+        get_file_storage()->delete_area_files($context->id, self::COMPONENT, self::FILEAREA, $questionid);
+    }
+
+    /**
+     * Get the URL of a question's image
+     *
+     * @param \stdClass $question Question with its activity ID
+     * @return string|null Image URL, null if the question is not a hotspot question or has no image
+     */
+    public static function get_url(\stdClass $question): ?string
+    {
+        if ($question->questiontype !== constants::QUESTION_TYPE_HOTSPOT) {
+            return null;
+        }
+
+        $cm = get_coursemodule_from_instance('classengage', $question->classengageid, 0, false, MUST_EXIST);
+        $context = \context_module::instance($cm->id);
+
+        $fs = get_file_storage();
+        $files = $fs->get_area_files($context->id, self::COMPONENT, self::FILEAREA, $question->id, 'filename', false);
+        if (!$files) {
+            return null;
+        }
+
+        $file = reset($files);
+        return \moodle_url::make_pluginfile_url(
+            $file->get_contextid(),
+            $file->get_component(),
+            $file->get_filearea(),
+            $file->get_itemid(),
+            $file->get_filepath(),
+            $file->get_filename()
+        )->out(false);
+    }
+
+    /**
+     * Parse a point
+     *
+     * @param string $point Point as "x,y"
+     * @return array|null [x, y], null unless both are numbers from 0 to 1
+     */
+    public static function parse_point(string $point): ?array
+    {
+        $parts = array_map('trim', explode(',', $point));
+        if (count($parts) !== 2 || !is_numeric($parts[0]) || !is_numeric($parts[1])) {
+            return null;
+        }
+
+        [$x, $y] = [(float) $parts[0], (float) $parts[1]];
+        if ($x < 0 || $x > 1 || $y < 0 || $y > 1) {
+            return null;
+        }
+        return [$x, $y];
+    }
+
+    /**
+     * Format a point as stored
+     *
+     * @param float $x Fraction of the image's width
+     * @param float $y Fraction of the image's height
+     * @param int $decimals Decimal places kept
+     * @return string Point as "x,y"
+     */
+    public static function format_point(float $x, float $y, int $decimals = 4): string
+    {
+        return sprintf('%.' . $decimals . 'F,%.' . $decimals . 'F', $x, $y);
+    }
+}
@@ -0,0 +1,217 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Idempotency keys for write requests
+ *
+ * Clients attach a generated key to every write (submit, pause, resume) and
+ * reuse it when retrying. The first request with a key is processed and its
+ * response stored; any retry gets the stored response back instead of being
+ * applied a second time. Only final outcomes are stored: a request that
+ * failed for a reason that may pass, such as the rate limit, gives up its
+ * key so the retry is processed.
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Stores write responses by user and idempotency key
+ */
+class idempotency_store
+{
+
+    /** @var int Maximum key length accepted */
+    const MAX_KEY_LENGTH = 64;
+
+    /** @var int[] Error codes of failures a retry may get past */
+    const TRANSIENT_ERRORS = [
+        constants::ERROR_RATE_LIMIT_EXCEEDED,
+        constants::ERROR_CONNECTION_TIMEOUT,
+        constants::ERROR_DATABASE,
+        constants::ERROR_REQUEST_IN_PROGRESS,
+    ];
+
+    /**
+     * Check whether a client-supplied key can be used
+     *
+     * @param string $key Idempotency key (already cleaned as PARAM_ALPHANUMEXT)
+     * @return bool
+     */
+    public static function is_valid_key(string $key): bool
+    {
+        return $key !== '' && strlen($key) <= self::MAX_KEY_LENGTH;
+    }
+
+    /**
+     * Claim a key before processing its request
+     *
+     * @param int $sessionid Session ID
+     * @param int $userid User ID
+     * @param string $key Idempotency key
+     * @param string $action API action
+     * @return array|null Response to return instead of processing, or null to process the request
+     */
+    public function claim(int $sessionid, int $userid, string $key, string $action): ?array
+    {
+        global $DB;
+
+        $record = new \stdClass();
+        $record->sessionid = $sessionid;
+        $record->userid = $userid;
+        $record->requestkey = $key;
+        $record->action = $action;
+        $record->response = null;
+        $record->timecreated = time();
+
+        try {
+            $DB->insert_record('classengage_request_keys', $record);
+            return null;
+        } catch (\dml_write_exception $e) {
+            // Key already used: this is a retry.
+            $existing = $DB->get_record('classengage_request_keys', ['userid' => $userid, 'requestkey' => $key]);
+            if (!$existing) {
+                throw $e;
+            }
+        }
+
+        if ($existing->action !== $action || (int) $existing->sessionid !== $sessionid) {
+            return [
+                'success' => false,
+                'error' => 'Idempotency key already used for a different request',
+            ];
+        }
+
+        if ($existing->response !== null) {
+            $response = json_decode($existing->response, true) ?? [];
+            $response['replayed'] = true;
+            return $response;
+        }
+
+        // The first attempt died without finishing: let this one take over.
+        if ($existing->timecreated < time() - constants::IDEMPOTENCY_CLAIM_TIMEOUT) {
+            $DB->set_field('classengage_request_keys', 'timecreated', time(), ['id' => $existing->id]);
+            return null;
+        }
+
+        return [
+            'success' => false,
+            'error' => 'Request is still being processed',
+            'errorcode' => constants::ERROR_REQUEST_IN_PROGRESS,
+            'retry_after' => 1,
+        ];
+    }
+
+    /**
+     * Store the response of a claimed request for later retries
+     *
+     * @param int $userid User ID
+     * @param string $key Idempotency key
+     * @param array $response Response sent to the client
+     * @return void
+     */
+    public function complete(int $userid, string $key, array $response): void
+    {
+        global $DB;
+
+        $DB->set_field(
+            'classengage_request_keys',
+            'response',
+            json_encode($response),
+            ['userid' => $userid, 'requestkey' => $key]
+        );
+    }
+
+    /**
+     * Check whether a response is the final outcome of its request
+     *
+     * A batch is only final once none of its answers failed transiently.
+     *
+     * @param array $response Response sent to the client
+     * @return bool False if it, or an answer of a batch, failed with a transient error code
+     */
+    public static function is_final(array $response): bool
+    {
+        if (empty($response['success']) && in_array((int) ($response['errorcode'] ?? 0), self::TRANSIENT_ERRORS, true)) {
+            return false;
+        }
+
+        foreach ($response['results'] ?? [] as $result) {
+            if (!self::is_final((array) $result)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Store the response of a claimed request if it is final, otherwise give up the claim
+     *
+     * @param int $userid User ID
+     * @param string $key Idempotency key
+     * @param array $response Response sent to the client
+     * @return void
+     */
+    public function finish(int $userid, string $key, array $response): void
+    {
+        if (self::is_final($response)) {
+            $this->complete($userid, $key, $response);
+        } else {
+            $this->release($userid, $key);
+        }
+    }
+
+    /**
+     * Give up a claim so a retry is processed afresh
+     *
+     * Used when the request failed before reaching an outcome, e.g. on an
+     * unexpected exception or when it was rate limited.
+     *
+     * @param int $userid User ID
+     * @param string $key Idempotency key
+     * @return void
+     */
+    public function release(int $userid, string $key): void
+    {
+        global $DB;
+
+        $DB->delete_records('classengage_request_keys', ['userid' => $userid, 'requestkey' => $key]);
+    }
+
+    /**
+     * Delete keys older than the retention period
+     *
+     * @param int|null $now Current time (defaults to time())
+     * @return int Number of keys deleted
+     */
+    public static function purge_expired(?int $now = null): int
+    {
+        global $DB;
+
+        $cutoff = ($now ?? time()) - constants::IDEMPOTENCY_KEY_TTL;
+        $count = $DB->count_records_select('classengage_request_keys', 'timecreated < :cutoff', ['cutoff' => $cutoff]);
+        if ($count > 0) {
+            $DB->delete_records_select('classengage_request_keys', 'timecreated < :cutoff', ['cutoff' => $cutoff]);
+        }
+
+        return $count;
+    }
+}
@@ -25,6 +25,8 @@
 namespace mod_classengage\output;
 
 use mod_classengage\constants;
+use mod_classengage\hotspot_image;
+use mod_classengage\response_capture_engine;
 use html_writer;
 use moodle_url;
 
@@ -235,6 +237,16 @@ class control_panel_renderer
      */
     public function render_response_distribution($question)
     {
+        $breakdowntypes = [
+            constants::QUESTION_TYPE_NUMERIC,
+            constants::QUESTION_TYPE_ORDERING,
+            constants::QUESTION_TYPE_WORDCLOUD,
+            constants::QUESTION_TYPE_HOTSPOT,
+        ];
+        if (in_array($question->questiontype, $breakdowntypes, true)) {
+            return $this->render_answer_breakdown($question);
+        }
+
         $output = html_writer::start_div('row mb-4');
 
         // Left column: Response distribution table.
@@ -252,6 +264,130 @@ class control_panel_renderer
         return $output;
     }
 
+    /**
+     * Render the live breakdown of numeric, ordering, word cloud or hotspot answers
+     *
+     * A histogram of numeric answers, a heatmap of the positions each option
+     * was put in, a word cloud, or a heatmap of the points tapped on the
+     * image, all filled in by stats_update.
+     *
+     * @param \stdClass $question Numeric, ordering, word cloud or hotspot question
+     * @return string HTML output
+     */
+    private function render_answer_breakdown($question)
+    {
+        if ($question->questiontype === constants::QUESTION_TYPE_NUMERIC) {
+            $title = get_string('numericanswers', 'mod_classengage');
+            $range = response_capture_engine::get_correct_range($question);
+            $legend = get_string('numericcorrectrange', 'mod_classengage', [
+                'from' => format_float($range['from'], -1),
+                'to' => format_float($range['to'], -1),
+            ]);
+        } else if ($question->questiontype === constants::QUESTION_TYPE_HOTSPOT) {
+            $title = get_string('hotspotanswers', 'mod_classengage');
+            $legend = get_string('hotspotcorrectarea', 'mod_classengage');
+        } else if ($question->questiontype === constants::QUESTION_TYPE_WORDCLOUD) {
+            $title = get_string('wordcloudanswers', 'mod_classengage');
+            $legend = get_string('wordcloudmerged', 'mod_classengage');
+        } else {
+            $title = get_string('orderingpositions', 'mod_classengage');
+            $legend = get_string('orderingcorrectcells', 'mod_classengage');
+        }
+
+        $output = html_writer::start_div('card mb-4 border-0 shadow-sm', [
+            'id' => 'answer-breakdown',
+            'data-positionlabel' => get_string('position', 'mod_classengage'),
+            'data-stopwords' => get_string('wordcloudstopwords', 'mod_classengage'),
+            'data-image' => hotspot_image::get_url($question),
+        ]);
+        $output .= html_writer::start_div('card-header bg-white border-bottom-0 pt-4 pb-2');
+        $output .= html_writer::tag('h5', $title, ['class' => 'mb-0 text-dark font-weight-bold']);
+        $output .= html_writer::tag(
+            'small',
+            html_writer::tag('span', '0 / 0', ['id' => 'response-count', 'class' => 'badge badge-pill badge-light border']),
+            ['class' => 'text-muted ml-2']
+        );
+        $output .= html_writer::end_div();
+
+        $output .= html_writer::start_div('card-body');
+        $output .= html_writer::div('', '', ['id' => 'answer-breakdown-body']);
+        $output .= html_writer::tag('p', $legend, ['class' => 'small text-muted mt-3 mb-0']);
+        $output .= html_writer::end_div(); // card-body.
+        $output .= html_writer::end_div(); // card.
+
+        return $output;
+    }
+
+    /**
+     * Render the split of correct and incorrect answers by confidence
+     *
+     * Correct answers given while guessing and incorrect ones given while
+     * sure are highlighted, the first being luck and the second a
+     * misconception. The counts are filled in by stats_update.
+     *
+     * @param \stdClass $question Question object
+     * @return string HTML output, empty for word cloud questions
+     */
+    public function render_confidence_panel($question)
+    {
+        if ($question->questiontype === constants::QUESTION_TYPE_WORDCLOUD) {
+            return '';
+        }
+
+        $levels = [
+            get_string('confidenceguessing', 'mod_classengage'),
+            get_string('confidenceunsure', 'mod_classengage'),
+            get_string('confidencesure', 'mod_classengage'),
+        ];
+        $highlights = [
+            'correct' => [0 => 'table-warning'],
+            'incorrect' => [count($levels) - 1 => 'table-danger'],
+        ];
+
+        $output = html_writer::start_div('card mb-4 border-0 shadow-sm', [
+            'id' => 'confidence-split',
+            'data-unratedlabel' => get_string('confidenceunrated', 'mod_classengage', '{count}'),
+        ]);
+        $output .= html_writer::start_div('card-header bg-white border-bottom-0 pt-4 pb-2');
+        $output .= html_writer::tag('h5', get_string('confidencesplit', 'mod_classengage'),
+            ['class' => 'mb-0 text-dark font-weight-bold']);
+        $output .= html_writer::end_div();
+
+        $output .= html_writer::start_div('card-body');
+        $output .= html_writer::start_tag('table', ['class' => 'table table-sm text-center mb-0']);
+        $output .= html_writer::start_tag('thead');
+        $output .= html_writer::start_tag('tr');
+        $output .= html_writer::tag('th', '', ['scope' => 'col']);
+        foreach ($levels as $level) {
+            $output .= html_writer::tag('th', $level, ['scope' => 'col']);
+        }
+        $output .= html_writer::end_tag('tr');
+        $output .= html_writer::end_tag('thead');
+
+        $output .= html_writer::start_tag('tbody');
+        foreach (['correct', 'incorrect'] as $row) {
+            $output .= html_writer::start_tag('tr');
+            $output .= html_writer::tag('th', get_string('confidence' . $row, 'mod_classengage'),
+                ['scope' => 'row', 'class' => 'text-left']);
+            foreach (array_keys($levels) as $index) {
+                $output .= html_writer::tag('td', '0', [
+                    'class' => $highlights[$row][$index] ?? '',
+                    'data-confidence' => $row . '-' . $index,
+                ]);
+            }
+            $output .= html_writer::end_tag('tr');
+        }
+        $output .= html_writer::end_tag('tbody');
+        $output .= html_writer::end_tag('table');
+
+        $output .= html_writer::tag('p', get_string('confidencelegend', 'mod_classengage') . ' ' .
+            html_writer::span('', '', ['id' => 'confidence-unrated']), ['class' => 'small text-muted mt-3 mb-0']);
+        $output .= html_writer::end_div(); // card-body.
+        $output .= html_writer::end_div(); // card.
+
+        return $output;
+    }
+
     /**
      * Render distribution table
      *
@@ -511,14 +647,27 @@ class control_panel_renderer
     {
         $output = html_writer::start_div('card shadow-sm');
 
-        // Card header.
-        $output .= html_writer::start_div('card-header bg-white py-2');
+        // Card header with the class network quality badge (filled in by stats_update).
+        $output .= html_writer::start_div('card-header bg-white py-2 d-flex justify-content-between align-items-center');
         $output .= html_writer::tag(
             'h6',
             html_writer::tag('i', '', ['class' => 'fa fa-users mr-2']) .
             get_string('students', 'mod_classengage'),
             ['class' => 'mb-0']
         );
+        $output .= html_writer::tag(
+            'span',
+            html_writer::tag('i', '', ['class' => 'fa fa-wifi mr-1']) .
+            get_string('networkquality', 'mod_classengage') . ': ' .
+            html_writer::tag('span', get_string('networkquality_unknown', 'mod_classengage'), [
+                'id' => 'network-quality-level',
+            ]),
+            [
+                'id' => 'network-quality',
+                'class' => 'badge badge-secondary',
+                'title' => '',
+            ]
+        );
         $output .= html_writer::end_div();
 
         // Search input - compact padding.
@@ -547,6 +696,51 @@ class control_panel_renderer
         return $output;
     }
 
+    /**
+     * Render answer conflicts panel
+     *
+     * Hidden until stats_update reports a student who answered differently
+     * on two devices. Conflicts waiting for the instructor are listed by
+     * controlpanel.js with a button for each answer.
+     *
+     * @param int $cmid Course module ID
+     * @param int $sessionid Session ID
+     * @return string HTML output
+     */
+    public function render_conflict_panel($cmid, $sessionid)
+    {
+        $actionurl = new moodle_url('/mod/classengage/controlpanel.php', [
+            'id' => $cmid,
+            'sessionid' => $sessionid,
+            'sesskey' => sesskey(),
+            'action' => constants::ACTION_RESOLVE_CONFLICT,
+        ]);
+
+        $output = html_writer::start_div('card shadow-sm mb-3 d-none', [
+            'id' => 'answer-conflicts',
+            'data-actionurl' => $actionurl->out(false),
+        ]);
+
+        $output .= html_writer::start_div('card-header bg-white py-2');
+        $output .= html_writer::tag(
+            'h6',
+            html_writer::tag('i', '', ['class' => 'fa fa-clone mr-2']) .
+            get_string('answerconflicts', 'mod_classengage'),
+            ['class' => 'mb-0']
+        );
+        $output .= html_writer::end_div();
+
+        // Summary and pending list, both filled in by stats_update.
+        $output .= html_writer::start_div('card-body px-3 py-2');
+        $output .= html_writer::div('', 'small', ['id' => 'answer-conflicts-summary']);
+        $output .= html_writer::tag('ul', '', ['id' => 'answer-conflicts-list', 'class' => 'list-unstyled small mb-0']);
+        $output .= html_writer::end_div();
+
+        $output .= html_writer::end_div();
+
+        return $output;
+    }
+
     /**
      * Render session statistics panel (deprecated - use render_student_panel)
      *
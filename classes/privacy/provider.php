@@ -46,6 +46,9 @@ class provider implements
         // This plugin is capable of determining which users have data within it.
         \core_privacy\local\request\core_userlist_provider {
 
+    /** @var string Select for the answer conflicts of the activity with ID :classengageid */
+    const CONFLICTS_IN_ACTIVITY = 'sessionid IN (SELECT id FROM {classengage_sessions} WHERE classengageid = :classengageid)';
+
     /**
      * Return the fields which contain personal data.
      *
@@ -59,13 +62,30 @@ class provider implements
                 'userid' => 'privacy:metadata:classengage_responses:userid',
                 'questionid' => 'privacy:metadata:classengage_responses:questionid',
                 'sessionid' => 'privacy:metadata:classengage_responses:sessionid',
+                'deviceid' => 'privacy:metadata:classengage_responses:deviceid',
                 'answer' => 'privacy:metadata:classengage_responses:answer',
+                'confidence' => 'privacy:metadata:classengage_responses:confidence',
                 'score' => 'privacy:metadata:classengage_responses:score',
                 'timecreated' => 'privacy:metadata:classengage_responses:timecreated',
             ],
             'privacy:metadata:classengage_responses'
         );
 
+        $items->add_database_table(
+            'classengage_conflicts',
+            [
+                'userid' => 'privacy:metadata:classengage_conflicts:userid',
+                'questionid' => 'privacy:metadata:classengage_conflicts:questionid',
+                'sessionid' => 'privacy:metadata:classengage_conflicts:sessionid',
+                'deviceid' => 'privacy:metadata:classengage_conflicts:deviceid',
+                'answer' => 'privacy:metadata:classengage_conflicts:answer',
+                'confidence' => 'privacy:metadata:classengage_conflicts:confidence',
+                'status' => 'privacy:metadata:classengage_conflicts:status',
+                'timecreated' => 'privacy:metadata:classengage_conflicts:timecreated',
+            ],
+            'privacy:metadata:classengage_conflicts'
+        );
+
         return $items;
     }
 
@@ -140,7 +160,7 @@ class provider implements
         list($contextsql, $contextparams) = $DB->get_in_or_equal($contextlist->get_contextids(), SQL_PARAMS_NAMED);
 
         $sql = "SELECT cm.id AS cmid,
-                       r.id, r.questionid, r.sessionid, r.answer, r.iscorrect, r.score, r.timecreated
+                       r.id, r.questionid, r.sessionid, r.answer, r.confidence, r.iscorrect, r.score, r.timecreated
                   FROM {context} c
             INNER JOIN {course_modules} cm ON cm.id = c.instanceid AND c.contextlevel = :contextlevel
             INNER JOIN {modules} m ON m.id = cm.module AND m.name = :modname
@@ -159,6 +179,7 @@ class provider implements
                 'questionid' => $response->questionid,
                 'sessionid' => $response->sessionid,
                 'answer' => $response->answer,
+                'confidence' => $response->confidence,
                 'iscorrect' => transform::yesno($response->iscorrect),
                 'score' => $response->score,
                 'timecreated' => transform::datetime($response->timecreated),
@@ -166,6 +187,33 @@ class provider implements
             writer::with_context($context)->export_data(['responses', $response->id], $data);
         }
         $responses->close();
+
+        $sql = "SELECT cm.id AS cmid,
+                       cf.id, cf.questionid, cf.sessionid, cf.answer, cf.confidence, cf.status, cf.timecreated
+                  FROM {context} c
+            INNER JOIN {course_modules} cm ON cm.id = c.instanceid AND c.contextlevel = :contextlevel
+            INNER JOIN {modules} m ON m.id = cm.module AND m.name = :modname
+            INNER JOIN {classengage} ce ON ce.id = cm.instance
+            INNER JOIN {classengage_sessions} s ON s.classengageid = ce.id
+            INNER JOIN {classengage_conflicts} cf ON cf.sessionid = s.id
+                 WHERE c.id {$contextsql}
+                       AND cf.userid = :userid
+              ORDER BY cm.id";
+
+        $conflicts = $DB->get_recordset_sql($sql, $params);
+        foreach ($conflicts as $conflict) {
+            $context = \context_module::instance($conflict->cmid);
+            $data = (object) [
+                'questionid' => $conflict->questionid,
+                'sessionid' => $conflict->sessionid,
+                'answer' => $conflict->answer,
+                'confidence' => $conflict->confidence,
+                'status' => $conflict->status,
+                'timecreated' => transform::datetime($conflict->timecreated),
+            ];
+            writer::with_context($context)->export_data(['conflicts', $conflict->id], $data);
+        }
+        $conflicts->close();
     }
 
     /**
@@ -182,6 +230,8 @@ class provider implements
 
         if ($cm = get_coursemodule_from_id('classengage', $context->instanceid)) {
             $DB->delete_records('classengage_responses', ['classengageid' => $cm->instance]);
+            $DB->delete_records_select('classengage_conflicts', self::CONFLICTS_IN_ACTIVITY,
+                ['classengageid' => $cm->instance]);
         }
     }
 
@@ -204,6 +254,8 @@ class provider implements
             }
             $instanceid = $DB->get_field('course_modules', 'instance', ['id' => $context->instanceid], MUST_EXIST);
             $DB->delete_records('classengage_responses', ['classengageid' => $instanceid, 'userid' => $userid]);
+            $DB->delete_records_select('classengage_conflicts', self::CONFLICTS_IN_ACTIVITY . ' AND userid = :userid',
+                ['classengageid' => $instanceid, 'userid' => $userid]);
         }
     }
 
@@ -234,6 +286,8 @@ class provider implements
         $select = "classengageid = :classengageid AND userid $usersql";
         $params = ['classengageid' => $cm->instance] + $userparams;
         $DB->delete_records_select('classengage_responses', $select, $params);
+
+        $DB->delete_records_select('classengage_conflicts', self::CONFLICTS_IN_ACTIVITY . " AND userid $usersql", $params);
     }
 }
 
@@ -0,0 +1,706 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Real-time event stream for live quiz sessions
+ *
+ * Detects session state changes and builds the events pushed to clients.
+ * Shared by the SSE handler (one long-lived request) and the long-poll
+ * handler (one short request per poll, state carried in a cursor).
+ *
+ * Status changes and question broadcasts are read from the session's
+ * event_journal and carry its sequence numbers as event IDs, so a client
+ * can spot a missed event and ask for it again. Instructor updates are
+ * recomputed on every check and carry no ID.
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Builds real-time session events for one connected client
+ *
+ * Requirements: 1.1, 1.2, 5.1, 5.5, 6.1, 6.4
+ */
+class realtime_event_stream
+{
+
+    /** @var int Seconds between instructor stats checks */
+    const STATS_INTERVAL = 2;
+
+    /** @var int Seconds between instructor student list checks */
+    const STUDENTS_INTERVAL = 3;
+
+    /** @var int Session ID */
+    protected int $sessionid;
+
+    /** @var int User ID of the connected client */
+    protected int $userid;
+
+    /** @var \context Module context */
+    protected \context $context;
+
+    /** @var bool Whether the client receives instructor events */
+    protected bool $isinstructor;
+
+    /** @var session_state_manager State manager */
+    protected session_state_manager $statemanager;
+
+    /** @var event_journal Journal of session-wide events */
+    protected event_journal $journal;
+
+    /** @var int Sequence number of the last journal event sent to the client */
+    protected int $lasteventid = 0;
+
+    /** @var string Hash of the last stats payload sent */
+    protected string $laststathash = '';
+
+    /** @var string Hash of the last students payload sent */
+    protected string $laststudenthash = '';
+
+    /** @var int Time stats were last checked */
+    protected int $laststatsupdate = 0;
+
+    /** @var int Time the student list was last checked */
+    protected int $laststudentsupdate = 0;
+
+    /**
+     * Constructor
+     *
+     * @param int $sessionid Session ID
+     * @param int $userid User ID of the connected client
+     * @param \context $context Module context
+     * @param bool $isinstructor Whether to include instructor-only events
+     * @param session_state_manager|null $statemanager State manager (created if null)
+     */
+    public function __construct(
+        int $sessionid,
+        int $userid,
+        \context $context,
+        bool $isinstructor,
+        ?session_state_manager $statemanager = null
+    ) {
+        $this->sessionid = $sessionid;
+        $this->userid = $userid;
+        $this->context = $context;
+        $this->isinstructor = $isinstructor;
+        $this->statemanager = $statemanager ?? new session_state_manager();
+        $this->journal = new event_journal($sessionid, $this->statemanager);
+    }
+
+    /**
+     * Get the protocol fields announced in the 'connected' event
+     *
+     * Clients compare these with their own version to detect a page left
+     * open across an upgrade, and skip features the server lacks.
+     *
+     * @return array ['protocol' => int, 'minprotocol' => int, 'capabilities' => string[]]
+     */
+    public static function get_protocol_info(): array
+    {
+        return [
+            'protocol' => constants::PROTOCOL_VERSION,
+            'minprotocol' => constants::PROTOCOL_MIN_VERSION,
+            'capabilities' => constants::PROTOCOL_CAPABILITIES,
+        ];
+    }
+
+    /**
+     * Check whether an event ends the stream
+     *
+     * @param string $event Event type
+     * @return bool
+     */
+    public static function is_terminal_event(string $event): bool
+    {
+        return $event === 'session_completed' || $event === 'session_ended';
+    }
+
+    /**
+     * Start streaming to a client that last saw the given event
+     *
+     * A client whose missed events are all still in the journal resumes
+     * from them. Any other client (a new one, or one too far behind) is
+     * sent a snapshot of the current state instead and continues from the
+     * journal head.
+     *
+     * @param int $lasteventid Last event ID the client received (0 if none)
+     * @return array ['lasteventid' => int, 'resumed' => bool, 'events' => array]
+     */
+    public function start(int $lasteventid): array
+    {
+        $state = $this->statemanager->get_session_state($this->sessionid);
+        if ($state === null) {
+            // The first collect() reports the missing session.
+            return ['lasteventid' => 0, 'resumed' => false, 'events' => []];
+        }
+
+        $this->journal->sync($state);
+        $head = $this->journal->get_head();
+
+        $resumed = $lasteventid > 0
+            && $head - $lasteventid <= event_journal::MAX_EVENTS
+            && $this->journal->can_replay_from($lasteventid);
+
+        if ($resumed) {
+            $this->lasteventid = $lasteventid;
+            return ['lasteventid' => $lasteventid, 'resumed' => true, 'events' => []];
+        }
+
+        $this->lasteventid = $head;
+
+        return ['lasteventid' => $head, 'resumed' => false, 'events' => $this->build_snapshot($state)];
+    }
+
+    /**
+     * Continue from an event ID the client already holds
+     *
+     * Used by long-poll requests after the first, which were started
+     * with start() by an earlier request.
+     *
+     * @param int $lasteventid Last event ID the client received
+     * @return void
+     */
+    public function set_last_event_id(int $lasteventid): void
+    {
+        $this->lasteventid = max(0, $lasteventid);
+    }
+
+    /**
+     * Get the ID of the last journal event sent to the client
+     *
+     * @return int
+     */
+    public function get_last_event_id(): int
+    {
+        return $this->lasteventid;
+    }
+
+    /**
+     * Export the change-detection state so a later request can resume it
+     *
+     * @return array
+     */
+    public function get_cursor(): array
+    {
+        return [
+            'stathash' => $this->laststathash,
+            'studenthash' => $this->laststudenthash,
+        ];
+    }
+
+    /**
+     * Restore change-detection state exported by get_cursor()
+     *
+     * @param array $cursor Cursor data
+     * @return void
+     */
+    public function set_cursor(array $cursor): void
+    {
+        $this->laststathash = (string) ($cursor['stathash'] ?? '');
+        $this->laststudenthash = (string) ($cursor['studenthash'] ?? '');
+    }
+
+    /**
+     * Read a range of journal events the client reported missing
+     *
+     * @param int $since Last event ID the client received
+     * @param int $until Last event ID wanted
+     * @return array ['events' => array, 'lasteventid' => int, 'complete' => bool]
+     */
+    public function replay(int $since, int $until): array
+    {
+        $state = $this->statemanager->get_session_state($this->sessionid);
+        if ($state === null) {
+            return ['events' => [], 'lasteventid' => 0, 'complete' => false];
+        }
+
+        $this->journal->sync($state);
+        $head = $this->journal->get_head();
+        $until = min($until, $head);
+
+        if ($since > $until || !$this->journal->can_replay_from($since)) {
+            return ['events' => [], 'lasteventid' => $head, 'complete' => $since === $until];
+        }
+
+        $events = [];
+        foreach ($this->journal->get_events($since, $until) as $entry) {
+            $events[] = $this->decorate($entry, $state);
+        }
+
+        $last = $events ? end($events)['id'] : $since;
+
+        return ['events' => $events, 'lasteventid' => $head, 'complete' => $last === $until];
+    }
+
+    /**
+     * Collect events that are due for the client
+     *
+     * @param int|null $now Current time (defaults to time())
+     * @return array List of ['event' => string, 'data' => array], plus 'id' for journal events
+     */
+    public function collect(?int $now = null): array
+    {
+        $now = $now ?? time();
+
+        $currentstate = $this->statemanager->get_session_state($this->sessionid);
+
+        if ($currentstate === null) {
+            // Session no longer exists.
+            return [$this->event('session_ended', [
+                'reason' => 'session_not_found',
+                'timestamp' => $now,
+            ])];
+        }
+
+        $events = $this->collect_state_events($currentstate);
+
+        foreach ($events as $event) {
+            if (self::is_terminal_event($event['event'])) {
+                return $events;
+            }
+        }
+
+        if ($this->isinstructor) {
+            // Sent at staggered intervals, but only if meaningful data changed.
+            if (($now - $this->laststatsupdate) >= self::STATS_INTERVAL) {
+                $this->laststatsupdate = $now;
+                $stats = $this->build_stats_update($now);
+                if ($stats !== null) {
+                    $events[] = $this->event('stats_update', $stats);
+                }
+            }
+
+            if (($now - $this->laststudentsupdate) >= self::STUDENTS_INTERVAL) {
+                $this->laststudentsupdate = $now;
+                $students = $this->build_students_update($now);
+                if ($students !== null) {
+                    $events[] = $this->event('students_update', $students);
+                }
+            }
+        }
+
+        return $events;
+    }
+
+    /**
+     * Read journal events the client has not been sent yet
+     *
+     * @param session_state $currentstate Current session state
+     * @return array
+     */
+    protected function collect_state_events(session_state $currentstate): array
+    {
+        $this->journal->sync($currentstate);
+
+        $events = [];
+        foreach ($this->journal->get_events($this->lasteventid) as $entry) {
+            $events[] = $this->decorate($entry, $currentstate);
+            $this->lasteventid = $entry['id'];
+        }
+
+        return $events;
+    }
+
+    /**
+     * Build the events that put a new client into the current state
+     *
+     * Snapshot events carry no ID: they describe the state at the journal
+     * head rather than any one journalled change.
+     *
+     * @param session_state $currentstate Current session state
+     * @return array
+     */
+    protected function build_snapshot(session_state $currentstate): array
+    {
+        if ($currentstate->status === constants::SESSION_STATUS_COMPLETED) {
+            return [$this->event('session_completed', [
+                'sessionid' => $this->sessionid,
+                'status' => $currentstate->status,
+                'timestamp' => time(),
+            ])];
+        }
+
+        $events = [];
+
+        $question = $this->journal->get_latest_event('question_broadcast');
+        if ($question !== null && (int) $question['data']['questionnumber'] === $currentstate->currentquestion) {
+            $question = $this->decorate($question, $currentstate);
+            unset($question['id']);
+            $events[] = $question;
+        }
+
+        if ($currentstate->status === constants::SESSION_STATUS_PAUSED) {
+            $events[] = $this->event('session_paused', [
+                'sessionid' => $this->sessionid,
+                'status' => $currentstate->status,
+                'currentquestion' => $currentstate->currentquestion,
+                'timerremaining' => $currentstate->timerremaining,
+                'timestamp' => time(),
+            ]);
+        }
+
+        return $events;
+    }
+
+    /**
+     * Fill in the parts of a journal event that depend on the client and the time
+     *
+     * A question broadcast gets whether this user has answered it and the
+     * time left now; a question that has since been replaced has none left.
+     *
+     * @param array $entry Journal event
+     * @param session_state $currentstate Current session state
+     * @return array Event with id, event and data
+     */
+    protected function decorate(array $entry, session_state $currentstate): array
+    {
+        global $DB;
+
+        if ($entry['event'] === 'question_broadcast') {
+            $data = $entry['data'];
+            $questionid = $data['question']['id'] ?? 0;
+
+            $data['hasanswered'] = $questionid && $DB->record_exists('classengage_responses', [
+                'sessionid' => $this->sessionid,
+                'questionid' => $questionid,
+                'userid' => $this->userid,
+            ]);
+
+            $iscurrent = (int) $data['questionnumber'] === $currentstate->currentquestion
+                && $currentstate->status !== constants::SESSION_STATUS_COMPLETED;
+            $data['timelimit'] = $iscurrent ? (int) $currentstate->timerremaining : 0;
+
+            $entry['data'] = $data;
+        }
+
+        return $entry;
+    }
+
+    /**
+     * Build the instructor stats payload if it changed since the last one
+     *
+     * Queries the database directly (bypassing the analytics cache) so the
+     * distribution is fresh on every check.
+     *
+     * @param int $now Current time
+     * @return array|null Payload, or null if nothing meaningful changed
+     */
+    protected function build_stats_update(int $now): ?array
+    {
+        global $DB;
+
+        $sessiondata = $DB->get_record(
+            'classengage_sessions',
+            ['id' => $this->sessionid],
+            'status, currentquestion, numquestions, timelimit, questionstarttime'
+        );
+
+        // Get current question ID.
+        $sqlq = "SELECT q.id, q.questiontype, q.correctanswer, q.tolerance, q.optiona, q.optionb, q.optionc, q.optiond
+                   FROM {classengage_questions} q
+                   JOIN {classengage_session_questions} sq ON sq.questionid = q.id
+                  WHERE sq.sessionid = :sessionid
+                    AND sq.questionorder = :questionorder";
+        $currentq = $DB->get_record_sql($sqlq, [
+            'sessionid' => $this->sessionid,
+            'questionorder' => $sessiondata->currentquestion + 1,
+        ]);
+
+        // Get response distribution for current question.
+        $distribution = ['A' => 0, 'B' => 0, 'C' => 0, 'D' => 0, 'total' => 0];
+        $correctanswer = '';
+        $breakdown = null;
+        $confidence = null;
+        if ($currentq) {
+            $correctanswer = $currentq->correctanswer;
+            $sqlresp = "SELECT answer, COUNT(*) as cnt
+                          FROM {classengage_responses}
+                         WHERE sessionid = :sessionid
+                           AND questionid = :questionid
+                      GROUP BY answer";
+            $responses = $DB->get_records_sql($sqlresp, [
+                'sessionid' => $this->sessionid,
+                'questionid' => $currentq->id,
+            ]);
+            $counts = [];
+            foreach ($responses as $r) {
+                $counts[$r->answer] = (int) $r->cnt;
+                $ans = strtoupper($r->answer);
+                if (isset($distribution[$ans])) {
+                    $distribution[$ans] = (int) $r->cnt;
+                    $distribution['total'] += (int) $r->cnt;
+                }
+            }
+
+            // Numeric and ordering answers are not single options.
+            $breakdown = answer_breakdown::for_question($currentq, $counts);
+            if ($breakdown !== null) {
+                $distribution['total'] = $breakdown['total'];
+            }
+
+            // Correct and incorrect answers by how sure students were.
+            $sqlconf = "SELECT iscorrect, confidence, COUNT(*) as cnt
+                          FROM {classengage_responses}
+                         WHERE sessionid = :sessionid
+                           AND questionid = :questionid
+                      GROUP BY iscorrect, confidence";
+            $rows = $DB->get_recordset_sql($sqlconf, [
+                'sessionid' => $this->sessionid,
+                'questionid' => $currentq->id,
+            ]);
+            $confidence = answer_breakdown::confidence($currentq, $rows);
+            $rows->close();
+        }
+
+        // Count distinct participants.
+        $sql = "SELECT COUNT(DISTINCT userid) FROM {classengage_responses} WHERE sessionid = ?";
+        $participants = $DB->count_records_sql($sql, [$this->sessionid]);
+
+        // Calculate participation rate.
+        $totalenrolled = count_enrolled_users($this->context, 'mod/classengage:takequiz');
+        if ($totalenrolled == 0) {
+            $totalenrolled = count_enrolled_users($this->context);
+        }
+        $responsecount = $distribution['total'];
+        $participationrate = $totalenrolled > 0 ? round(($responsecount / $totalenrolled) * 100, 1) : 0.0;
+
+        $connectionstats = $this->statemanager->get_session_statistics($this->sessionid);
+        $network = $this->statemanager->get_network_quality($this->sessionid);
+
+        // Students who answered the current question differently on two devices.
+        $conflicts = ['students' => 0, 'pending' => []];
+        if ($currentq) {
+            $conflictmanager = new answer_conflict_manager();
+            $conflictcounts = $conflictmanager->get_counts($this->sessionid, $currentq->id);
+            $conflicts['students'] = $conflictcounts['students'];
+            if ($conflictcounts['pending'] > 0) {
+                foreach ($conflictmanager->get_pending($this->sessionid, $currentq->id) as $conflict) {
+                    $conflicts['pending'][] = [
+                        'id' => (int) $conflict->id,
+                        'fullname' => fullname($conflict),
+                        'answer' => $conflict->answer,
+                        'previousanswer' => $conflict->previousanswer,
+                    ];
+                }
+            }
+        }
+
+        // Build hash payload - EXCLUDE volatile fields (timestamp, timeremaining).
+        // These change every second and would defeat change detection.
+        $hashpayload = [
+            'status' => $sessiondata->status,
+            'currentquestion' => (int) $sessiondata->currentquestion,
+            'totalquestions' => (int) $sessiondata->numquestions,
+            'distribution' => [
+                'A' => $distribution['A'],
+                'B' => $distribution['B'],
+                'C' => $distribution['C'],
+                'D' => $distribution['D'],
+                'total' => $distribution['total'],
+            ],
+            'responses' => $responsecount,
+            'participants' => $participants,
+            'connected' => $connectionstats['connected'] ?? 0,
+            'answered' => $connectionstats['answered'] ?? 0,
+            'pending' => $connectionstats['pending'] ?? 0,
+            // Median RTT in 100ms buckets so small fluctuations do not force a push.
+            'network' => [
+                $network['reporting'],
+                $network[constants::NETWORK_QUALITY_GOOD],
+                $network[constants::NETWORK_QUALITY_FAIR],
+                $network[constants::NETWORK_QUALITY_POOR],
+                $network['medianrtt'] === null ? null : intdiv($network['medianrtt'], 100),
+            ],
+            'conflicts' => [$conflicts['students'], array_column($conflicts['pending'], 'id')],
+            'breakdown' => $breakdown,
+            'confidence' => $confidence,
+        ];
+
+        $stathash = md5(json_encode($hashpayload));
+        if ($stathash === $this->laststathash) {
+            return null;
+        }
+        $this->laststathash = $stathash;
+
+        return [
+            'sessionid' => $this->sessionid,
+            'status' => $sessiondata->status,
+            'currentquestion' => (int) $sessiondata->currentquestion,
+            'totalquestions' => (int) $sessiondata->numquestions,
+            'timelimit' => (int) $sessiondata->timelimit,
+            'timeremaining' => max(0, $sessiondata->timelimit - ($now - $sessiondata->questionstarttime)),
+            'distribution' => [
+                'A' => $distribution['A'],
+                'B' => $distribution['B'],
+                'C' => $distribution['C'],
+                'D' => $distribution['D'],
+                'total' => $distribution['total'],
+                'correctanswer' => $correctanswer,
+            ],
+            'responses' => $responsecount,
+            'participants' => $participants,
+            'participationrate' => $participationrate,
+            'connected' => $connectionstats['connected'] ?? 0,
+            'answered' => $connectionstats['answered'] ?? 0,
+            'pending' => $connectionstats['pending'] ?? 0,
+            'network' => $network,
+            'conflicts' => $conflicts,
+            'breakdown' => $breakdown,
+            'confidence' => $confidence,
+            'timestamp' => $now,
+        ];
+    }
+
+    /**
+     * Build the instructor student list payload if it changed since the last one
+     *
+     * Lists all enrolled students, not just connected ones.
+     *
+     * @param int $now Current time
+     * @return array|null Payload, or null if nothing meaningful changed
+     */
+    protected function build_students_update(int $now): ?array
+    {
+        global $DB;
+
+        // Get connected students and build lookup.
+        $connectedstudents = $this->statemanager->get_connected_students($this->sessionid);
+        $sessionstats = $this->statemanager->get_session_statistics($this->sessionid);
+
+        $connectedlookup = [];
+        foreach ($connectedstudents as $student) {
+            $connectedlookup[$student->userid] = $student;
+        }
+
+        // Get all enrolled students with takequiz capability.
+        $enrolledstudents = get_enrolled_users($this->context, 'mod/classengage:takequiz', 0, 'u.*', 'u.lastname, u.firstname');
+
+        // Get current question ID to check who has answered.
+        $sessiondata = $DB->get_record('classengage_sessions', ['id' => $this->sessionid], 'currentquestion');
+        $currentquestionid = null;
+        $sqlq = "SELECT q.id FROM {classengage_questions} q
+                 JOIN {classengage_session_questions} sq ON sq.questionid = q.id
+                 WHERE sq.sessionid = :sessionid AND sq.questionorder = :questionorder";
+        $currentq = $DB->get_record_sql($sqlq, [
+            'sessionid' => $this->sessionid,
+            'questionorder' => $sessiondata->currentquestion + 1,
+        ]);
+        if ($currentq) {
+            $currentquestionid = $currentq->id;
+        }
+
+        // Check which students have answered the current question.
+        $answeredusers = [];
+        if ($currentquestionid) {
+            $answeredusers = $DB->get_fieldset_select(
+                'classengage_responses',
+                'userid',
+                'sessionid = ? AND questionid = ?',
+                [$this->sessionid, $currentquestionid]
+            );
+            $answeredusers = array_flip($answeredusers);
+        }
+
+        // Build students list from all enrolled.
+        $students = [];
+        foreach ($enrolledstudents as $user) {
+            $isconnected = isset($connectedlookup[$user->id]);
+            $hasanswered = isset($answeredusers[$user->id]);
+
+            // Use connection status if connected, otherwise 'not_connected'.
+            $status = 'not_connected';
+            if ($isconnected) {
+                $status = $connectedlookup[$user->id]->status;
+                $hasanswered = $connectedlookup[$user->id]->hasanswered || $hasanswered;
+            }
+
+            $students[] = [
+                'userid' => $user->id,
+                'fullname' => fullname($user),
+                'status' => $status,
+                'hasanswered' => $hasanswered,
+            ];
+        }
+
+        // Sort: connected first, then non-connected; within each group, alphabetically.
+        usort($students, function ($a, $b) {
+            $aconnected = ($a['status'] !== 'not_connected') ? 0 : 1;
+            $bconnected = ($b['status'] !== 'not_connected') ? 0 : 1;
+            if ($aconnected !== $bconnected) {
+                return $aconnected - $bconnected;
+            }
+            return strcasecmp($a['fullname'], $b['fullname']);
+        });
+
+        $stats = [
+            'connected' => $sessionstats['connected'] ?? count($connectedstudents),
+            'answered' => $sessionstats['answered'] ?? 0,
+            'pending' => $sessionstats['pending'] ?? 0,
+            'total' => count($enrolledstudents),
+        ];
+
+        // Change detection: EXCLUDE timestamp (volatile field).
+        $studenthash = md5(json_encode(['students' => $students, 'stats' => $stats]));
+        if ($studenthash === $this->laststudenthash) {
+            return null;
+        }
+        $this->laststudenthash = $studenthash;
+
+        return [
+            'sessionid' => $this->sessionid,
+            'students' => $students,
+            'stats' => $stats,
+            'timestamp' => $now,
+        ];
+    }
+
+    /**
+     * Get question options as array
+     *
+     * @param \stdClass $question Question object
+     * @return array Options array
+     */
+    public static function get_question_options(\stdClass $question): array
+    {
+        $options = [];
+
+        foreach (['A' => 'optiona', 'B' => 'optionb', 'C' => 'optionc', 'D' => 'optiond'] as $key => $field) {
+            if (!empty($question->$field)) {
+                $options[] = ['key' => $key, 'text' => $question->$field];
+            }
+        }
+
+        return $options;
+    }
+
+    /**
+     * Build an event entry
+     *
+     * @param string $event Event type
+     * @param array $data Event payload
+     * @return array
+     */
+    protected function event(string $event, array $data): array
+    {
+        return ['event' => $event, 'data' => $data];
+    }
+}
@@ -40,6 +40,9 @@ class response_result
     /** @var string|null Error message if submission failed */
     public ?string $error;
 
+    /** @var int|null Error code (constants::ERROR_*) if submission failed */
+    public ?int $errorcode = null;
+
     /** @var bool|null Whether the answer was correct */
     public ?bool $iscorrect;
 
@@ -55,6 +58,9 @@ class response_result
     /** @var int Latency in milliseconds */
     public int $latencyms;
 
+    /** @var array|null How a conflict with an answer from another device was settled (policy, outcome, answer) */
+    public ?array $conflict = null;
+
     /**
      * Constructor
      *
@@ -83,6 +89,21 @@ class response_result
         $this->islate = $islate;
         $this->latencyms = $latencyms;
     }
+
+    /**
+     * Create a failed result
+     *
+     * @param string $error Error message
+     * @param int $errorcode Error code (constants::ERROR_*)
+     * @param int $latencyms
+     * @return response_result
+     */
+    public static function failure(string $error, int $errorcode, int $latencyms = 0): response_result
+    {
+        $result = new response_result(false, $error, null, null, null, false, $latencyms);
+        $result->errorcode = $errorcode;
+        return $result;
+    }
 }
 
 
@@ -106,6 +127,9 @@ class batch_result
     /** @var string|null Error message if batch processing failed */
     public ?string $error;
 
+    /** @var int|null Error code (constants::ERROR_*) if batch processing failed */
+    public ?int $errorcode;
+
     /**
      * Constructor
      *
@@ -114,19 +138,22 @@ class batch_result
      * @param int $failedcount
      * @param array $results
      * @param string|null $error
+     * @param int|null $errorcode
      */
     public function __construct(
         bool $success,
         int $processedcount = 0,
         int $failedcount = 0,
         array $results = [],
-        ?string $error = null
+        ?string $error = null,
+        ?int $errorcode = null
     ) {
         $this->success = $success;
         $this->processedcount = $processedcount;
         $this->failedcount = $failedcount;
         $this->results = $results;
         $this->error = $error;
+        $this->errorcode = $errorcode;
     }
 }
 
@@ -171,6 +198,15 @@ class response_capture_engine
     /** @var int Grace period in seconds for late submissions */
     const LATE_SUBMISSION_GRACE_PERIOD = 5;
 
+    /** @var int Largest client timestamp read as seconds, larger ones are milliseconds */
+    const MAX_TIMESTAMP_SECONDS = 100000000000;
+
+    /** @var float Allowance for rounding when comparing numeric and hotspot answers */
+    const NUMERIC_EPSILON = 1e-9;
+
+    /** @var answer_conflict_manager[] Conflict managers by activity ID */
+    protected array $conflictmanagers = [];
+
     /**
      * Process a single response submission
      *
@@ -179,6 +215,9 @@ class response_capture_engine
      * @param string $answer The submitted answer
      * @param int $userid User ID
      * @param int|null $clienttimestamp Optional client-side timestamp for late detection
+     * @param string $deviceid Browser the answer was sent from, empty if unknown
+     * @param string $questiontype Question type the answer was given for, empty if unknown
+     * @param int|null $confidence How sure the student was (constants::CONFIDENCE_*), null if not rated
      * @return response_result
      */
     public function submit_response(
@@ -186,38 +225,37 @@ class response_capture_engine
         int $questionid,
         string $answer,
         int $userid,
-        ?int $clienttimestamp = null
+        ?int $clienttimestamp = null,
+        string $deviceid = '',
+        string $questiontype = '',
+        ?int $confidence = null
     ): response_result {
         global $DB;
 
         $starttime = microtime(true);
+        $confidence = self::normalise_confidence($confidence);
 
         try {
             // Get session and validate it's active.
             $session = $DB->get_record('classengage_sessions', ['id' => $sessionid]);
             if (!$session) {
-                return new response_result(false, 'Session not found');
+                return response_result::failure('Session not found', constants::ERROR_SESSION_NOT_FOUND);
             }
 
             if ($session->status !== 'active') {
-                return new response_result(false, 'Session not active');
+                return response_result::failure('Session not active', constants::ERROR_SESSION_NOT_ACTIVE);
             }
 
             // Get question and validate.
             $question = $DB->get_record('classengage_questions', ['id' => $questionid]);
             if (!$question) {
-                return new response_result(false, 'Question not found');
+                return response_result::failure('Question not found', constants::ERROR_QUESTION_NOT_FOUND);
             }
 
             // Validate answer format.
-            $validation = $this->validate_response($answer, $question->questiontype);
+            $validation = $this->validate_answer_for($question, $answer, $questiontype);
             if (!$validation->valid) {
-                return new response_result(false, $validation->error);
-            }
-
-            // Check for duplicate submission.
-            if ($this->is_duplicate($sessionid, $questionid, $userid)) {
-                return new response_result(false, 'Duplicate submission: already answered this question');
+                return response_result::failure($validation->error, constants::ERROR_INVALID_ANSWER);
             }
 
             // Determine if this is a late submission.
@@ -226,6 +264,17 @@ class response_capture_engine
             // Check if answer is correct.
             $iscorrect = $this->check_answer($answer, $question);
 
+            // Check for an earlier answer, from this device or another.
+            $existing = $DB->get_record('classengage_responses', [
+                'sessionid' => $sessionid,
+                'questionid' => $questionid,
+                'userid' => $userid,
+            ]);
+            if ($existing) {
+                return $this->answer_again($session, $question, $existing, $answer, $deviceid, $iscorrect, $islate,
+                    $confidence);
+            }
+
             // Calculate response time.
             $responsetime = time() - $session->questionstarttime;
 
@@ -239,9 +288,11 @@ class response_capture_engine
             $response->classengageid = $session->classengageid;
             $response->userid = $userid;
             $response->answer = $answer;
+            $response->confidence = $confidence;
             $response->iscorrect = $iscorrect ? 1 : 0;
             $response->score = $score;
             $response->responsetime = $responsetime;
+            $response->deviceid = $deviceid !== '' ? $deviceid : null;
             $response->timecreated = time();
 
             $responseid = $DB->insert_record('classengage_responses', $response);
@@ -261,7 +312,7 @@ class response_capture_engine
 
         } catch (\Exception $e) {
             $latencyms = (int) ((microtime(true) - $starttime) * 1000);
-            return new response_result(false, 'Internal error: ' . $e->getMessage(), null, null, null, false, $latencyms);
+            return response_result::failure('Internal error: ' . $e->getMessage(), constants::ERROR_DATABASE, $latencyms);
         }
     }
 
@@ -271,7 +322,8 @@ class response_capture_engine
      *
      * Uses database batch operations to minimize connection overhead (Requirement 3.5).
      *
-     * @param array $responses Array of response objects with sessionid, questionid, answer, userid, clienttimestamp
+     * @param array $responses Array of response objects with sessionid, questionid, answer, userid, clienttimestamp, deviceid,
+     *                         questiontype, confidence
      * @return batch_result
      */
     public function submit_batch(array $responses): batch_result
@@ -310,21 +362,21 @@ class response_capture_engine
 
                 // Validate session exists and is active.
                 if (!isset($sessions[$responsedata->sessionid])) {
-                    $results[$index] = new response_result(false, 'Session not found');
+                    $results[$index] = response_result::failure('Session not found', constants::ERROR_SESSION_NOT_FOUND);
                     $failedcount++;
                     continue;
                 }
 
                 $session = $sessions[$responsedata->sessionid];
                 if ($session->status !== 'active') {
-                    $results[$index] = new response_result(false, 'Session not active');
+                    $results[$index] = response_result::failure('Session not active', constants::ERROR_SESSION_NOT_ACTIVE);
                     $failedcount++;
                     continue;
                 }
 
                 // Validate question exists.
                 if (!isset($questions[$responsedata->questionid])) {
-                    $results[$index] = new response_result(false, 'Question not found');
+                    $results[$index] = response_result::failure('Question not found', constants::ERROR_QUESTION_NOT_FOUND);
                     $failedcount++;
                     continue;
                 }
@@ -332,17 +384,13 @@ class response_capture_engine
                 $question = $questions[$responsedata->questionid];
 
                 // Validate answer format.
-                $validation = $this->validate_response($responsedata->answer, $question->questiontype);
+                $validation = $this->validate_answer_for(
+                    $question,
+                    $responsedata->answer,
+                    (string) ($responsedata->questiontype ?? '')
+                );
                 if (!$validation->valid) {
-                    $results[$index] = new response_result(false, $validation->error);
-                    $failedcount++;
-                    continue;
-                }
-
-                // Check for duplicate.
-                $duplicatekey = "{$responsedata->sessionid}_{$responsedata->questionid}_{$responsedata->userid}";
-                if (isset($existingresponses[$duplicatekey])) {
-                    $results[$index] = new response_result(false, 'Duplicate submission: already answered this question');
+                    $results[$index] = response_result::failure($validation->error, constants::ERROR_INVALID_ANSWER);
                     $failedcount++;
                     continue;
                 }
@@ -354,6 +402,31 @@ class response_capture_engine
                 // Check if answer is correct.
                 $iscorrect = $this->check_answer($responsedata->answer, $question);
 
+                // Check for an earlier answer, from this device or another.
+                $deviceid = (string) ($responsedata->deviceid ?? '');
+                $confidence = self::normalise_confidence($responsedata->confidence ?? null);
+                $duplicatekey = "{$responsedata->sessionid}_{$responsedata->questionid}_{$responsedata->userid}";
+                if (isset($existingresponses[$duplicatekey])) {
+                    $results[$index] = $this->answer_again(
+                        $session,
+                        $question,
+                        $existingresponses[$duplicatekey],
+                        $responsedata->answer,
+                        $deviceid,
+                        $iscorrect,
+                        $islate,
+                        $confidence
+                    );
+                    if ($results[$index]->success) {
+                        $existingresponses[$duplicatekey]->answer = $responsedata->answer;
+                        $existingresponses[$duplicatekey]->deviceid = $deviceid;
+                        $processedcount++;
+                    } else {
+                        $failedcount++;
+                    }
+                    continue;
+                }
+
                 // Calculate response time.
                 $responsetime = time() - $session->questionstarttime;
 
@@ -364,15 +437,18 @@ class response_capture_engine
                 $response->classengageid = $session->classengageid;
                 $response->userid = $responsedata->userid;
                 $response->answer = $responsedata->answer;
+                $response->confidence = $confidence;
                 $response->iscorrect = $iscorrect ? 1 : 0;
                 $response->score = $iscorrect ? 1.0 : 0.0;
                 $response->responsetime = $responsetime;
+                $response->deviceid = $deviceid !== '' ? $deviceid : null;
                 $response->timecreated = time();
 
                 $responseid = $DB->insert_record('classengage_responses', $response);
 
                 // Mark as processed to prevent duplicates within the same batch.
-                $existingresponses[$duplicatekey] = true;
+                $response->id = $responseid;
+                $existingresponses[$duplicatekey] = $response;
 
                 $results[$index] = new response_result(
                     true,
@@ -406,7 +482,14 @@ class response_capture_engine
 
         } catch (\Exception $e) {
             $transaction->rollback($e);
-            return new batch_result(false, 0, count($responses), [], 'Batch processing failed: ' . $e->getMessage());
+            return new batch_result(
+                false,
+                0,
+                count($responses),
+                [],
+                'Batch processing failed: ' . $e->getMessage(),
+                constants::ERROR_DATABASE
+            );
         }
     }
 
@@ -452,6 +535,49 @@ class response_capture_engine
                 }
                 break;
 
+            case 'wordcloud':
+                // Word cloud answers are a word or short phrase.
+                if (\core_text::strlen($answer) > constants::WORDCLOUD_MAX_LENGTH) {
+                    return new validation_result(false, 'Answer exceeds maximum length of ' .
+                        constants::WORDCLOUD_MAX_LENGTH . ' characters');
+                }
+                break;
+
+            case 'hotspot':
+                // A point on the image, as fractions of its width and height.
+                if (hotspot_image::parse_point($answer) === null) {
+                    return new validation_result(false, 'Invalid answer format: must be a point x,y with x and y from 0 to 1');
+                }
+                break;
+
+            case 'numeric':
+                if (!is_numeric($answer) || !is_finite((float) $answer)) {
+                    return new validation_result(false, 'Invalid answer format: must be a number');
+                }
+                break;
+
+            case 'ordering':
+                // Two or more of A, B, C and D in the order given, each once (case-insensitive).
+                $order = $this->parse_selection($answer);
+                if (count($order) < 2 || array_diff($order, constants::VALID_ANSWERS)) {
+                    return new validation_result(false, 'Invalid answer format: must be two or more of A, B, C, D separated by commas');
+                }
+                if (count(array_unique($order)) !== count($order)) {
+                    return new validation_result(false, 'Invalid answer format: an option is placed more than once');
+                }
+                break;
+
+            case 'multiselect':
+                // One or more of A, B, C or D, separated by commas (case-insensitive).
+                $selected = $this->parse_selection($answer);
+                if (array_diff($selected, constants::VALID_ANSWERS)) {
+                    return new validation_result(false, 'Invalid answer format: must be one or more of A, B, C, D separated by commas');
+                }
+                if (count(array_unique($selected)) !== count($selected)) {
+                    return new validation_result(false, 'Invalid answer format: an option is selected more than once');
+                }
+                break;
+
             default:
                 return new validation_result(false, 'Unknown question type: ' . $questiontype);
         }
@@ -479,6 +605,122 @@ class response_capture_engine
     }
 
 
+    /**
+     * Handle an answer to a question the student already answered
+     *
+     * The same answer again, or any answer from the same browser, is a
+     * duplicate. A different answer from another browser is settled by the
+     * activity's conflict policy.
+     *
+     * @param \stdClass $session The session object
+     * @param \stdClass $question The question object
+     * @param \stdClass $existing The response already recorded
+     * @param string $answer The submitted answer
+     * @param string $deviceid Browser the answer was sent from, empty if unknown
+     * @param bool $iscorrect Whether the submitted answer is correct
+     * @param bool $islate Whether the submission is late
+     * @param int|null $confidence How sure the student was, null if not rated
+     * @return response_result Success if the answer replaced the recorded one
+     */
+    protected function answer_again(
+        \stdClass $session,
+        \stdClass $question,
+        \stdClass $existing,
+        string $answer,
+        string $deviceid,
+        bool $iscorrect,
+        bool $islate,
+        ?int $confidence = null
+    ): response_result {
+        if (!isset($this->conflictmanagers[$session->classengageid])) {
+            $this->conflictmanagers[$session->classengageid] = answer_conflict_manager::for_activity($session->classengageid);
+        }
+        $conflictmanager = $this->conflictmanagers[$session->classengageid];
+
+        if (!$conflictmanager->is_conflict($existing, $answer, $deviceid)) {
+            return response_result::failure(
+                'Duplicate submission: already answered this question',
+                constants::ERROR_ALREADY_ANSWERED
+            );
+        }
+
+        $conflict = $conflictmanager->resolve($existing, $answer, $deviceid, $iscorrect, $islate, $confidence);
+        if ($conflict['outcome'] === constants::CONFLICT_STATUS_REPLACED) {
+            $result = new response_result(true, null, $iscorrect, $question->correctanswer, (int) $existing->id, $islate);
+        } else {
+            $result = response_result::failure(
+                'Answer conflict: already answered differently from another device',
+                constants::ERROR_ANSWER_CONFLICT
+            );
+        }
+        $result->conflict = $conflict;
+
+        return $result;
+    }
+
+    /**
+     * Read a confidence rating
+     *
+     * A missing or unknown rating leaves the answer unrated rather than
+     * rejecting it, so clients that do not ask for one still work.
+     *
+     * @param mixed $confidence Rating as sent by the client
+     * @return int|null constants::CONFIDENCE_*, null if not rated
+     */
+    public static function normalise_confidence($confidence): ?int
+    {
+        if ($confidence === null || $confidence === '' || !is_numeric($confidence)) {
+            return null;
+        }
+
+        $confidence = (int) $confidence;
+        if ($confidence < constants::CONFIDENCE_GUESSING || $confidence > constants::CONFIDENCE_SURE) {
+            return null;
+        }
+        return $confidence;
+    }
+
+    /**
+     * Validate an answer against the question it was given for
+     *
+     * Beyond the format, multi-select and ordering answers may only use the
+     * options the question has, and an ordering must place all of them.
+     *
+     * @param \stdClass $question Question answered
+     * @param string $answer The submitted answer
+     * @param string $questiontype Question type the client answered, empty if unknown
+     * @return validation_result
+     */
+    public function validate_answer_for(\stdClass $question, string $answer, string $questiontype): validation_result
+    {
+        // The question was changed to another type since the client showed it.
+        if ($questiontype !== '' && $questiontype !== $question->questiontype) {
+            return new validation_result(false, 'Answer given for a ' . $questiontype . ' question, this is a ' .
+                $question->questiontype . ' question');
+        }
+
+        $validation = $this->validate_response($answer, $question->questiontype);
+        if (!$validation->valid) {
+            return $validation;
+        }
+
+        if (in_array($question->questiontype, [constants::QUESTION_TYPE_ORDERING, constants::QUESTION_TYPE_MULTISELECT])) {
+            // Only the options the question has, and for ordering every one of them.
+            $options = array_column(realtime_event_stream::get_question_options($question), 'key');
+            $given = $this->parse_selection($answer);
+            $unknown = array_diff($given, $options);
+            if ($unknown) {
+                return new validation_result(false, 'Invalid answer format: the question has no option ' .
+                    implode(', ', $unknown));
+            }
+            if ($question->questiontype === constants::QUESTION_TYPE_ORDERING && count($given) !== count($options)) {
+                return new validation_result(false, 'Invalid answer format: every option must be placed once');
+            }
+        }
+
+        return $validation;
+    }
+
     /**
      * Check if the submitted answer is correct
      *
@@ -486,7 +728,7 @@ class response_capture_engine
      * @param \stdClass $question The question object
      * @return bool True if correct
      */
-    protected function check_answer(string $answer, \stdClass $question): bool
+    public function check_answer(string $answer, \stdClass $question): bool
     {
         $normalizedanswer = strtoupper(trim($answer));
         $correctanswer = strtoupper(trim($question->correctanswer));
@@ -509,11 +751,90 @@ class response_capture_engine
                 // Case-insensitive comparison for short answers.
                 return $normalizedanswer === $correctanswer;
 
+            case 'wordcloud':
+                // Opinions have no wrong answer, so every one counts.
+                return true;
+
+            case 'hotspot':
+                // Correct within the tolerance of the correct point.
+                $point = hotspot_image::parse_point($normalizedanswer);
+                $target = hotspot_image::parse_point($correctanswer);
+                if ($point === null || $target === null) {
+                    return false;
+                }
+                return self::is_within_tolerance(hypot($point[0] - $target[0], $point[1] - $target[1]), $question);
+
+            case 'numeric':
+                // Correct within the tolerance either side of the correct value.
+                return self::is_within_tolerance(abs((float) $normalizedanswer - (float) $correctanswer), $question);
+
+            case 'ordering':
+                // Correct only with every option in its place.
+                return $this->parse_selection($normalizedanswer) === $this->parse_selection($correctanswer);
+
+            case 'multiselect':
+                // Correct only with exactly the right options, in any order.
+                $selected = $this->parse_selection($normalizedanswer);
+                $correct = $this->parse_selection($correctanswer);
+                sort($selected);
+                sort($correct);
+                return $selected === $correct;
+
             default:
                 return false;
         }
     }
 
+    /**
+     * Get how far a numeric or hotspot answer may be from the correct one
+     *
+     * @param \stdClass $question Numeric or hotspot question
+     * @return float Tolerance, never negative
+     */
+    public static function get_tolerance(\stdClass $question): float
+    {
+        return abs((float) ($question->tolerance ?? 0));
+    }
+
+    /**
+     * Get the range of numeric answers graded correct
+     *
+     * @param \stdClass $question Numeric question
+     * @return array from and to, the correct answer minus and plus the tolerance
+     */
+    public static function get_correct_range(\stdClass $question): array
+    {
+        $correct = (float) trim((string) $question->correctanswer);
+        $tolerance = self::get_tolerance($question);
+
+        return ['from' => $correct - $tolerance, 'to' => $correct + $tolerance];
+    }
+
+    /**
+     * Check if an answer this far from the correct one is graded correct
+     *
+     * @param float $distance Distance from the correct answer or point
+     * @param \stdClass $question Numeric or hotspot question
+     * @return bool True if within the tolerance, allowing for rounding
+     */
+    public static function is_within_tolerance(float $distance, \stdClass $question): bool
+    {
+        return $distance <= self::get_tolerance($question) + self::NUMERIC_EPSILON;
+    }
+
+    /**
+     * Split a multi-select or ordering answer into its options
+     *
+     * @param string $answer Options separated by commas, e.g. "A,C"
+     * @return array Upper-case options in the order given
+     */
+    protected function parse_selection(string $answer): array
+    {
+        return array_map(function ($option) {
+            return strtoupper(trim($option));
+        }, explode(',', $answer));
+    }
+
     /**
      * Determine if a submission is late (after timer expired)
      *
@@ -530,6 +851,10 @@ class response_capture_engine
 
         // If client timestamp is provided, use it for more accurate late detection.
         if ($clienttimestamp !== null) {
+            // Browsers send Date.now() in milliseconds.
+            if ($clienttimestamp > self::MAX_TIMESTAMP_SECONDS) {
+                $clienttimestamp = intdiv($clienttimestamp, 1000);
+            }
             return $clienttimestamp > $timerexpiry;
         }
 
@@ -541,7 +866,7 @@ class response_capture_engine
      * Get existing responses for batch duplicate checking
      *
      * @param array $responses Array of response data
-     * @return array Associative array with keys "sessionid_questionid_userid" => true
+     * @return array Associative array with keys "sessionid_questionid_userid" => response record
      */
     protected function get_existing_responses_batch(array $responses): array
     {
@@ -565,7 +890,7 @@ class response_capture_engine
             $paramindex++;
         }
 
-        $sql = "SELECT id, sessionid, questionid, userid
+        $sql = "SELECT id, sessionid, questionid, userid, answer, deviceid
                   FROM {classengage_responses}
                  WHERE " . implode(' OR ', $conditions);
 
@@ -575,7 +900,7 @@ class response_capture_engine
         $existing = [];
         foreach ($existingrecords as $record) {
             $key = "{$record->sessionid}_{$record->questionid}_{$record->userid}";
-            $existing[$key] = true;
+            $existing[$key] = $record;
         }
 
         return $existing;
@@ -883,6 +883,97 @@ class session_state_manager
         ];
     }
 
+    /**
+     * Record connection quality reported by a client
+     *
+     * Also refreshes the connection so a quiet but healthy client is not
+     * treated as stale.
+     *
+     * @param string $connectionid Connection identifier
+     * @param int $userid User ID owning the connection
+     * @param int|null $rtt Smoothed round-trip time in milliseconds
+     * @param int|null $jitter Round-trip jitter in milliseconds
+     * @param string $quality Quality level (good, fair, poor)
+     * @return bool True if the connection was found
+     */
+    public function record_connection_quality(string $connectionid, int $userid, ?int $rtt, ?int $jitter, string $quality): bool
+    {
+        global $DB;
+
+        $connection = $DB->get_record('classengage_connections', [
+            'connectionid' => $connectionid,
+            'userid' => $userid,
+        ]);
+
+        if (!$connection) {
+            return false;
+        }
+
+        $levels = [
+            constants::NETWORK_QUALITY_GOOD,
+            constants::NETWORK_QUALITY_FAIR,
+            constants::NETWORK_QUALITY_POOR,
+        ];
+
+        $connection->rtt_ms = $rtt === null ? null : max(0, $rtt);
+        $connection->jitter_ms = $jitter === null ? null : max(0, $jitter);
+        $connection->network_quality = in_array($quality, $levels, true) ? $quality : null;
+        $connection->timemodified = time();
+
+        $DB->update_record('classengage_connections', $connection);
+
+        return true;
+    }
+
+    /**
+     * Summarise the network quality reported by connected clients
+     *
+     * Lets the instructor panel tell a poor network apart from students
+     * who are simply not answering.
+     *
+     * @param int $sessionid Session ID
+     * @return array Counts per quality level, number reporting and median RTT
+     */
+    public function get_network_quality(int $sessionid): array
+    {
+        global $DB;
+
+        $records = $DB->get_records_select(
+            'classengage_connections',
+            'sessionid = :sessionid AND status = :status AND network_quality IS NOT NULL',
+            ['sessionid' => $sessionid, 'status' => 'connected'],
+            '',
+            'id, rtt_ms, network_quality'
+        );
+
+        $summary = [
+            'reporting' => 0,
+            constants::NETWORK_QUALITY_GOOD => 0,
+            constants::NETWORK_QUALITY_FAIR => 0,
+            constants::NETWORK_QUALITY_POOR => 0,
+            'medianrtt' => null,
+        ];
+
+        $rtts = [];
+        foreach ($records as $record) {
+            if (!isset($summary[$record->network_quality])) {
+                continue;
+            }
+            $summary['reporting']++;
+            $summary[$record->network_quality]++;
+            if ($record->rtt_ms !== null) {
+                $rtts[] = (int) $record->rtt_ms;
+            }
+        }
+
+        if (!empty($rtts)) {
+            sort($rtts);
+            $summary['medianrtt'] = $rtts[intdiv(count($rtts), 2)];
+        }
+
+        return $summary;
+    }
+
     /**
      * Get count of connected students
      *
@@ -101,6 +101,14 @@ class archive_old_sessions extends \core\task\scheduled_task
         $DB->delete_records_select('classengage_connections', "sessionid $insql", $params);
         mtrace("Deleted connection records for $count sessions.");
 
+        // Delete event journals for old sessions.
+        $DB->delete_records_select('classengage_session_events', "sessionid $insql", $params);
+        mtrace("Deleted event journals for $count sessions.");
+
+        // Delete idempotency keys for old sessions.
+        $DB->delete_records_select('classengage_request_keys', "sessionid $insql", $params);
+        mtrace("Deleted request keys for $count sessions.");
+
         mtrace("Archive completed: processed $count sessions.");
     }
 }
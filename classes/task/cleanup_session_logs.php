@@ -83,5 +83,12 @@ class cleanup_session_logs extends \core\task\scheduled_task {
         if ($queuedeleted > 0) {
             mtrace("ClassEngage: Deleted {$queuedeleted} processed queue entries");
         }
+
+        // Expire idempotency keys of write requests.
+        $keysdeleted = \mod_classengage\idempotency_store::purge_expired();
+
+        if ($keysdeleted > 0) {
+            mtrace("ClassEngage: Deleted {$keysdeleted} expired request keys");
+        }
     }
 }
@@ -106,8 +106,11 @@ if (empty($pollinginterval)) {
     $pollinginterval = constants::DEFAULT_POLLING_INTERVAL;
 }
 
+// Optional WebSocket relay, the client falls back to SSE when empty.
+$websocketurl = (string) get_config('mod_classengage', 'websocketurl');
+
 // Initialize real-time updates with AMD module.
-$PAGE->requires->js_call_amd('mod_classengage/controlpanel', 'init', array($sessionid, $pollinginterval));
+$PAGE->requires->js_call_amd('mod_classengage/controlpanel', 'init', array($sessionid, $pollinginterval, $websocketurl));
 
 // Load Chart.js only if session is active (performance optimization).
 if ($session->status === constants::SESSION_STATUS_ACTIVE) {
@@ -171,11 +174,17 @@ if ($session->status === constants::SESSION_STATUS_ACTIVE || $session->status ==
             // Display response distribution (table and chart).
             echo $renderer->render_response_distribution($currentq);
 
+            // Correct and incorrect answers by how sure students were.
+            echo $renderer->render_confidence_panel($currentq);
+
             echo html_writer::end_div(); // col-lg-8.
 
             // Sidebar column (right) - Student status and statistics.
             echo html_writer::start_div('col-lg-4');
 
+            // Answers from two devices - hidden until there are any.
+            echo $renderer->render_conflict_panel($cm->id, $sessionid);
+
             // Student panel - simple list of students with answered status.
             echo $renderer->render_student_panel();
 
@@ -419,6 +419,187 @@ function xmldb_classengage_upgrade($oldversion)
         upgrade_mod_savepoint(true, 2026011601, 'classengage');
     }
 
+    // Connection Quality: Add client-reported network metrics to connections table.
+    if ($oldversion < 2026011603) {
+        $table = new xmldb_table('classengage_connections');
+
+        // Add rtt_ms field for smoothed round-trip time.
+        $field = new xmldb_field('rtt_ms', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'current_question_answered');
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Add jitter_ms field for round-trip jitter.
+        $field = new xmldb_field('jitter_ms', XMLDB_TYPE_INTEGER, '10', null, null, null, null, 'rtt_ms');
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Add network_quality field for the client's quality level.
+        $field = new xmldb_field('network_quality', XMLDB_TYPE_CHAR, '10', null, null, null, null, 'jitter_ms');
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Classengage savepoint reached.
+        upgrade_mod_savepoint(true, 2026011603, 'classengage');
+    }
+
+    // Event replay: Add sequenced journal of session events.
+    if ($oldversion < 2026011604) {
+
+        // Define table classengage_session_events to be created.
+        $table = new xmldb_table('classengage_session_events');
+
+        // Adding fields to table classengage_session_events.
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('sessionid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('seq', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('eventtype', XMLDB_TYPE_CHAR, '50', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('status', XMLDB_TYPE_CHAR, '20', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('currentquestion', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '-1');
+        $table->add_field('eventdata', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+
+        // Adding keys to table classengage_session_events.
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('sessionid', XMLDB_KEY_FOREIGN, ['sessionid'], 'classengage_sessions', ['id']);
+
+        // Adding indexes to table classengage_session_events.
+        $table->add_index('sessionid_seq', XMLDB_INDEX_UNIQUE, ['sessionid', 'seq']);
+
+        // Conditionally launch create table for classengage_session_events.
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        // Classengage savepoint reached.
+        upgrade_mod_savepoint(true, 2026011604, 'classengage');
+    }
+
+    // Request queue: Add idempotency keys for write requests.
+    if ($oldversion < 2026011605) {
+
+        // Define table classengage_request_keys to be created.
+        $table = new xmldb_table('classengage_request_keys');
+
+        // Adding fields to table classengage_request_keys.
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('sessionid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('requestkey', XMLDB_TYPE_CHAR, '64', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('action', XMLDB_TYPE_CHAR, '20', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('response', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+
+        // Adding keys to table classengage_request_keys.
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('sessionid', XMLDB_KEY_FOREIGN, ['sessionid'], 'classengage_sessions', ['id']);
+        $table->add_key('userid', XMLDB_KEY_FOREIGN, ['userid'], 'user', ['id']);
+
+        // Adding indexes to table classengage_request_keys.
+        $table->add_index('userid_requestkey', XMLDB_INDEX_UNIQUE, ['userid', 'requestkey']);
+        $table->add_index('timecreated', XMLDB_INDEX_NOTUNIQUE, ['timecreated']);
+
+        // Conditionally launch create table for classengage_request_keys.
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        // Classengage savepoint reached.
+        upgrade_mod_savepoint(true, 2026011605, 'classengage');
+    }
+
+    // Answer conflicts: Which answer counts when a student answers from two devices.
+    if ($oldversion < 2026011606) {
+
+        // Define field conflictpolicy to be added to classengage.
+        $table = new xmldb_table('classengage');
+        $field = new xmldb_field('conflictpolicy', XMLDB_TYPE_CHAR, '20', null, XMLDB_NOTNULL, null, 'first', 'grade');
+
+        // Conditionally launch add field conflictpolicy.
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Define field deviceid to be added to classengage_responses.
+        $table = new xmldb_table('classengage_responses');
+        $field = new xmldb_field('deviceid', XMLDB_TYPE_CHAR, '64', null, null, null, null, 'responsetime');
+
+        // Conditionally launch add field deviceid.
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Define table classengage_conflicts to be created.
+        $table = new xmldb_table('classengage_conflicts');
+
+        // Adding fields to table classengage_conflicts.
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('sessionid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('questionid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('responseid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('deviceid', XMLDB_TYPE_CHAR, '64', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('answer', XMLDB_TYPE_CHAR, '255', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('iscorrect', XMLDB_TYPE_INTEGER, '1', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('previousanswer', XMLDB_TYPE_CHAR, '255', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('status', XMLDB_TYPE_CHAR, '20', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+
+        // Adding keys to table classengage_conflicts.
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('sessionid', XMLDB_KEY_FOREIGN, ['sessionid'], 'classengage_sessions', ['id']);
+        $table->add_key('questionid', XMLDB_KEY_FOREIGN, ['questionid'], 'classengage_questions', ['id']);
+        $table->add_key('userid', XMLDB_KEY_FOREIGN, ['userid'], 'user', ['id']);
+        $table->add_key('responseid', XMLDB_KEY_FOREIGN, ['responseid'], 'classengage_responses', ['id']);
+
+        // Adding indexes to table classengage_conflicts.
+        $table->add_index('session_question_status', XMLDB_INDEX_NOTUNIQUE, ['sessionid', 'questionid', 'status']);
+
+        // Conditionally launch create table for classengage_conflicts.
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        // Classengage savepoint reached.
+        upgrade_mod_savepoint(true, 2026011606, 'classengage');
+    }
+
+    // Numeric questions: How far an answer may be from the correct one.
+    if ($oldversion < 2026011607) {
+
+        // Define field tolerance to be added to classengage_questions.
+        $table = new xmldb_table('classengage_questions');
+        $field = new xmldb_field('tolerance', XMLDB_TYPE_NUMBER, '15, 5', null, null, null, null, 'correctanswer');
+
+        // Conditionally launch add field tolerance.
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Classengage savepoint reached.
+        upgrade_mod_savepoint(true, 2026011607, 'classengage');
+    }
+
+    // Confidence rating given with each answer.
+    if ($oldversion < 2026011608) {
+
+        // Define field confidence to be added to classengage_responses and classengage_conflicts.
+        foreach (['classengage_responses', 'classengage_conflicts'] as $tablename) {
+            $table = new xmldb_table($tablename);
+            $field = new xmldb_field('confidence', XMLDB_TYPE_INTEGER, '1', null, null, null, null, 'answer');
+
+            // Conditionally launch add field confidence.
+            if (!$dbman->field_exists($table, $field)) {
+                $dbman->add_field($table, $field);
+            }
+        }
+
+        // Classengage savepoint reached.
+        upgrade_mod_savepoint(true, 2026011608, 'classengage');
+    }
+
     return true;
 }
-
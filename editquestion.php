@@ -67,7 +67,12 @@ if ($mform->is_cancelled()) {
         $data->status = 'approved';
         $data->timecreated = time();
         $data->timemodified = time();
-        $DB->insert_record('classengage_questions', $data);
+        $questionid = $DB->insert_record('classengage_questions', $data);
+    }
+
+    // Hotspot questions are answered on their image.
+    if (!empty($data->hotspotimage)) {
+        \mod_classengage\hotspot_image::save($context, $questionid, $data->hotspotimage);
     }
     
     redirect($returnurl, get_string('questionupdated', 'mod_classengage'), 
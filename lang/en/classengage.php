@@ -48,6 +48,15 @@ $string['name'] = 'Activity name';
 $string['grade'] = 'Maximum grade';
 $string['grade_help'] = 'The maximum grade that can be awarded for this activity';
 $string['gradesettings'] = 'Grade settings';
+$string['conflictpolicy'] = 'Answers from two devices';
+$string['conflictpolicy_help'] = 'Which answer counts when a student answers the same question differently on two devices, e.g. a phone and a laptop that saved answers while offline.
+
+* First answer counts: the answer the server received first is kept and the other device is told its answer was not recorded.
+* Last answer before the timer runs out: a later answer from another device replaces the earlier one, unless it was given after the question timer ran out.
+* Instructor chooses: the first answer counts until you choose between them on the control panel.';
+$string['conflictpolicyfirst'] = 'First answer counts';
+$string['conflictpolicylast'] = 'Last answer before the timer runs out';
+$string['conflictpolicyinstructor'] = 'Instructor chooses';
 
 // View page
 $string['teacherwelcome'] = 'Welcome! Use the tabs above to manage slides, questions, sessions, and view analytics.';
@@ -148,6 +157,7 @@ $string['timeleft'] = 'Time Remaining';
 $string['submitanswer'] = 'Submit Answer';
 $string['answersubmitted'] = 'Answer submitted!';
 $string['waitingnextquestion'] = 'Waiting for next question...';
+$string['responselate'] = 'Response recorded as late';
 $string['quizcompleted'] = 'Quiz completed! Your score: {$a}';
 $string['correct'] = 'Correct!';
 $string['incorrect'] = 'Incorrect';
@@ -188,6 +198,9 @@ $string['settings:enablerealtime'] = 'Enable Real-time Updates';
 $string['settings:enablerealtime_desc'] = 'Use AJAX polling for real-time question delivery (recommended)';
 $string['settings:pollinginterval'] = 'Polling Interval';
 $string['settings:pollinginterval_desc'] = 'Interval for AJAX polling in milliseconds (default: 1000)';
+$string['settings:websocketurl'] = 'WebSocket Relay URL';
+$string['settings:websocketurl_desc'] = 'Optional ws:// or wss:// URL of a WebSocket relay for live sessions. When set, server events and answer submissions share one socket; clients fall back to Server-Sent Events if the socket cannot be opened. Leave empty to use Server-Sent Events only.';
+$string['settings:websocketurl_invalid'] = 'Enter a ws:// or wss:// URL, or leave empty.';
 
 // Events
 $string['eventcoursemodulesviewed'] = 'Course module viewed';
@@ -281,9 +294,20 @@ $string['privacy:metadata:classengage_responses'] = 'Information about user resp
 $string['privacy:metadata:classengage_responses:userid'] = 'The ID of the user who submitted the response';
 $string['privacy:metadata:classengage_responses:questionid'] = 'The ID of the question answered';
 $string['privacy:metadata:classengage_responses:sessionid'] = 'The ID of the quiz session';
+$string['privacy:metadata:classengage_responses:deviceid'] = 'A random identifier of the browser the response came from';
 $string['privacy:metadata:classengage_responses:answer'] = 'The answer submitted by the user';
+$string['privacy:metadata:classengage_responses:confidence'] = 'How sure the user said they were of the answer';
 $string['privacy:metadata:classengage_responses:score'] = 'The score achieved for this response';
 $string['privacy:metadata:classengage_responses:timecreated'] = 'The time when the response was submitted';
+$string['privacy:metadata:classengage_conflicts'] = 'Answers a user sent from a second device for a question already answered from another';
+$string['privacy:metadata:classengage_conflicts:userid'] = 'The ID of the user who submitted the answers';
+$string['privacy:metadata:classengage_conflicts:questionid'] = 'The ID of the question answered';
+$string['privacy:metadata:classengage_conflicts:sessionid'] = 'The ID of the quiz session';
+$string['privacy:metadata:classengage_conflicts:deviceid'] = 'A random identifier of the browser the second answer came from';
+$string['privacy:metadata:classengage_conflicts:answer'] = 'The answer sent from the second device';
+$string['privacy:metadata:classengage_conflicts:confidence'] = 'How sure the user said they were of the second answer';
+$string['privacy:metadata:classengage_conflicts:status'] = 'Whether the second answer was rejected, replaced the first, or awaits the teacher';
+$string['privacy:metadata:classengage_conflicts:timecreated'] = 'The time when the second answer was received';
 
 $string['privacy:metadata:classengage_clicker_devices'] = 'Information about registered clicker devices';
 $string['privacy:metadata:classengage_clicker_devices:userid'] = 'The ID of the user who owns the clicker device';
@@ -466,7 +490,31 @@ $string['responsecount'] = 'Response Count';
 $string['peak'] = 'Peak';
 $string['dip'] = 'Dip';
 $string['multichoice'] = 'Multiple Choice';
+$string['numeric'] = 'Numeric';
+$string['ordering'] = 'Ordering';
+$string['wordcloud'] = 'Word cloud';
+$string['hotspot'] = 'Image hotspot';
 $string['questiontype'] = 'Question Type';
+$string['questiontype_help'] = 'Multiple choice questions are answered by choosing one of the options.
+
+Numeric questions are answered with a number, counted correct if it is within the tolerance of the correct answer.
+
+Ordering questions are answered by putting the options in order. Enter them in their correct order; students see them shuffled.
+
+Word cloud questions are answered with a word or short phrase, shown live as a word cloud. They have no correct answer: every answer counts as correct.
+
+Image hotspot questions are answered by tapping a point on an image, counted correct if it is inside the area you mark.';
+$string['tolerance'] = 'Tolerance';
+$string['tolerance_help'] = 'How far an answer may be from the correct answer, either way, and still be counted correct. For example, with a correct answer of 9.81 and a tolerance of 0.05, any answer from 9.76 to 9.86 is correct.';
+$string['errornumericanswer'] = 'Enter a number of at most 10 characters';
+$string['errortolerance'] = 'The tolerance cannot be negative';
+$string['hotspotimage'] = 'Image';
+$string['hotspotimage_help'] = 'The image students tap a point on, such as a diagram or a map.';
+$string['hotspotx'] = 'Correct area centre, from the left (%)';
+$string['hotspoty'] = 'Correct area centre, from the top (%)';
+$string['hotspotradius'] = 'Correct area radius (%)';
+$string['hotspotradius_help'] = 'How far a tap may be from the centre of the correct area and still be counted correct. All three are percentages of the image\'s width across and of its height down, so on an image wider than it is tall the area is an oval.';
+$string['errorhotspotpercent'] = 'Enter a percentage from 0 to 100';
 $string['easy'] = 'Easy';
 $string['medium'] = 'Medium';
 $string['hard'] = 'Hard';
@@ -530,7 +578,68 @@ $string['quizpaused'] = 'Quiz Paused';
 $string['quizresumed'] = 'Quiz resumed';
 $string['responsesavedoffline'] = 'Response saved offline';
 $string['cachedresponsesubmitted'] = 'Cached response submitted';
+$string['backgroundsubmitted'] = '{$a} saved answer(s) were submitted while you were away';
+$string['foreignrecords'] = '{$a} unsent answer(s) left on this device by another user were deleted.';
 $string['submitanswer'] = 'Submit Answer';
+$string['versionmismatch'] = 'This quiz has been updated. Reload the page to get the latest version.';
+$string['versionmismatchrequired'] = 'This page is out of date and can no longer follow the quiz. Reload the page to continue.';
+$string['reloadpage'] = 'Reload page';
+$string['loginexpired'] = 'Your login has expired. Your answers are saved on this device and will be submitted after you reload the page.';
+$string['youranswer'] = 'Your answer';
+$string['answernotsentyet'] = 'Saved on this device, not yet received by the server.';
+$string['answertrue'] = 'True';
+$string['answerfalse'] = 'False';
+$string['answerplaceholder'] = 'Type your answer';
+$string['enteranswer'] = 'Please enter an answer';
+$string['answertoolong'] = 'Answers can be at most 255 characters long';
+$string['selectoneormore'] = 'Please select one or more answers';
+$string['enternumber'] = 'Please enter a number';
+$string['numberplaceholder'] = 'Enter a number';
+$string['orderinghelp'] = 'Drag the items into order, or move them with the arrows.';
+$string['moveup'] = 'Move up';
+$string['movedown'] = 'Move down';
+$string['numericanswers'] = 'Numeric answers';
+$string['numericcorrectrange'] = 'Correct: {$a->from} to {$a->to}';
+$string['orderingpositions'] = 'Positions given';
+$string['orderingcorrectcells'] = 'Outlined cells show where each item belongs.';
+$string['position'] = 'Position';
+$string['wordcloudplaceholder'] = 'One word or short phrase';
+$string['wordcloudtoolong'] = 'Answers can be at most 50 characters long';
+$string['wordcloudrecorded'] = 'Your answer has been added to the word cloud.';
+$string['wordcloudanswers'] = 'Live word cloud';
+$string['wordcloudmerged'] = 'Common words are left out. Words differing only in case, accents or by a plural are counted together.';
+$string['wordcloudstopwords'] = 'a,about,an,and,are,as,at,be,but,by,for,from,has,have,i,in,is,it,its,it\'s,me,my,not,of,on,or,so,that,the,their,they,this,to,very,was,we,were,what,with,you,your';
+$string['hotspothelp'] = 'Tap the image where you think the answer is. Tap again to move your mark.';
+$string['tapimage'] = 'Please tap a point on the image';
+$string['hotspotanswers'] = 'Points tapped';
+$string['hotspotcorrectarea'] = 'The outlined area is counted correct.';
+$string['confidenceprompt'] = 'How sure are you?';
+$string['confidenceguessing'] = 'Guessing';
+$string['confidenceunsure'] = 'Unsure';
+$string['confidencesure'] = 'Sure';
+$string['rateconfidence'] = 'Please say how sure you are of your answer';
+$string['confidencesplit'] = 'Answers by confidence';
+$string['confidencecorrect'] = 'Correct';
+$string['confidenceincorrect'] = 'Incorrect';
+$string['confidencelegend'] = 'Yellow: correct but guessing. Red: wrong but sure, which points to a misconception.';
+$string['confidenceunrated'] = '{$a} not rated.';
+$string['answerconflictrejected'] = 'You already answered this question differently on another device. That answer ({$a}) counts; the answer from this device was not recorded.';
+$string['answerconflictpending'] = 'You answered this question differently on another device. The first answer ({$a}) counts unless your teacher chooses the one from this device.';
+$string['answerconflictreplaced'] = 'This answer replaced the one you gave on another device.';
+$string['answerconflictchanged'] = 'The answer recorded for this question is {$a}, given on another device.';
+$string['cacheinspector'] = 'Answers saved on this device';
+$string['cacheinspectorsummary'] = '{$a->pending} waiting to send, {$a->unsent} not sent, {$a->submitted} sent from this page';
+$string['cacheinspectorempty'] = 'No answers are saved on this device.';
+$string['cachedanswer'] = 'Answer';
+$string['cachedretries'] = 'Retries';
+$string['cachedlasterror'] = 'Last error';
+$string['cachedsaved'] = 'Saved';
+$string['cachedstatuspending'] = 'Waiting to send';
+$string['cachedstatusfailed'] = 'Not sent';
+$string['cachedstatussubmitted'] = 'Sent';
+$string['retrynow'] = 'Retry now';
+$string['retryingsaved'] = 'Sending {$a} saved answer(s)...';
+$string['exportjson'] = 'Export as JSON';
 
 // Control panel - session control strings
 $string['pause'] = 'Pause';
@@ -543,6 +652,20 @@ $string['connected'] = 'Connected';
 $string['answered'] = 'Answered';
 $string['nostudentsconnected'] = 'No students connected';
 $string['searchstudents'] = 'Search students...';
+$string['networkquality'] = 'Network';
+$string['networkquality_good'] = 'Good';
+$string['networkquality_fair'] = 'Fair';
+$string['networkquality_poor'] = 'Poor';
+$string['networkquality_unknown'] = 'Measuring...';
+$string['networkqualitysummary'] = '{$a->poor} of {$a->reporting} students on a poor connection, median round trip {$a->rtt} ms';
+$string['networkqualityyours'] = 'Your connection: round trip {$a->rtt} ms, jitter {$a->jitter} ms, {$a->reconnects} reconnects';
+$string['answerconflicts'] = 'Answers from two devices';
+$string['answerconflictsstudents'] = '{$a} student(s) answered differently on two devices';
+$string['answerconflictspending'] = '{$a} waiting for your choice';
+$string['conflictcounted'] = 'Counted: {$a}';
+$string['conflictother'] = 'Other device: {$a}';
+$string['keepcountedanswer'] = 'Keep counted';
+$string['useotheranswer'] = 'Use other';
 
 // Enterprise optimization: Scheduled tasks
 $string['task:cleanupstaleconnections'] = 'Clean up stale connections';
@@ -112,6 +112,9 @@ function classengage_delete_instance($id) {
     $sessions = $DB->get_records('classengage_sessions', array('classengageid' => $id));
     foreach ($sessions as $session) {
         $DB->delete_records('classengage_responses', array('sessionid' => $session->id));
+        $DB->delete_records('classengage_session_events', array('sessionid' => $session->id));
+        $DB->delete_records('classengage_request_keys', array('sessionid' => $session->id));
+        $DB->delete_records('classengage_conflicts', array('sessionid' => $session->id));
     }
     $DB->delete_records('classengage_sessions', array('classengageid' => $id));
 
@@ -246,6 +249,41 @@ function classengage_reset_userdata($data) {
     return array();
 }
 
+/**
+ * Serve the files of the ClassEngage file areas
+ *
+ * Only hotspot question images are served, to anyone who can view the activity.
+ *
+ * @param stdClass $course Course
+ * @param stdClass $cm Course module
+ * @param context $context Module context
+ * @param string $filearea File area
+ * @param array $args Item ID, then the file path
+ * @param bool $forcedownload Whether the file should be downloaded
+ * @param array $options Serving options
+ * @return bool False if the file was not found, otherwise it is sent
+ */
+function classengage_pluginfile($course, $cm, $context, $filearea, $args, $forcedownload, array $options = array()) {
+    if ($context->contextlevel != CONTEXT_MODULE || $filearea !== \mod_classengage\hotspot_image::FILEAREA) {
+        return false;
+    }
+
+    require_login($course, true, $cm);
+    require_capability('mod/classengage:view', $context);
+
+    $itemid = (int) array_shift($args);
+    $filename = array_pop($args);
+    $filepath = $args ? '/' . implode('/', $args) . '/' : '/';
+
+    $fs = get_file_storage();
+    $file = $fs->get_file($context->id, 'mod_classengage', $filearea, $itemid, $filepath, $filename);
+    if (!$file || $file->is_directory()) {
+        return false;
+    }
+
+    send_stored_file($file, null, 0, $forcedownload, $options);
+}
+
 /**
  * Render standard ClassEngage tab navigation
  *
@@ -55,6 +55,15 @@ class mod_classengage_mod_form extends moodleform_mod {
         // Introduction field
         $this->standard_intro_elements();
 
+        // Which answer counts when a student answers from two devices
+        $policies = array();
+        foreach (\mod_classengage\constants::CONFLICT_POLICIES as $policy) {
+            $policies[$policy] = get_string('conflictpolicy' . $policy, 'mod_classengage');
+        }
+        $mform->addElement('select', 'conflictpolicy', get_string('conflictpolicy', 'mod_classengage'), $policies);
+        $mform->setDefault('conflictpolicy', \mod_classengage\constants::CONFLICT_POLICY_FIRST);
+        $mform->addHelpButton('conflictpolicy', 'conflictpolicy', 'mod_classengage');
+
         // Standard grading elements
         $this->standard_grading_coursemodule_elements();
 
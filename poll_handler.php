@@ -0,0 +1,121 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Long-poll handler for real-time session updates
+ *
+ * Fallback for clients whose network buffers text/event-stream responses.
+ * Each request waits up to a bounded time for new events and returns them
+ * as a plain JSON response, with the same event names and payloads as
+ * sse_handler.php. Journal events resume from the lastEventId parameter;
+ * instructor change-detection state travels in an opaque cursor.
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define('AJAX_SCRIPT', true);
+
+require(__DIR__ . '/../../config.php');
+require_once(__DIR__ . '/lib.php');
+
+use mod_classengage\realtime_event_stream;
+use mod_classengage\session_state_manager;
+
+/** Maximum seconds a poll request is held open waiting for events. */
+const CLASSENGAGE_POLL_MAX_WAIT = 25;
+
+$sessionid = required_param('sessionid', PARAM_INT);
+$connectionid = optional_param('connectionid', '', PARAM_ALPHANUMEXT);
+$lasteventid = optional_param('lastEventId', 0, PARAM_INT);
+$cursor = optional_param('cursor', '', PARAM_RAW);
+$wait = optional_param('wait', 20, PARAM_INT);
+
+// Validate session and permissions.
+$session = $DB->get_record('classengage_sessions', ['id' => $sessionid], '*', MUST_EXIST);
+$classengage = $DB->get_record('classengage', ['id' => $session->classengageid], '*', MUST_EXIST);
+$cm = get_coursemodule_from_instance('classengage', $classengage->id, 0, false, MUST_EXIST);
+$context = context_module::instance($cm->id);
+
+require_login($cm->course, false, $cm, false, true);
+require_capability('mod/classengage:takequiz', $context);
+
+// Check if user is instructor (for stats/students events).
+$isinstructor = has_capability('mod/classengage:viewanalytics', $context);
+
+// Generate connection ID if not provided.
+if (empty($connectionid)) {
+    $connectionid = uniqid('poll_' . $USER->id . '_', true);
+}
+
+// Release session lock so writes (submit, pause, resume) are not blocked while we wait.
+\core\session\manager::write_close();
+
+// Register (or refresh) the connection on every poll so it does not go stale.
+$statemanager = new session_state_manager();
+$statemanager->register_connection($sessionid, $USER->id, $connectionid, 'polling');
+
+$stream = new realtime_event_stream($sessionid, $USER->id, $context, $isinstructor, $statemanager);
+
+$events = [];
+
+$decodedcursor = json_decode($cursor, true);
+if (is_array($decodedcursor)) {
+    $stream->set_cursor($decodedcursor);
+    $stream->set_last_event_id($lasteventid);
+} else {
+    // First poll of this connection: confirm it like the SSE handler does.
+    $start = $stream->start($lasteventid);
+    $events[] = [
+        'event' => 'connected',
+        'data' => [
+            'connectionid' => $connectionid,
+            'sessionid' => $sessionid,
+            'userid' => $USER->id,
+            'lasteventid' => $start['lasteventid'],
+            'resumed' => $start['resumed'],
+            'timestamp' => time(),
+        ] + realtime_event_stream::get_protocol_info(),
+    ];
+    foreach ($start['events'] as $event) {
+        $events[] = $event;
+    }
+}
+
+$wait = max(0, min($wait, CLASSENGAGE_POLL_MAX_WAIT));
+$deadline = time() + $wait;
+
+while (true) {
+    foreach ($stream->collect() as $event) {
+        $events[] = $event;
+    }
+
+    if (!empty($events) || time() >= $deadline || connection_aborted()) {
+        break;
+    }
+
+    sleep(1);
+}
+
+header('Content-Type: application/json');
+header('Cache-Control: no-cache, no-store, must-revalidate');
+echo json_encode([
+    'success' => true,
+    'connectionid' => $connectionid,
+    'events' => $events,
+    'cursor' => $stream->get_cursor(),
+]);
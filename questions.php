@@ -46,6 +46,7 @@ $PAGE->set_context($context);
 // Handle single actions
 if ($action === 'delete' && $questionid && confirm_sesskey()) {
     $DB->delete_records('classengage_questions', array('id' => $questionid, 'classengageid' => $classengage->id));
+    \mod_classengage\hotspot_image::delete($context, $questionid);
     redirect($PAGE->url, get_string('questiondeleted', 'mod_classengage'), null, \core\output\notification::NOTIFY_SUCCESS);
 }
 
@@ -62,6 +63,9 @@ if (($action === 'bulkdelete' || $action === 'bulkapprove') && confirm_sesskey()
         if ($action === 'bulkdelete') {
             list($insql, $inparams) = $DB->get_in_or_equal($selectedquestions);
             $DB->delete_records_select('classengage_questions', "id $insql AND classengageid = ?", array_merge($inparams, [$classengage->id]));
+            foreach ($selectedquestions as $selectedquestion) {
+                \mod_classengage\hotspot_image::delete($context, $selectedquestion);
+            }
             redirect($PAGE->url, get_string('questionsdeleted', 'mod_classengage'), null, \core\output\notification::NOTIFY_SUCCESS);
         } elseif ($action === 'bulkapprove') {
             list($insql, $inparams) = $DB->get_in_or_equal($selectedquestions);
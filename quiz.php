@@ -25,8 +25,11 @@
 require(__DIR__ . '/../../config.php');
 require_once(__DIR__ . '/lib.php');
 
+use mod_classengage\client_cache_key;
 use mod_classengage\session_manager;
 use mod_classengage\constants;
+use mod_classengage\realtime_event_stream;
+use mod_classengage\hotspot_image;
 
 // ============================================================================
 // PARAMETER VALIDATION AND SETUP
@@ -113,7 +116,10 @@ $PAGE->requires->js_call_amd('mod_classengage/quiz', 'init', array(
     'timelimit' => $timelimit,
     'timeremaining' => $timeremaining,
     'questionid' => $questionid,
-    'hasanswered' => $hasanswered
+    'hasanswered' => $hasanswered,
+    'websocketurl' => (string) get_config('mod_classengage', 'websocketurl'),
+    'cachekey' => client_cache_key::for_session($sessionid, $USER->id),
+    'userid' => $USER->id,
 ));
 
 // Add custom CSS for better styling.
@@ -229,37 +235,17 @@ if ($session->status === constants::SESSION_STATUS_ACTIVE || $session->status ==
                 'alert alert-info text-center'
             );
         } else {
-            // Display options
-            $options = json_decode($currentquestion->options, true);
-            if ($options) {
-                echo html_writer::start_tag('form', array('id' => 'answer-form'));
-                echo html_writer::start_div('question-options');
-
-                foreach (['A', 'B', 'C', 'D'] as $key) {
-                    if (!isset($options[$key])) {
-                        continue;
-                    }
-                    echo html_writer::start_div('quiz-option', array('data-option' => $key));
-                    echo html_writer::start_tag('label', array('class' => 'quiz-option-label'));
-                    echo html_writer::empty_tag('input', array(
-                        'type' => 'radio',
-                        'name' => 'answer',
-                        'value' => $key,
-                        'required' => 'required'
-                    ));
-                    echo html_writer::span($key, 'option-key');
-                    echo html_writer::span(format_string($options[$key]), 'option-text');
-                    echo html_writer::end_tag('label');
-                    echo html_writer::end_div();
-                }
-
-                echo html_writer::end_div();
-                echo html_writer::tag('button', get_string('submitanswer', 'mod_classengage'), array(
-                    'type' => 'button',
-                    'class' => 'btn btn-primary btn-lg submit-answer-btn mt-4'
-                ));
-                echo html_writer::end_tag('form');
-            }
+            // The answer inputs depend on the question type, mod_classengage/question_renderers builds them.
+            echo html_writer::div('', 'answer-form-placeholder', array(
+                'id' => 'answer-form',
+                'data-question' => json_encode(array(
+                    'id' => $currentquestion->id,
+                    'text' => format_string($currentquestion->questiontext),
+                    'type' => $currentquestion->questiontype,
+                    'options' => realtime_event_stream::get_question_options($currentquestion),
+                    'image' => hotspot_image::get_url($currentquestion),
+                )),
+            ));
         }
     } else {
         // No question yet - show waiting state
@@ -0,0 +1,447 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Service worker delivering offline quiz answers in the background
+ *
+ * mod_classengage/client_cache registers this worker and a Background Sync
+ * whenever it stores an answer offline. When the browser is back online it
+ * fires the sync, even if the quiz tab has been closed, and the worker
+ * submits the pending answers from the client cache's IndexedDB store.
+ *
+ * Delivered answers are kept, flagged as delivered in the background, until
+ * a quiz page reads them to tell the student. A Web Lock shared with the page
+ * keeps the worker and an open page from submitting the same answers at once.
+ *
+ * Answers are stored encrypted, together with the session key they are
+ * submitted with. The worker asks api.php for the key material of each
+ * session on the strength of the login cookie alone, and derives the same
+ * key as the page. An answer stored for a different user
+ * than the one logged in, or that does not decrypt, was left by someone else
+ * and is deleted; one whose login has lapsed is left for the next quiz page.
+ *
+ * Served as a plain file: service workers cannot be AMD modules.
+ *
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/* eslint-env serviceworker */
+
+'use strict';
+
+/**
+ * Background Sync tag, shared with mod_classengage/client_cache
+ * @type {string}
+ */
+var SYNC_TAG = 'classengage-pending-responses';
+
+/**
+ * Web Lock held while pending answers are submitted, shared with mod_classengage/client_cache
+ * @type {string}
+ */
+var FLUSH_LOCK = 'classengage-flush-pending';
+
+/**
+ * IndexedDB database and store written by mod_classengage/client_cache
+ * @type {Object}
+ */
+var DB_CONFIG = {
+    name: 'classengage_cache',
+    storeName: 'pending_responses',
+};
+
+/**
+ * HKDF salt for record keys, as in mod_classengage/client_cache
+ * @type {string}
+ */
+var KEY_SALT = 'mod_classengage/client_cache';
+
+/**
+ * Error codes after which resubmitting cannot succeed, as in mod_classengage/error_taxonomy
+ * @type {Array}
+ */
+var PERMANENT_ERRORS = [1001, 1002, 1003, 1005, 1008, 1010, 1011, 'invalidrecord', 'nopermissions'];
+
+/**
+ * Error codes of a lapsed login or session key, as in mod_classengage/error_taxonomy
+ * @type {Array}
+ */
+var AUTH_EXPIRED_ERRORS = ['invalidsesskey', 'requireloginerror', 'sessionerroruser', 'servicerequireslogin'];
+
+/**
+ * Messages implying a permanent error, from servers that sent no code
+ * @type {Array}
+ */
+var LEGACY_PERMANENT_ERRORS = [
+    'duplicate submission',
+    'session not found',
+    'session not active',
+    'question not found',
+    'already answered',
+];
+
+self.addEventListener('install', function() {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('sync', function(event) {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(withFlushLock(flushPendingResponses));
+    }
+});
+
+/**
+ * Run a task while holding the flush lock, when Web Locks are available
+ *
+ * @param {Function} task Returns a promise
+ * @return {Promise} Resolves with the task result
+ */
+function withFlushLock(task) {
+    if (self.navigator && self.navigator.locks && typeof self.navigator.locks.request === 'function') {
+        return self.navigator.locks.request(FLUSH_LOCK, task);
+    }
+    return task();
+}
+
+/**
+ * Open the client cache database at whatever version the page created
+ *
+ * @return {Promise<IDBDatabase|null>} Resolves with the database, or null if no page created it
+ */
+function openDatabase() {
+    return new Promise(function(resolve, reject) {
+        var missing = false;
+        var request = indexedDB.open(DB_CONFIG.name);
+
+        request.onsuccess = function(event) {
+            resolve(event.target.result);
+        };
+        request.onerror = function(event) {
+            if (missing) {
+                event.preventDefault();
+                resolve(null);
+                return;
+            }
+            reject(new Error('Failed to open client cache'));
+        };
+        request.onupgradeneeded = function(event) {
+            // Leave creating the database to the page
+            missing = true;
+            event.target.transaction.abort();
+        };
+    });
+}
+
+/**
+ * Read the pending answers
+ *
+ * @param {IDBDatabase} db Client cache database
+ * @return {Promise<Array>} Resolves with pending records
+ */
+function getPendingResponses(db) {
+    return new Promise(function(resolve, reject) {
+        var request = db.transaction([DB_CONFIG.storeName], 'readonly')
+            .objectStore(DB_CONFIG.storeName)
+            .index('status')
+            .getAll('pending');
+
+        request.onsuccess = function() {
+            resolve(request.result || []);
+        };
+        request.onerror = function() {
+            reject(new Error('Failed to read pending responses'));
+        };
+    });
+}
+
+/**
+ * Apply a change to one stored answer, or delete it
+ *
+ * @param {IDBDatabase} db Client cache database
+ * @param {string} id Record ID
+ * @param {Function|null} update Changes the record in place, or null to delete it
+ * @return {Promise} Resolves when written
+ */
+function updateResponse(db, id, update) {
+    return new Promise(function(resolve, reject) {
+        var transaction = db.transaction([DB_CONFIG.storeName], 'readwrite');
+        var store = transaction.objectStore(DB_CONFIG.storeName);
+
+        if (update === null) {
+            store.delete(id);
+        } else {
+            store.get(id).onsuccess = function(event) {
+                var record = event.target.result;
+                if (record) {
+                    update(record);
+                    store.put(record);
+                }
+            };
+        }
+
+        transaction.oncomplete = function() {
+            resolve();
+        };
+        transaction.onerror = function() {
+            reject(new Error('Failed to update response ' + id));
+        };
+    });
+}
+
+/**
+ * Post a request to api.php
+ *
+ * @param {Object} params Request parameters
+ * @return {Promise<Object>} Resolves with the server response
+ */
+function postApi(params) {
+    return fetch(new URL('api.php', self.registration.scope).toString(), {
+        method: 'POST',
+        credentials: 'same-origin',
+        body: new URLSearchParams(params),
+    }).then(function(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        // A lapsed login answers with an error code, or redirects to an HTML page that fails to parse here
+        return response.json();
+    });
+}
+
+/**
+ * Derive the key a session's answers are encrypted with, as mod_classengage/client_cache does
+ *
+ * @param {Object} record A pending record of the session
+ * @return {Promise<Object|null>} Resolves with {key, userId} for the logged-in user,
+ *     or null if the record's login has lapsed
+ */
+function fetchSessionKey(record) {
+    return postApi({
+        action: 'cachekey',
+        sessionid: record.sessionId,
+    }).then(function(response) {
+        if (!response.success) {
+            if (isAuthExpired(response)) {
+                return null;
+            }
+            throw new Error(response.error || 'No cache key for session ' + record.sessionId);
+        }
+
+        var encoder = new TextEncoder();
+        return crypto.subtle.importKey('raw', encoder.encode(response.keymaterial), 'HKDF', false, ['deriveKey'])
+            .then(function(baseKey) {
+                return crypto.subtle.deriveKey({
+                    name: 'HKDF',
+                    hash: 'SHA-256',
+                    salt: encoder.encode(KEY_SALT),
+                    info: encoder.encode(String(record.sessionId)),
+                }, baseKey, {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+            }).then(function(key) {
+                return {key: key, userId: response.userid};
+            });
+    });
+}
+
+/**
+ * Decrypt the answer fields of a stored record
+ *
+ * @param {Object} record Stored record
+ * @param {Object} keys Key promises by session ID, filled in as needed
+ * @return {Promise<Object|null|boolean>} Resolves with the readable record,
+ *     null if no key can be had yet, or false if the record belongs to another
+ *     user or does not decrypt
+ */
+function openRecord(record, keys) {
+    if (!record.sealed) {
+        // Stored before records were encrypted
+        return Promise.resolve(record);
+    }
+
+    if (!keys[record.sessionId]) {
+        keys[record.sessionId] = fetchSessionKey(record);
+    }
+
+    return keys[record.sessionId].then(function(sessionKey) {
+        if (!sessionKey) {
+            return null;
+        }
+        if (record.userId && String(record.userId) !== String(sessionKey.userId)) {
+            return false;
+        }
+        return crypto.subtle.decrypt({name: 'AES-GCM', iv: record.sealed.iv}, sessionKey.key, record.sealed.data)
+            .then(function(plain) {
+                var opened = Object.assign({}, record, JSON.parse(new TextDecoder().decode(plain)));
+                delete opened.sealed;
+                return opened;
+            }, function() {
+                return false;
+            });
+    });
+}
+
+/**
+ * Submit one stored answer
+ *
+ * The record ID is the idempotency key, as when the page submits it, so an
+ * answer the page already got through is not applied twice.
+ *
+ * @param {Object} record Readable pending record
+ * @return {Promise<Object>} Resolves with the server response
+ */
+function submitResponse(record) {
+    return postApi({
+        action: 'submitanswer',
+        sessionid: record.sessionId,
+        questionid: record.questionId,
+        questiontype: record.questionType || '',
+        answer: record.answer,
+        confidence: record.confidence || 0,
+        clienttimestamp: record.clientTimestamp,
+        deviceid: record.deviceId || '',
+        sesskey: record.sesskey,
+        idempotencykey: record.id,
+    });
+}
+
+/**
+ * Get the error code of a failed response
+ *
+ * @param {Object} response Server response
+ * @return {number|string|null} Numeric server code, Moodle exception code, or null
+ */
+function getErrorCode(response) {
+    var code = response.errorcode;
+    if (code === undefined || code === null || code === '') {
+        return null;
+    }
+    return /^\d+$/.test(String(code)) ? parseInt(code, 10) : String(code);
+}
+
+/**
+ * Check if a failed response means resubmitting cannot succeed
+ *
+ * @param {Object} response Server response
+ * @return {boolean} True if permanent
+ */
+function isPermanentFailure(response) {
+    var code = getErrorCode(response);
+    if (code !== null) {
+        return PERMANENT_ERRORS.indexOf(code) !== -1;
+    }
+    var error = (response.error || '').toLowerCase();
+    return LEGACY_PERMANENT_ERRORS.some(function(message) {
+        return error.indexOf(message) !== -1;
+    });
+}
+
+/**
+ * Check if a failed response means the stored session key has lapsed
+ *
+ * @param {Object} response Server response
+ * @return {boolean} True if only a reloaded page can submit the answer
+ */
+function isAuthExpired(response) {
+    return AUTH_EXPIRED_ERRORS.indexOf(getErrorCode(response)) !== -1;
+}
+
+/**
+ * Submit every pending answer, oldest first
+ *
+ * Rejects if any answer could not be delivered, so the browser schedules
+ * the sync again later.
+ *
+ * @return {Promise} Resolves when every answer was delivered or discarded
+ */
+function flushPendingResponses() {
+    return openDatabase().then(function(db) {
+        if (!db) {
+            return null;
+        }
+        return getPendingResponses(db).then(function(records) {
+            records.sort(function(a, b) {
+                return a.timestamp - b.timestamp;
+            });
+
+            var delivered = 0;
+            var failures = 0;
+            var keys = {};
+
+            return records.reduce(function(chain, record) {
+                return chain.then(function() {
+                    return openRecord(record, keys).then(function(opened) {
+                        if (opened === false) {
+                            // Left by another student, or under a rotated secret
+                            return updateResponse(db, record.id, null);
+                        }
+                        if (!opened || !opened.sesskey) {
+                            // No key yet, or stored by an older page that did not keep the session key
+                            return null;
+                        }
+                        return submitResponse(opened).then(function(response) {
+                            if (response.success) {
+                                delivered++;
+                                return updateResponse(db, record.id, function(stored) {
+                                    stored.status = 'submitted';
+                                    stored.background = true;
+                                });
+                            }
+                            if (isPermanentFailure(response)) {
+                                return updateResponse(db, record.id, null);
+                            }
+                            if (!isAuthExpired(response)) {
+                                // A lapsed session key stays lapsed, so only other failures ask for another sync
+                                failures++;
+                            }
+                            return updateResponse(db, record.id, function(stored) {
+                                stored.lastError = response.error;
+                            });
+                        });
+                    }).catch(function(error) {
+                        failures++;
+                        return updateResponse(db, record.id, function(stored) {
+                            stored.lastError = error.message;
+                        });
+                    });
+                });
+            }, Promise.resolve()).then(function() {
+                db.close();
+                if (delivered > 0) {
+                    notifyPages(delivered);
+                }
+                if (failures > 0) {
+                    throw new Error(failures + ' response(s) not delivered');
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Tell open quiz pages that answers were delivered in the background
+ *
+ * @param {number} count Answers delivered
+ */
+function notifyPages(count) {
+    self.clients.matchAll({type: 'window'}).then(function(clients) {
+        clients.forEach(function(client) {
+            client.postMessage({type: SYNC_TAG, delivered: count});
+        });
+    });
+}
@@ -122,6 +122,12 @@ if ($ADMIN->fulltree) {
         PARAM_INT
     ));
 
+    $settings->add(new \mod_classengage\admin\setting_websocketurl(
+        'mod_classengage/websocketurl',
+        get_string('settings:websocketurl', 'mod_classengage'),
+        get_string('settings:websocketurl_desc', 'mod_classengage')
+    ));
+
     // Enterprise Settings
     $settings->add(new admin_setting_heading(
         'mod_classengage/enterpriseheading',
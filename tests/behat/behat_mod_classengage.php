@@ -34,6 +34,30 @@ use Behat\Mink\Exception\ExpectationException;
 class behat_mod_classengage extends behat_base
 {
 
+    /**
+     * @var array Offline store schema and a cached answer as each earlier version of
+     *     mod_classengage/client_cache wrote them, run with `db` in an upgrade. Add one
+     *     for every new migration, and never change an existing one.
+     */
+    const OFFLINE_STORE_FIXTURES = [
+        1 => "var store = db.createObjectStore('pending_responses', {keyPath: 'id'});
+            store.createIndex('sessionId', 'sessionId', {unique: false});
+            store.createIndex('timestamp', 'timestamp', {unique: false});
+            store.createIndex('status', 'status', {unique: false});
+            store.add({id: 'resp_fixture', sessionId: 1, questionId: 1, answer: 'A', timestamp: Date.now(),
+                clientTimestamp: Date.now(), retryCount: 0, status: 'pending', lastError: null});",
+        2 => "var store = db.createObjectStore('pending_responses', {keyPath: 'id'});
+            store.createIndex('sessionId', 'sessionId', {unique: false});
+            store.createIndex('timestamp', 'timestamp', {unique: false});
+            store.createIndex('status', 'status', {unique: false});
+            store.createIndex('userId', 'userId', {unique: false});
+            store.add({id: 'resp_fixture', userId: null, sessionId: 1, questionId: 1, answer: 'A', timestamp: Date.now(),
+                clientTimestamp: Date.now(), retryCount: 0, nextAttempt: 0, status: 'pending', lastError: null});",
+    ];
+
+    /** @var array|null Offline store contents read by the last open */
+    protected $offlinestore = null;
+
     /**
      * Creates a question for the current ClassEngage activity.
      *
@@ -414,6 +438,236 @@ class behat_mod_classengage extends behat_base
         $this->execute('behat_general::wait_until_the_page_is_ready');
     }
 
+    /**
+     * Replaces the browser's offline answer store with one from an earlier version.
+     *
+     * @Given /^the classengage offline store is at version "(\d+)"$/
+     * @param string $version Schema version, 0 for no store at all
+     */
+    public function the_classengage_offline_store_is_at_version($version)
+    {
+        $version = (int) $version;
+        if ($version > 0 && !isset(self::OFFLINE_STORE_FIXTURES[$version])) {
+            throw new ExpectationException("No offline store fixture for version $version", $this->getSession());
+        }
+        $fixture = $version > 0 ? self::OFFLINE_STORE_FIXTURES[$version] : '';
+
+        $this->getSession()->executeScript("
+            window.classengageOfflineStore = null;
+            var done = function(result) {
+                window.classengageOfflineStore = JSON.stringify(result);
+            };
+            var deletion = indexedDB.deleteDatabase('classengage_cache');
+            deletion.onerror = function() {
+                done({error: 'Could not delete the offline store'});
+            };
+            deletion.onsuccess = function() {
+                if ($version === 0) {
+                    done({});
+                    return;
+                }
+                var request = indexedDB.open('classengage_cache', $version);
+                request.onupgradeneeded = function(event) {
+                    var db = event.target.result;
+                    $fixture
+                };
+                request.onsuccess = function(event) {
+                    event.target.result.close();
+                    done({});
+                };
+                request.onerror = function() {
+                    done({error: 'Could not create the version $version offline store'});
+                };
+            };
+        ");
+
+        $this->wait_for_offline_store();
+    }
+
+    /**
+     * Opens the offline answer store the way the quiz page does, and reads it.
+     *
+     * @When /^I open the classengage offline store$/
+     */
+    public function i_open_the_classengage_offline_store()
+    {
+        $this->getSession()->executeScript("
+            window.classengageOfflineStore = null;
+            require(['mod_classengage/client_cache'], function(ClientCache) {
+                ClientCache.getInstance().openDatabase().then(function(db) {
+                    var store = db.transaction(['pending_responses'], 'readonly').objectStore('pending_responses');
+                    var request = store.getAll();
+                    request.onsuccess = function() {
+                        window.classengageOfflineStore = JSON.stringify({
+                            version: db.version,
+                            stores: Array.prototype.slice.call(db.objectStoreNames),
+                            indexes: Array.prototype.slice.call(store.indexNames),
+                            records: request.result,
+                        });
+                        db.close();
+                    };
+                    return null;
+                }).catch(function(error) {
+                    window.classengageOfflineStore = JSON.stringify({error: String(error)});
+                });
+            });
+        ");
+
+        $this->offlinestore = $this->wait_for_offline_store();
+    }
+
+    /**
+     * Checks the schema version of the offline answer store.
+     *
+     * @Then /^the classengage offline store should be at version "(\d+)"$/
+     * @param string $version Expected version
+     */
+    public function the_classengage_offline_store_should_be_at_version($version)
+    {
+        if ($this->offlinestore['version'] != $version) {
+            throw new ExpectationException(
+                "The offline store is at version {$this->offlinestore['version']}, not $version",
+                $this->getSession()
+            );
+        }
+    }
+
+    /**
+     * Checks the offline answer store has an index.
+     *
+     * @Then /^the classengage offline store should have the "([^"]*)" index$/
+     * @param string $index Index name
+     */
+    public function the_classengage_offline_store_should_have_the_index($index)
+    {
+        if (!in_array($index, $this->offlinestore['indexes'])) {
+            throw new ExpectationException("The offline store has no '$index' index", $this->getSession());
+        }
+    }
+
+    /**
+     * Checks the offline answer store database has an object store.
+     *
+     * @Then /^the classengage offline store should have the "([^"]*)" object store$/
+     * @param string $store Object store name
+     */
+    public function the_classengage_offline_store_should_have_the_object_store($store)
+    {
+        if (!in_array($store, $this->offlinestore['stores'])) {
+            throw new ExpectationException("The offline store has no '$store' object store", $this->getSession());
+        }
+    }
+
+    /**
+     * Checks the number of answers in the offline answer store.
+     *
+     * @Then /^the classengage offline store should hold "(\d+)" cached answers$/
+     * @param string $count Expected number of records
+     */
+    public function the_classengage_offline_store_should_hold_cached_answers($count)
+    {
+        $actual = count($this->offlinestore['records']);
+        if ($actual != $count) {
+            throw new ExpectationException("The offline store holds $actual answers, not $count", $this->getSession());
+        }
+    }
+
+    /**
+     * Checks a field of every answer in the offline answer store.
+     *
+     * @Then /^the cached answer should have "([^"]*)" set to "([^"]*)"$/
+     * @param string $field Record field
+     * @param string $expected Expected value, as JSON unless a string
+     */
+    public function the_cached_answer_should_have_set_to($field, $expected)
+    {
+        foreach ($this->offlinestore['records'] as $record) {
+            if (!array_key_exists($field, $record)) {
+                throw new ExpectationException("Cached answer {$record['id']} has no '$field'", $this->getSession());
+            }
+            $actual = is_string($record[$field]) ? $record[$field] : json_encode($record[$field]);
+            if ($actual !== $expected) {
+                throw new ExpectationException(
+                    "Cached answer {$record['id']} has '$field' set to $actual, not $expected",
+                    $this->getSession()
+                );
+            }
+        }
+    }
+
+    /**
+     * Puts an answer that used up its retries in the offline answer store of the open quiz page.
+     *
+     * @Given /^"([^"]*)" has an unsent classengage answer "([^"]*)" that failed with "([^"]*)"$/
+     * @param string $username User the answer belongs to
+     * @param string $answer Answer
+     * @param string $error Last error
+     */
+    public function has_an_unsent_classengage_answer_that_failed_with($username, $answer, $error)
+    {
+        global $DB;
+
+        $record = json_encode([
+            'id' => 'resp_behat_unsent',
+            'userId' => (int) $DB->get_field('user', 'id', ['username' => $username], MUST_EXIST),
+            'sessionId' => 0,
+            'questionId' => 0,
+            'answer' => $answer,
+            'retryCount' => 3,
+            'nextAttempt' => 0,
+            'status' => 'failed',
+            'lastError' => $error,
+        ]);
+
+        $this->getSession()->executeScript("
+            window.classengageOfflineStore = null;
+            var request = indexedDB.open('classengage_cache');
+            request.onsuccess = function(event) {
+                var db = event.target.result;
+                var record = $record;
+                record.timestamp = record.clientTimestamp = Date.now();
+                var transaction = db.transaction(['pending_responses'], 'readwrite');
+                transaction.objectStore('pending_responses').put(record);
+                transaction.oncomplete = function() {
+                    db.close();
+                    window.classengageOfflineStore = JSON.stringify({});
+                };
+                transaction.onerror = function() {
+                    window.classengageOfflineStore = JSON.stringify({error: 'Could not save the answer'});
+                };
+            };
+            request.onerror = function() {
+                window.classengageOfflineStore = JSON.stringify({error: 'Could not open the offline store'});
+            };
+        ");
+
+        $this->wait_for_offline_store();
+    }
+
+    /**
+     * Waits for a script to report on the offline answer store.
+     *
+     * @return array What the script reported
+     */
+    protected function wait_for_offline_store(): array
+    {
+        $result = $this->spin(
+            function ($context) {
+                return $context->getSession()->evaluateScript('return window.classengageOfflineStore;');
+            },
+            [],
+            10,
+            null,
+            true
+        );
+
+        $result = json_decode($result, true);
+        if (!empty($result['error'])) {
+            throw new ExpectationException($result['error'], $this->getSession());
+        }
+        return $result;
+    }
+
     /**
      * Checks that text exists somewhere in the page.
      *
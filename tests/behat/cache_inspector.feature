@@ -0,0 +1,53 @@
+@mod @mod_classengage @javascript
+Feature: Inspect answers saved on this device
+  In order to find out why an answer did not count
+  As a student
+  I need to see the answers saved in my browser and what happened to them
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email                |
+      | teacher1 | Teacher   | One      | teacher1@example.com |
+      | student1 | Student   | One      | student1@example.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course | role           |
+      | teacher1 | C1     | editingteacher |
+      | student1 | C1     | student        |
+    And the following "activities" exist:
+      | activity    | name             | intro                  | course | idnumber     |
+      | classengage | Test ClassEngage | Test ClassEngage intro | C1     | classengage1 |
+    And I log in as "teacher1"
+    And I am on "Course 1" course homepage
+    And I follow "Test ClassEngage"
+    And I create a classengage question with:
+      | questiontext  | What is 2+2? |
+      | optiona       | 3            |
+      | optionb       | 4            |
+      | optionc       | 5            |
+      | optiond       | 6            |
+      | correctanswer | B            |
+    And I create a classengage session with:
+      | name         | Test Session |
+      | numquestions | 1            |
+      | timelimit    | 60           |
+    And I start the classengage session "Test Session"
+    And I log out
+
+  Scenario: Student opens the cache inspector from the offline indicator
+    Given I log in as "student1"
+    And I am on "Course 1" course homepage
+    And I follow "Test ClassEngage"
+    And I wait for the quiz question to load
+    And "student1" has an unsent classengage answer "C" that failed with "Database error"
+    When I reload the page
+    And I wait for the quiz question to load
+    And I click on "#offline-indicator" "css_element"
+    Then I should see "Answers saved on this device"
+    And I should see "Not sent" in the "#cache-inspector" "css_element"
+    And I should see "Database error" in the "#cache-inspector" "css_element"
+    And "Export as JSON" "button" should exist in the "#cache-inspector" "css_element"
+    And I click on "#cache-inspector [data-action=close]" "css_element"
+    And "#cache-inspector" "css_element" should not exist
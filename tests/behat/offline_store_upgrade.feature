@@ -0,0 +1,45 @@
+@mod @mod_classengage @javascript
+Feature: Offline answer store upgrades
+  In order to keep answers saved offline through plugin upgrades
+  As a student
+  I need the offline answer store in my browser to be upgraded from any earlier version
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email                |
+      | student1 | Student   | One      | student1@example.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course | role    |
+      | student1 | C1     | student |
+    And I log in as "student1"
+    And I am on "Course 1" course homepage
+
+  Scenario: A new offline store is created at the current version
+    Given the classengage offline store is at version "0"
+    When I open the classengage offline store
+    Then the classengage offline store should be at version "3"
+    And the classengage offline store should have the "status" index
+    And the classengage offline store should have the "userId" index
+    And the classengage offline store should have the "answered_questions" object store
+    And the classengage offline store should hold "0" cached answers
+
+  Scenario Outline: An offline store from an earlier version is upgraded with its answers
+    Given the classengage offline store is at version "<version>"
+    When I open the classengage offline store
+    Then the classengage offline store should be at version "3"
+    And the classengage offline store should have the "status" index
+    And the classengage offline store should have the "userId" index
+    And the classengage offline store should have the "answered_questions" object store
+    And the classengage offline store should hold "1" cached answers
+    And the cached answer should have "answer" set to "A"
+    And the cached answer should have "status" set to "pending"
+    And the cached answer should have "nextAttempt" set to "0"
+    And the cached answer should have "userId" set to "null"
+
+    Examples:
+      | version |
+      | 1       |
+      | 2       |
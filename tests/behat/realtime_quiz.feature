@@ -48,6 +48,36 @@ Feature: Real-time quiz participation
     And I press "Submit Answer"
     Then I should see "Answer submitted"
 
+  Scenario: Student still sees their answer after reloading the page
+    Given I log in as "teacher1"
+    And I am on "Course 1" course homepage
+    And I follow "Test ClassEngage"
+    And I create a classengage question with:
+      | questiontext  | What is 5+5?   |
+      | optiona       | 10             |
+      | optionb       | 11             |
+      | optionc       | 12             |
+      | optiond       | 13             |
+      | correctanswer | A              |
+    And I create a classengage session with:
+      | name          | Reload Session |
+      | numquestions  | 1              |
+      | timelimit     | 60             |
+    And I start the classengage session "Reload Session"
+    And I log out
+    When I log in as "student1"
+    And I am on "Course 1" course homepage
+    And I follow "Test ClassEngage"
+    And I wait for the quiz question to load
+    And I click on "A" "radio" in the ".quiz-options" "css_element"
+    And I press "Submit Answer"
+    And I should see "Answer submitted"
+    And I reload the page
+    And I wait for the quiz question to load
+    Then I should see "You have already answered this question"
+    And I should see "Your answer: A"
+    And "Submit Answer" "button" should not exist
+
   Scenario: Student cannot submit duplicate answer for same question
     Given I log in as "teacher1"
     And I am on "Course 1" course homepage
@@ -45,6 +45,7 @@ class mod_classengage_generator extends testing_module_generator
             'intro' => 'Test introduction',
             'introformat' => FORMAT_HTML,
             'grade' => 100,
+            'conflictpolicy' => 'first',
         );
 
         foreach ($defaultsettings as $name => $value) {
@@ -0,0 +1,249 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Integration tests for answers to the same question from two devices
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Integration tests for answer_conflict_manager through response_capture_engine
+ */
+class answer_conflict_manager_test extends \advanced_testcase {
+
+    /** @var \stdClass Course for testing */
+    protected $course;
+
+    /** @var \stdClass User for testing */
+    protected $user;
+
+    /** @var \mod_classengage_generator Test data generator */
+    protected $generator;
+
+    /**
+     * Set up test fixtures
+     */
+    protected function setUp(): void {
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        $this->course = $this->getDataGenerator()->create_course();
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->generator = $this->getDataGenerator()->get_plugin_generator('mod_classengage');
+    }
+
+    /**
+     * Create an active session with one question whose correct answer is A
+     *
+     * @param string $policy Conflict policy of the activity
+     * @return array [session, question]
+     */
+    protected function create_active_question(string $policy): array {
+        $classengage = $this->getDataGenerator()->create_module('classengage', [
+            'course' => $this->course->id,
+            'conflictpolicy' => $policy,
+        ]);
+        $session = $this->generator->create_session($classengage->id, $this->user->id, [
+            'status' => 'active',
+            'questionstarttime' => time(),
+            'timelimit' => 30,
+        ]);
+        $question = $this->generator->create_question($classengage->id, ['correctanswer' => 'A']);
+
+        return [$session, $question];
+    }
+
+    /**
+     * Get the answer recorded for the test user
+     *
+     * @param \stdClass $session Session
+     * @param \stdClass $question Question
+     * @return \stdClass Response record
+     */
+    protected function get_response(\stdClass $session, \stdClass $question): \stdClass {
+        global $DB;
+
+        return $DB->get_record('classengage_responses', [
+            'sessionid' => $session->id,
+            'questionid' => $question->id,
+            'userid' => $this->user->id,
+        ], '*', MUST_EXIST);
+    }
+
+    /**
+     * Test resubmissions from the same browser and repeated answers are plain duplicates
+     *
+     * @covers \mod_classengage\answer_conflict_manager::is_conflict
+     * @covers \mod_classengage\response_capture_engine::submit_response
+     */
+    public function test_same_device_or_answer_is_duplicate(): void {
+        global $DB;
+
+        [$session, $question] = $this->create_active_question(constants::CONFLICT_POLICY_LAST);
+        $engine = new response_capture_engine();
+
+        $this->assertTrue($engine->submit_response($session->id, $question->id, 'A', $this->user->id, null, 'phone')->success);
+
+        $samedevice = $engine->submit_response($session->id, $question->id, 'B', $this->user->id, null, 'phone');
+        $this->assertEquals(constants::ERROR_ALREADY_ANSWERED, $samedevice->errorcode);
+        $this->assertNull($samedevice->conflict);
+
+        $sameanswer = $engine->submit_response($session->id, $question->id, 'a', $this->user->id, null, 'laptop');
+        $this->assertEquals(constants::ERROR_ALREADY_ANSWERED, $sameanswer->errorcode);
+
+        $nodevice = $engine->submit_response($session->id, $question->id, 'C', $this->user->id);
+        $this->assertEquals(constants::ERROR_ALREADY_ANSWERED, $nodevice->errorcode);
+
+        $this->assertEquals(0, $DB->count_records('classengage_conflicts'));
+        $this->assertEquals('phone', $this->get_response($session, $question)->deviceid);
+    }
+
+    /**
+     * Test the first answer counts under the first-wins policy
+     *
+     * @covers \mod_classengage\answer_conflict_manager::resolve
+     */
+    public function test_first_policy_rejects_second_device(): void {
+        global $DB;
+
+        [$session, $question] = $this->create_active_question(constants::CONFLICT_POLICY_FIRST);
+        $engine = new response_capture_engine();
+
+        $engine->submit_response($session->id, $question->id, 'A', $this->user->id, null, 'phone');
+        $result = $engine->submit_response($session->id, $question->id, 'B', $this->user->id, null, 'laptop');
+
+        $this->assertFalse($result->success);
+        $this->assertEquals(constants::ERROR_ANSWER_CONFLICT, $result->errorcode);
+        $this->assertEquals([
+            'policy' => constants::CONFLICT_POLICY_FIRST,
+            'outcome' => constants::CONFLICT_STATUS_REJECTED,
+            'answer' => 'A',
+        ], $result->conflict);
+
+        $this->assertEquals('A', $this->get_response($session, $question)->answer);
+        $conflict = $DB->get_record('classengage_conflicts', ['userid' => $this->user->id], '*', MUST_EXIST);
+        $this->assertEquals('B', $conflict->answer);
+        $this->assertEquals('A', $conflict->previousanswer);
+        $this->assertEquals('laptop', $conflict->deviceid);
+        $this->assertEquals(constants::CONFLICT_STATUS_REJECTED, $conflict->status);
+    }
+
+    /**
+     * Test a later answer from another device replaces the first until the timer runs out
+     *
+     * @covers \mod_classengage\answer_conflict_manager::resolve
+     */
+    public function test_last_policy_replaces_before_deadline(): void {
+        [$session, $question] = $this->create_active_question(constants::CONFLICT_POLICY_LAST);
+        $engine = new response_capture_engine();
+
+        $engine->submit_response($session->id, $question->id, 'B', $this->user->id, null, 'phone', '',
+            constants::CONFIDENCE_GUESSING);
+
+        // Browsers send milliseconds.
+        $ontime = ($session->questionstarttime + 10) * 1000;
+        $result = $engine->submit_response($session->id, $question->id, 'A', $this->user->id, $ontime, 'laptop', '',
+            constants::CONFIDENCE_SURE);
+
+        $this->assertTrue($result->success);
+        $this->assertTrue($result->iscorrect);
+        $this->assertEquals(constants::CONFLICT_STATUS_REPLACED, $result->conflict['outcome']);
+
+        $response = $this->get_response($session, $question);
+        $this->assertEquals('A', $response->answer);
+        $this->assertEquals(1, $response->iscorrect);
+        $this->assertEquals('laptop', $response->deviceid);
+        $this->assertEquals(constants::CONFIDENCE_SURE, $response->confidence);
+
+        // Given after the timer ran out.
+        $late = ($session->questionstarttime + $session->timelimit + 60) * 1000;
+        $result = $engine->submit_response($session->id, $question->id, 'C', $this->user->id, $late, 'phone');
+
+        $this->assertEquals(constants::ERROR_ANSWER_CONFLICT, $result->errorcode);
+        $this->assertEquals(constants::CONFLICT_STATUS_REJECTED, $result->conflict['outcome']);
+        $this->assertEquals('A', $this->get_response($session, $question)->answer);
+    }
+
+    /**
+     * Test conflicts left to the instructor keep the first answer until decided
+     *
+     * @covers \mod_classengage\answer_conflict_manager::resolve
+     * @covers \mod_classengage\answer_conflict_manager::get_counts
+     * @covers \mod_classengage\answer_conflict_manager::get_pending
+     * @covers \mod_classengage\answer_conflict_manager::decide
+     */
+    public function test_instructor_policy_waits_for_decision(): void {
+        [$session, $question] = $this->create_active_question(constants::CONFLICT_POLICY_INSTRUCTOR);
+        $engine = new response_capture_engine();
+        $manager = new answer_conflict_manager();
+
+        $engine->submit_response($session->id, $question->id, 'B', $this->user->id, null, 'phone');
+        $result = $engine->submit_response($session->id, $question->id, 'A', $this->user->id, null, 'laptop');
+
+        $this->assertEquals(constants::ERROR_ANSWER_CONFLICT, $result->errorcode);
+        $this->assertEquals(constants::CONFLICT_STATUS_PENDING, $result->conflict['outcome']);
+        $this->assertEquals('B', $this->get_response($session, $question)->answer);
+        $this->assertEquals(['students' => 1, 'pending' => 1], $manager->get_counts($session->id, $question->id));
+
+        $pending = $manager->get_pending($session->id, $question->id);
+        $this->assertCount(1, $pending);
+        $this->assertEquals('A', $pending[0]->answer);
+        $this->assertEquals($this->user->firstname, $pending[0]->firstname);
+
+        $conflict = $manager->decide($pending[0]->id, $session->id, true);
+
+        $this->assertEquals(constants::CONFLICT_STATUS_ACCEPTED, $conflict->status);
+        $response = $this->get_response($session, $question);
+        $this->assertEquals('A', $response->answer);
+        $this->assertEquals(1, $response->iscorrect);
+        $this->assertEquals(['students' => 1, 'pending' => 0], $manager->get_counts($session->id, $question->id));
+
+        // A settled conflict cannot be decided again.
+        $this->expectException(\dml_missing_record_exception::class);
+        $manager->decide($conflict->id, $session->id, false);
+    }
+
+    /**
+     * Test answers cached on another device are settled in batches too
+     *
+     * @covers \mod_classengage\response_capture_engine::submit_batch
+     */
+    public function test_batch_reports_conflicts(): void {
+        [$session, $question] = $this->create_active_question(constants::CONFLICT_POLICY_FIRST);
+        $engine = new response_capture_engine();
+
+        $engine->submit_response($session->id, $question->id, 'A', $this->user->id, null, 'phone');
+        $result = $engine->submit_batch([[
+            'sessionid' => $session->id,
+            'questionid' => $question->id,
+            'answer' => 'D',
+            'userid' => $this->user->id,
+            'deviceid' => 'laptop',
+        ]]);
+
+        $this->assertTrue($result->success);
+        $this->assertEquals(1, $result->failedcount);
+        $this->assertEquals(constants::ERROR_ANSWER_CONFLICT, $result->results[0]->errorcode);
+        $this->assertEquals('A', $result->results[0]->conflict['answer']);
+    }
+}
@@ -452,6 +452,9 @@ class enterprise_integration_test extends \advanced_testcase
             'CONNECTION_TIMEOUT' => constants::ERROR_CONNECTION_TIMEOUT,
             'DATABASE' => constants::ERROR_DATABASE,
             'PERMISSION_DENIED' => constants::ERROR_PERMISSION_DENIED,
+            'REQUEST_IN_PROGRESS' => constants::ERROR_REQUEST_IN_PROGRESS,
+            'QUESTION_NOT_FOUND' => constants::ERROR_QUESTION_NOT_FOUND,
+            'ANSWER_CONFLICT' => constants::ERROR_ANSWER_CONFLICT,
         ];
 
         $values = array_values($errorcodes);
@@ -138,6 +138,311 @@ class response_capture_engine_test extends \advanced_testcase {
         $this->assertTrue($result->iscorrect);
     }
 
+    /**
+     * Test multi-select answers are correct only with exactly the right options
+     *
+     * @covers \mod_classengage\response_capture_engine::submit_response
+     */
+    public function test_submit_multiselect_response(): void {
+        $engine = new response_capture_engine();
+        $student = $this->getDataGenerator()->create_user();
+
+        $session = $this->generator->create_session($this->classengage->id, $this->user->id, [
+            'status' => 'active',
+            'questionstarttime' => time(),
+            'timelimit' => 30,
+        ]);
+
+        $question = $this->generator->create_question($this->classengage->id, [
+            'questiontype' => constants::QUESTION_TYPE_MULTISELECT,
+            'correctanswer' => 'A,C',
+        ]);
+
+        // Order and case do not matter.
+        $result = $engine->submit_response($session->id, $question->id, 'c, a', $this->user->id);
+        $this->assertTrue($result->success);
+        $this->assertTrue($result->iscorrect);
+
+        // A subset of the right options is wrong.
+        $result = $engine->submit_response($session->id, $question->id, 'A', $student->id);
+        $this->assertTrue($result->success);
+        $this->assertFalse($result->iscorrect);
+    }
+
+    /**
+     * Test invalid answer format rejection for multi-select
+     *
+     * @covers \mod_classengage\response_capture_engine::validate_response
+     */
+    public function test_reject_invalid_multiselect_answer(): void {
+        $engine = new response_capture_engine();
+
+        $this->assertTrue($engine->validate_response('A,B,D', 'multiselect')->valid);
+        $this->assertFalse($engine->validate_response('A,E', 'multiselect')->valid);
+        $this->assertFalse($engine->validate_response('A,,B', 'multiselect')->valid);
+        $this->assertFalse($engine->validate_response('B,b', 'multiselect')->valid);
+    }
+
+    /**
+     * Test numeric answers are correct within the tolerance
+     *
+     * @covers \mod_classengage\response_capture_engine::submit_response
+     * @covers \mod_classengage\response_capture_engine::check_answer
+     */
+    public function test_submit_numeric_response(): void {
+        $engine = new response_capture_engine();
+        $student = $this->getDataGenerator()->create_user();
+
+        $session = $this->generator->create_session($this->classengage->id, $this->user->id, [
+            'status' => 'active',
+            'questionstarttime' => time(),
+            'timelimit' => 30,
+        ]);
+
+        $question = $this->generator->create_question($this->classengage->id, [
+            'questiontype' => constants::QUESTION_TYPE_NUMERIC,
+            'correctanswer' => '9.81',
+            'tolerance' => 0.05,
+        ]);
+
+        $result = $engine->submit_response($session->id, $question->id, '9.85', $this->user->id);
+        $this->assertTrue($result->success);
+        $this->assertTrue($result->iscorrect);
+
+        $result = $engine->submit_response($session->id, $question->id, '9.9', $student->id);
+        $this->assertTrue($result->success);
+        $this->assertFalse($result->iscorrect);
+
+        // The boundary of the tolerance is still correct.
+        $this->assertTrue($engine->check_answer('9.76', $question));
+    }
+
+    /**
+     * Test the correct range of a numeric question matches grading
+     *
+     * @covers \mod_classengage\response_capture_engine::get_correct_range
+     * @covers \mod_classengage\response_capture_engine::is_within_tolerance
+     */
+    public function test_numeric_correct_range(): void {
+        $engine = new response_capture_engine();
+        $question = (object) [
+            'questiontype' => constants::QUESTION_TYPE_NUMERIC,
+            'correctanswer' => '10',
+            'tolerance' => -0.5,
+        ];
+
+        // A negative tolerance counts as positive.
+        $this->assertEquals(['from' => 9.5, 'to' => 10.5], response_capture_engine::get_correct_range($question));
+        $this->assertTrue(response_capture_engine::is_within_tolerance(0.5, $question));
+        $this->assertFalse(response_capture_engine::is_within_tolerance(0.51, $question));
+
+        $this->assertTrue($engine->check_answer('10.5', $question));
+        $this->assertFalse($engine->check_answer('10.51', $question));
+
+        unset($question->tolerance);
+        $this->assertEquals(['from' => 10.0, 'to' => 10.0], response_capture_engine::get_correct_range($question));
+    }
+
+    /**
+     * Test ordering answers are correct only in exactly the right order
+     *
+     * @covers \mod_classengage\response_capture_engine::submit_response
+     * @covers \mod_classengage\response_capture_engine::check_answer
+     */
+    public function test_submit_ordering_response(): void {
+        $engine = new response_capture_engine();
+        $student = $this->getDataGenerator()->create_user();
+
+        $session = $this->generator->create_session($this->classengage->id, $this->user->id, [
+            'status' => 'active',
+            'questionstarttime' => time(),
+            'timelimit' => 30,
+        ]);
+
+        $question = $this->generator->create_question($this->classengage->id, [
+            'questiontype' => constants::QUESTION_TYPE_ORDERING,
+            'correctanswer' => 'A,B,C,D',
+        ]);
+
+        $result = $engine->submit_response($session->id, $question->id, 'a,b,c,d', $this->user->id);
+        $this->assertTrue($result->success);
+        $this->assertTrue($result->iscorrect);
+
+        $result = $engine->submit_response($session->id, $question->id, 'B,A,C,D', $student->id);
+        $this->assertTrue($result->success);
+        $this->assertFalse($result->iscorrect);
+    }
+
+    /**
+     * Test invalid answer format rejection for numeric and ordering
+     *
+     * @covers \mod_classengage\response_capture_engine::validate_response
+     */
+    public function test_reject_invalid_numeric_and_ordering_answers(): void {
+        $engine = new response_capture_engine();
+
+        $this->assertTrue($engine->validate_response('-1.5e3', 'numeric')->valid);
+        $this->assertFalse($engine->validate_response('ten', 'numeric')->valid);
+        $this->assertFalse($engine->validate_response('', 'numeric')->valid);
+
+        $this->assertTrue($engine->validate_response('C,A,B', 'ordering')->valid);
+        $this->assertFalse($engine->validate_response('A', 'ordering')->valid);
+        $this->assertFalse($engine->validate_response('A,A,B', 'ordering')->valid);
+        $this->assertFalse($engine->validate_response('A,E', 'ordering')->valid);
+    }
+
+    /**
+     * Test multi-select and ordering answers may only use the options the question has
+     *
+     * @covers \mod_classengage\response_capture_engine::validate_answer_for
+     */
+    public function test_reject_options_the_question_does_not_have(): void {
+        $engine = new response_capture_engine();
+
+        $ordering = $this->generator->create_question($this->classengage->id, [
+            'questiontype' => constants::QUESTION_TYPE_ORDERING,
+            'correctanswer' => 'A,B,C',
+            'optiond' => '',
+        ]);
+
+        $this->assertTrue($engine->validate_answer_for($ordering, 'C,A,B', '')->valid);
+        $this->assertFalse($engine->validate_answer_for($ordering, 'A,B', '')->valid);
+        $this->assertFalse($engine->validate_answer_for($ordering, 'A,B,C,D', '')->valid);
+        $this->assertFalse($engine->validate_answer_for($ordering, 'A,B,D', '')->valid);
+
+        $multiselect = $this->generator->create_question($this->classengage->id, [
+            'questiontype' => constants::QUESTION_TYPE_MULTISELECT,
+            'correctanswer' => 'A,C',
+            'optiond' => '',
+        ]);
+
+        $this->assertTrue($engine->validate_answer_for($multiselect, 'a,c', '')->valid);
+        $this->assertTrue($engine->validate_answer_for($multiselect, 'B', '')->valid);
+        $this->assertFalse($engine->validate_answer_for($multiselect, 'A,D', '')->valid);
+    }
+
+    /**
+     * Test every word cloud answer counts, up to the length limit
+     *
+     * @covers \mod_classengage\response_capture_engine::submit_response
+     * @covers \mod_classengage\response_capture_engine::validate_response
+     */
+    public function test_submit_wordcloud_response(): void {
+        $engine = new response_capture_engine();
+
+        $session = $this->generator->create_session($this->classengage->id, $this->user->id, [
+            'status' => 'active',
+            'questionstarttime' => time(),
+            'timelimit' => 30,
+        ]);
+
+        $question = $this->generator->create_question($this->classengage->id, [
+            'questiontype' => constants::QUESTION_TYPE_WORDCLOUD,
+            'correctanswer' => '',
+        ]);
+
+        $result = $engine->submit_response($session->id, $question->id, 'Photosynthesis', $this->user->id);
+        $this->assertTrue($result->success);
+        $this->assertTrue($result->iscorrect);
+
+        $longanswer = str_repeat('x', constants::WORDCLOUD_MAX_LENGTH + 1);
+        $this->assertFalse($engine->validate_response($longanswer, 'wordcloud')->valid);
+    }
+
+    /**
+     * Test the confidence rating is stored with the answer, and unknown ratings leave it unrated
+     *
+     * @covers \mod_classengage\response_capture_engine::submit_response
+     * @covers \mod_classengage\response_capture_engine::normalise_confidence
+     */
+    public function test_submit_response_with_confidence(): void {
+        global $DB;
+
+        $engine = new response_capture_engine();
+        $student = $this->getDataGenerator()->create_user();
+
+        $session = $this->generator->create_session($this->classengage->id, $this->user->id, [
+            'status' => 'active',
+            'questionstarttime' => time(),
+            'timelimit' => 30,
+        ]);
+
+        $question = $this->generator->create_question($this->classengage->id, ['correctanswer' => 'A']);
+
+        $result = $engine->submit_response($session->id, $question->id, 'A', $this->user->id, null, '', '',
+            constants::CONFIDENCE_UNSURE);
+        $this->assertTrue($result->success);
+        $this->assertEquals(constants::CONFIDENCE_UNSURE,
+            $DB->get_field('classengage_responses', 'confidence', ['id' => $result->responseid]));
+
+        $result = $engine->submit_response($session->id, $question->id, 'B', $student->id, null, '', '', 7);
+        $this->assertTrue($result->success);
+        $this->assertNull($DB->get_field('classengage_responses', 'confidence', ['id' => $result->responseid]));
+
+        $this->assertEquals(constants::CONFIDENCE_SURE, response_capture_engine::normalise_confidence('3'));
+        $this->assertNull(response_capture_engine::normalise_confidence(0));
+        $this->assertNull(response_capture_engine::normalise_confidence(''));
+    }
+
+    /**
+     * Test hotspot answers are correct within the radius of the correct point
+     *
+     * @covers \mod_classengage\response_capture_engine::submit_response
+     * @covers \mod_classengage\response_capture_engine::check_answer
+     */
+    public function test_submit_hotspot_response(): void {
+        $engine = new response_capture_engine();
+        $student = $this->getDataGenerator()->create_user();
+
+        $session = $this->generator->create_session($this->classengage->id, $this->user->id, [
+            'status' => 'active',
+            'questionstarttime' => time(),
+            'timelimit' => 30,
+        ]);
+
+        $question = $this->generator->create_question($this->classengage->id, [
+            'questiontype' => constants::QUESTION_TYPE_HOTSPOT,
+            'correctanswer' => '0.50,0.25',
+            'tolerance' => 0.1,
+        ]);
+
+        $result = $engine->submit_response($session->id, $question->id, '0.5600,0.3300', $this->user->id);
+        $this->assertTrue($result->success);
+        $this->assertTrue($result->iscorrect);
+
+        $result = $engine->submit_response($session->id, $question->id, '0.5800,0.3300', $student->id);
+        $this->assertTrue($result->success);
+        $this->assertFalse($result->iscorrect);
+
+        $this->assertFalse($engine->validate_response('0.5', 'hotspot')->valid);
+        $this->assertFalse($engine->validate_response('1.2,0.5', 'hotspot')->valid);
+    }
+
+    /**
+     * Test answers given for a question of another type are rejected
+     *
+     * @covers \mod_classengage\response_capture_engine::validate_answer_for
+     */
+    public function test_reject_answer_for_other_question_type(): void {
+        $engine = new response_capture_engine();
+
+        $session = $this->generator->create_session($this->classengage->id, $this->user->id, [
+            'status' => 'active',
+            'questionstarttime' => time(),
+            'timelimit' => 30,
+        ]);
+
+        $question = $this->generator->create_question($this->classengage->id, [
+            'questiontype' => constants::QUESTION_TYPE_NUMERIC,
+            'correctanswer' => '2',
+        ]);
+
+        $result = $engine->submit_response($session->id, $question->id, '2', $this->user->id, null, '',
+            constants::QUESTION_TYPE_MULTICHOICE);
+
+        $this->assertFalse($result->success);
+        $this->assertEquals(constants::ERROR_INVALID_ANSWER, $result->errorcode);
+    }
 
     /**
      * Test invalid answer format rejection for multichoice
@@ -164,6 +469,7 @@ class response_capture_engine_test extends \advanced_testcase {
 
         $this->assertFalse($result->success);
         $this->assertStringContainsString('Invalid answer format', $result->error);
+        $this->assertEquals(constants::ERROR_INVALID_ANSWER, $result->errorcode);
     }
 
     /**
@@ -281,6 +587,7 @@ class response_capture_engine_test extends \advanced_testcase {
 
         $this->assertFalse($result->success);
         $this->assertStringContainsString('not active', $result->error);
+        $this->assertEquals(constants::ERROR_SESSION_NOT_ACTIVE, $result->errorcode);
     }
 
     /**
@@ -295,6 +602,7 @@ class response_capture_engine_test extends \advanced_testcase {
 
         $this->assertFalse($result->success);
         $this->assertStringContainsString('not found', $result->error);
+        $this->assertEquals(constants::ERROR_SESSION_NOT_FOUND, $result->errorcode);
     }
 
     /**
@@ -315,6 +623,7 @@ class response_capture_engine_test extends \advanced_testcase {
 
         $this->assertFalse($result->success);
         $this->assertStringContainsString('not found', $result->error);
+        $this->assertEquals(constants::ERROR_QUESTION_NOT_FOUND, $result->errorcode);
     }
 
     /**
@@ -342,6 +651,7 @@ class response_capture_engine_test extends \advanced_testcase {
         $result2 = $engine->submit_response($session->id, $question->id, 'B', $this->user->id);
         $this->assertFalse($result2->success);
         $this->assertStringContainsString('Duplicate', $result2->error);
+        $this->assertEquals(constants::ERROR_ALREADY_ANSWERED, $result2->errorcode);
     }
 
     /**
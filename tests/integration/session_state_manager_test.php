@@ -679,6 +679,70 @@ class session_state_manager_test extends \advanced_testcase
         $this->assertEquals(2, $stats['pending']);
     }
 
+    /**
+     * Test connection quality is stored on the reporting user's connection only
+     *
+     * @covers \mod_classengage\session_state_manager::record_connection_quality
+     */
+    public function test_record_connection_quality(): void
+    {
+        global $DB;
+
+        $session = $this->create_session_with_questions(['status' => 'active']);
+        $manager = new session_state_manager();
+
+        $student = $this->getDataGenerator()->create_user();
+        $connectionid = 'conn_' . uniqid();
+        $manager->register_connection($session->id, $student->id, $connectionid, 'sse');
+
+        $this->assertTrue($manager->record_connection_quality($connectionid, $student->id, 120, 15, 'good'));
+
+        $record = $DB->get_record('classengage_connections', ['connectionid' => $connectionid]);
+        $this->assertEquals(120, $record->rtt_ms);
+        $this->assertEquals(15, $record->jitter_ms);
+        $this->assertEquals('good', $record->network_quality);
+
+        // Another user cannot report for this connection.
+        $other = $this->getDataGenerator()->create_user();
+        $this->assertFalse($manager->record_connection_quality($connectionid, $other->id, 900, 400, 'poor'));
+
+        // Unknown levels are not stored.
+        $manager->record_connection_quality($connectionid, $student->id, 120, 15, 'excellent');
+        $record = $DB->get_record('classengage_connections', ['connectionid' => $connectionid]);
+        $this->assertNull($record->network_quality);
+    }
+
+    /**
+     * Test network quality summary counts levels and finds the median RTT
+     *
+     * @covers \mod_classengage\session_state_manager::get_network_quality
+     */
+    public function test_get_network_quality(): void
+    {
+        $session = $this->create_session_with_questions(['status' => 'active']);
+        $manager = new session_state_manager();
+
+        $reports = [[80, 'good'], [150, 'good'], [600, 'fair'], [1500, 'poor']];
+        foreach ($reports as $i => $report) {
+            $student = $this->getDataGenerator()->create_user();
+            $connectionid = 'conn_' . uniqid() . '_' . $i;
+            $manager->register_connection($session->id, $student->id, $connectionid, 'sse');
+            $manager->record_connection_quality($connectionid, $student->id, $report[0], 10, $report[1]);
+        }
+
+        // A connected student who has not reported yet is not counted.
+        $silent = $this->getDataGenerator()->create_user();
+        $manager->register_connection($session->id, $silent->id, 'conn_' . uniqid() . '_silent', 'sse');
+
+        $network = $manager->get_network_quality($session->id);
+
+        $this->assertEquals(4, $network['reporting']);
+        $this->assertEquals(2, $network['good']);
+        $this->assertEquals(1, $network['fair']);
+        $this->assertEquals(1, $network['poor']);
+        $this->assertEquals(600, $network['medianrtt']);
+    }
+
     /**
      * Test next question advances to next question
      *
@@ -0,0 +1,195 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the live breakdown of numeric and ordering answers
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \mod_classengage\answer_breakdown
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Answer breakdown unit tests
+ *
+ * @group mod_classengage
+ * @group mod_classengage_unit
+ */
+class answer_breakdown_test extends \advanced_testcase
+{
+
+    /**
+     * Test numeric answers fall into bins spanning the answers and the correct range
+     */
+    public function test_histogram(): void
+    {
+        $question = (object) [
+            'questiontype' => constants::QUESTION_TYPE_NUMERIC,
+            'correctanswer' => '10',
+            'tolerance' => 1,
+        ];
+
+        $breakdown = answer_breakdown::for_question($question, ['0' => 2, '10.5' => 3, '20' => 1, 'ten' => 4]);
+
+        $this->assertEquals('histogram', $breakdown['type']);
+        $this->assertEquals(['from' => 9.0, 'to' => 11.0], $breakdown['correct']);
+        $this->assertEquals(6, $breakdown['total']);
+        $this->assertCount(answer_breakdown::HISTOGRAM_BINS, $breakdown['bins']);
+
+        $bins = $breakdown['bins'];
+        $this->assertEquals(0.0, $bins[0]['from']);
+        $this->assertEquals(20.0, $bins[9]['to']);
+        $this->assertEquals(2, $bins[0]['count']);
+        $this->assertEquals(3, $bins[5]['count']);
+        $this->assertEquals(1, $bins[9]['count']);
+        $this->assertEquals([false, false, false, false, true, true, false, false, false, false],
+            array_column($bins, 'correct'));
+    }
+
+    /**
+     * Test identical numeric answers share a single bin
+     */
+    public function test_histogram_single_value(): void
+    {
+        $question = (object) [
+            'questiontype' => constants::QUESTION_TYPE_NUMERIC,
+            'correctanswer' => '3',
+            'tolerance' => null,
+        ];
+
+        $breakdown = answer_breakdown::histogram($question, ['3' => 5]);
+
+        $this->assertEquals([['from' => 3.0, 'to' => 3.0, 'count' => 5, 'correct' => true]], $breakdown['bins']);
+    }
+
+    /**
+     * Test orderings are counted by the position each option was put in
+     */
+    public function test_heatmap(): void
+    {
+        $question = (object) [
+            'questiontype' => constants::QUESTION_TYPE_ORDERING,
+            'correctanswer' => 'A,B,C',
+            'optiona' => 'First',
+            'optionb' => 'Second',
+            'optionc' => 'Third',
+            'optiond' => '',
+        ];
+
+        $breakdown = answer_breakdown::for_question($question, ['A,B,C' => 4, 'b,a,c' => 1, 'C,B,A' => 2]);
+
+        $this->assertEquals('heatmap', $breakdown['type']);
+        $this->assertEquals(3, $breakdown['positions']);
+        $this->assertEquals(7, $breakdown['total']);
+        $this->assertEquals([
+            ['key' => 'A', 'text' => 'First', 'counts' => [4, 1, 2], 'correctposition' => 0],
+            ['key' => 'B', 'text' => 'Second', 'counts' => [1, 6, 0], 'correctposition' => 1],
+            ['key' => 'C', 'text' => 'Third', 'counts' => [2, 0, 5], 'correctposition' => 2],
+        ], $breakdown['items']);
+    }
+
+    /**
+     * Test word cloud answers are listed most given first
+     */
+    public function test_words(): void
+    {
+        $question = (object) ['questiontype' => constants::QUESTION_TYPE_WORDCLOUD, 'correctanswer' => ''];
+
+        $breakdown = answer_breakdown::for_question($question, ['fun' => 2, 'Hard' => 5, 'easy' => 2]);
+
+        $this->assertEquals([
+            'type' => 'words',
+            'answers' => [
+                ['text' => 'Hard', 'count' => 5],
+                ['text' => 'easy', 'count' => 2],
+                ['text' => 'fun', 'count' => 2],
+            ],
+            'total' => 9,
+        ], $breakdown);
+    }
+
+    /**
+     * Test hotspot answers are listed as points with the correct area
+     */
+    public function test_points(): void
+    {
+        $question = (object) [
+            'questiontype' => constants::QUESTION_TYPE_HOTSPOT,
+            'correctanswer' => '0.50,0.25',
+            'tolerance' => 0.1,
+        ];
+
+        $breakdown = answer_breakdown::for_question($question, ['0.6000,0.2000' => 2, '0.5,0.25' => 1, '2,0.5' => 3]);
+
+        $this->assertEquals([
+            'type' => 'points',
+            'points' => [
+                ['x' => 0.5, 'y' => 0.25, 'count' => 1],
+                ['x' => 0.6, 'y' => 0.2, 'count' => 2],
+            ],
+            'correct' => ['x' => 0.5, 'y' => 0.25, 'radius' => 0.1],
+            'total' => 3,
+        ], $breakdown);
+    }
+
+    /**
+     * Test other question types have no breakdown
+     */
+    public function test_no_breakdown_for_options(): void
+    {
+        $question = (object) ['questiontype' => constants::QUESTION_TYPE_MULTICHOICE, 'correctanswer' => 'A'];
+
+        $this->assertNull(answer_breakdown::for_question($question, ['A' => 3]));
+    }
+
+    /**
+     * Test answers are split by correctness and confidence
+     */
+    public function test_confidence(): void
+    {
+        $question = (object) ['questiontype' => constants::QUESTION_TYPE_MULTICHOICE, 'correctanswer' => 'A'];
+        $rows = [
+            (object) ['iscorrect' => 1, 'confidence' => constants::CONFIDENCE_SURE, 'cnt' => 5],
+            (object) ['iscorrect' => 1, 'confidence' => constants::CONFIDENCE_GUESSING, 'cnt' => 2],
+            (object) ['iscorrect' => 0, 'confidence' => constants::CONFIDENCE_SURE, 'cnt' => 3],
+            (object) ['iscorrect' => 0, 'confidence' => constants::CONFIDENCE_UNSURE, 'cnt' => 1],
+            (object) ['iscorrect' => 1, 'confidence' => null, 'cnt' => 4],
+        ];
+
+        $this->assertSame([
+            'correct' => [2, 0, 5],
+            'incorrect' => [0, 1, 3],
+            'unrated' => 4,
+            'total' => 15,
+        ], answer_breakdown::confidence($question, $rows));
+    }
+
+    /**
+     * Test word cloud answers have no confidence split
+     */
+    public function test_no_confidence_for_wordcloud(): void
+    {
+        $question = (object) ['questiontype' => constants::QUESTION_TYPE_WORDCLOUD, 'correctanswer' => ''];
+        $rows = [(object) ['iscorrect' => 1, 'confidence' => null, 'cnt' => 2]];
+
+        $this->assertNull(answer_breakdown::confidence($question, $rows));
+    }
+}
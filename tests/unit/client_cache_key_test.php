@@ -0,0 +1,93 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for mod_classengage client cache key material
+ *
+ * Tests the key material for encrypted offline answers including:
+ * - Stable material for the same user and session
+ * - Distinct material per user and per session
+ * - Site secret generation
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \mod_classengage\client_cache_key
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Client cache key unit tests
+ *
+ * @group mod_classengage
+ * @group mod_classengage_unit
+ */
+class client_cache_key_test extends \advanced_testcase
+{
+
+    /**
+     * Set up test fixtures
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->resetAfterTest(true);
+    }
+
+    /**
+     * Test the same user and session always get the same material
+     */
+    public function test_for_session_is_stable(): void
+    {
+        $material = client_cache_key::for_session(7, 3);
+
+        $this->assertMatchesRegularExpression('/^[0-9a-f]{64}$/', $material);
+        $this->assertEquals($material, client_cache_key::for_session(7, 3));
+    }
+
+    /**
+     * Test material differs between users and between sessions
+     */
+    public function test_for_session_is_scoped(): void
+    {
+        $material = client_cache_key::for_session(7, 3);
+
+        $this->assertNotEquals($material, client_cache_key::for_session(7, 4));
+        $this->assertNotEquals($material, client_cache_key::for_session(8, 3));
+    }
+
+    /**
+     * Test the site secret is generated once and keys depend on it
+     */
+    public function test_secret_generated_once(): void
+    {
+        unset_config(client_cache_key::SECRET_SETTING, 'mod_classengage');
+
+        $material = client_cache_key::for_session(7, 3);
+        $secret = get_config('mod_classengage', client_cache_key::SECRET_SETTING);
+
+        $this->assertEquals(client_cache_key::SECRET_LENGTH, strlen($secret));
+        client_cache_key::for_session(8, 3);
+        $this->assertEquals($secret, get_config('mod_classengage', client_cache_key::SECRET_SETTING));
+
+        // A new secret invalidates everything encrypted under the old one.
+        set_config(client_cache_key::SECRET_SETTING, 'rotated', 'mod_classengage');
+        $this->assertNotEquals($material, client_cache_key::for_session(7, 3));
+    }
+}
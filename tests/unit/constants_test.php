@@ -86,6 +86,21 @@ class constants_test extends \advanced_testcase
         $this->assertEquals('multichoice', constants::QUESTION_TYPE_MULTICHOICE);
         $this->assertEquals('truefalse', constants::QUESTION_TYPE_TRUEFALSE);
         $this->assertEquals('shortanswer', constants::QUESTION_TYPE_SHORTANSWER);
+        $this->assertEquals('multiselect', constants::QUESTION_TYPE_MULTISELECT);
+        $this->assertEquals('numeric', constants::QUESTION_TYPE_NUMERIC);
+        $this->assertEquals('ordering', constants::QUESTION_TYPE_ORDERING);
+        $this->assertEquals('wordcloud', constants::QUESTION_TYPE_WORDCLOUD);
+        $this->assertEquals('hotspot', constants::QUESTION_TYPE_HOTSPOT);
+    }
+
+    /**
+     * Test confidence ratings run from guessing to sure
+     */
+    public function test_confidence_constants(): void
+    {
+        $this->assertEquals(1, constants::CONFIDENCE_GUESSING);
+        $this->assertEquals(2, constants::CONFIDENCE_UNSURE);
+        $this->assertEquals(3, constants::CONFIDENCE_SURE);
     }
 
     /**
@@ -111,6 +126,7 @@ class constants_test extends \advanced_testcase
         $this->assertContains(constants::ACTION_STOP, constants::VALID_ACTIONS);
         $this->assertContains(constants::ACTION_PAUSE, constants::VALID_ACTIONS);
         $this->assertContains(constants::ACTION_RESUME, constants::VALID_ACTIONS);
+        $this->assertContains(constants::ACTION_RESOLVE_CONFLICT, constants::VALID_ACTIONS);
     }
 
     // =========================================================================
@@ -171,6 +187,10 @@ class constants_test extends \advanced_testcase
         $this->assertIsInt(constants::MAX_SSE_RUNTIME);
         $this->assertGreaterThan(0, constants::MAX_SSE_RUNTIME);
 
+        $this->assertIsInt(constants::HEARTBEAT_INTERVAL);
+        $this->assertGreaterThan(0, constants::HEARTBEAT_INTERVAL);
+        $this->assertLessThan(constants::CONNECTION_STALE_TIMEOUT, constants::HEARTBEAT_INTERVAL);
+
         $this->assertIsInt(constants::RECONNECT_DELAY_INITIAL);
         $this->assertGreaterThan(0, constants::RECONNECT_DELAY_INITIAL);
 
@@ -181,6 +201,23 @@ class constants_test extends \advanced_testcase
         $this->assertGreaterThan(0, constants::CONNECTION_TIMEOUT);
     }
 
+    /**
+     * Test real-time protocol constants
+     */
+    public function test_protocol_constants(): void
+    {
+        $this->assertIsInt(constants::PROTOCOL_VERSION);
+        $this->assertGreaterThanOrEqual(1, constants::PROTOCOL_MIN_VERSION);
+        $this->assertLessThanOrEqual(constants::PROTOCOL_VERSION, constants::PROTOCOL_MIN_VERSION);
+
+        $this->assertIsArray(constants::PROTOCOL_CAPABILITIES);
+        $this->assertEquals(
+            count(constants::PROTOCOL_CAPABILITIES),
+            count(array_unique(constants::PROTOCOL_CAPABILITIES)),
+            'Capabilities should be unique'
+        );
+    }
+
     /**
      * Test connection stale timeout is reasonable
      */
@@ -251,6 +288,9 @@ class constants_test extends \advanced_testcase
             constants::ERROR_CONNECTION_TIMEOUT,
             constants::ERROR_DATABASE,
             constants::ERROR_PERMISSION_DENIED,
+            constants::ERROR_REQUEST_IN_PROGRESS,
+            constants::ERROR_QUESTION_NOT_FOUND,
+            constants::ERROR_ANSWER_CONFLICT,
         ];
 
         // All error codes should be unique.
@@ -271,6 +311,9 @@ class constants_test extends \advanced_testcase
             constants::ERROR_CONNECTION_TIMEOUT,
             constants::ERROR_DATABASE,
             constants::ERROR_PERMISSION_DENIED,
+            constants::ERROR_REQUEST_IN_PROGRESS,
+            constants::ERROR_QUESTION_NOT_FOUND,
+            constants::ERROR_ANSWER_CONFLICT,
         ];
 
         foreach ($errorcodes as $code) {
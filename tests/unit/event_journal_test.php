@@ -0,0 +1,188 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for mod_classengage session event journal
+ *
+ * Tests the sequenced journal used to replay missed events including:
+ * - Journalling status changes and question broadcasts in order
+ * - Idempotent synchronisation
+ * - Replay range checks and reads
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \mod_classengage\event_journal
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Event journal unit tests
+ *
+ * @group mod_classengage
+ * @group mod_classengage_unit
+ */
+class event_journal_test extends \advanced_testcase
+{
+
+    /** @var \stdClass Test session */
+    private $session;
+
+    /** @var session_state_manager State manager */
+    private $statemanager;
+
+    /**
+     * Set up test fixtures
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        $course = $this->getDataGenerator()->create_course();
+        $instructor = $this->getDataGenerator()->create_user();
+        $classengage = $this->getDataGenerator()->create_module('classengage', [
+            'course' => $course->id,
+        ]);
+
+        $generator = $this->getDataGenerator()->get_plugin_generator('mod_classengage');
+        $first = $generator->create_question($classengage->id, ['questiontype' => 'multichoice']);
+        $second = $generator->create_question($classengage->id, ['questiontype' => 'multichoice']);
+        $this->session = $generator->create_session($classengage->id, $instructor->id);
+        $generator->link_questions_to_session($this->session->id, [$first->id, $second->id]);
+
+        $this->statemanager = new session_state_manager();
+    }
+
+    /**
+     * Sync the journal with the current session state
+     *
+     * @return event_journal
+     */
+    private function sync(): event_journal
+    {
+        $journal = new event_journal($this->session->id, $this->statemanager);
+        $journal->sync($this->statemanager->get_session_state($this->session->id));
+        return $journal;
+    }
+
+    /**
+     * Get the event types in a list of journal events
+     *
+     * @param array $events Journal events
+     * @return array
+     */
+    private function types(array $events): array
+    {
+        return array_column($events, 'event');
+    }
+
+    /**
+     * Test nothing is journalled before the session starts
+     */
+    public function test_sync_ready_session(): void
+    {
+        $journal = $this->sync();
+
+        $this->assertEquals(0, $journal->get_head());
+        $this->assertEmpty($journal->get_events(0));
+    }
+
+    /**
+     * Test starting journals the question before the status change
+     */
+    public function test_sync_start(): void
+    {
+        $this->getDataGenerator()->get_plugin_generator('mod_classengage')->start_session($this->session->id);
+
+        $journal = $this->sync();
+        $events = $journal->get_events(0);
+
+        $this->assertEquals(['question_broadcast', 'session_started'], $this->types($events));
+        $this->assertEquals([1, 2], array_column($events, 'id'));
+        $this->assertEquals(0, $events[0]['data']['questionnumber']);
+        $this->assertNotNull($events[0]['data']['question']);
+        $this->assertArrayNotHasKey('hasanswered', $events[0]['data']);
+    }
+
+    /**
+     * Test syncing an unchanged state appends nothing
+     */
+    public function test_sync_is_idempotent(): void
+    {
+        $this->getDataGenerator()->get_plugin_generator('mod_classengage')->start_session($this->session->id);
+
+        $this->sync();
+        $journal = $this->sync();
+
+        $this->assertEquals(2, $journal->get_head());
+    }
+
+    /**
+     * Test pause, resume and the next question are journalled in order
+     */
+    public function test_sync_later_changes(): void
+    {
+        $this->getDataGenerator()->get_plugin_generator('mod_classengage')->start_session($this->session->id);
+        $this->sync();
+
+        $this->statemanager->pause_session($this->session->id);
+        $this->sync();
+        $this->statemanager->resume_session($this->session->id);
+        $this->sync();
+        $this->statemanager->next_question($this->session->id);
+        $journal = $this->sync();
+
+        $events = $journal->get_events(2);
+        $this->assertEquals(['session_paused', 'session_resumed', 'question_broadcast'], $this->types($events));
+        $this->assertEquals(0, $events[0]['data']['currentquestion']);
+        $this->assertEquals(1, $events[2]['data']['questionnumber']);
+    }
+
+    /**
+     * Test which positions a client can resume from
+     */
+    public function test_can_replay_from(): void
+    {
+        $this->getDataGenerator()->get_plugin_generator('mod_classengage')->start_session($this->session->id);
+        $journal = $this->sync();
+
+        $this->assertTrue($journal->can_replay_from(0));
+        $this->assertTrue($journal->can_replay_from(2));
+        $this->assertFalse($journal->can_replay_from(3));
+        $this->assertFalse($journal->can_replay_from(-1));
+    }
+
+    /**
+     * Test reading a bounded range and the latest event of a type
+     */
+    public function test_get_events_range(): void
+    {
+        $this->getDataGenerator()->get_plugin_generator('mod_classengage')->start_session($this->session->id);
+        $journal = $this->sync();
+
+        $events = $journal->get_events(0, 1);
+        $this->assertCount(1, $events);
+        $this->assertEquals('question_broadcast', $events[0]['event']);
+
+        $latest = $journal->get_latest_event('session_started');
+        $this->assertEquals(2, $latest['id']);
+        $this->assertNull($journal->get_latest_event('session_paused'));
+    }
+}
@@ -0,0 +1,97 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for hotspot question images and points
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \mod_classengage\hotspot_image
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Hotspot image unit tests
+ *
+ * @group mod_classengage
+ * @group mod_classengage_unit
+ */
+class hotspot_image_test extends \advanced_testcase
+{
+
+    /**
+     * Test points are read only when both are fractions of the image
+     */
+    public function test_parse_point(): void
+    {
+        $this->assertEquals([0.25, 1.0], hotspot_image::parse_point(' 0.25 , 1 '));
+        $this->assertEquals([0.0, 0.0], hotspot_image::parse_point('0,0'));
+
+        $this->assertNull(hotspot_image::parse_point('0.5'));
+        $this->assertNull(hotspot_image::parse_point('0.5,0.5,0.5'));
+        $this->assertNull(hotspot_image::parse_point('-0.1,0.5'));
+        $this->assertNull(hotspot_image::parse_point('0.5,1.01'));
+        $this->assertNull(hotspot_image::parse_point('left,top'));
+    }
+
+    /**
+     * Test points are formatted with a fixed number of decimals
+     */
+    public function test_format_point(): void
+    {
+        $this->assertEquals('0.3333,0.5000', hotspot_image::format_point(1 / 3, 0.5));
+        $this->assertEquals('1.00,0.05', hotspot_image::format_point(1, 0.05, 2));
+    }
+
+    /**
+     * Test only hotspot questions with an uploaded image have an image URL
+     */
+    public function test_get_url(): void
+    {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $classengage = $this->getDataGenerator()->create_module('classengage', ['course' => $course->id]);
+        $generator = $this->getDataGenerator()->get_plugin_generator('mod_classengage');
+        $question = $generator->create_question($classengage->id, [
+            'questiontype' => constants::QUESTION_TYPE_HOTSPOT,
+            'correctanswer' => '0.50,0.50',
+            'tolerance' => 0.1,
+        ]);
+
+        $this->assertNull(hotspot_image::get_url($question));
+
+        $context = \context_module::instance($classengage->cmid);
+        get_file_storage()->create_file_from_string([
+            'contextid' => $context->id,
+            'component' => hotspot_image::COMPONENT,
+            'filearea' => hotspot_image::FILEAREA,
+            'itemid' => $question->id,
+            'filepath' => '/',
+            'filename' => 'map.png',
+        ], 'image');
+
+        $url = hotspot_image::get_url($question);
+        $this->assertStringContainsString('/mod_classengage/hotspotimage/' . $question->id . '/map.png', $url);
+
+        $question->questiontype = constants::QUESTION_TYPE_MULTICHOICE;
+        $this->assertNull(hotspot_image::get_url($question));
+    }
+}
@@ -0,0 +1,237 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for mod_classengage idempotency store
+ *
+ * Tests the idempotency keys of write requests including:
+ * - Key validation
+ * - Claiming, completing and releasing keys
+ * - Stored responses returned to retries
+ * - Expiry
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \mod_classengage\idempotency_store
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Idempotency store unit tests
+ *
+ * @group mod_classengage
+ * @group mod_classengage_unit
+ */
+class idempotency_store_test extends \advanced_testcase
+{
+
+    /** @var int Session ID used by the tests */
+    const SESSIONID = 42;
+
+    /** @var idempotency_store Store under test */
+    private $store;
+
+    /** @var \stdClass Test user */
+    private $user;
+
+    /**
+     * Set up test fixtures
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        $this->user = $this->getDataGenerator()->create_user();
+        $this->store = new idempotency_store();
+    }
+
+    /**
+     * Test key validation
+     */
+    public function test_is_valid_key(): void
+    {
+        $this->assertTrue(idempotency_store::is_valid_key('0b8f6a2e-7c1d-4a57-9e0b-3f2d1c4b5a69'));
+        $this->assertFalse(idempotency_store::is_valid_key(''));
+        $this->assertFalse(idempotency_store::is_valid_key(str_repeat('a', idempotency_store::MAX_KEY_LENGTH + 1)));
+    }
+
+    /**
+     * Test a new key is claimed for processing
+     */
+    public function test_claim_new_key(): void
+    {
+        global $DB;
+
+        $this->assertNull($this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'pause'));
+        $this->assertTrue($DB->record_exists('classengage_request_keys', [
+            'userid' => $this->user->id,
+            'requestkey' => 'key-1',
+        ]));
+    }
+
+    /**
+     * Test a retry gets the stored response
+     */
+    public function test_claim_completed_key(): void
+    {
+        $this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'pause');
+        $this->store->complete($this->user->id, 'key-1', ['success' => true, 'status' => 'paused']);
+
+        $response = $this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'pause');
+
+        $this->assertTrue($response['success']);
+        $this->assertEquals('paused', $response['status']);
+        $this->assertTrue($response['replayed']);
+    }
+
+    /**
+     * Test a retry while the first attempt is running is deferred
+     */
+    public function test_claim_in_progress_key(): void
+    {
+        $this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'submitanswer');
+
+        $response = $this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'submitanswer');
+
+        $this->assertFalse($response['success']);
+        $this->assertEquals(constants::ERROR_REQUEST_IN_PROGRESS, $response['errorcode']);
+    }
+
+    /**
+     * Test an abandoned claim is taken over
+     */
+    public function test_claim_abandoned_key(): void
+    {
+        global $DB;
+
+        $this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'submitanswer');
+        $DB->set_field('classengage_request_keys', 'timecreated', time() - constants::IDEMPOTENCY_CLAIM_TIMEOUT - 1, [
+            'requestkey' => 'key-1',
+        ]);
+
+        $this->assertNull($this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'submitanswer'));
+    }
+
+    /**
+     * Test a key cannot be reused for another action, and is scoped per user
+     */
+    public function test_claim_key_scope(): void
+    {
+        $this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'pause');
+        $this->store->complete($this->user->id, 'key-1', ['success' => true]);
+
+        $response = $this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'resume');
+        $this->assertFalse($response['success']);
+
+        $other = $this->getDataGenerator()->create_user();
+        $this->assertNull($this->store->claim(self::SESSIONID, $other->id, 'key-1', 'resume'));
+    }
+
+    /**
+     * Test a released key is processed again
+     */
+    public function test_release(): void
+    {
+        $this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'pause');
+        $this->store->release($this->user->id, 'key-1');
+
+        $this->assertNull($this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'pause'));
+    }
+
+    /**
+     * Test a transient failure is not replayed, so the retry is processed and its success stored
+     */
+    public function test_finish_transient_failure_then_retry(): void
+    {
+        $this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'submitanswer');
+        $this->store->finish($this->user->id, 'key-1', [
+            'success' => false,
+            'error' => 'Rate limit exceeded. Please wait before trying again.',
+            'errorcode' => constants::ERROR_RATE_LIMIT_EXCEEDED,
+        ]);
+
+        // The retry is processed rather than answered with the failure.
+        $this->assertNull($this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'submitanswer'));
+        $this->store->finish($this->user->id, 'key-1', ['success' => true, 'iscorrect' => true]);
+
+        $response = $this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'submitanswer');
+        $this->assertTrue($response['success']);
+        $this->assertTrue($response['replayed']);
+    }
+
+    /**
+     * Test permanent failures are final and replayed to retries
+     */
+    public function test_finish_permanent_failure(): void
+    {
+        $failure = ['success' => false, 'error' => 'Already answered', 'errorcode' => constants::ERROR_ALREADY_ANSWERED];
+        $this->assertTrue(idempotency_store::is_final($failure));
+        $this->assertFalse(idempotency_store::is_final(['success' => false, 'errorcode' => constants::ERROR_DATABASE]));
+
+        $this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'submitanswer');
+        $this->store->finish($this->user->id, 'key-1', $failure);
+
+        $response = $this->store->claim(self::SESSIONID, $this->user->id, 'key-1', 'submitanswer');
+        $this->assertEquals(constants::ERROR_ALREADY_ANSWERED, $response['errorcode']);
+        $this->assertTrue($response['replayed']);
+    }
+
+    /**
+     * Test a batch with an answer that failed transiently is not final
+     */
+    public function test_is_final_batch(): void
+    {
+        $batch = [
+            'success' => true,
+            'results' => [
+                ['success' => true, 'errorcode' => null],
+                ['success' => false, 'errorcode' => constants::ERROR_ALREADY_ANSWERED],
+            ],
+        ];
+        $this->assertTrue(idempotency_store::is_final($batch));
+
+        $batch['results'][] = ['success' => false, 'errorcode' => constants::ERROR_DATABASE];
+        $this->assertFalse(idempotency_store::is_final($batch));
+
+        $this->assertFalse(idempotency_store::is_final([
+            'success' => false,
+            'errorcode' => constants::ERROR_DATABASE,
+            'results' => [],
+        ]));
+    }
+
+    /**
+     * Test expired keys are purged
+     */
+    public function test_purge_expired(): void
+    {
+        global $DB;
+
+        $this->store->claim(self::SESSIONID, $this->user->id, 'old', 'pause');
+        $this->store->claim(self::SESSIONID, $this->user->id, 'new', 'pause');
+        $DB->set_field('classengage_request_keys', 'timecreated', time() - constants::IDEMPOTENCY_KEY_TTL - 1, [
+            'requestkey' => 'old',
+        ]);
+
+        $this->assertEquals(1, idempotency_store::purge_expired());
+        $this->assertEquals(1, $DB->count_records('classengage_request_keys'));
+    }
+}
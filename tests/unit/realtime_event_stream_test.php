@@ -0,0 +1,268 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for mod_classengage real-time event stream
+ *
+ * Tests the event stream shared by the SSE and long-poll handlers including:
+ * - Terminal event detection
+ * - Question option mapping
+ * - Cursor round-trip between requests
+ * - Journalled state change events
+ * - Snapshots, resumption and replay
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \mod_classengage\realtime_event_stream
+ */
+
+namespace mod_classengage;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * Real-time event stream unit tests
+ *
+ * @group mod_classengage
+ * @group mod_classengage_unit
+ */
+class realtime_event_stream_test extends \advanced_testcase
+{
+
+    /** @var \stdClass Test classengage instance */
+    private $classengage;
+
+    /** @var \context_module Module context */
+    private $context;
+
+    /** @var \stdClass Test instructor */
+    private $instructor;
+
+    /** @var \stdClass Test student */
+    private $student;
+
+    /** @var \stdClass Test session */
+    private $session;
+
+    /**
+     * Set up test fixtures
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->resetAfterTest(true);
+
+        $course = $this->getDataGenerator()->create_course();
+        $this->instructor = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->instructor->id, $course->id, 'editingteacher');
+        $this->student = $this->getDataGenerator()->create_user();
+        $this->getDataGenerator()->enrol_user($this->student->id, $course->id, 'student');
+
+        $this->classengage = $this->getDataGenerator()->create_module('classengage', [
+            'course' => $course->id,
+        ]);
+        $cm = get_coursemodule_from_instance('classengage', $this->classengage->id);
+        $this->context = \context_module::instance($cm->id);
+
+        $generator = $this->getDataGenerator()->get_plugin_generator('mod_classengage');
+        $question = $generator->create_question($this->classengage->id, [
+            'questiontype' => 'multichoice',
+            'correctanswer' => 'A',
+        ]);
+        $this->session = $generator->create_session($this->classengage->id, $this->instructor->id);
+        $generator->link_questions_to_session($this->session->id, [$question->id]);
+    }
+
+    /**
+     * Test terminal event detection
+     */
+    public function test_is_terminal_event(): void
+    {
+        $this->assertTrue(realtime_event_stream::is_terminal_event('session_completed'));
+        $this->assertTrue(realtime_event_stream::is_terminal_event('session_ended'));
+        $this->assertFalse(realtime_event_stream::is_terminal_event('session_paused'));
+        $this->assertFalse(realtime_event_stream::is_terminal_event('question_broadcast'));
+    }
+
+    /**
+     * Test the protocol fields announced on connect
+     */
+    public function test_get_protocol_info(): void
+    {
+        $info = realtime_event_stream::get_protocol_info();
+
+        $this->assertEquals(constants::PROTOCOL_VERSION, $info['protocol']);
+        $this->assertEquals(constants::PROTOCOL_MIN_VERSION, $info['minprotocol']);
+        $this->assertContains('replay', $info['capabilities']);
+    }
+
+    /**
+     * Test question options skip empty fields
+     */
+    public function test_get_question_options(): void
+    {
+        $question = (object) [
+            'optiona' => 'True',
+            'optionb' => 'False',
+            'optionc' => '',
+            'optiond' => null,
+        ];
+
+        $options = realtime_event_stream::get_question_options($question);
+
+        $this->assertEquals([
+            ['key' => 'A', 'text' => 'True'],
+            ['key' => 'B', 'text' => 'False'],
+        ], $options);
+    }
+
+    /**
+     * Test missing session ends the stream
+     */
+    public function test_collect_missing_session(): void
+    {
+        $stream = new realtime_event_stream(999999, $this->student->id, $this->context, false);
+
+        $events = $stream->collect();
+
+        $this->assertCount(1, $events);
+        $this->assertEquals('session_ended', $events[0]['event']);
+        $this->assertEquals('session_not_found', $events[0]['data']['reason']);
+    }
+
+    /**
+     * Test journal events are sent once, in order, with their IDs
+     */
+    public function test_collect_question_broadcast(): void
+    {
+        $generator = $this->getDataGenerator()->get_plugin_generator('mod_classengage');
+        $generator->start_session($this->session->id);
+
+        $stream = new realtime_event_stream($this->session->id, $this->student->id, $this->context, false);
+
+        $events = $stream->collect();
+        $this->assertCount(2, $events);
+        $this->assertEquals('question_broadcast', $events[0]['event']);
+        $this->assertEquals(1, $events[0]['id']);
+        $this->assertNotNull($events[0]['data']['question']);
+        $this->assertFalse($events[0]['data']['hasanswered']);
+        $this->assertEquals('session_started', $events[1]['event']);
+        $this->assertEquals(2, $events[1]['id']);
+
+        // Nothing changed, so nothing is sent again.
+        $this->assertEmpty($stream->collect());
+    }
+
+    /**
+     * Test a new client gets a snapshot instead of the whole journal
+     */
+    public function test_start_snapshot(): void
+    {
+        $generator = $this->getDataGenerator()->get_plugin_generator('mod_classengage');
+        $generator->start_session($this->session->id);
+        (new session_state_manager())->pause_session($this->session->id);
+
+        $stream = new realtime_event_stream($this->session->id, $this->student->id, $this->context, false);
+        $start = $stream->start(0);
+
+        $this->assertFalse($start['resumed']);
+        $this->assertEquals(2, $start['lasteventid']);
+        $this->assertEquals(['question_broadcast', 'session_paused'], array_column($start['events'], 'event'));
+        $this->assertArrayNotHasKey('id', $start['events'][0]);
+        $this->assertEmpty($stream->collect());
+    }
+
+    /**
+     * Test a reconnecting client resumes from its last event
+     */
+    public function test_start_resume(): void
+    {
+        $generator = $this->getDataGenerator()->get_plugin_generator('mod_classengage');
+        $generator->start_session($this->session->id);
+
+        $stream = new realtime_event_stream($this->session->id, $this->student->id, $this->context, false);
+        $start = $stream->start(1);
+
+        $this->assertTrue($start['resumed']);
+        $this->assertEmpty($start['events']);
+
+        $events = $stream->collect();
+        $this->assertCount(1, $events);
+        $this->assertEquals('session_started', $events[0]['event']);
+
+        // A client ahead of the journal cannot resume.
+        $other = new realtime_event_stream($this->session->id, $this->student->id, $this->context, false);
+        $this->assertFalse($other->start(99)['resumed']);
+    }
+
+    /**
+     * Test replaying a missed range
+     */
+    public function test_replay(): void
+    {
+        $generator = $this->getDataGenerator()->get_plugin_generator('mod_classengage');
+        $generator->start_session($this->session->id);
+        $statemanager = new session_state_manager();
+        $stream = new realtime_event_stream($this->session->id, $this->student->id, $this->context, false);
+
+        // Each collect() journals the change made before it.
+        $stream->collect();
+        $statemanager->pause_session($this->session->id);
+        $stream->collect();
+        $statemanager->resume_session($this->session->id);
+        $stream->collect();
+
+        $replay = $stream->replay(1, 3);
+
+        $this->assertTrue($replay['complete']);
+        $this->assertEquals(4, $replay['lasteventid']);
+        $this->assertEquals([2, 3], array_column($replay['events'], 'id'));
+        $this->assertEquals(['session_started', 'session_paused'], array_column($replay['events'], 'event'));
+
+        // A superseded question has no time left.
+        $statemanager->next_question($this->session->id);
+        $replay = $stream->replay(0, 1);
+        $this->assertEquals(0, $replay['events'][0]['data']['timelimit']);
+    }
+
+    /**
+     * Test cursor and last event ID carry across requests
+     */
+    public function test_cursor_round_trip(): void
+    {
+        $generator = $this->getDataGenerator()->get_plugin_generator('mod_classengage');
+        $generator->start_session($this->session->id);
+
+        $first = new realtime_event_stream($this->session->id, $this->student->id, $this->context, false);
+        $first->start(0);
+        $first->collect();
+        $cursor = json_decode(json_encode($first->get_cursor()), true);
+
+        // A fresh stream resumed from the cursor does not repeat the broadcast.
+        $second = new realtime_event_stream($this->session->id, $this->student->id, $this->context, false);
+        $second->set_cursor($cursor);
+        $second->set_last_event_id($first->get_last_event_id());
+        $this->assertEmpty($second->collect());
+
+        // But it does see a later pause.
+        (new session_state_manager())->pause_session($this->session->id);
+        $events = $second->collect();
+        $this->assertCount(1, $events);
+        $this->assertEquals('session_paused', $events[0]['event']);
+        $this->assertEquals(3, $events[0]['id']);
+    }
+}
@@ -0,0 +1,65 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for mod_classengage WebSocket relay URL setting
+ *
+ * @package    mod_classengage
+ * @copyright  2025 Danielle
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \mod_classengage\admin\setting_websocketurl
+ */
+
+namespace mod_classengage;
+
+use mod_classengage\admin\setting_websocketurl;
+
+defined('MOODLE_INTERNAL') || die();
+
+/**
+ * WebSocket relay URL setting unit tests
+ *
+ * @group mod_classengage
+ * @group mod_classengage_unit
+ */
+class setting_websocketurl_test extends \advanced_testcase
+{
+
+    /**
+     * Test ws and wss URLs are accepted, and an empty value turns the socket off
+     */
+    public function test_accepts_websocket_urls(): void
+    {
+        $setting = new setting_websocketurl('mod_classengage/websocketurl', 'URL', '');
+
+        $this->assertTrue($setting->validate(''));
+        $this->assertTrue($setting->validate('ws://relay.example.com:8080/classengage'));
+        $this->assertTrue($setting->validate('WSS://relay.example.com/classengage?site=1'));
+    }
+
+    /**
+     * Test other schemes and URLs without a host are rejected
+     */
+    public function test_rejects_other_urls(): void
+    {
+        $setting = new setting_websocketurl('mod_classengage/websocketurl', 'URL', '');
+        $error = get_string('settings:websocketurl_invalid', 'mod_classengage');
+
+        $this->assertEquals($error, $setting->validate('https://relay.example.com/'));
+        $this->assertEquals($error, $setting->validate('wss:///classengage'));
+        $this->assertEquals($error, $setting->validate('relay.example.com'));
+    }
+}
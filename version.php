@@ -25,7 +25,7 @@
 defined('MOODLE_INTERNAL') || die();
 
 $plugin->component = 'mod_classengage';
-$plugin->version = 2026011601;  // YYYYMMDDXX format - Question Image Field
+$plugin->version = 2026011608;  // YYYYMMDDXX format - Confidence ratings
 $plugin->requires = 2022041900; // Moodle 4.0 or later
 $plugin->maturity = MATURITY_BETA;
 $plugin->release = 'v1.8.1-beta';